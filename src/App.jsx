@@ -4,157 +4,287 @@ import {
   Area, AreaChart, CartesianGrid, ResponsiveContainer, Tooltip, XAxis, YAxis,
   RadialBar, RadialBarChart
 } from "recharts";
+import PairDetail, { useHistory } from "./PairDetail.jsx";
+import Leaderboard from "./Leaderboard.jsx";
+import Login from "./Login.jsx";
 
-const socket = io("/", { path: "/socket.io" });
+// connected once we know we're allowed in (the handshake carries the session cookie)
+const socket = io("/", { path: "/socket.io", autoConnect: false });
 
-function useSeriesBuffer(maxPoints = 600) {
-  const ref = useRef(new Map());
-  const push = (pair, point) => {
-    if (!ref.current.has(pair)) ref.current.set(pair, []);
-    const arr = ref.current.get(pair);
-    arr.push(point);
-    while (arr.length > maxPoints) arr.shift();
+// Only the fields this page shows; the server sends deltas of them (src/live.js)
+const VIEW = { fields: ["ts", "price", "vol24", "volVelPct", "priceChangePct", "diffPct", "ratio", "volReport", "horizons"] };
+
+// Same order as the server's RANK_MODE (engine snapshot)
+const RANK_SCORE = {
+  ratio: (v) => v.ratio,
+  notional: (v) => v.volReport ?? -1,
+  vol: (v) => v.volVelPct,
+};
+
+// '/pair/<key>' -> the pair detail page; plain history API routing (the server falls back to index.html)
+function useRoute() {
+  const [path, setPath] = useState(window.location.pathname);
+  useEffect(() => {
+    const onPop = () => setPath(window.location.pathname);
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+  const navigate = (to) => {
+    window.history.pushState(null, "", to);
+    setPath(to);
   };
-  return [ref, push];
+  const m = /^\/pair\/(.+)$/.exec(path);
+  return [m ? decodeURIComponent(m[1]) : null, navigate];
 }
 
-export default function App() {
+function Dashboard({ user, onLogout, onExpired }) {
   const [status, setStatus] = useState("Connecting…");
   const [snap, setSnap] = useState({ ts: 0, pairs: {}, top: [] });
-  const [bufRef, pushPoint] = useSeriesBuffer(3600);
+  const [meta, setMeta] = useState(null); // GET /api/meta: server settings
+  const [pairRoute, navigate] = useRoute();
+  const seqRef = useRef(0);
+  const snapRef = useRef(snap); // deltas apply to the latest state, not a render's copy
+  const [alerts, setAlerts] = useState([]); // alert history, newest first
 
   useEffect(() => {
-    socket.on("connect", () => setStatus("Connected"));
+    fetch("/api/meta")
+      .then((r) => (r.ok ? r.json() : null))
+      .then(setMeta)
+      .catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    fetch("/api/alerts?limit=50")
+      .then((r) => (r.ok ? r.json() : []))
+      .then((list) => setAlerts((cur) => [...cur, ...list.filter((a) => !cur.some((c) => c.id === a.id))]))
+      .catch(() => {});
+    socket.on("alert", (a) => setAlerts((cur) => [a, ...cur].slice(0, 50)));
+    // follow-through filled in later
+    socket.on("alert:update", (a) => setAlerts((cur) => cur.map((c) => (c.id === a.id ? a : c))));
+    return () => {
+      socket.off("alert");
+      socket.off("alert:update");
+    };
+  }, []);
+
+  useEffect(() => {
+    const subscribe = () => socket.emit("subscribe", VIEW);
+    socket.on("connect_error", (e) => {
+      if (e.message === "unauthorized") onExpired();
+    });
+    socket.on("connect", () => {
+      setStatus("Connected");
+      subscribe(); // the server forgets views on disconnect
+    });
     socket.on("disconnect", () => setStatus("Disconnected. Reconnecting…"));
     socket.on("hello", () => setStatus("Connected"));
-    socket.on("snapshot", (s) => {
+    socket.on("state", (s) => {
+      seqRef.current = s.seq;
+      snapRef.current = s;
       setSnap(s);
-      for (const [pair, v] of Object.entries(s.pairs)) {
-        pushPoint(pair, {
-          ts: v.ts,
-          volVel: v.volVelPct,
-          diff: v.diffPct,
-          price: v.price
-        });
+    });
+    socket.on("delta", (d) => {
+      // missed one: ask for the full state again
+      if (d.seq !== seqRef.current + 1) {
+        socket.emit("resync");
+        return;
       }
+      seqRef.current = d.seq;
+      const cur = snapRef.current;
+      const pairs = { ...cur.pairs };
+      for (const k of d.removed) delete pairs[k];
+      for (const [k, fields] of Object.entries(d.changed)) pairs[k] = { ...pairs[k], ...fields };
+      snapRef.current = { ...cur, ts: d.ts, pairs, top: d.top || cur.top, meta: d.meta || cur.meta };
+      setSnap(snapRef.current);
     });
+    socket.connect();
     return () => {
+      socket.off("connect_error");
       socket.off("connect");
       socket.off("disconnect");
       socket.off("hello");
-      socket.off("snapshot");
+      socket.off("state");
+      socket.off("delta");
+      socket.disconnect();
     };
-  }, [pushPoint]);
+  }, []);
 
+  const rankMode = meta?.rankMode || snap.meta?.rankMode || "vol";
   const ranked = useMemo(() => {
-    return Object.entries(snap.pairs).sort((a,b) => b[1].volVelPct - a[1].volVelPct);
-  }, [snap]);
+    const score = RANK_SCORE[rankMode] || RANK_SCORE.vol;
+    return Object.entries(snap.pairs).sort((a,b) => score(b[1]) - score(a[1]));
+  }, [snap, rankMode]);
+
+  const horizons = snap.meta?.horizons || [];
+  const fmt = (x) => (x == null ? "–" : x.toFixed(2));
 
   const top = ranked[0]?.[0];
-  const topData = (top && bufRef.current.get(top)) || [];
+  const topData = useHistory(top, "1h", "1m", "vol24Pct,diffPct");
+  const backTo = useRef("/"); // the leaderboard URL (with its filters) to return to
+  const openPair = (pair) => {
+    backTo.current = window.location.pathname + window.location.search;
+    navigate(`/pair/${encodeURIComponent(pair)}`);
+  };
+  const alertRule = meta?.alertDefaults;
 
   return (
     <div className="min-h-screen p-6 md:p-10 space-y-8">
       <header className="flex items-center justify-between">
         <h1 className="text-2xl md:text-3xl font-bold">Kraken Volume Monitor</h1>
-        <span className={"text-sm px-2 py-1 rounded " + (status.startsWith("Conn") ? "bg-emerald-700/30" : "bg-yellow-700/30")}>
-          {status}
-        </span>
+        <div className="flex items-center gap-3 text-sm">
+          {user && (
+            <>
+              <span className="text-zinc-400">{user.name} ({user.role})</span>
+              {user.via === "session" && <button className="px-2 py-1 rounded border border-zinc-700" onClick={onLogout}>Log out</button>}
+            </>
+          )}
+          <span className={"px-2 py-1 rounded " + (status.startsWith("Conn") ? "bg-emerald-700/30" : "bg-yellow-700/30")}>
+            {status}
+          </span>
+        </div>
       </header>
 
-      <section className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-        {/* Gauges for top 2 */}
-        {ranked.slice(0,2).map(([pair, v]) => (
-          <div key={pair} className="rounded-2xl border border-zinc-800 p-4 bg-zinc-900/40">
-            <div className="flex items-center justify-between mb-2">
-              <h2 className="font-semibold">{pair}</h2>
-              <div className="text-xs text-zinc-400">vol velocity</div>
-            </div>
-            <div className="flex items-center gap-6">
-              <div className="w-40 h-40">
-                <ResponsiveContainer width="100%" height="100%">
-                  <RadialBarChart
-                    innerRadius="70%" outerRadius="100%"
-                    data={[{name:"vv", value: Math.max(-100, Math.min(100, v.volVelPct))}]}
-                    startAngle={180} endAngle={0}
-                  >
-                    <RadialBar dataKey="value" />
-                  </RadialBarChart>
-                </ResponsiveContainer>
-              </div>
-              <div className="space-y-1">
-                <div className="text-3xl font-bold">{v.volVelPct.toFixed(2)}%/h</div>
-                <div className="text-sm text-zinc-400">Price Δ vs 24h avg: {v.priceChangePct.toFixed(2)}%</div>
-                <div className="text-sm text-zinc-400">Diff (vol - price): {v.diffPct.toFixed(2)}%</div>
-                <div className="text-sm text-zinc-400">Last price: {v.price}</div>
+      {pairRoute ? (
+        <PairDetail pair={pairRoute} meta={meta} live={snap.pairs[pairRoute]} onBack={() => navigate(backTo.current)} />
+      ) : (
+        <>
+          <section className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Gauges for top 2 */}
+            {ranked.slice(0,2).map(([pair, v]) => (
+              <div key={pair} className="rounded-2xl border border-zinc-800 p-4 bg-zinc-900/40">
+                <div className="flex items-center justify-between mb-2">
+                  <h2 className="font-semibold cursor-pointer hover:underline" onClick={() => openPair(pair)}>{pair}</h2>
+                  <div className="text-xs text-zinc-400">vol velocity</div>
+                </div>
+                <div className="flex items-center gap-6">
+                  <div className="w-40 h-40">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <RadialBarChart
+                        innerRadius="70%" outerRadius="100%"
+                        data={[{name:"vv", value: Math.max(-100, Math.min(100, v.volVelPct))}]}
+                        startAngle={180} endAngle={0}
+                      >
+                        <RadialBar dataKey="value" />
+                      </RadialBarChart>
+                    </ResponsiveContainer>
+                  </div>
+                  <div className="space-y-1">
+                    <div className="text-3xl font-bold">{v.volVelPct.toFixed(2)}%/h</div>
+                    <div className="text-sm text-zinc-400">Price Δ vs 24h avg: {v.priceChangePct.toFixed(2)}%</div>
+                    <div className="text-sm text-zinc-400">Diff (vol - price): {v.diffPct.toFixed(2)}%</div>
+                    <div className="text-sm text-zinc-400">Last price: {v.price}</div>
+                  </div>
+                </div>
               </div>
+            ))}
+          </section>
+
+          <section>
+            <Leaderboard rows={ranked} horizons={horizons} rankMode={rankMode} onOpen={openPair} canEdit={!user || user.role === "admin"} />
+            <p className="mt-3 text-xs text-zinc-500">
+              {alertRule
+                ? <>Alerts fire when |{alertRule.metric}| ≥ {alertRule.thresholdPct}{meta.alertMode === "anomaly" ? "σ" : "%"}, then every {alertRule.stepPct} more (per-pair rules may differ). Click a pair for its history.</>
+                : "Click a pair for its history."}
+            </p>
+          </section>
+
+          {/* Chart for the current #1 */}
+          <section className="rounded-2xl border border-zinc-800 p-4 bg-zinc-900/40">
+            <div className="flex items-baseline justify-between">
+              <h2 className="font-semibold">
+                Trend — {top ? <span className="cursor-pointer hover:underline" onClick={() => openPair(top)}>{top}</span> : "waiting for data…"}
+              </h2>
+              <div className="text-xs text-zinc-400">Volume vs lookback, last hour (%)</div>
             </div>
-          </div>
-        ))}
-
-        {/* Leaderboard */}
-        <div className="rounded-2xl border border-zinc-800 p-4 bg-zinc-900/40">
-          <h2 className="font-semibold mb-3">Leaderboard (by volume velocity)</h2>
-          <div className="max-h-[380px] overflow-y-auto">
-            <table className="w-full text-sm">
-              <thead className="text-zinc-400">
-                <tr>
-                  <th className="text-left py-1">Pair</th>
-                  <th className="text-right">Vol %/h</th>
-                  <th className="text-right">Price Δ (24h avg)</th>
-                  <th className="text-right">Diff</th>
-                  <th className="text-right">Vol(24h)</th>
-                </tr>
-              </thead>
-              <tbody>
-                {ranked.map(([pair, v]) => (
-                  <tr key={pair} className="border-t border-zinc-800/70">
-                    <td className="py-1">{pair}</td>
-                    <td className="text-right">{v.volVelPct.toFixed(2)}</td>
-                    <td className="text-right">{v.priceChangePct.toFixed(2)}</td>
-                    <td className={"text-right " + (v.diffPct >= 0 ? "text-emerald-400" : "text-rose-400")}>
-                      {v.diffPct.toFixed(2)}
-                    </td>
-                    <td className="text-right">{Number(v.vol24).toLocaleString()}</td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-          <p className="mt-3 text-xs text-zinc-500">
-            Alerts fire when |vol %/h| ≥ {ALERT_THRESHOLD}% (Slack webhook configured in <code>.env</code>).
-          </p>
-        </div>
-      </section>
+            <div className="h-64 mt-2">
+              <ResponsiveContainer width="100%" height="100%">
+                <AreaChart data={topData}>
+                  <defs>
+                    <linearGradient id="g1" x1="0" y1="0" x2="0" y2="1">
+                      <stop offset="5%" stopOpacity={0.8}/>
+                      <stop offset="95%" stopOpacity={0}/>
+                    </linearGradient>
+                  </defs>
+                  <CartesianGrid strokeDasharray="3 3" opacity={0.1}/>
+                  <XAxis dataKey="ts" tickFormatter={(t)=> new Date(t*1000).toLocaleTimeString()} />
+                  <YAxis width={60} />
+                  <Tooltip labelFormatter={(t)=> new Date(t*1000).toLocaleTimeString()} />
+                  <Area type="monotone" dataKey="vol24Pct" strokeOpacity={1} fillOpacity={0.25} />
+                </AreaChart>
+              </ResponsiveContainer>
+            </div>
+          </section>
 
-      {/* Chart for the current #1 */}
-      <section className="rounded-2xl border border-zinc-800 p-4 bg-zinc-900/40">
-        <div className="flex items-baseline justify-between">
-          <h2 className="font-semibold">Trend — {top || "waiting for data…"}</h2>
-          <div className="text-xs text-zinc-400">Volume velocity (/h)</div>
-        </div>
-        <div className="h-64 mt-2">
-          <ResponsiveContainer width="100%" height="100%">
-            <AreaChart data={topData}>
-              <defs>
-                <linearGradient id="g1" x1="0" y1="0" x2="0" y2="1">
-                  <stop offset="5%" stopOpacity={0.8}/>
-                  <stop offset="95%" stopOpacity={0}/>
-                </linearGradient>
-              </defs>
-              <CartesianGrid strokeDasharray="3 3" opacity={0.1}/>
-              <XAxis dataKey="ts" tickFormatter={(t)=> new Date(t*1000).toLocaleTimeString()} />
-              <YAxis width={60} />
-              <Tooltip labelFormatter={(t)=> new Date(t*1000).toLocaleTimeString()} />
-              <Area type="monotone" dataKey="volVel" strokeOpacity={1} fillOpacity={0.25} />
-            </AreaChart>
-          </ResponsiveContainer>
-        </div>
-      </section>
+          {/* Live alerts feed (GET /api/alerts + 'alert' events) */}
+          <section className="rounded-2xl border border-zinc-800 p-4 bg-zinc-900/40">
+            <div className="flex items-baseline justify-between mb-3">
+              <h2 className="font-semibold">Alerts</h2>
+              <div className="text-xs text-zinc-400">price after the alert</div>
+            </div>
+            <div className="max-h-[320px] overflow-y-auto">
+              <table className="w-full text-sm">
+                <thead className="text-zinc-400">
+                  <tr>
+                    <th className="text-left py-1">Time</th>
+                    <th className="text-left">Pair</th>
+                    <th className="text-left">Alert</th>
+                    <th className="text-right">Price</th>
+                    <th className="text-right">After</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {alerts.map((a) => (
+                    <tr key={a.id} className="border-t border-zinc-800/70">
+                      <td className="py-1">{new Date(a.ts).toLocaleTimeString()}</td>
+                      <td>{a.pair || "—"}</td>
+                      <td>
+                        {a.type === "step" ? `${a.label} ${a.level > 0 ? "+" : ""}${a.level}${a.unit || "%"}`
+                          : a.type === "recovery" ? `${a.label} back under ${a.thresholdPct}${a.unit || "%"}`
+                          : a.type === "digest" ? `digest: ${a.winners.length} up, ${a.losers.length} down`
+                          : a.type}
+                      </td>
+                      <td className="text-right">{a.price ?? "–"}</td>
+                      <td className="text-right space-x-2">
+                        {!a.followThrough ? "–"
+                          : Object.keys(a.followThrough).length === 0 ? <span className="text-zinc-500">pending</span>
+                          : Object.entries(a.followThrough).map(([h, v]) => (
+                            <span key={h} className={v == null ? "text-zinc-500" : v >= 0 ? "text-emerald-400" : "text-rose-400"}>
+                              {h} {v == null ? "n/a" : `${fmt(v)}%`}
+                            </span>
+                          ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        </>
+      )}
 
       <footer className="text-xs text-zinc-500">
-        Paper mode: <strong>{String(true)}</strong> • Window={RATE_WINDOW_SEC}s • Pairs: {Object.keys(snap.pairs).join(", ") || "—"}
+        Paper mode: <strong>{String(meta?.paper ?? true)}</strong> • Window={meta?.rateWindowSec ?? "–"}s • Lookback={meta?.lookbackHours ?? "–"}h • Pairs: {Object.keys(snap.pairs).join(", ") || "—"}
       </footer>
     </div>
   );
 }
+
+/**
+ * Asks GET /api/auth/me first: with AUTH_ENABLED the dashboard needs a login (or the
+ * request already carries an API key); without it everything is open.
+ */
+export default function App() {
+  const [session, setSession] = useState(null); // { enabled, user }
+  const check = () => fetch("/api/auth/me")
+    .then((r) => r.json())
+    .then(setSession)
+    .catch(() => setSession({ enabled: false, user: null }));
+  useEffect(() => {
+    check();
+  }, []);
+  const logout = () => fetch("/api/auth/logout", { method: "POST" }).finally(check);
+
+  if (!session) return null;
+  if (session.enabled && !session.user) return <Login onLogin={check} />;
+  return <Dashboard user={session.user} onLogout={logout} onExpired={check} />;
+}
@@ -0,0 +1,292 @@
+import React, { useEffect, useMemo, useState } from "react";
+
+// Sortable columns; vol24Pct/price24Pct follow the selected lookback horizon
+const COLUMNS = [
+  { key: "rank", label: "#", align: "left" },
+  { key: "pair", label: "Pair", align: "left" },
+  { key: "ratio", label: "Ratio" },
+  { key: "vol24Pct", label: "Vol %" },
+  { key: "price24Pct", label: "Price %" },
+  { key: "diffPct", label: "Diff" },
+  { key: "vol24", label: "Vol(24h)" },
+  { key: "price", label: "Price" },
+];
+const STARRED = "*"; // this browser's watchlist (localStorage), not shared
+const STAR_KEY = "kvm.starred";
+
+// rows arrive in the server's RANK_MODE order, with that position as .rank
+function value(key, pair, v, horizon) {
+  if (key === "rank") return v.rank;
+  if (key === "pair") return pair;
+  const h = horizon ? v.horizons?.[horizon] : null;
+  if (key === "vol24Pct") return horizon ? h?.vol24Pct : v.volVelPct;
+  if (key === "price24Pct") return horizon ? h?.price24Pct : v.priceChangePct;
+  if (key === "diffPct") return horizon ? h?.diffPct : v.diffPct;
+  return v[key];
+}
+
+// watchlist entries may be full keys or bare pairs ('XBT/USD' matches every venue)
+const inList = (list, key) => list.includes(key) || list.includes(key.slice(key.indexOf(":") + 1));
+
+const DEFAULT_STATE = { viewId: null, pending: false, watchlist: "", pairs: null, sort: "rank", dir: "asc", q: "", min: {}, max: {}, horizon: "" };
+const ASCENDING = ["rank", "pair"]; // first click sorts these low to high, numbers high to low
+
+// ?view=<id> or the explicit settings (?wl=&sort=&dir=&q=&h=&min.diffPct=5&pairs=a,b)
+function stateFromUrl(search) {
+  const p = new URLSearchParams(search);
+  const s = { ...DEFAULT_STATE, min: {}, max: {} };
+  if (p.get("view")) return { ...s, viewId: p.get("view"), pending: true }; // settings load from the server
+  if (p.get("wl")) s.watchlist = p.get("wl");
+  if (p.get("pairs")) s.pairs = p.get("pairs").split(",");
+  if (p.get("sort")) s.sort = p.get("sort");
+  if (p.get("dir")) s.dir = p.get("dir");
+  if (p.get("q")) s.q = p.get("q");
+  if (p.get("h")) s.horizon = p.get("h");
+  for (const [k, v] of p) {
+    const m = /^(min|max)\.(\w+)$/.exec(k);
+    if (m && v !== "" && Number.isFinite(Number(v))) s[m[1]][m[2]] = Number(v);
+  }
+  return s;
+}
+
+function urlFromState(s) {
+  const p = new URLSearchParams();
+  if (s.viewId) p.set("view", s.viewId);
+  else {
+    if (s.watchlist) p.set("wl", s.watchlist);
+    if (s.pairs) p.set("pairs", s.pairs.join(","));
+    if (s.sort !== DEFAULT_STATE.sort) p.set("sort", s.sort);
+    if (s.dir !== DEFAULT_STATE.dir) p.set("dir", s.dir);
+    if (s.q) p.set("q", s.q);
+    if (s.horizon) p.set("h", s.horizon);
+    for (const side of ["min", "max"]) for (const [k, v] of Object.entries(s[side])) p.set(`${side}.${k}`, v);
+  }
+  const qs = p.toString();
+  return window.location.pathname + (qs ? `?${qs}` : "");
+}
+
+// saved view (GET /api/views/:id) -> leaderboard state
+const stateFromView = (v) => ({
+  ...DEFAULT_STATE, viewId: v.id, watchlist: v.watchlist || "", pairs: v.pairs || null, sort: v.sort, dir: v.dir,
+  q: v.q || "", min: v.min || {}, max: v.max || {}, horizon: v.horizon || "",
+});
+
+const sendJson = (url, method, body) => fetch(url, {
+  method, headers: { "Content-Type": "application/json" }, body: JSON.stringify(body),
+}).then(async (r) => {
+  if (!r.ok) throw new Error((await r.json().catch(() => ({}))).error || `HTTP ${r.status}`);
+  return r.status === 204 ? null : r.json();
+});
+
+/**
+ * Leaderboard with watchlists, column sorting, text/threshold filters and saved views.
+ * The current slice is mirrored in the URL, so any state can be shared as a link.
+ * Saving views and sharing watchlists is for admins (`canEdit`).
+ */
+export default function Leaderboard({ rows, horizons, rankMode, onOpen, canEdit = true }) {
+  const [state, setState] = useState(() => stateFromUrl(window.location.search));
+  const [starred, setStarred] = useState(() => JSON.parse(localStorage.getItem(STAR_KEY) || "[]"));
+  const [watchlists, setWatchlists] = useState({});
+  const [views, setViews] = useState([]);
+  const [error, setError] = useState("");
+  const [showFilters, setShowFilters] = useState(false);
+
+  const reload = () => {
+    fetch("/api/watchlists").then((r) => (r.ok ? r.json() : {})).then(setWatchlists).catch(() => {});
+    fetch("/api/views").then((r) => (r.ok ? r.json() : [])).then(setViews).catch(() => {});
+  };
+  useEffect(reload, []);
+
+  // open a shared /?view=<id> link (or a view picked from the list)
+  useEffect(() => {
+    if (!state.pending) return;
+    fetch(`/api/views/${encodeURIComponent(state.viewId)}`)
+      .then((r) => (r.ok ? r.json() : Promise.reject(new Error(`view ${state.viewId} not found`))))
+      .then((v) => {
+        setState(stateFromView(v));
+        setError("");
+      })
+      .catch((e) => {
+        setState((s) => ({ ...s, pending: false }));
+        setError(e.message);
+      });
+  }, [state.pending, state.viewId]);
+
+  useEffect(() => {
+    window.history.replaceState(null, "", urlFromState(state));
+  }, [state]);
+
+  useEffect(() => {
+    localStorage.setItem(STAR_KEY, JSON.stringify(starred));
+  }, [starred]);
+
+  // any edit leaves the saved view (the URL switches to explicit settings)
+  const update = (patch) => setState((s) => ({ ...s, viewId: null, pending: false, ...patch }));
+  const toggleStar = (pair) => setStarred((cur) => (cur.includes(pair) ? cur.filter((p) => p !== pair) : [...cur, pair]));
+  const setBound = (side, key, raw) => {
+    const next = { ...state[side] };
+    if (raw === "" || !Number.isFinite(Number(raw))) delete next[key];
+    else next[key] = Number(raw);
+    update({ [side]: next });
+  };
+  const sortBy = (key) => update(state.sort === key
+    ? { dir: state.dir === "asc" ? "desc" : "asc" }
+    : { sort: key, dir: ASCENDING.includes(key) ? "asc" : "desc" });
+
+  const visible = useMemo(() => {
+    const { watchlist, pairs, sort, dir, q, min, max, horizon } = state;
+    const list = pairs || (watchlist === STARRED ? starred : watchlist ? watchlists[watchlist] || [] : null);
+    const text = q.trim().toLowerCase();
+    const out = rows.map(([pair, v], i) => [pair, { ...v, rank: i + 1 }]).filter(([pair, v]) => {
+      if (list && !inList(list, pair)) return false;
+      if (text && !pair.toLowerCase().includes(text)) return false;
+      for (const [k, n] of Object.entries(min)) if (!(value(k, pair, v, horizon) >= n)) return false;
+      for (const [k, n] of Object.entries(max)) if (!(value(k, pair, v, horizon) <= n)) return false;
+      return true;
+    });
+    // missing values (no history for the horizon yet) sort last either way
+    const sign = dir === "asc" ? 1 : -1;
+    return out.sort(([pa, a], [pb, b]) => {
+      const x = value(sort, pa, a, horizon), y = value(sort, pb, b, horizon);
+      if (x == null || y == null) return (x == null) - (y == null);
+      if (sort === "pair") return sign * String(x).localeCompare(String(y));
+      return sign * (x - y);
+    });
+  }, [rows, state, starred, watchlists]);
+
+  const saveView = () => {
+    const id = window.prompt("Save view as (letters, digits, _ . -)", state.viewId || "");
+    if (!id) return;
+    const { watchlist, pairs, sort, dir, q, min, max, horizon } = state;
+    // the starred list only lives in this browser, so a shared view gets the pairs themselves
+    const body = watchlist === STARRED ? { pairs: starred } : { watchlist: watchlist || undefined, pairs: pairs || undefined };
+    sendJson(`/api/views/${encodeURIComponent(id)}`, "PUT", { ...body, sort, dir, q, min, max, horizon })
+      .then((v) => {
+        setState(stateFromView(v));
+        setError("");
+        reload();
+      })
+      .catch((e) => setError(e.message));
+  };
+  const deleteView = () => {
+    if (!state.viewId || !window.confirm(`Delete view ${state.viewId}?`)) return;
+    sendJson(`/api/views/${encodeURIComponent(state.viewId)}`, "DELETE")
+      .then(() => {
+        update({});
+        reload();
+      })
+      .catch((e) => setError(e.message));
+  };
+  const shareStarred = () => {
+    const name = window.prompt("Share starred pairs as watchlist (letters, digits, _ . -)");
+    if (!name) return;
+    sendJson(`/api/watchlists/${encodeURIComponent(name)}`, "PUT", { pairs: starred })
+      .then(() => {
+        update({ watchlist: name, pairs: null });
+        setError("");
+        reload();
+      })
+      .catch((e) => setError(e.message));
+  };
+
+  const fmt = (x) => (x == null ? "–" : x.toFixed(2));
+  const cell = (key, pair, v) => {
+    const x = value(key, pair, v, state.horizon);
+    if (key === "vol24") return Number(x).toLocaleString();
+    if (key === "price" || key === "rank") return x ?? "–";
+    return fmt(x);
+  };
+  const control = "bg-zinc-900 border border-zinc-700 rounded px-2 py-1 text-sm";
+
+  return (
+    <div className="rounded-2xl border border-zinc-800 p-4 bg-zinc-900/40">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h2 className="font-semibold">
+          Leaderboard ({visible.length}/{rows.length}, {state.horizon ? `${state.horizon} lookback` : `ranked by ${rankMode}`})
+        </h2>
+        <div className="flex flex-wrap items-center gap-2">
+          <select className={control} value={state.viewId || ""} onChange={(e) => update(e.target.value ? { viewId: e.target.value, pending: true } : {})}>
+            <option value="">Custom view</option>
+            {views.map((v) => <option key={v.id} value={v.id}>{v.name || v.id}</option>)}
+          </select>
+          <select className={control} value={state.pairs ? "" : state.watchlist} onChange={(e) => update({ watchlist: e.target.value, pairs: null })}>
+            <option value="">All pairs</option>
+            <option value={STARRED}>★ Starred ({starred.length})</option>
+            {Object.keys(watchlists).map((w) => <option key={w} value={w}>{w}</option>)}
+          </select>
+          <input className={control + " w-28"} placeholder="Filter pairs" value={state.q} onChange={(e) => update({ q: e.target.value })} />
+          <select className={control} value={state.horizon} onChange={(e) => update({ horizon: e.target.value })}>
+            <option value="">Live</option>
+            {horizons.map((h) => <option key={h} value={h}>{h}</option>)}
+          </select>
+          <button className={control} onClick={() => setShowFilters((x) => !x)}>Thresholds</button>
+          {canEdit && <button className={control} onClick={saveView}>Save view</button>}
+          {canEdit && state.viewId && <button className={control} onClick={deleteView}>Delete view</button>}
+          {canEdit && state.watchlist === STARRED && starred.length > 0 && <button className={control} onClick={shareStarred}>Share starred</button>}
+        </div>
+      </div>
+      {error && <div className="text-sm text-rose-400 mb-2">{error}</div>}
+      <div className="max-h-[480px] overflow-y-auto">
+        <table className="w-full text-sm">
+          <thead className="text-zinc-400">
+            <tr>
+              <th />
+              {COLUMNS.map((c) => (
+                <th
+                  key={c.key}
+                  className={(c.align === "left" ? "text-left" : "text-right") + " py-1 cursor-pointer select-none"}
+                  onClick={() => sortBy(c.key)}
+                >
+                  {c.label}{state.horizon && /24Pct$/.test(c.key) ? ` (${state.horizon})` : ""}
+                  {state.sort === c.key ? (state.dir === "asc" ? " ▲" : " ▼") : ""}
+                </th>
+              ))}
+            </tr>
+            {showFilters && (
+              <tr>
+                <th />
+                {COLUMNS.map((c) => (
+                  <th key={c.key} className="text-right font-normal">
+                    {c.align !== "left" && ["min", "max"].map((side) => (
+                      <input
+                        key={`${side}-${state.viewId}`} // a loaded view replaces what was typed
+                        className="w-16 bg-zinc-900 border border-zinc-700 rounded px-1 text-xs block ml-auto mb-1"
+                        placeholder={side}
+                        defaultValue={state[side][c.key] ?? ""}
+                        onChange={(e) => setBound(side, c.key, e.target.value)}
+                      />
+                    ))}
+                  </th>
+                ))}
+              </tr>
+            )}
+          </thead>
+          <tbody>
+            {visible.map(([pair, v]) => {
+              const diff = value("diffPct", pair, v, state.horizon);
+              return (
+                <tr key={pair} className="border-t border-zinc-800/70 cursor-pointer hover:bg-zinc-800/40" onClick={() => onOpen(pair)}>
+                  <td
+                    className={"pr-1 " + (starred.includes(pair) ? "text-yellow-400" : "text-zinc-600")}
+                    onClick={(e) => { e.stopPropagation(); toggleStar(pair); }}
+                  >
+                    ★
+                  </td>
+                  {COLUMNS.map((c) => (
+                    <td
+                      key={c.key}
+                      className={(c.align === "left" ? "py-1" : "text-right")
+                        + (c.key === "diffPct" && diff != null ? (diff >= 0 ? " text-emerald-400" : " text-rose-400") : "")}
+                    >
+                      {cell(c.key, pair, v)}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
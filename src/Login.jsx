@@ -0,0 +1,41 @@
+import React, { useState } from "react";
+
+/**
+ * Username/password form (POST /api/auth/login); the server answers with a session cookie.
+ */
+export default function Login({ onLogin }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const submit = (e) => {
+    e.preventDefault();
+    setBusy(true);
+    fetch("/api/auth/login", {
+      method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ username, password }),
+    })
+      .then(async (r) => {
+        if (!r.ok) throw new Error((await r.json().catch(() => ({}))).error || `HTTP ${r.status}`);
+        setError("");
+        onLogin();
+      })
+      .catch((err) => setError(err.message))
+      .finally(() => setBusy(false));
+  };
+
+  const input = "w-full bg-zinc-900 border border-zinc-700 rounded px-3 py-2";
+  return (
+    <div className="min-h-screen flex items-center justify-center p-6">
+      <form className="w-full max-w-sm space-y-4 rounded-2xl border border-zinc-800 p-6 bg-zinc-900/40" onSubmit={submit}>
+        <h1 className="text-xl font-semibold">Kraken Volume Monitor</h1>
+        <input className={input} placeholder="Username" autoComplete="username" value={username} onChange={(e) => setUsername(e.target.value)} />
+        <input className={input} placeholder="Password" type="password" autoComplete="current-password" value={password} onChange={(e) => setPassword(e.target.value)} />
+        {error && <div className="text-sm text-rose-400">{error}</div>}
+        <button className="w-full rounded bg-emerald-700 px-3 py-2 disabled:opacity-50" disabled={busy || !username || !password}>
+          Log in
+        </button>
+      </form>
+    </div>
+  );
+}
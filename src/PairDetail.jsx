@@ -0,0 +1,171 @@
+import React, { useEffect, useState } from "react";
+import {
+  CartesianGrid, Line, LineChart, ReferenceLine, ResponsiveContainer, Tooltip, XAxis, YAxis
+} from "recharts";
+
+// range -> bucket size, so every range is a few hundred points
+export const RANGES = [
+  ["1h", "1m", 3600],
+  ["6h", "5m", 6 * 3600],
+  ["24h", "15m", 24 * 3600],
+  ["3d", "1h", 3 * 86400],
+];
+
+const CHARTS = [
+  ["price", "Price", ""],
+  ["vol24Pct", "Volume vs lookback", "%"],
+  ["price24Pct", "Price vs lookback", "%"],
+  ["diffPct", "Diff (vol − price)", "%"],
+];
+
+const time = (t) => new Date(t * 1000).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+/**
+ * Server-side series for a pair (GET /api/history/:pair), refetched every `refreshSec`.
+ */
+export function useHistory(pair, range, res, metrics, refreshSec = 60) {
+  const [points, setPoints] = useState([]);
+  useEffect(() => {
+    if (!pair) return undefined;
+    let alive = true;
+    const load = () => fetch(`/api/history/${encodeURIComponent(pair)}?range=${range}&res=${res}&metrics=${metrics}`)
+      .then((r) => (r.ok ? r.json() : { points: [] }))
+      .then((h) => alive && setPoints(h.points || []))
+      .catch(() => {});
+    load();
+    const id = setInterval(load, refreshSec * 1000);
+    return () => {
+      alive = false;
+      clearInterval(id);
+    };
+  }, [pair, range, res, metrics, refreshSec]);
+  return points;
+}
+
+function AlertState({ state }) {
+  if (!state) return <div className="text-sm text-zinc-500">Loading alert state…</div>;
+  const { rule, unit } = state;
+  const row = (k, v) => (
+    <div className="flex justify-between gap-4">
+      <span className="text-zinc-400">{k}</span>
+      <span>{v}</span>
+    </div>
+  );
+  return (
+    <div className="text-sm space-y-1">
+      {row("Rule", `${rule.id} (${state.label}, ${rule.direction})`)}
+      {row("Now", state.value == null ? "–" : `${state.value}${unit}`)}
+      {row("Threshold / step", `${rule.thresholdPct}${unit} / ${rule.stepPct}${unit}`)}
+      {row("Alert level", state.level ? `${state.level > 0 ? "+" : ""}${state.level}${unit}` : "none")}
+      {row("Last alert", state.lastAlertAt ? new Date(state.lastAlertAt).toLocaleString() : "never")}
+      {row("Cool-down", state.cooldownRemainingSec > 0 ? `${state.cooldownRemainingSec}s left of ${rule.cooldownSec}s` : "ready")}
+      {state.suppressedLevel != null && row("Held back", `${state.suppressedLevel}${unit}`)}
+      {state.stale && <div className="text-yellow-400">Stale: no ticker recently, alerts paused</div>}
+      {state.illiquid && <div className="text-yellow-400">Below MIN_NOTIONAL, alerts paused</div>}
+    </div>
+  );
+}
+
+/**
+ * Per-pair page (/pair/<key>): history charts with alert markers, and where the pair
+ * stands against its alert rule.
+ */
+export default function PairDetail({ pair, meta, live, onBack }) {
+  const maxRangeSec = meta?.history?.maxRangeSec || 24 * 3600;
+  const ranges = RANGES.filter(([, , sec]) => sec <= maxRangeSec);
+  const [range, setRange] = useState("6h");
+  const [, res, rangeSec] = ranges.find(([r]) => r === range) || ranges[0] || RANGES[0];
+  const points = useHistory(pair, range, res, "price,vol24Pct,price24Pct,diffPct");
+
+  const [alerts, setAlerts] = useState([]);
+  useEffect(() => {
+    const from = Math.floor(Date.now() / 1000) - rangeSec;
+    fetch(`/api/alerts?pair=${encodeURIComponent(pair)}&type=step,recovery&from=${from}&limit=500`)
+      .then((r) => (r.ok ? r.json() : []))
+      .then(setAlerts)
+      .catch(() => {});
+  }, [pair, rangeSec, points]);
+
+  const [state, setState] = useState(null);
+  useEffect(() => {
+    let alive = true;
+    const load = () => fetch(`/api/alert-state/${encodeURIComponent(pair)}`)
+      .then((r) => (r.ok ? r.json() : null))
+      .then((s) => alive && setState(s))
+      .catch(() => {});
+    load();
+    const id = setInterval(load, 5000);
+    return () => {
+      alive = false;
+      clearInterval(id);
+    };
+  }, [pair]);
+
+  return (
+    <div className="space-y-6">
+      <header className="flex flex-wrap items-center justify-between gap-4">
+        <div className="flex items-center gap-3">
+          <button className="text-sm px-2 py-1 rounded border border-zinc-700" onClick={onBack}>← Back</button>
+          <h2 className="text-xl font-semibold">{pair}</h2>
+          {live && <span className="text-zinc-400">{live.price}</span>}
+        </div>
+        <select
+          className="bg-zinc-900 border border-zinc-700 rounded px-2 py-1 text-sm"
+          value={range}
+          onChange={(e) => setRange(e.target.value)}
+        >
+          {ranges.map(([r]) => <option key={r} value={r}>{r}</option>)}
+        </select>
+      </header>
+
+      <section className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="rounded-2xl border border-zinc-800 p-4 bg-zinc-900/40">
+          <h3 className="font-semibold mb-2">Alerting</h3>
+          <AlertState state={state} />
+        </div>
+        <div className="lg:col-span-2 rounded-2xl border border-zinc-800 p-4 bg-zinc-900/40">
+          <h3 className="font-semibold mb-2">Alerts in range ({alerts.length})</h3>
+          <div className="max-h-40 overflow-y-auto text-sm space-y-1">
+            {alerts.map((a) => (
+              <div key={a.id} className="flex justify-between gap-4">
+                <span className="text-zinc-400">{new Date(a.ts).toLocaleString()}</span>
+                <span className={a.type === "recovery" ? "text-zinc-300" : a.level > 0 ? "text-emerald-400" : "text-rose-400"}>
+                  {a.type === "step" ? `${a.label} ${a.level > 0 ? "+" : ""}${a.level}${a.unit}` : `${a.label} recovered`}
+                </span>
+              </div>
+            ))}
+            {!alerts.length && <div className="text-zinc-500">None</div>}
+          </div>
+        </div>
+      </section>
+
+      <section className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {CHARTS.map(([key, title, unit]) => (
+          <div key={key} className="rounded-2xl border border-zinc-800 p-4 bg-zinc-900/40">
+            <div className="text-sm text-zinc-400 mb-2">{title}</div>
+            <div className="h-56">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={points}>
+                  <CartesianGrid strokeDasharray="3 3" opacity={0.1} />
+                  <XAxis dataKey="ts" type="number" domain={["dataMin", "dataMax"]} tickFormatter={time} />
+                  <YAxis width={70} domain={["auto", "auto"]} unit={unit} />
+                  <Tooltip labelFormatter={(t) => new Date(t * 1000).toLocaleString()} />
+                  <Line type="monotone" dataKey={key} dot={false} connectNulls={false} isAnimationActive={false} />
+                  {/* alert markers: green/red steps, grey recoveries */}
+                  {alerts.map((a) => (
+                    <ReferenceLine
+                      key={a.id}
+                      x={Math.floor(a.ts / 1000)}
+                      stroke={a.type === "recovery" ? "#71717a" : a.level > 0 ? "#34d399" : "#fb7185"}
+                      strokeDasharray="4 2"
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        ))}
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,250 @@
+// src/alert-store.js  (CommonJS, used by index.js)
+// What fired, kept: every step/recovery alert, digest and trade/book alert,
+// newest ALERT_HISTORY_MAX on disk so the record survives restarts. Step and
+// recovery alerts also get follow-through — the price change 15m/1h/4h after
+// the alert, filled in from the minute history once each horizon has passed —
+// so thresholds can be judged by what the price did next.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pairNames } = require('./exchanges/keys');
+const { parseDuration, parseTime } = require('./history');
+
+const STORE_VERSION = 1;
+const HISTORY_TYPES = ['step', 'recovery', 'digest', 'burst', 'whale', 'liquidity'];
+const FOLLOW_TYPES = ['step', 'recovery'];
+const MISS_AFTER_SEC = 3600; // no price this long after a horizon (downtime): give up on it
+const MAX_LIMIT = 1000;
+
+function pct(n) { return Number.isFinite(n) ? Math.round(n * 100) / 100 : 0; }
+
+// Digest rows keep the figures shown in the message
+function digestRow(r) {
+  return {
+    pair: r.pair, avgDelta: pct(r.avgDelta), vPct: pct(r.vPct), pPct: pct(r.pPct),
+    trendPerMin: pct(r.trendPerMin), crowned: !!r.crowned,
+  };
+}
+
+function entryFrom(event, id) {
+  if (event.type === 'digest') {
+    return {
+      id, ts: event.ts, type: 'digest', metric: event.metric, unit: event.unit, windowSec: event.windowSec,
+      winners: event.winners.map(digestRow), losers: event.losers.map(digestRow),
+    };
+  }
+  return { id, ...event };
+}
+
+/**
+ * /api/alerts query -> filter for list().
+ *   type=step,recovery  pair=XBT/USD (or a full key)  metric=diffPct  minLevel=7.5
+ *   from/to (unix s or ms)  limit (default 100, max 1000)
+ * @param {object} query
+ * @returns {object}
+ * @throws {Error} On unknown types or unparseable numbers.
+ */
+function parseAlertQuery(query) {
+  const f = {};
+  if (query.type) {
+    f.types = String(query.type).split(',').map(s => s.trim()).filter(Boolean);
+    const bad = f.types.filter(t => !HISTORY_TYPES.includes(t));
+    if (bad.length) throw new Error(`unknown type ${bad.join(', ')} (use ${HISTORY_TYPES.join(', ')})`);
+  }
+  if (query.pair) f.pair = String(query.pair);
+  if (query.metric) f.metric = String(query.metric);
+  for (const [k, name] of [['from', 'from'], ['to', 'to']]) {
+    if (query[k] === undefined) continue;
+    const t = parseTime(query[k]);
+    if (!Number.isFinite(t)) throw new Error(`${name} must be a unix time`);
+    f[k] = t * 1000;
+  }
+  if (query.minLevel !== undefined) {
+    f.minLevel = Number(query.minLevel);
+    if (!Number.isFinite(f.minLevel)) throw new Error('minLevel must be a number');
+  }
+  f.limit = query.limit === undefined ? 100 : Number(query.limit);
+  if (!(f.limit >= 1)) throw new Error('limit must be a positive number');
+  f.limit = Math.min(MAX_LIMIT, Math.floor(f.limit));
+  return f;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} [opts.file] - Persist here (omit for memory-only).
+ * @param {number} [opts.maxEntries]
+ * @param {string[]} [opts.horizons] - Follow-through horizons, e.g. ['15m', '1h', '4h'].
+ * @param {(pair: string, tsSec: number) => number|null} opts.priceAt - Price from the minute history.
+ * @param {number} [opts.saveDelayMs] - Coalesce writes.
+ * @returns {object}
+ */
+function createAlertStore({ file = '', maxEntries = 5000, horizons = ['15m', '1h', '4h'], priceAt, saveDelayMs = 2000 }) {
+  let entries = []; // oldest first
+  let saveTimer = null;
+
+  const horizonSec = Object.fromEntries(horizons.map(h => [h, parseDuration(h)]));
+  const pendingOf = (e) => FOLLOW_TYPES.includes(e.type) && e.price > 0 &&
+    horizons.some(h => !(h in (e.followThrough || {})));
+
+  function write() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ version: STORE_VERSION, entries }));
+    fs.renameSync(tmp, file);
+  }
+
+  function scheduleSave() {
+    if (!file || saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      try { write(); } catch (e) { console.error('Alert history save failed:', e.message); }
+    }, saveDelayMs);
+    saveTimer.unref?.();
+  }
+
+  function matches(e, f) {
+    if (f.types && !f.types.includes(e.type)) return false;
+    if (f.from !== undefined && e.ts < f.from) return false;
+    if (f.to !== undefined && e.ts > f.to) return false;
+    if (f.metric && e.metric !== f.metric) return false;
+    if (f.minLevel !== undefined && !(Math.abs(e.level ?? e.prevLevel ?? 0) >= f.minLevel)) return false;
+    if (f.pair) {
+      // a digest matches when the pair is one of its rows
+      const keys = e.type === 'digest' ? [...e.winners, ...e.losers].map(r => r.pair) : [e.pair];
+      if (!keys.some(k => k === f.pair || pairNames(k).includes(f.pair))) return false;
+    }
+    return true;
+  }
+
+  return {
+    /**
+     * Reload entries from disk.
+     * @returns {number} Entries loaded.
+     */
+    load() {
+      if (!file) return 0;
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (e) {
+        if (e.code !== 'ENOENT') console.error('Alert history load failed:', e.message);
+        return 0;
+      }
+      if (!data || data.version !== STORE_VERSION || !Array.isArray(data.entries)) return 0;
+      entries = data.entries.slice(-maxEntries);
+      return entries.length;
+    },
+
+    /**
+     * Keep an engine event. Types outside HISTORY_TYPES (listings) are ignored.
+     * @param {object} event
+     * @returns {object|null} The stored entry.
+     */
+    record(event) {
+      if (!HISTORY_TYPES.includes(event.type)) return null;
+      const entry = entryFrom(event, crypto.randomUUID());
+      if (FOLLOW_TYPES.includes(entry.type)) entry.followThrough = {};
+      entries.push(entry);
+      if (entries.length > maxEntries) entries = entries.slice(-maxEntries);
+      scheduleSave();
+      return entry;
+    },
+
+    /**
+     * Fill in follow-through for horizons that have passed.
+     * { '15m': % price change since the alert } or null when no price could be found.
+     * @param {number} nowMs
+     * @returns {object[]} Entries that changed.
+     */
+    updateFollowThrough(nowMs) {
+      const nowSec = nowMs / 1000;
+      const changed = [];
+      for (const e of entries) {
+        if (!pendingOf(e)) continue;
+        let touched = false;
+        for (const h of horizons) {
+          if (h in e.followThrough) continue;
+          const due = e.ts / 1000 + horizonSec[h];
+          if (nowSec < due) continue;
+          const p = priceAt(e.pair, Math.floor(due));
+          if (p > 0) e.followThrough[h] = pct(((p - e.price) / e.price) * 100);
+          else if (nowSec - due > MISS_AFTER_SEC) e.followThrough[h] = null;
+          else continue;
+          touched = true;
+        }
+        if (touched) changed.push(e);
+      }
+      if (changed.length) scheduleSave();
+      return changed;
+    },
+
+    /**
+     * Newest first.
+     * @param {object} [filter] - parseAlertQuery() result.
+     * @returns {object[]}
+     */
+    list(filter = {}) {
+      const out = [];
+      const limit = filter.limit || 100;
+      for (let i = entries.length - 1; i >= 0 && out.length < limit; i--) {
+        if (matches(entries[i], filter)) out.push(entries[i]);
+      }
+      return out;
+    },
+
+    get: (id) => entries.find(e => e.id === id) || null,
+
+    /**
+     * Follow-through per metric and level: how often, and how far, the price moved
+     * the alert's way (up after a positive level, down after a negative one).
+     * @param {object} [filter] - parseAlertQuery() result; only step alerts count.
+     * @returns {{horizons: string[], groups: object[]}}
+     */
+    stats(filter = {}) {
+      const groups = new Map();
+      for (const e of entries) {
+        if (e.type !== 'step' || !e.followThrough || !matches(e, { ...filter, types: undefined })) continue;
+        const key = `${e.metric}|${Math.abs(e.level)}`;
+        if (!groups.has(key)) {
+          groups.set(key, {
+            metric: e.metric, level: Math.abs(e.level), unit: e.unit || '%', alerts: 0,
+            horizons: Object.fromEntries(horizons.map(h => [h, { n: 0, sum: 0, hits: 0 }])),
+          });
+        }
+        const g = groups.get(key);
+        g.alerts++;
+        for (const h of horizons) {
+          const change = e.followThrough[h];
+          if (change === null || change === undefined) continue;
+          const s = g.horizons[h];
+          s.n++;
+          s.sum += change;
+          if (Math.sign(change) === Math.sign(e.level)) s.hits++;
+        }
+      }
+      const out = [...groups.values()]
+        .sort((a, b) => (a.metric < b.metric ? -1 : a.metric > b.metric ? 1 : a.level - b.level))
+        .map(g => ({
+          ...g,
+          horizons: Object.fromEntries(Object.entries(g.horizons).map(([h, s]) => [h, {
+            n: s.n,
+            avgChangePct: s.n ? pct(s.sum / s.n) : null,
+            hitRatePct: s.n ? pct((s.hits / s.n) * 100) : null,
+          }])),
+        }));
+      return { horizons, groups: out };
+    },
+
+    /** Write now (shutdown). */
+    flushSync() {
+      if (!file) return;
+      clearTimeout(saveTimer);
+      saveTimer = null;
+      write();
+    },
+
+    size: () => entries.length,
+  };
+}
+
+module.exports = { HISTORY_TYPES, parseAlertQuery, createAlertStore };
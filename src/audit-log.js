@@ -0,0 +1,102 @@
+// src/audit-log.js  (CommonJS, used by index.js)
+// Append-only record of admin actions (every non-GET /api/* call, logins and
+// logouts): who, what, when and the outcome. One JSON object per line, so
+// `tail -f` and `jq` work; the newest entries are also kept in memory for
+// GET /api/audit. Admin actions are rare, so lines are appended synchronously
+// and survive a crash. The file is never rewritten — rotate it with logrotate.
+const fs = require('fs');
+const path = require('path');
+
+const TAIL_BYTES = 1024 * 1024;                // read at most this much of the file on load
+const MAX_BODY_CHARS = 2000;
+const SECRET_KEY_RE = /pass|secret|token|key|webhook/i;
+
+// request bodies without secrets, cut to a readable size
+function summarizeBody(body) {
+  if (body === undefined || body === null || (typeof body === 'object' && !Object.keys(body).length)) return undefined;
+  const json = JSON.stringify(body, (k, v) => (k && SECRET_KEY_RE.test(k) ? '[redacted]' : v));
+  return json.length > MAX_BODY_CHARS ? `${json.slice(0, MAX_BODY_CHARS)}…` : JSON.parse(json);
+}
+
+/**
+ * @param {object} opts
+ * @param {string} [opts.file] - NDJSON path; empty = memory only.
+ * @param {number} [opts.max=500] - Entries kept in memory.
+ * @returns {object}
+ */
+function createAuditLog({ file, max = 500 }) {
+  let entries = [];
+
+  return {
+    /**
+     * Load the newest `max` entries from the end of the file.
+     * @returns {number} Entries loaded.
+     */
+    load() {
+      if (!file) return 0;
+      let fd;
+      try {
+        fd = fs.openSync(file, 'r');
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+        return 0;
+      }
+      try {
+        const size = fs.fstatSync(fd).size;
+        const start = Math.max(0, size - TAIL_BYTES);
+        const buf = Buffer.alloc(size - start);
+        fs.readSync(fd, buf, 0, buf.length, start);
+        const lines = buf.toString('utf8').split('\n');
+        if (start > 0) lines.shift();          // partial first line
+        entries = [];
+        for (const line of lines) {
+          if (!line.trim()) continue;
+          try {
+            entries.push(JSON.parse(line));
+          } catch {
+            // torn write from a crash; skip it
+          }
+        }
+        entries = entries.slice(-max);
+        return entries.length;
+      } finally {
+        fs.closeSync(fd);
+      }
+    },
+
+    /**
+     * Append an entry (ts is added; `body` is redacted and truncated).
+     * @param {{actor: string|null, role?: string, via?: string, action: string, status?: number, ip?: string, body?: any}} e
+     * @returns {object} The stored entry.
+     */
+    record(e) {
+      const entry = { ts: Date.now(), ...e, body: summarizeBody(e.body) };
+      if (entry.body === undefined) delete entry.body;
+      entries.push(entry);
+      if (entries.length > max) entries = entries.slice(-max);
+      if (file) {
+        try {
+          fs.mkdirSync(path.dirname(file), { recursive: true });
+          fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+        } catch (err) {
+          console.error('Audit log write failed:', err.message);
+        }
+      }
+      return entry;
+    },
+
+    /**
+     * Newest first.
+     * @param {{limit?: number, actor?: string}} [filter]
+     * @returns {object[]}
+     */
+    recent({ limit = 100, actor } = {}) {
+      const list = actor ? entries.filter(e => e.actor === actor) : entries;
+      return list.slice(-limit).reverse();
+    },
+
+    size: () => entries.length,
+  };
+}
+
+module.exports = { summarizeBody, createAuditLog };
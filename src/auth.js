@@ -0,0 +1,273 @@
+// src/auth.js  (CommonJS, used by index.js; also a CLI: `npm run auth -- hash-password|new-key`)
+// Who may use /api/* and the Socket.IO feed. Two ways in, both ending in a role:
+//   - API keys (Authorization: Bearer <key> or X-API-Key), for scripts and scrapers
+//   - username/password login -> an HttpOnly session cookie, for the dashboard
+// 'viewer' can read everything; 'admin' can also change pairs, rules, watchlists,
+// views and the notification queue. Only hashes are stored, never the secrets.
+//
+// File shape (JSON or YAML):
+//   users:   [{ username, password: 'scrypt$<salt>$<hash>', role }]
+//   apiKeys: [{ name, key: 'sha256$<hex>', role }]
+// Sessions live in memory: a restart logs everyone out.
+const fs = require('fs');
+const crypto = require('crypto');
+const YAML = require('yaml');
+
+const ROLES = ['viewer', 'admin'];
+const SESSION_COOKIE = 'kvm_session';
+const NAME_RE = /^[A-Za-z0-9_.@-]{1,64}$/;
+const LOGIN_MAX_FAILURES = 10;                 // per client within LOGIN_WINDOW_MS, then 429
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const SCRYPT_KEYLEN = 32;
+
+function httpError(status, msg) {
+  return Object.assign(new Error(msg), { status });
+}
+
+/**
+ * Hash a password for the auth file.
+ * @param {string} password
+ * @returns {string} 'scrypt$<salt hex>$<hash hex>'
+ */
+function hashPassword(password, salt = crypto.randomBytes(16)) {
+  return `scrypt$${salt.toString('hex')}$${crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN).toString('hex')}`;
+}
+
+/**
+ * Constant-time check of a password against hashPassword() output; malformed hashes never match.
+ * @returns {boolean}
+ */
+function verifyPassword(password, stored) {
+  const m = /^scrypt\$([0-9a-f]+)\$([0-9a-f]{64})$/.exec(String(stored || ''));
+  if (!m) return false;
+  const actual = crypto.scryptSync(String(password), Buffer.from(m[1], 'hex'), SCRYPT_KEYLEN);
+  return crypto.timingSafeEqual(actual, Buffer.from(m[2], 'hex'));
+}
+
+/** @returns {string} 'sha256$<hex>' — keys are random, so a fast hash is enough */
+function hashApiKey(key) {
+  return `sha256$${crypto.createHash('sha256').update(String(key)).digest('hex')}`;
+}
+
+/** @returns {string} A new random API key. */
+function generateApiKey() {
+  return `kvm_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/** 'a=1; b=2' -> { a: '1', b: '2' } */
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i < 0) continue;
+    const k = part.slice(0, i).trim();
+    if (!k) continue;
+    try {
+      out[k] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch {
+      out[k] = part.slice(i + 1).trim();
+    }
+  }
+  return out;
+}
+
+/** Reads are for viewers; anything that changes state needs an admin. */
+function requiredRole(method) {
+  return ['GET', 'HEAD', 'OPTIONS'].includes(String(method).toUpperCase()) ? 'viewer' : 'admin';
+}
+
+/** @returns {boolean} Whether `principal` holds `role` or a stronger one. */
+function hasRole(principal, role) {
+  return !!principal && ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * CORS/handshake check: requests without an Origin (curl, same-origin GETs) and same-host
+ * pages always pass; other origins must be in `allowlist` ('*' = any).
+ * @param {string[]} allowlist
+ * @param {string|undefined} origin - Origin header.
+ * @param {string|undefined} host - Host header.
+ * @returns {boolean}
+ */
+function originAllowed(allowlist, origin, host) {
+  if (!origin) return true;
+  try {
+    if (host && new URL(origin).host === host) return true;
+  } catch {
+    return false;
+  }
+  return allowlist.includes('*') || allowlist.includes(origin.replace(/\/+$/, ''));
+}
+
+function checkRole(role, who) {
+  if (!ROLES.includes(role)) throw new Error(`${who}: role must be one of ${ROLES.join(', ')}`);
+}
+
+/**
+ * Validate a parsed auth file.
+ * @param {object} doc
+ * @returns {{users: object[], apiKeys: object[]}}
+ */
+function validateAuthFile(doc) {
+  if (!doc || typeof doc !== 'object') throw new Error('auth file must be an object');
+  const users = (doc.users || []).map((u, i) => {
+    if (!u || typeof u.username !== 'string' || !NAME_RE.test(u.username)) throw new Error(`users[${i}]: bad username`);
+    if (!/^scrypt\$/.test(u.password || '')) throw new Error(`user ${u.username}: password must be a scrypt$ hash (npm run auth -- hash-password)`);
+    checkRole(u.role, `user ${u.username}`);
+    return { username: u.username, password: u.password, role: u.role };
+  });
+  const apiKeys = (doc.apiKeys || []).map((k, i) => {
+    if (!k || typeof k.name !== 'string' || !NAME_RE.test(k.name)) throw new Error(`apiKeys[${i}]: bad name`);
+    if (!/^sha256\$[0-9a-f]{64}$/.test(k.key || '')) throw new Error(`api key ${k.name}: key must be a sha256$ hash (npm run auth -- new-key)`);
+    checkRole(k.role, `api key ${k.name}`);
+    return { name: k.name, key: k.key, role: k.role };
+  });
+  const dup = (list, f) => list.map(f).find((v, i, all) => all.indexOf(v) !== i);
+  const dupUser = dup(users, u => u.username);
+  if (dupUser) throw new Error(`duplicate user ${dupUser}`);
+  const dupKey = dup(apiKeys, k => k.name);
+  if (dupKey) throw new Error(`duplicate api key ${dupKey}`);
+  return { users, apiKeys };
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.file - JSON or YAML auth file.
+ * @param {number} [opts.sessionTtlSec=43200]
+ * @param {() => number} [opts.now] - Clock (ms), for tests.
+ * @returns {object}
+ */
+function createAuth({ file, sessionTtlSec = 12 * 3600, now = Date.now }) {
+  let users = new Map();
+  let apiKeys = new Map();                     // 'sha256$…' -> { name, role }
+  const sessions = new Map();                  // sha256(token) -> { name, role, expiresAt }
+  const failures = new Map();                  // client -> [ms, …]
+  // unknown usernames still pay for one scrypt, so timing doesn't reveal who exists
+  const decoy = hashPassword(crypto.randomBytes(8).toString('hex'));
+
+  const sessionId = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+  function fromApiKey(key) {
+    const k = key && apiKeys.get(hashApiKey(key));
+    return k ? { name: k.name, role: k.role, via: 'key' } : null;
+  }
+
+  function fromSession(token) {
+    if (!token) return null;
+    const id = sessionId(token);
+    const s = sessions.get(id);
+    if (!s) return null;
+    if (s.expiresAt <= now()) {
+      sessions.delete(id);
+      return null;
+    }
+    return { name: s.name, role: s.role, via: 'session', session: id };
+  }
+
+  // clients that never come back would otherwise keep their failures forever (credential spraying)
+  function sweepFailures() {
+    const cutoff = now() - LOGIN_WINDOW_MS;
+    for (const [client, list] of failures) {
+      if (list[list.length - 1] <= cutoff) failures.delete(client);
+    }
+  }
+
+  function recentFailures(client) {
+    const cutoff = now() - LOGIN_WINDOW_MS;
+    const list = (failures.get(client) || []).filter(t => t > cutoff);
+    if (list.length) failures.set(client, list);
+    else failures.delete(client);
+    return list;
+  }
+
+  return {
+    /**
+     * Read the auth file; a missing file means no users and no keys.
+     * @returns {{users: number, apiKeys: number}}
+     */
+    load() {
+      let raw;
+      try {
+        raw = fs.readFileSync(file, 'utf8');
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+        raw = null;
+      }
+      const doc = raw === null ? {} : validateAuthFile(/\.ya?ml$/i.test(file) ? YAML.parse(raw) : JSON.parse(raw));
+      users = new Map((doc.users || []).map(u => [u.username, u]));
+      apiKeys = new Map((doc.apiKeys || []).map(k => [k.key, { name: k.name, role: k.role }]));
+      // a removed or demoted user's sessions go with it
+      for (const [id, s] of sessions) {
+        const u = users.get(s.name);
+        if (!u || u.role !== s.role) sessions.delete(id);
+      }
+      return { users: users.size, apiKeys: apiKeys.size };
+    },
+
+    /**
+     * Who is calling: an API key header or `token` (Socket.IO handshake auth) wins over the
+     * session cookie.
+     * @param {{headers?: object, token?: string}} req
+     * @returns {{name: string, role: string, via: string, session?: string}|null}
+     */
+    authenticate({ headers = {}, token } = {}) {
+      const bearer = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '');
+      const key = token || (bearer && bearer[1]) || headers['x-api-key'];
+      if (key) return fromApiKey(key) || fromSession(key);
+      return fromSession(parseCookies(headers.cookie)[SESSION_COOKIE]);
+    },
+
+    /**
+     * Start a session. Throws 401 on bad credentials and 429 after too many failures
+     * from `client` (an IP).
+     * @returns {{token: string, principal: object, expiresAt: number}}
+     */
+    login(username, password, client = '') {
+      sweepFailures();
+      if (recentFailures(client).length >= LOGIN_MAX_FAILURES) throw httpError(429, 'too many failed logins, try again later');
+      const u = users.get(String(username));
+      const ok = verifyPassword(password, u ? u.password : decoy) && !!u;
+      if (!ok) {
+        failures.set(client, [...recentFailures(client), now()]);
+        throw httpError(401, 'invalid username or password');
+      }
+      failures.delete(client);
+      const token = crypto.randomBytes(32).toString('base64url');
+      const expiresAt = now() + sessionTtlSec * 1000;
+      sessions.set(sessionId(token), { name: u.username, role: u.role, expiresAt });
+      return { token, principal: fromSession(token), expiresAt };
+    },
+
+    /** @returns {boolean} Whether a session was ended. */
+    logout(principal) {
+      return !!(principal && principal.session && sessions.delete(principal.session));
+    },
+
+    stats() {
+      const t = now();
+      for (const [id, s] of sessions) if (s.expiresAt <= t) sessions.delete(id);
+      sweepFailures();
+      return { users: users.size, apiKeys: apiKeys.size, sessions: sessions.size, failingClients: failures.size };
+    },
+  };
+}
+
+module.exports = {
+  ROLES, SESSION_COOKIE, hashPassword, verifyPassword, hashApiKey, generateApiKey, parseCookies,
+  requiredRole, hasRole, originAllowed, validateAuthFile, createAuth,
+};
+
+// CLI: print auth file entries
+if (require.main === module) {
+  const [cmd, arg] = process.argv.slice(2);
+  if (cmd === 'hash-password' && arg) {
+    console.log(hashPassword(arg));
+  } else if (cmd === 'new-key') {
+    const key = generateApiKey();
+    console.log(`key:  ${key}   (give this to the client)`);
+    console.log(`hash: ${hashApiKey(key)}   (put this in the auth file)`);
+  } else {
+    console.error('usage: npm run auth -- hash-password <password> | new-key');
+    process.exit(1);
+  }
+}
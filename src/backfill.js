@@ -0,0 +1,163 @@
+// src/backfill.js  (CommonJS, used by index.js)
+// Seeds daybuf from Kraken REST OHLC candles at boot so the lookback works
+// without waiting LOOKBACK_HOURS for live samples.
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const VOL_WINDOW_SEC = 24 * 3600; // ticker v[1] is a rolling 24h volume
+
+// 'XBT/USD' -> 'XBTUSD' (REST altname)
+function restPairName(pair) {
+  return String(pair).replace('/', '');
+}
+
+// Kraken OHLC row: [time, open, high, low, close, vwap, volume, count]
+function parseOHLCResponse(data) {
+  if (!data || (data.error && data.error.length)) {
+    throw new Error(data?.error?.join(', ') || 'OHLC error');
+  }
+  const key = Object.keys(data.result || {}).find(k => k !== 'last');
+  if (!key) return [];
+  return data.result[key].map(r => ({
+    ts: Number(r[0]),
+    close: parseFloat(r[4]),
+    volume: parseFloat(r[6]),
+  }));
+}
+
+/**
+ * Fetch OHLC candles for a pair from the public REST API.
+ * @param {string} pair - WS pair name, e.g. 'XBT/USD'.
+ * @param {object} opts
+ * @param {string} opts.baseUrl - e.g. 'https://api.kraken.com'.
+ * @param {number} opts.intervalMin - Candle size in minutes.
+ * @param {number} [opts.since] - Unix seconds.
+ * @returns {Promise<{ts: number, close: number, volume: number}[]>}
+ */
+async function fetchOHLC(pair, { baseUrl, intervalMin, since }) {
+  const params = { pair: restPairName(pair), interval: intervalMin };
+  if (since) params.since = since;
+  const { data } = await axios.get(`${baseUrl}/0/public/OHLC`, { params, timeout: 20000 });
+  return parseOHLCResponse(data);
+}
+
+/**
+ * Offline stand-in for fetchOHLC: reads `<dir>/<XBTUSD>.json` files holding raw OHLC responses.
+ * @param {string} dir
+ * @returns {(pair: string) => Promise<object[]>}
+ */
+function createFixtureFetcher(dir) {
+  return async (pair) => {
+    const raw = await fs.promises.readFile(path.join(dir, `${restPairName(pair)}.json`), 'utf8');
+    return parseOHLCResponse(JSON.parse(raw));
+  };
+}
+
+/**
+ * Rebuild minute samples ({ ts, vol24, price }) from candles.
+ * vol24 at t = sum of candle volumes closed within (t - windowSec, t]; price = last close.
+ * Samples are only emitted once a full window of candles is behind them.
+ * @param {object[]} candles - Sorted by ts (candle open time).
+ * @param {object} opts
+ * @param {number} opts.intervalSec - Candle size.
+ * @param {number} opts.resSec - Sample spacing (DAYBUF_RES_SEC).
+ * @param {number} opts.fromSec - Drop samples before this.
+ * @param {number} opts.toSec - Last sample time (now); never past the last candle's close.
+ * @param {number} [opts.windowSec] - Rolling volume window (default 24h).
+ * @returns {{ts: number, vol24: number, price: number}[]}
+ */
+function reconstructSamples(candles, { intervalSec, resSec, fromSec, toSec, windowSec = VOL_WINDOW_SEC }) {
+  if (!candles.length) return [];
+  const closes = candles.map(c => ({ at: c.ts + intervalSec, close: c.close, volume: c.volume }));
+  const start = Math.max(fromSec, candles[0].ts + windowSec);
+  // the newest candle is usually still forming; don't extrapolate past it (e.g. delisted pairs)
+  const end = Math.min(toSec, closes[closes.length - 1].at);
+  const out = [];
+
+  let head = 0;   // next candle to enter the window
+  let tail = 0;   // oldest candle still in the window
+  let sum = 0;
+  let price = null;
+
+  for (let t = Math.ceil(start / resSec) * resSec; t <= end; t += resSec) {
+    while (head < closes.length && closes[head].at <= t) {
+      sum += closes[head].volume;
+      price = closes[head].close;
+      head++;
+    }
+    while (tail < head && closes[tail].at <= t - windowSec) {
+      sum -= closes[tail].volume;
+      tail++;
+    }
+    if (price === null) continue;
+    out.push({ ts: t, vol24: Math.max(0, sum), price });
+  }
+  return out;
+}
+
+/**
+ * Merge backfilled samples into an existing daybuf. Existing (live) samples win
+ * when both land in the same bucket; gapSec markers are recomputed.
+ * @param {object[]} existing
+ * @param {object[]} incoming
+ * @param {number} resSec
+ * @returns {object[]}
+ */
+function mergeSamples(existing, incoming, resSec) {
+  const taken = new Set(existing.map(e => Math.floor(e.ts / resSec)));
+  const merged = existing
+    .map(({ ts, vol24, price }) => ({ ts, vol24, price }))
+    .concat(incoming.filter(e => !taken.has(Math.floor(e.ts / resSec))).map(({ ts, vol24, price }) => ({ ts, vol24, price })))
+    .sort((a, b) => a.ts - b.ts);
+
+  for (let i = 1; i < merged.length; i++) {
+    const gap = merged[i].ts - merged[i - 1].ts;
+    if (gap > 2 * resSec) merged[i].gapSec = gap;
+  }
+  return merged;
+}
+
+/**
+ * Run fetchCandles over pairs in small concurrent batches with a pause between
+ * batches (same idea as subscribeInBatches).
+ * @param {string[]} pairs
+ * @param {object} opts
+ * @param {(pair: string) => Promise<object[]>} opts.fetchCandles
+ * @param {(pair: string, candles: object[]) => void} opts.onPair
+ * @param {number} [opts.concurrency]
+ * @param {number} [opts.batchDelayMs]
+ * @returns {Promise<{ok: string[], failed: {pair: string, error: string}[]}>}
+ */
+async function backfillPairs(pairs, { fetchCandles, onPair, concurrency = 2, batchDelayMs = 1000 }) {
+  const ok = [];
+  const failed = [];
+  const size = Math.max(1, concurrency);
+
+  for (let i = 0; i < pairs.length; i += size) {
+    const batch = pairs.slice(i, i + size);
+    const results = await Promise.allSettled(batch.map(p => fetchCandles(p)));
+    results.forEach((r, j) => {
+      const pair = batch[j];
+      if (r.status === 'fulfilled') {
+        onPair(pair, r.value);
+        ok.push(pair);
+      } else {
+        failed.push({ pair, error: r.reason?.message || String(r.reason) });
+      }
+    });
+    if (i + size < pairs.length) await new Promise(r => setTimeout(r, batchDelayMs));
+  }
+  return { ok, failed };
+}
+
+module.exports = {
+  VOL_WINDOW_SEC,
+  restPairName,
+  parseOHLCResponse,
+  fetchOHLC,
+  createFixtureFetcher,
+  reconstructSamples,
+  mergeSamples,
+  backfillPairs,
+};
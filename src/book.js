@@ -0,0 +1,117 @@
+// src/book.js  (CommonJS, used by engine.js)
+// Local order book for one pair, kept from the Kraken 'book' channel: a
+// snapshot, then level updates (qty 0 removes a level), truncated to the
+// subscribed depth. Kraken sends a CRC32 of the top 10 levels with every
+// update; a mismatch means we missed or misapplied something, so the book is
+// marked out of sync until the next snapshot. Prices and quantities are kept
+// as the venue's strings because the checksum is computed over them.
+
+// CRC-32 (IEEE), as used by Kraken's book checksum
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(str) {
+  let c = 0xffffffff;
+  for (let i = 0; i < str.length; i++) c = CRC_TABLE[(c ^ str.charCodeAt(i)) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// '0.05005000' -> '5005000': no decimal point, no leading zeros
+function checksumPart(s) {
+  return String(s).replace('.', '').replace(/^0+/, '');
+}
+
+/**
+ * Kraken book checksum: top 10 asks (best first) then top 10 bids, price + qty each.
+ * @param {{price: string, qty: string}[]} asks
+ * @param {{price: string, qty: string}[]} bids
+ * @returns {number}
+ */
+function bookChecksum(asks, bids) {
+  let s = '';
+  for (const l of asks.slice(0, 10)) s += checksumPart(l.price) + checksumPart(l.qty);
+  for (const l of bids.slice(0, 10)) s += checksumPart(l.price) + checksumPart(l.qty);
+  return crc32(s);
+}
+
+/**
+ * @param {object} [opts]
+ * @param {number} [opts.depth] - Levels per side the venue keeps us subscribed to.
+ * @returns {object}
+ */
+function createOrderBook({ depth = 10 } = {}) {
+  let asks = []; // [{ price, qty, p, q }] best (lowest) first
+  let bids = []; // best (highest) first
+  let synced = false;
+
+  function applyLevels(side, levels, better) {
+    for (const [price, qty] of levels) {
+      const p = Number(price), q = Number(qty);
+      const i = side.findIndex(l => !better(l.p, p)); // first level not better than p
+      if (i >= 0 && side[i].p === p) {
+        if (q > 0) side[i] = { price, qty, p, q };
+        else side.splice(i, 1);
+      } else if (q > 0) {
+        side.splice(i < 0 ? side.length : i, 0, { price, qty, p, q });
+      }
+    }
+    side.length = Math.min(side.length, depth);
+  }
+
+  const lower = (a, b) => a < b;
+  const higher = (a, b) => a > b;
+
+  return {
+    get synced() { return synced; },
+    get asks() { return asks; },
+    get bids() { return bids; },
+
+    /**
+     * Apply a decoded book message.
+     * @param {{snapshot: boolean, asks: string[][], bids: string[][], checksum: number|null}} msg
+     * @returns {'ok'|'mismatch'|'waiting'} 'waiting' = out of sync, update ignored until a snapshot.
+     */
+    apply(msg) {
+      if (msg.snapshot) {
+        asks = [];
+        bids = [];
+        synced = true;
+      } else if (!synced) {
+        return 'waiting';
+      }
+      applyLevels(asks, msg.asks || [], lower);
+      applyLevels(bids, msg.bids || [], higher);
+      if (msg.checksum !== null && msg.checksum !== undefined && bookChecksum(asks, bids) !== msg.checksum) {
+        synced = false;
+        return 'mismatch';
+      }
+      return 'ok';
+    },
+
+    /**
+     * Spread and cumulative depth (quote notional) within ±band% of mid.
+     * @param {number[]} bandsPct - e.g. [1, 2]
+     * @returns {{bestBid: number, bestAsk: number, mid: number, spreadBps: number,
+     *            depth: Object<string, {bid: number, ask: number}>}|null} null until both sides exist.
+     */
+    metrics(bandsPct) {
+      if (!synced || !asks.length || !bids.length) return null;
+      const bestAsk = asks[0].p, bestBid = bids[0].p;
+      const mid = (bestAsk + bestBid) / 2;
+      const depth = {};
+      for (const band of bandsPct) {
+        const lo = mid * (1 - band / 100), hi = mid * (1 + band / 100);
+        depth[band] = {
+          bid: bids.reduce((s, l) => (l.p >= lo ? s + l.p * l.q : s), 0),
+          ask: asks.reduce((s, l) => (l.p <= hi ? s + l.p * l.q : s), 0),
+        };
+      }
+      return { bestBid, bestAsk, mid, spreadBps: ((bestAsk - bestBid) / mid) * 1e4, depth };
+    },
+  };
+}
+
+module.exports = { crc32, bookChecksum, createOrderBook };
@@ -0,0 +1,180 @@
+// src/dashboard-store.js  (CommonJS, used by index.js)
+// Team-shared dashboard state: named watchlists and saved leaderboard views,
+// kept in one JSON file and edited through /api/watchlists and /api/views.
+// A view is a leaderboard slice — which pairs, sort, filters, lookback
+// horizon — that anyone can open by URL (/?view=<id>).
+//
+// File shape:
+//   watchlists: { majors: ['XBT/USD', 'binance:ETH/USDT'] }
+//   views: [{ id, name?, watchlist?, pairs?, sort, dir, q?, min?, max?, horizon? }]
+const fs = require('fs');
+const path = require('path');
+
+const STORE_VERSION = 1;
+const ID_RE = /^[A-Za-z0-9_.-]{1,64}$/;
+// leaderboard columns ('rank' = the server's RANK_MODE order); vol24Pct/price24Pct follow the view's horizon
+const SORT_KEYS = ['rank', 'pair', 'ratio', 'diffPct', 'vol24Pct', 'price24Pct', 'vol24', 'price'];
+const FILTER_KEYS = SORT_KEYS.filter(k => k !== 'rank' && k !== 'pair');
+const MAX_PAIRS = 500;
+
+function badRequest(msg) {
+  return Object.assign(new Error(msg), { status: 400 });
+}
+
+function checkId(id, what) {
+  if (typeof id !== 'string' || !ID_RE.test(id)) throw badRequest(`${what} must be 1-64 chars of letters, digits, _ . -`);
+}
+
+// watchlist names are keys of a plain object: '__proto__' would set its prototype instead
+function checkName(name) {
+  checkId(name, 'watchlist name');
+  if (name === '__proto__') throw badRequest('watchlist name must not be __proto__');
+}
+
+function pairList(v, what) {
+  if (!Array.isArray(v) || v.some(x => typeof x !== 'string' || !x.trim())) throw badRequest(`${what} must be a list of pair names`);
+  if (v.length > MAX_PAIRS) throw badRequest(`${what} has more than ${MAX_PAIRS} pairs`);
+  return [...new Set(v.map(x => x.trim()))];
+}
+
+// { diffPct: 5 } with known keys and finite numbers
+function bounds(v, what) {
+  if (v === undefined) return undefined;
+  if (!v || typeof v !== 'object' || Array.isArray(v)) throw badRequest(`${what} must be a map of column -> number`);
+  const out = {};
+  for (const [k, n] of Object.entries(v)) {
+    if (!FILTER_KEYS.includes(k)) throw badRequest(`${what}: unknown column ${k} (use ${FILTER_KEYS.join(', ')})`);
+    if (!Number.isFinite(Number(n))) throw badRequest(`${what}.${k} must be a number`);
+    out[k] = Number(n);
+  }
+  return Object.keys(out).length ? out : undefined;
+}
+
+/**
+ * Validate and normalize a saved view. Returns a new object; throws (status 400) on bad input.
+ * @param {object} input
+ * @returns {object}
+ */
+function validateView(input) {
+  if (!input || typeof input !== 'object') throw badRequest('view must be an object');
+  checkId(input.id, 'view id');
+  const view = { id: input.id };
+  if (input.name !== undefined) {
+    if (typeof input.name !== 'string' || input.name.length > 80) throw badRequest('name must be a string of at most 80 chars');
+    view.name = input.name;
+  }
+  if (input.watchlist !== undefined && input.watchlist !== null && input.watchlist !== '') {
+    checkId(input.watchlist, 'watchlist');
+    view.watchlist = input.watchlist;
+  }
+  if (input.pairs !== undefined && input.pairs !== null) {
+    if (view.watchlist) throw badRequest('give either watchlist or pairs, not both');
+    view.pairs = pairList(input.pairs, 'pairs');
+  }
+  view.sort = input.sort === undefined ? 'rank' : input.sort;
+  if (!SORT_KEYS.includes(view.sort)) throw badRequest(`sort must be one of ${SORT_KEYS.join(', ')}`);
+  view.dir = input.dir === undefined ? (view.sort === 'rank' || view.sort === 'pair' ? 'asc' : 'desc') : input.dir;
+  if (view.dir !== 'asc' && view.dir !== 'desc') throw badRequest('dir must be asc or desc');
+  if (input.q !== undefined && input.q !== '') {
+    if (typeof input.q !== 'string' || input.q.length > 100) throw badRequest('q must be a string of at most 100 chars');
+    view.q = input.q;
+  }
+  const min = bounds(input.min, 'min');
+  const max = bounds(input.max, 'max');
+  if (min) view.min = min;
+  if (max) view.max = max;
+  if (input.horizon !== undefined && input.horizon !== '') {
+    if (typeof input.horizon !== 'string' || !/^\d+(?:\.\d+)?[smhd]$/.test(input.horizon)) throw badRequest('horizon must be a duration like 1h');
+    view.horizon = input.horizon;
+  }
+  return view;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.file - JSON path.
+ * @returns {object}
+ */
+function createDashboardStore({ file }) {
+  let doc = { watchlists: {}, views: [] };
+
+  function save(next) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ version: STORE_VERSION, ...next }, null, 2) + '\n');
+    fs.renameSync(tmp, file);
+    doc = next;
+  }
+
+  return {
+    /**
+     * Read the file; a missing file is an empty store.
+     * @returns {{watchlists: number, views: number}} Counts loaded.
+     */
+    load() {
+      let raw;
+      try {
+        raw = fs.readFileSync(file, 'utf8');
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+        return { watchlists: 0, views: 0 };
+      }
+      const parsed = JSON.parse(raw);
+      if (parsed.version !== STORE_VERSION) throw new Error(`unsupported dashboard file version ${parsed.version}`);
+      const watchlists = {};
+      for (const [name, pairs] of Object.entries(parsed.watchlists || {})) {
+        checkName(name);
+        watchlists[name] = pairList(pairs, `watchlist ${name}`);
+      }
+      doc = { watchlists, views: (parsed.views || []).map(validateView) };
+      return { watchlists: Object.keys(watchlists).length, views: doc.views.length };
+    },
+
+    watchlists: () => doc.watchlists,
+
+    setWatchlist(name, pairs) {
+      checkName(name);
+      const list = pairList(pairs, 'pairs');
+      save({ ...doc, watchlists: { ...doc.watchlists, [name]: list } });
+      return list;
+    },
+
+    removeWatchlist(name) {
+      if (!Object.hasOwn(doc.watchlists, name)) return false;
+      // a view built on it would silently show everything
+      const users = doc.views.filter(v => v.watchlist === name).map(v => v.id);
+      if (users.length) throw Object.assign(new Error(`watchlist ${name} is used by views ${users.join(', ')}`), { status: 409 });
+      const { [name]: _gone, ...watchlists } = doc.watchlists;
+      save({ ...doc, watchlists });
+      return true;
+    },
+
+    views: () => doc.views,
+    getView: (id) => doc.views.find(v => v.id === id) || null,
+
+    /**
+     * Create or replace a view.
+     * @param {string} id
+     * @param {object} input
+     * @returns {{view: object, created: boolean}}
+     */
+    putView(id, input) {
+      const view = validateView({ ...input, id });
+      if (view.watchlist && !Object.hasOwn(doc.watchlists, view.watchlist)) throw badRequest(`unknown watchlist ${view.watchlist}`);
+      const idx = doc.views.findIndex(v => v.id === id);
+      const views = doc.views.slice();
+      if (idx < 0) views.push(view);
+      else views[idx] = view;
+      save({ ...doc, views });
+      return { view, created: idx < 0 };
+    },
+
+    removeView(id) {
+      if (!doc.views.some(v => v.id === id)) return false;
+      save({ ...doc, views: doc.views.filter(v => v.id !== id) });
+      return true;
+    },
+  };
+}
+
+module.exports = { SORT_KEYS, FILTER_KEYS, validateView, createDashboardStore };
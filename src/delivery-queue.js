@@ -0,0 +1,218 @@
+// src/delivery-queue.js  (CommonJS, used by index.js)
+// Durable outbound queue in front of the notifiers: one FIFO per channel (so
+// alerts arrive in order), HTTP 429 Retry-After, exponential backoff on 5xx /
+// network errors, persisted to disk, and a dead-letter list for what gave up.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const QUEUE_VERSION = 1;
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value, nowMs) {
+  if (value === undefined || value === null || value === '') return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - nowMs) : null;
+}
+
+/**
+ * Decide what to do with a failed send.
+ * @param {Error} e - axios error (e.response.status/headers) or nodemailer error (e.responseCode).
+ * @param {number} nowMs
+ * @returns {{retry: boolean, rateLimited?: boolean, retryAfterMs?: number|null, reason: string}}
+ */
+function classifyError(e, nowMs) {
+  const status = e?.response?.status ?? e?.status;
+  if (status === 429) {
+    const header = e.response?.headers?.['retry-after'];
+    const bodyRetry = e.response?.data?.parameters?.retry_after ?? e.response?.data?.retry_after; // Telegram / Discord
+    const retryAfterMs = parseRetryAfter(header, nowMs) ?? parseRetryAfter(bodyRetry, nowMs);
+    return { retry: true, rateLimited: true, retryAfterMs, reason: 'HTTP 429' };
+  }
+  if (status) {
+    if (status >= 500 || status === 408) return { retry: true, reason: `HTTP ${status}` };
+    return { retry: false, reason: `HTTP ${status}` };
+  }
+  // SMTP: 4xx transient, 5xx permanent
+  if (e?.responseCode) {
+    return { retry: e.responseCode < 500, reason: `SMTP ${e.responseCode}` };
+  }
+  return { retry: true, reason: e?.code || e?.message || 'network error' };
+}
+
+/**
+ * @param {object} opts
+ * @param {(channel: string, payload: object) => Promise<any>} opts.send
+ * @param {string} [opts.file] - Persist queue + dead letters here (omit for memory-only).
+ * @param {number} [opts.maxAttempts] - Give up after this many non-429 failures.
+ * @param {number} [opts.baseDelayMs]
+ * @param {number} [opts.maxDelayMs]
+ * @param {number} [opts.deadLetterMax] - Keep at most this many failed entries.
+ * @param {(item: object) => void} [opts.onDeadLetter]
+ * @param {() => number} [opts.now]
+ * @param {() => number} [opts.random]
+ * @returns {object}
+ */
+function createDeliveryQueue({
+  send,
+  file = '',
+  maxAttempts = 8,
+  baseDelayMs = 2000,
+  maxDelayMs = 300000,
+  deadLetterMax = 500,
+  onDeadLetter = () => {},
+  now = Date.now,
+  random = Math.random,
+}) {
+  const queues = new Map(); // channel -> items[]
+  const busy = new Set();
+  const timers = new Map();
+  let dead = [];
+  let stopped = false;
+  const stats = { sent: {}, failures: {}, deadLetters: {} }; // per channel, for /metrics
+  const bump = (m, ch) => { m[ch] = (m[ch] || 0) + 1; };
+
+  function persist() {
+    if (!file) return;
+    const items = [].concat(...queues.values());
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ version: QUEUE_VERSION, items, dead }));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.error('Delivery queue save failed:', e.message);
+    }
+  }
+
+  function backoff(attempts) {
+    const d = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempts - 1));
+    return Math.round(d * (0.8 + 0.4 * random())); // ±20% jitter
+  }
+
+  function kill(item, reason) {
+    item.lastError = reason;
+    item.failedAt = now();
+    dead.push(item);
+    bump(stats.deadLetters, item.channel);
+    if (dead.length > deadLetterMax) dead = dead.slice(-deadLetterMax);
+    console.error(`Notifier ${item.channel} gave up after ${item.attempts} attempts: ${reason}`);
+    onDeadLetter(item);
+  }
+
+  function schedule(channel, delayMs) {
+    if (stopped || timers.has(channel)) return;
+    timers.set(channel, setTimeout(() => { timers.delete(channel); pump(channel); }, delayMs));
+  }
+
+  async function pump(channel) {
+    if (stopped || busy.has(channel)) return;
+    const q = queues.get(channel);
+    if (!q || !q.length) return;
+    const item = q[0];
+    const wait = (item.nextAt || 0) - now();
+    if (wait > 0) return schedule(channel, wait);
+
+    busy.add(channel);
+    try {
+      await send(channel, item.payload);
+      q.shift();
+      bump(stats.sent, channel);
+    } catch (e) {
+      bump(stats.failures, channel);
+      const c = classifyError(e, now());
+      if (c.rateLimited) {
+        item.rateLimited = (item.rateLimited || 0) + 1;
+        item.nextAt = now() + (c.retryAfterMs ?? backoff(item.rateLimited));
+        item.lastError = c.reason;
+      } else {
+        item.attempts++;
+        if (c.retry && item.attempts < maxAttempts) {
+          item.nextAt = now() + backoff(item.attempts);
+          item.lastError = c.reason;
+        } else {
+          q.shift();
+          kill(item, e?.message ? `${c.reason}: ${e.message}` : c.reason);
+        }
+      }
+    } finally {
+      busy.delete(channel);
+    }
+    persist();
+    pump(channel);
+  }
+
+  function push(item) {
+    if (!queues.has(item.channel)) queues.set(item.channel, []);
+    queues.get(item.channel).push(item);
+  }
+
+  return {
+    /**
+     * Reload queued + dead items from disk. Items for channels that no longer exist go to dead letters.
+     * @param {string[]} channels - Currently configured channel names.
+     * @returns {number} Items requeued.
+     */
+    restore(channels) {
+      if (!file) return 0;
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (e) {
+        if (e.code !== 'ENOENT') console.error('Delivery queue load failed:', e.message);
+        return 0;
+      }
+      if (!data || data.version !== QUEUE_VERSION) return 0;
+      dead = data.dead || [];
+      let n = 0;
+      for (const item of data.items || []) {
+        if (channels.includes(item.channel)) { push(item); n++; }
+        else kill(item, 'channel no longer configured');
+      }
+      persist();
+      for (const ch of queues.keys()) pump(ch);
+      return n;
+    },
+    enqueue(channel, payload) {
+      const item = { id: crypto.randomUUID(), channel, payload, attempts: 0, enqueuedAt: now(), nextAt: 0 };
+      push(item);
+      persist();
+      pump(channel);
+      return item.id;
+    },
+    pending() {
+      const out = {};
+      for (const [ch, q] of queues) out[ch] = q.length;
+      return out;
+    },
+    failed: () => dead.slice(),
+    /** Per-channel totals: { sent, failures (every failed attempt, incl. 429), deadLetters }. */
+    stats: () => ({ sent: { ...stats.sent }, failures: { ...stats.failures }, deadLetters: { ...stats.deadLetters } }),
+    retryFailed(id) {
+      const idx = dead.findIndex(d => d.id === id);
+      if (idx < 0) return false;
+      const [item] = dead.splice(idx, 1);
+      Object.assign(item, { attempts: 0, rateLimited: 0, nextAt: 0 });
+      delete item.failedAt;
+      push(item);
+      persist();
+      pump(item.channel);
+      return true;
+    },
+    clearFailed() {
+      const n = dead.length;
+      dead = [];
+      persist();
+      return n;
+    },
+    stop() {
+      stopped = true;
+      for (const t of timers.values()) clearTimeout(t);
+      timers.clear();
+    },
+  };
+}
+
+module.exports = { parseRetryAfter, classifyError, createDeliveryQueue };
@@ -0,0 +1,957 @@
+// src/engine.js  (CommonJS, used by monitor.js, index.js and replay.js)
+// The divergence engine: per-pair state, 24h comparisons, step alerts, digests
+// and snapshots. Time comes from an injectable clock and events go to `notify`,
+// so the same code runs live (Date.now, notifier registry) and in replay
+// (simulated clock, events collected into a report).
+const { splitPairKey, assetOf, quoteOf } = require('./exchanges/keys');
+const { createFxTable } = require('./fx');
+const { createTradeFlow } = require('./trades');
+const { createOrderBook } = require('./book');
+const { parseDuration } = require('./history');
+const { parseConfig } = require('./config');
+
+/**
+ * Engine settings from typed config values (src/config.js: LOOKBACK_HOURS, ALERT_*, DIGEST_*, …).
+ * @param {object} v - parseConfig().values
+ * @returns {object}
+ */
+function engineConfig(v) {
+  const alertMode = v.ALERT_MODE;
+  const longestHorizonHrs = Math.max(0, ...v.LOOKBACK_HORIZONS.map(h => parseDuration(h) / 3600));
+  return {
+    rankMode:              v.RANK_MODE,                    // 'ratio' | 'vol' | 'notional'
+    rateWindowSec:         v.RATE_WINDOW_SEC,              // short-term slope window (sec)
+    lookbackHours:         v.LOOKBACK_HOURS,
+    lookbackHorizons:      v.LOOKBACK_HORIZONS,            // extra comparisons, e.g. ['15m', '1h', '4h', '24h']
+    daybufResSec:          v.DAYBUF_RES_SEC,               // 1 entry per minute
+    // keep ~26h (anomaly mode: the whole z-score baseline)
+    daybufKeepHrs:         Math.max(v.LOOKBACK_HOURS + 2, longestHorizonHrs + 2, 26, alertMode === 'anomaly' ? v.ANOMALY_BASELINE_DAYS * 24 + 1 : 0),
+    lookbackMaxSkewSec:    v.LOOKBACK_MAX_SKEW_SEC,        // ref may be ≤15m older than target (gaps)
+    pairStaleSec:          v.PAIR_STALE_SEC,               // no tick for this long = stale (alerts paused)
+    reportCurrency:        v.REPORT_CURRENCY.toUpperCase(), // prices/volumes also shown in this
+    mergeByAsset:          v.MERGE_BY_ASSET,               // SOL/USD + SOL/EUR + … -> one 'SOL' row
+    minNotional:           v.MIN_NOTIONAL,                 // 24h notional floor (report ccy) for alerts/digests; 0 = off
+
+    // Alerting (step alerts can be fully disabled)
+    alertDiffThresholdPct: v.ALERT_DIFF_THRESHOLD_PCT,     // base, e.g. 5%
+    alertLevelStepPct:     v.ALERT_LEVEL_STEP_PCT,         // steps, e.g. 1.25%
+    alertMinIntervalSec:   v.ALERT_MIN_INTERVAL_SEC,       // per-coin cool-down
+    stepAlertsEnabled:     v.STEP_ALERTS_ENABLED,
+    alertMode,                                             // 'pct' (diffPct) | 'anomaly' (anomalyZ)
+    alertZThreshold:       v.ALERT_Z_THRESHOLD,            // anomaly mode: |z| for the first level
+    alertZStep:            v.ALERT_Z_STEP,
+
+    // Anomaly scores: each minute's increments vs the pair's own rolling baseline
+    anomalyBaselineDays:   v.ANOMALY_BASELINE_DAYS,
+    anomalyMinSamples:     v.ANOMALY_MIN_SAMPLES,          // ~12h of minutes before z-scores count
+
+    // Trade flow (Kraken 'trade' channel, KRAKEN_TRADES_ENABLED)
+    tradeWindowSec:        v.TRADE_WINDOW_SEC,             // taker buy %, trade rate, largest print
+    tradeBaselineMin:      v.TRADE_BASELINE_MIN,           // trade-rate baseline for bursts
+    tradeBurstMult:        v.TRADE_BURST_MULT,             // burst = rate ≥ 5× baseline…
+    tradeBurstMinTrades:   v.TRADE_BURST_MIN_TRADES,       // …with at least this many trades in the window
+    whalePrintNotional:    v.WHALE_PRINT_NOTIONAL,         // one print ≥ this (report ccy) = whale; 0 = off
+
+    // Order book (Kraken 'book' channel, KRAKEN_BOOK_ENABLED)
+    bookDepth:             v.BOOK_DEPTH,                   // levels per side: 10, 25, 100, 500, 1000
+    bookBandsPct:          v.BOOK_DEPTH_BANDS_PCT,         // depth bands around mid, e.g. [1, 2] (%)
+    bookBaselineMin:       v.BOOK_BASELINE_MIN,            // spread/depth baselines (EWMA time constant)
+    bookSpreadMult:        v.BOOK_SPREAD_MULT,             // blowout = spread ≥ 4× baseline…
+    bookSpreadMinBps:      v.BOOK_SPREAD_MIN_BPS,          // …and at least this wide
+    bookDepthDropPct:      v.BOOK_DEPTH_DROP_PCT,          // one side of the widest band down ≥ 50% = withdrawal
+
+    // Digest (anti-spam)
+    digestEverySec:        v.DIGEST_EVERY_SEC,
+    digestTopN:            v.DIGEST_TOP_N,
+    digestMinAbsDeltaPct:  v.DIGEST_MIN_ABS_DELTA_PCT,     // ignore tiny moves
+    digestMinAbsZ:         v.DIGEST_MIN_ABS_Z,             // same, anomaly mode
+    digestIncludeLosers:   v.DIGEST_INCLUDE_LOSERS,
+    digestWindowSec:       v.DIGEST_WINDOW_SEC,            // e.g., 5m sustained avg
+    digestStreakCrownMin:  v.DIGEST_STREAK_CROWN_MIN,      // consecutive digests
+    digestCrownWindowSec:  v.DIGEST_CROWN_WINDOW_SEC,      // hits window for 👑
+  };
+}
+
+/**
+ * Engine settings straight from env vars; throws on invalid values (see parseConfig).
+ * @param {object} env - process.env
+ * @returns {object}
+ */
+function configFromEnv(env) {
+  return engineConfig(parseConfig({ env }).values);
+}
+
+function pct(n) { return Number.isFinite(n) ? Math.round(n * 100) / 100 : 0; }
+function nonneg(n, eps = 1e-9) { return Math.max(eps, n || 0); }
+
+// 24h traded value in the quote currency: base volume × 24h VWAP (last price where the venue has no VWAP)
+function notional24(last) {
+  return last.vol24 * (last.avg24 > 0 ? last.avg24 : last.price);
+}
+
+// Accept either {vol24Pct, price24Pct} OR legacy names {volVelPct, priceChangePct}
+function momentumScore(s) {
+  const price = Number(s.price24Pct ?? s.priceChangePct ?? 0);
+  const vol   = Number(s.vol24Pct   ?? s.volVelPct      ?? 0);
+  const denom = Math.max(0.0001, Math.abs(price));
+  return vol / denom;
+}
+
+// 1.25% steps above the threshold, both directions: 5→5, 6.3→6.25, -7→-6.25
+function quantizeLevel(value, threshold, step) {
+  const ad = Math.abs(value);
+  if (ad < threshold) return 0;
+  const stepsAbove = Math.floor((ad - threshold) / step) + 1; // 5→1, 6.25→2…
+  const level = threshold + (stepsAbove - 1) * step;
+  return Math.round(level * Math.sign(value) * 100) / 100;
+}
+
+/**
+ * Mean of a pair's short-buffer values (engine state `buf`) over the last `winSec`: the digest ranking.
+ * @param {object} S - Per-pair state.
+ * @param {number} nowSec
+ * @param {number} winSec
+ * @param {string} [field='diff'] - 'diff' (percent) or 'z' (anomaly mode).
+ * @returns {number} 0 without samples in the window.
+ */
+function avgDeltaOverWindow(S, nowSec, winSec, field = 'diff') {
+  if (!S || !S.buf || S.buf.length === 0) return 0;
+  const t0 = nowSec - winSec;
+  let sum = 0, cnt = 0;
+  for (let i = S.buf.length - 1; i >= 0; i--) {
+    const e = S.buf[i]; if (!e) continue;
+    if (e.ts < t0) break;
+    sum += (e[field] ?? 0); cnt++;
+  }
+  return cnt ? (sum / cnt) : 0;
+}
+
+const METRIC_LABELS = {
+  diffPct: 'diff', vol24Pct: 'vol24%', price24Pct: 'price24%',
+  anomalyZ: 'anomaly', volZ: 'volume z', retZ: 'return z',
+  imbalancePct: 'taker imbalance',
+};
+// z-score metrics are in standard deviations, the rest in percent
+const metricUnit = (metric) => (/Z$/.test(metric) ? 'σ' : '%');
+
+/**
+ * Rule fallbacks (src/rules.js defaults) for the engine config: ALERT_MODE picks the metric.
+ * @param {object} C - configFromEnv() result.
+ * @returns {{metric: string, thresholdPct: number, stepPct: number, cooldownSec: number, direction: string}}
+ */
+function ruleDefaults(C) {
+  const anomaly = C.alertMode === 'anomaly';
+  return {
+    metric: anomaly ? 'anomalyZ' : 'diffPct',
+    thresholdPct: anomaly ? C.alertZThreshold : C.alertDiffThresholdPct,
+    stepPct: anomaly ? C.alertZStep : C.alertLevelStepPct,
+    cooldownSec: C.alertMinIntervalSec,
+    direction: 'both',
+  };
+}
+
+const MAD_TO_SIGMA = 1.4826; // MAD of normal data × this = σ
+
+function median(sorted) {
+  const n = sorted.length;
+  return n % 2 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+}
+
+/**
+ * Robust z-score: (x - median) / (1.4826 × MAD). Spikes in the baseline barely
+ * move the median/MAD, unlike mean/stddev. When over half the baseline is
+ * identical (MAD 0) the mean absolute deviation stands in.
+ * @param {number} x
+ * @param {number[]} baseline
+ * @returns {number}
+ */
+function robustZ(x, baseline) {
+  if (!baseline.length) return 0;
+  const sorted = Float64Array.from(baseline).sort();
+  const med = median(sorted);
+  const dev = sorted.map(v => Math.abs(v - med)).sort();
+  let scale = median(dev) * MAD_TO_SIGMA;
+  if (!(scale > 0)) scale = (dev.reduce((s, v) => s + v, 0) / dev.length) * 1.2533;
+  return scale > 0 ? (x - med) / scale : 0;
+}
+
+// Combine rows of the same asset (venues, quotes) into one, weighting `fields`
+// by report-currency volume (equally when no row has one yet).
+function mergeRowsByAsset(entries, fields) {
+  const groups = {};
+  for (const [key, row] of entries) (groups[assetOf(key)] ||= []).push([key, row]);
+  return Object.entries(groups).map(([asset, members]) => {
+    const known = members.every(([, r]) => r.volReport > 0);
+    const weight = (r) => (known ? r.volReport : 1);
+    const total = members.reduce((s, [, r]) => s + weight(r), 0);
+    const merged = { pairs: members.map(([k]) => k) };
+    for (const f of fields) merged[f] = members.reduce((s, [, r]) => s + (r[f] || 0) * weight(r), 0) / total;
+    merged.volReport = known ? total : null;
+    return [asset, merged];
+  });
+}
+
+// ---- Per-pair ticker computation (state S + settings C, no engine needed) ----
+/**
+ * Empty per-pair state (the shape is documented in createEngine).
+ * @returns {object}
+ */
+function newPairState() {
+  return {
+    last: null,
+    daybuf: [],
+    lastMinuteBucket: 0,
+    vol24Pct: 0,
+    price24Pct: 0,
+    diffPct: 0,
+    volZ: 0,
+    retZ: 0,
+    anomalyZ: 0,
+    zReady: false,
+    horizons: {},
+    buf: [],
+    flow: null,
+    imbalancePct: 0,
+    burst: false,
+    lastWhale: null,
+    book: null,
+    eventAt: {},
+    alert: { level: 0, lastAt: 0, hits: 0, hitsWindowStart: 0 },
+    digestStreak: 0
+  };
+}
+
+// true when a new sample was added
+function pushMinuteSample(S, C, ts, vol24, price) {
+  const bucket = Math.floor(ts / C.daybufResSec);
+  if (S.lastMinuteBucket === bucket) return false;
+  S.lastMinuteBucket = bucket;
+
+  const prev = S.daybuf[S.daybuf.length - 1];
+  const sample = { ts, vol24, price };
+  if (prev && ts - prev.ts > 2 * C.daybufResSec) sample.gapSec = ts - prev.ts;
+  S.daybuf.push(sample);
+
+  // trim to ~daybufKeepHrs
+  const cutoff = ts - C.daybufKeepHrs * 3600;
+  while (S.daybuf.length && S.daybuf[0].ts < cutoff) S.daybuf.shift();
+  return true;
+}
+
+// ---- Anomaly scores: how unusual is the latest minute for this pair ----
+// Minute increments of rolling 24h volume and price returns (%) between
+// consecutive daybuf samples, scaled to one daybufResSec; gaps are skipped.
+function minuteIncrements(S, C) {
+  const dv = [], ret = [];
+  const from = S.daybuf.length ? S.daybuf[S.daybuf.length - 1].ts - C.anomalyBaselineDays * 86400 : 0;
+  let latest = false;
+  for (let i = 1; i < S.daybuf.length; i++) {
+    const a = S.daybuf[i - 1], b = S.daybuf[i];
+    const dt = b.ts - a.ts;
+    latest = false;
+    if (a.ts < from || dt <= 0 || dt > 2 * C.daybufResSec || b.gapSec) continue;
+    const k = C.daybufResSec / dt;
+    dv.push((b.vol24 - a.vol24) * k);
+    ret.push(((b.price - a.price) / nonneg(a.price)) * 100 * k);
+    latest = true;
+  }
+  return { dv, ret, latest };
+}
+
+function updateAnomaly(S, C) {
+  if (S.daybuf.length <= C.anomalyMinSamples) {
+    S.zReady = false;
+    return;
+  }
+  const { dv, ret, latest } = minuteIncrements(S, C);
+  S.zReady = latest && dv.length > C.anomalyMinSamples;
+  if (!S.zReady) {
+    S.volZ = S.retZ = S.anomalyZ = 0;
+    return;
+  }
+  // the newest increment against everything before it
+  S.volZ = robustZ(dv[dv.length - 1], dv.slice(0, -1));
+  S.retZ = robustZ(ret[ret.length - 1], ret.slice(0, -1));
+  S.anomalyZ = S.volZ - S.retZ; // like diffPct: volume unusual, price not following
+}
+
+// find sample ~lookbackHours (or horizonSec) ago (choose the latest <= target)
+// If the target falls inside a gap (downtime), the ref would be too old to compare against.
+function sampleAtLookback(S, C, ts, horizonSec = C.lookbackHours * 3600, maxSkewSec = C.lookbackMaxSkewSec) {
+  const target = ts - horizonSec;
+  // binary search: daybuf is sorted by ts
+  let lo = 0, hi = S.daybuf.length - 1, found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (S.daybuf[mid].ts <= target) { found = mid; lo = mid + 1; } else hi = mid - 1;
+  }
+  if (found < 0) return null;
+  return (target - S.daybuf[found].ts <= maxSkewSec) ? S.daybuf[found] : null;
+}
+
+// vol/price/diff % of the current values vs a reference sample
+function compareTo(ref, vol24, price) {
+  const vol24Pct = ((vol24 - ref.vol24) / nonneg(ref.vol24)) * 100;
+  const price24Pct = ((price - ref.price) / nonneg(ref.price)) * 100;
+  return { vol24Pct, price24Pct, diffPct: vol24Pct - price24Pct };
+}
+
+// LOOKBACK_HORIZONS: { '15m': { vol24Pct, price24Pct, diffPct } | null, ... }.
+// Short horizons tolerate proportionally less skew (a quarter of the horizon).
+function computeHorizons(S, C, ts, vol24, price) {
+  const out = {};
+  for (const h of C.lookbackHorizons) {
+    const sec = parseDuration(h);
+    const skew = Math.min(C.lookbackMaxSkewSec, Math.max(2 * C.daybufResSec, sec / 4));
+    const ref = sampleAtLookback(S, C, ts, sec, skew);
+    out[h] = ref ? compareTo(ref, vol24, price) : null;
+  }
+  return out;
+}
+
+/**
+ * Feed one ticker into a pair's state: minute history, anomaly scores, the 24h and
+ * LOOKBACK_HORIZONS comparisons and the trend buffer. Needs no engine (createEngine
+ * wraps it with FX rates, stats and alerts), so a pair can be computed on its own.
+ * @param {object} S - Per-pair state from newPairState(), updated in place.
+ * @param {object} C - Engine settings (engineConfig() / configFromEnv()).
+ * @param {number} ts - Seconds.
+ * @param {number} vol24 - 24h base volume.
+ * @param {number} price - Last price.
+ * @param {number} [avg24] - 24h VWAP (0/undefined where the venue has none).
+ * @returns {{ready: boolean, resumed: boolean}} ready = enough history for a metric (alerts may fire);
+ *   resumed = the first tick after the pair went stale (its jump shouldn't alert).
+ */
+function computeFromTicker(S, C, ts, vol24, price, avg24) {
+  // back from being stale (outage, half-open socket, no trades): the first tick shouldn't alert on the jump
+  const resumed = !!S.last && ts - S.last.ts > C.pairStaleSec;
+
+  // keep minute-resolution history for ~26h; z-scores move once per sample
+  if (pushMinuteSample(S, C, ts, vol24, price)) updateAnomaly(S, C);
+  S.last = { ts, vol24, price, avg24 };
+
+  // Need a lookback sample to compute true 24h style comparisons
+  // (24h-volume % vs previous 24h window, price % vs 24h-ago price)
+  const ref = sampleAtLookback(S, C, ts);
+  if (ref) Object.assign(S, compareTo(ref, vol24, price));
+  S.horizons = computeHorizons(S, C, ts, vol24, price);
+  // not enough history for any metric yet; 'last' still feeds the UI
+  // (anomaly mode only needs its baseline, horizon rules only their horizon, imbalance only trades)
+  const ready = !!ref || (C.alertMode === 'anomaly' && S.zReady) || Object.values(S.horizons).some(Boolean) || !!S.flow;
+  if (!ready) return { ready, resumed };
+
+  // short buffer (~10m+) used for trend + digest
+  const HORIZON_SEC = Math.max(C.rateWindowSec * 10, 600);
+  S.buf.push({ ts, diff: S.diffPct, z: S.anomalyZ });
+  while (S.buf.length && ts - S.buf[0].ts > HORIZON_SEC) S.buf.shift();
+  return { ready, resumed };
+}
+
+/**
+ * @param {object} opts
+ * @param {object} [opts.config] - Overrides for configFromEnv({}) defaults.
+ * @param {{resolve: (pair: string) => object}} opts.rules - Rule store (src/rules.js).
+ * @param {(event: object) => any} opts.notify - Receives step/recovery/digest events.
+ * @param {{now: () => number}} [opts.clock] - Milliseconds; defaults to Date.now.
+ * @returns {object}
+ */
+function createEngine({ config = {}, rules, notify, clock = { now: () => Date.now() } }) {
+  const C = { ...configFromEnv({}), ...config };
+  const fx = createFxTable(); // fed by every ticker, so all quotes convert to C.reportCurrency
+
+  /*
+   perPair['exchange:pair'] = {
+     last: { ts, price, avg24, vol24 },
+     // minute-resolution history for ~26h (gapSec set on the first sample after a hole, e.g. a restart)
+     daybuf: [{ ts, vol24, price, gapSec? }, ...],
+     lastMinuteBucket: 0,
+     // latest 24h-comparative percentages
+     vol24Pct: 0,
+     price24Pct: 0,
+     diffPct: 0,
+     // short buffer for slope + digest (~10m+)
+     buf: [{ ts, diff: number }...],
+     // trade channel only: rolling flow (src/trades.js), buy−sell share, burst/whale state
+     flow: null, imbalancePct: 0, burst: false, lastWhale: null,
+     // book channel only: local book (src/book.js), latest metrics, baselines
+     book: null,
+     // last burst / whale / liquidity:<kind> event (ms), for their cool-downs
+     eventAt: {},
+     // alerts/digest meta
+     alert: { level: 0, lastAt: 0, hits: 0, hitsWindowStart: 0 },
+     digestStreak: 0
+   }
+  */
+  const perPair = Object.create(null);
+
+  // running totals for /metrics and replay reports
+  const stats = {
+    alertsSent: { step: 0, recovery: 0 }, // + burst/whale once the trade channel sends one
+    alertsSuppressed: { cooldown: 0, stale: 0, illiquid: 0 },
+    digestRuns: 0,
+    digestsSent: 0,
+  };
+
+  function tickAgeSec(S, nowSec) {
+    return S && S.last ? Math.max(0, nowSec - S.last.ts) : Infinity;
+  }
+
+  function ensureState(pair) {
+    if (!perPair[pair]) perPair[pair] = newPairState();
+    return perPair[pair];
+  }
+
+  /**
+   * Price at (or just before) a unix time, from the minute history; follow-through for
+   * the alert history.
+   * @param {string} pair
+   * @param {number} tsSec
+   * @returns {number|null} null when there's no sample within two resolutions of it.
+   */
+  function priceAt(pair, tsSec) {
+    const S = perPair[pair];
+    if (!S) return null;
+    const sample = sampleAtLookback(S, C, tsSec, 0, 2 * C.daybufResSec);
+    return sample ? sample.price : null;
+  }
+
+  // Rule metrics: 'diffPct', 'anomalyZ', … or '<metric>@<horizon>' ('diffPct@1h')
+  function metricValue(S, metric) {
+    const at = metric.indexOf('@');
+    if (at < 0) return S[metric];
+    return S.horizons?.[metric.slice(at + 1)]?.[metric.slice(0, at)] ?? 0;
+  }
+
+  // buf field the digest and trends follow: diffPct, or anomalyZ in anomaly mode
+  const BUF_FIELD = C.alertMode === 'anomaly' ? 'z' : 'diff';
+
+  // short-term slope for trend (~last 2–3 samples of diffPct / anomalyZ)
+  function recentSlope(S) {
+    const n = S.buf.length;
+    if (n < 2) return 0;
+    const a = S.buf[Math.max(0, n - 3)];
+    const b = S.buf[n - 1];
+    const d = (b[BUF_FIELD] - (a[BUF_FIELD] ?? 0));
+    const dt = Math.max(1, b.ts - a.ts);
+    return d / dt; // % (or σ) per second
+  }
+
+  // { priceReport, volReport } in C.reportCurrency, null until a rate is known
+  function reportValues(pair, S) {
+    const r = fx.rate(quoteOf(pair), C.reportCurrency);
+    if (r === null) return { priceReport: null, volReport: null };
+    return { priceReport: S.last.price * r, volReport: notional24(S.last) * r };
+  }
+
+  // Under MIN_NOTIONAL a few trades swing the percentages; unknown FX counts as liquid
+  function isIlliquid(pair, S) {
+    if (!(C.minNotional > 0) || !S.last) return false;
+    const { volReport } = reportValues(pair, S);
+    return volReport !== null && volReport < C.minNotional;
+  }
+
+  /**
+   * Feed one ticker: computeFromTicker() on the pair's state, plus FX rates, trade
+   * imbalance, stats and any alert it crosses.
+   * @param {string} pair - 'exchange:pair' key.
+   * @param {number} ts - Seconds.
+   * @param {number} vol24 - 24h base volume.
+   * @param {number} price - Last price.
+   * @param {number} [avg24] - 24h VWAP (0/undefined where the venue has none).
+   */
+  function feedTicker(pair, ts, vol24, price, avg24) {
+    fx.update(pair, price);
+    const S = ensureState(pair);
+    const { ready, resumed } = computeFromTicker(S, C, ts, vol24, price, avg24);
+    if (S.flow) S.imbalancePct = imbalanceOf(S.flow.summary(clock.now()));
+    if (!ready) return;
+    if (resumed) { stats.alertsSuppressed.stale++; return; }
+    maybeAlert(pair);
+  }
+
+  // ---- Trade flow: taker imbalance, bursts, whale prints ----
+  // Taker buy share as −100 (all sells) … +100 (all buys); 0 without trades in the window
+  function imbalanceOf(f) {
+    return f.takerBuyPct === null ? 0 : 2 * f.takerBuyPct - 100;
+  }
+
+  function isBurst(f) {
+    return f.count >= C.tradeBurstMinTrades && f.baselinePerMin !== null &&
+      f.ratePerMin >= C.tradeBurstMult * f.baselinePerMin;
+  }
+
+  // print value in C.reportCurrency (null until the FX path is known)
+  function printNotional(pair, t) {
+    const r = fx.rate(quoteOf(pair), C.reportCurrency);
+    return r === null ? null : t.qty * t.price * r;
+  }
+
+  // bursts, whales and liquidity alerts share the pair's rule cool-down, each kind on its own clock
+  function throttledEvent(pair, S, key, event) {
+    const rule = rules.resolve(pair);
+    const now = clock.now();
+    if (now - (S.eventAt[key] || 0) < rule.cooldownSec * 1000) { stats.alertsSuppressed.cooldown++; return; }
+    S.eventAt[key] = now;
+    notify({ ts: now, pair, ...event });
+    stats.alertsSent[event.type] = (stats.alertsSent[event.type] || 0) + 1;
+  }
+
+  /**
+   * Feed individual trades ({ price, qty, side, ts(ms) }) for one pair.
+   * @param {string} pair - 'exchange:pair' key.
+   * @param {object[]} trades
+   */
+  function computeFromTrades(pair, trades) {
+    const S = ensureState(pair);
+    if (!S.flow) S.flow = createTradeFlow({ windowSec: C.tradeWindowSec, baselineSec: C.tradeBaselineMin * 60 });
+    S.flow.add(trades);
+    const f = S.flow.summary(clock.now());
+    S.imbalancePct = imbalanceOf(f);
+
+    // thin books make 'whales' out of ordinary prints; stale pairs have no context
+    const quiet = isIlliquid(pair, S) || isStale(pair);
+    const wasBurst = S.burst;
+    S.burst = isBurst(f);
+    if (S.burst && !wasBurst && !quiet) {
+      throttledEvent(pair, S, 'burst', {
+        type: 'burst',
+        ratePerMin: pct(f.ratePerMin), baselinePerMin: pct(f.baselinePerMin), count: f.count,
+        takerBuyPct: pct(f.takerBuyPct), unit: '%',
+      });
+    }
+
+    if (!(C.whalePrintNotional > 0)) return;
+    for (const t of trades) {
+      const notional = printNotional(pair, t);
+      if (notional === null || notional < C.whalePrintNotional) continue;
+      S.lastWhale = { side: t.side, qty: t.qty, price: t.price, notionalReport: notional, ts: t.ts };
+      if (!quiet) {
+        throttledEvent(pair, S, 'whale', {
+          type: 'whale',
+          side: t.side, qty: t.qty, price: t.price, notional: Math.round(notional), currency: C.reportCurrency,
+        });
+      }
+    }
+  }
+
+  // Snapshot/digest view of the flow; null for pairs without the trade channel
+  function tradeSummary(S, nowMs) {
+    if (!S.flow) return null;
+    const f = S.flow.summary(nowMs);
+    const whale = S.lastWhale && nowMs - S.lastWhale.ts <= C.tradeWindowSec * 1000 ? S.lastWhale : null;
+    return {
+      takerBuyPct: f.takerBuyPct === null ? null : pct(f.takerBuyPct),
+      imbalancePct: pct(imbalanceOf(f)),
+      count: f.count,
+      ratePerMin: pct(f.ratePerMin),
+      baselinePerMin: f.baselinePerMin === null ? null : pct(f.baselinePerMin),
+      burst: isBurst(f),
+      largest: f.largest ? { side: f.largest.side, qty: f.largest.qty, price: f.largest.price, ts: f.largest.ts } : null,
+      whale, // last print ≥ WHALE_PRINT_NOTIONAL inside the window
+    };
+  }
+
+  // ---- Order book: spread and depth near mid, liquidity alerts ----
+  const BOOK_WARMUP_SEC = 300; // baselines count after 5 minutes of book data
+
+  /**
+   * Apply one decoded book message (src/kraken.js) for a pair.
+   * @param {string} pair - 'exchange:pair' key.
+   * @param {object} msg - { snapshot, asks, bids, checksum }
+   * @returns {boolean} false on a checksum mismatch (the feed resubscribes for a fresh snapshot).
+   */
+  function computeFromBook(pair, msg) {
+    const S = ensureState(pair);
+    const B = (S.book ||= {
+      ob: createOrderBook({ depth: C.bookDepth }),
+      metrics: null, spreadAvg: null, depthAvg: null, since: 0, updatedAt: 0, blowout: false, withdrawn: null,
+    });
+    const res = B.ob.apply(msg);
+    if (res === 'mismatch') { B.metrics = null; return false; }
+    if (res !== 'ok') return true;
+    const m = (B.metrics = B.ob.metrics(C.bookBandsPct));
+    if (!m) return true;
+
+    const now = clock.now();
+    const band = C.bookBandsPct[C.bookBandsPct.length - 1];
+    const wide = m.depth[band];
+    if (B.spreadAvg === null) {
+      B.spreadAvg = m.spreadBps;
+      B.depthAvg = { ...wide };
+      B.since = B.updatedAt = now;
+      return true;
+    }
+
+    // judge against the baseline before this update moves it
+    if (now - B.since >= BOOK_WARMUP_SEC * 1000) {
+      const quiet = isIlliquid(pair, S) || isStale(pair);
+      const blowout = m.spreadBps >= Math.max(C.bookSpreadMinBps, C.bookSpreadMult * B.spreadAvg);
+      const keep = 1 - C.bookDepthDropPct / 100;
+      const withdrawn = ['bid', 'ask'].find(side => wide[side] < keep * B.depthAvg[side]) || null;
+      if (blowout && !B.blowout && !quiet) {
+        throttledEvent(pair, S, 'liquidity:spread', {
+          type: 'liquidity', kind: 'spread', spreadBps: pct(m.spreadBps), baselineBps: pct(B.spreadAvg), mid: m.mid,
+        });
+      }
+      if (withdrawn && !B.withdrawn && !quiet) {
+        throttledEvent(pair, S, 'liquidity:depth', {
+          type: 'liquidity', kind: 'depth', side: withdrawn, bandPct: band, quote: quoteOf(pair),
+          depth: Math.round(wide[withdrawn]), baseline: Math.round(B.depthAvg[withdrawn]),
+          dropPct: pct((1 - wide[withdrawn] / B.depthAvg[withdrawn]) * 100),
+        });
+      }
+      B.blowout = blowout;
+      B.withdrawn = withdrawn;
+    }
+
+    // EWMA baselines, time constant BOOK_BASELINE_MIN
+    const k = 1 - Math.exp(-(now - B.updatedAt) / (C.bookBaselineMin * 60000));
+    B.spreadAvg += k * (m.spreadBps - B.spreadAvg);
+    B.depthAvg.bid += k * (wide.bid - B.depthAvg.bid);
+    B.depthAvg.ask += k * (wide.ask - B.depthAvg.ask);
+    B.updatedAt = now;
+    return true;
+  }
+
+  // Snapshot view of the book; null for pairs without the book channel
+  function bookSummary(S) {
+    const B = S.book;
+    if (!B) return null;
+    const m = B.metrics;
+    const round = (d) => Object.fromEntries(Object.entries(d).map(([k, v]) => [k, { bid: Math.round(v.bid), ask: Math.round(v.ask) }]));
+    return {
+      synced: B.ob.synced,
+      bestBid: m ? m.bestBid : null,
+      bestAsk: m ? m.bestAsk : null,
+      spreadBps: m ? pct(m.spreadBps) : null,
+      spreadBaselineBps: B.spreadAvg === null ? null : pct(B.spreadAvg),
+      depth: m ? round(m.depth) : null, // quote notional within ±band% of mid, e.g. { '1': { bid, ask } }
+      spreadBlowout: B.blowout,
+      depthWithdrawn: B.withdrawn,     // 'bid' | 'ask' | null
+    };
+  }
+
+  // ---- Alerts (1.25% steps, both directions) ----
+  // Thresholds/steps/cool-down come from the pair's rule (src/rules.js), falling back to the ALERT_* env values.
+  function maybeAlert(pair) {
+    const S = perPair[pair];
+    if (!S || !S.last) return;
+
+    const rule = rules.resolve(pair);
+    const [base, horizon] = rule.metric.split('@');
+    const label = horizon ? `${METRIC_LABELS[base]}@${horizon}` : METRIC_LABELS[base];
+    const valueNow = pct(metricValue(S, rule.metric));
+    let newLevel = quantizeLevel(valueNow, rule.thresholdPct, rule.stepPct);
+    if ((rule.direction === 'up' && newLevel < 0) || (rule.direction === 'down' && newLevel > 0)) newLevel = 0;
+
+    const a = (S.alert ||= { level: 0, lastAt: 0, hits: 0, hitsWindowStart: 0 });
+    // a different rule means levels aren't comparable anymore; start over quietly
+    if (a.ruleId && a.ruleId !== rule.id) a.level = 0;
+    a.ruleId = rule.id;
+    const prevLevel = a.level;
+    const now = clock.now();
+
+    if (isIlliquid(pair, S)) {
+      if (newLevel !== prevLevel && S.suppressedLevel !== newLevel) { S.suppressedLevel = newLevel; stats.alertsSuppressed.illiquid++; }
+      return;
+    }
+
+    // Count virtual step hits for crown logic
+    if (newLevel !== prevLevel && newLevel !== 0) {
+      if (!a.hitsWindowStart || (now - a.hitsWindowStart) > C.digestCrownWindowSec * 1000) {
+        a.hitsWindowStart = now; a.hits = 0;
+      }
+      a.hits++;
+    }
+
+    // If step alerts are disabled, just record state and bail
+    if (!C.stepAlertsEnabled) { a.level = newLevel; a.lastAt = now; return; }
+
+    // (Live alerts path)
+    if (newLevel === prevLevel) return;
+    if (now - a.lastAt < rule.cooldownSec * 1000) {
+      // count each level the cool-down swallowed once, not every tick
+      if (S.suppressedLevel !== newLevel) { S.suppressedLevel = newLevel; stats.alertsSuppressed.cooldown++; }
+      return;
+    }
+    delete S.suppressedLevel;
+
+    const perMin = pct(recentSlope(S) * 60); // %/min
+
+    if (newLevel === 0 && prevLevel !== 0) {
+      notify({
+        type: 'recovery', ts: now, pair, prevLevel, label, metric: rule.metric, unit: metricUnit(rule.metric), thresholdPct: rule.thresholdPct,
+        value: valueNow, vol24Pct: pct(S.vol24Pct), price24Pct: pct(S.price24Pct), diffPct: pct(S.diffPct), perMin, price: S.last.price,
+      });
+      stats.alertsSent.recovery++;
+      a.level = 0;
+      a.lastAt = now;
+      return;
+    }
+
+    const delta = Math.round((newLevel - prevLevel) * 100) / 100;
+    const rank = Math.min(5, Math.floor((Math.abs(newLevel) - rule.thresholdPct) / rule.stepPct) + 1); // # of 🔥/🧊
+
+    notify({
+      type: 'step', ts: now, pair, level: newLevel, prevLevel, delta, rank, label, metric: rule.metric, unit: metricUnit(rule.metric),
+      vol24Pct: pct(S.vol24Pct), price24Pct: pct(S.price24Pct), diffPct: pct(S.diffPct), perMin, price: S.last.price,
+    });
+    stats.alertsSent.step++;
+
+    a.level = newLevel;
+    a.lastAt = now;
+  }
+
+  /**
+   * Where a pair stands against its rule: the metric now, the level last alerted and
+   * how much of the cool-down is left (the pair detail page).
+   * @param {string} pair
+   * @returns {object|null}
+   */
+  function alertState(pair) {
+    const S = perPair[pair];
+    if (!S) return null;
+    const rule = rules.resolve(pair);
+    const [base, horizon] = rule.metric.split('@');
+    const a = S.alert && (!S.alert.ruleId || S.alert.ruleId === rule.id) ? S.alert : { level: 0, lastAt: 0 };
+    const cooldownEndsAt = a.lastAt ? a.lastAt + rule.cooldownSec * 1000 : 0;
+    return {
+      rule: { id: rule.id, metric: rule.metric, thresholdPct: rule.thresholdPct, stepPct: rule.stepPct, cooldownSec: rule.cooldownSec, direction: rule.direction },
+      label: horizon ? `${METRIC_LABELS[base]}@${horizon}` : METRIC_LABELS[base],
+      unit: metricUnit(rule.metric),
+      value: S.last ? pct(metricValue(S, rule.metric)) : null,
+      level: a.level,
+      lastAlertAt: a.lastAt || null,
+      cooldownRemainingSec: Math.max(0, Math.ceil((cooldownEndsAt - clock.now()) / 1000)),
+      suppressedLevel: S.suppressedLevel ?? null, // a level the cool-down (or MIN_NOTIONAL) is holding back
+      stale: isStale(pair),
+      illiquid: isIlliquid(pair, S),
+    };
+  }
+
+  // ---- Digest: winners + losers + crowns ----
+  function sendDigest(pairs) {
+    const now = clock.now();
+    const nowSec = Math.floor(now / 1000);
+    const rows = [];
+    stats.digestRuns++;
+
+    for (const pair of pairs) {
+      const S = perPair[pair]; if (!S || !S.last) continue;
+      if (tickAgeSec(S, nowSec) > C.pairStaleSec) continue; // stale: its window average is old news
+      if (isIlliquid(pair, S)) continue;
+
+      const vPct = (S.vol24Pct !== undefined) ? S.vol24Pct : 0;
+      const pPct = (S.price24Pct !== undefined) ? S.price24Pct : 0;
+      const avgD = avgDeltaOverWindow(S, nowSec, C.digestWindowSec, BUF_FIELD);
+      if (!Number.isFinite(avgD)) continue;
+
+      const slope = recentSlope(S), perMin = slope * 60;
+
+      const crownedByHits =
+        (S.alert?.hits || 0) >= 2 &&
+        (now - (S.alert?.hitsWindowStart || 0) < C.digestCrownWindowSec*1000);
+
+      const row = {
+        vPct, pPct,
+        avgDelta: avgD,
+        trendPerMin: perMin,
+        crowned: crownedByHits || (S.digestStreak >= C.digestStreakCrownMin),
+        volReport: reportValues(pair, S).volReport,
+      };
+      const tr = tradeSummary(S, now);
+      if (tr) Object.assign(row, { takerBuyPct: tr.takerBuyPct, tradeRate: tr.ratePerMin, whale: !!tr.whale });
+      rows.push([pair, row]);
+    }
+
+    // one line per asset: its pairs' window averages, weighted by volume
+    if (C.mergeByAsset) {
+      const crowned = new Map(rows.map(([p, s]) => [p, s.crowned]));
+      const merged = mergeRowsByAsset(rows, ['vPct', 'pPct', 'avgDelta', 'trendPerMin']);
+      for (const [, m] of merged) m.crowned = m.pairs.some(k => crowned.get(k));
+      rows.splice(0, rows.length, ...merged);
+    }
+
+    // Filter out tiny moves
+    const minAbs = C.alertMode === 'anomaly' ? C.digestMinAbsZ : C.digestMinAbsDeltaPct;
+    const filtered = rows.filter(([_p,s]) => Math.abs(s.avgDelta) >= minAbs);
+    if (!filtered.length) return;
+
+    // Winners & Losers
+    const winners = filtered
+      .filter(([_p,s]) => s.avgDelta >= 0)
+      .sort((a,b) => b[1].avgDelta - a[1].avgDelta)
+      .slice(0, C.digestTopN);
+
+    const losers = C.digestIncludeLosers ? filtered
+      .filter(([_p,s]) => s.avgDelta < 0)
+      .sort((a,b) => a[1].avgDelta - b[1].avgDelta)
+      .slice(0, C.digestTopN) : [];
+
+    // Update digest streaks
+    const included = new Set([...winners, ...losers].flatMap(([p, s]) => s.pairs || [p]));
+    for (const p of pairs) {
+      const S = perPair[p]; if (!S) continue;
+      if (included.has(p)) S.digestStreak = (S.digestStreak || 0) + 1;
+      else S.digestStreak = 0;
+    }
+
+    // Text is rendered per channel (src/notifiers/format.js)
+    stats.digestsSent++;
+    notify({
+      type: 'digest',
+      ts: now,
+      metric: C.alertMode === 'anomaly' ? 'anomalyZ' : 'diffPct',
+      unit: C.alertMode === 'anomaly' ? 'σ' : '%',
+      windowSec: C.digestWindowSec,
+      topN: C.digestTopN,
+      winners: winners.map(([pair, s]) => ({ pair, ...s })),
+      losers: losers.map(([pair, s]) => ({ pair, ...s })),
+    });
+  }
+
+  function isStale(pair) {
+    return tickAgeSec(perPair[pair], Math.floor(clock.now() / 1000)) > C.pairStaleSec;
+  }
+
+  // Does the pair have a usable ~lookbackHours reference right now?
+  function hasLookback(pair) {
+    const S = perPair[pair];
+    return !!(S && S.last && sampleAtLookback(S, C, S.last.ts));
+  }
+
+  // ---- Snapshot (UI + /api/snapshot) ----
+  function snapshot(keys) {
+    const nowSec = Math.floor(clock.now() / 1000);
+    const pairs = {};
+    for (const p of keys) {
+      const S = perPair[p];
+      if (!S || !S.last) continue;
+      const vol24Pct = pct(S.vol24Pct);
+      const price24Pct = pct(S.price24Pct);
+      const diffPct = pct(S.diffPct);
+      const { exchange, pair } = splitPairKey(p);
+      const { priceReport, volReport } = reportValues(p, S);
+      pairs[p] = {
+        exchange,
+        pair,
+        asset: assetOf(p),       // XBT -> BTC, so venues line up
+        quote: quoteOf(p),
+        ts: S.last.ts,
+        lastTickAgeSec: tickAgeSec(S, nowSec),
+        stale: tickAgeSec(S, nowSec) > C.pairStaleSec,
+        price: S.last.price,
+        avg24: S.last.avg24,     // 24h VWAP (0 where the venue has none)
+        vol24: S.last.vol24,
+        notional24: notional24(S.last), // vol24 × VWAP, in the quote currency
+        illiquid: isIlliquid(p, S),
+        priceReport,             // in meta.reportCurrency (null until the FX path is known)
+        volReport,               // notional24 in meta.reportCurrency
+        // Keep legacy field names so UI keeps working, but values are 24h-based now:
+        volVelPct: vol24Pct,         // === 24h volume % vs previous 24h
+        priceChangePct: price24Pct,  // === price % vs 24h ago
+        diffPct,
+        ratio: Number(momentumScore({ vol24Pct, price24Pct }).toFixed(2)),
+        volZ: pct(S.volZ),           // robust z-scores of the latest minute (0 until the baseline is ready)
+        retZ: pct(S.retZ),
+        anomalyZ: pct(S.anomalyZ),
+        // LOOKBACK_HORIZONS: { '1h': { vol24Pct, price24Pct, diffPct } }, null until that much history exists
+        horizons: Object.fromEntries(C.lookbackHorizons.map((h) => {
+          const v = S.horizons?.[h];
+          return [h, v ? { vol24Pct: pct(v.vol24Pct), price24Pct: pct(v.price24Pct), diffPct: pct(v.diffPct) } : null];
+        })),
+        trades: tradeSummary(S, clock.now()), // trade channel flow, null when it's off for this venue
+        book: bookSummary(S),                 // book channel spread/depth, null when it's off
+      };
+    }
+
+    const score = (s) => {
+      if (C.rankMode === 'ratio') return momentumScore(s);
+      if (C.rankMode === 'notional') return s.volReport ?? -1; // unconvertible pairs last
+      return s.volVelPct;
+    };
+    const ranked = Object.entries(pairs)
+      .sort((a, b) => score(b[1]) - score(a[1]))
+      .map(([k]) => k);
+
+    // same asset on more than one venue, e.g. { BTC: ['kraken:XBT/USD', 'binance:BTC/USDT'] }
+    const byAsset = {};
+    for (const k of Object.keys(pairs)) (byAsset[pairs[k].asset] ||= []).push(k);
+    const assets = Object.fromEntries(Object.entries(byAsset).filter(([, ks]) => ks.length > 1));
+
+    const snap = {
+      ts: nowSec,
+      meta: {
+        rankMode: C.rankMode,
+        alertMode: C.alertMode,
+        subscribed: keys.length,
+        lookbackHours: C.lookbackHours,
+        horizons: C.lookbackHorizons,
+        reportCurrency: C.reportCurrency,
+        minNotional: C.minNotional,
+      },
+      pairs,
+      assets,
+      top: ranked.slice(0, 5),
+    };
+    if (C.mergeByAsset) {
+      const rows = mergeRowsByAsset(Object.entries(pairs), ['volVelPct', 'priceChangePct', 'diffPct']);
+      snap.merged = {};
+      for (const [asset, m] of rows) {
+        const withPrice = m.pairs.map(k => pairs[k].priceReport).filter(v => v !== null);
+        snap.merged[asset] = {
+          pairs: m.pairs,
+          priceReport: withPrice.length ? withPrice.reduce((s, v) => s + v, 0) / withPrice.length : null,
+          volReport: m.volReport,
+          volVelPct: pct(m.volVelPct),
+          priceChangePct: pct(m.priceChangePct),
+          diffPct: pct(m.diffPct),
+          ratio: Number(momentumScore(m).toFixed(2)),
+        };
+      }
+    }
+    return snap;
+  }
+
+  /**
+   * Swap settings in while running (config hot reload). Per-pair state is kept, so
+   * only settings read on each tick (thresholds, digests, rank mode) should change.
+   * @param {object} patch - engineConfig() keys.
+   */
+  function updateConfig(patch) {
+    Object.assign(C, patch);
+  }
+
+  return {
+    config: C,
+    updateConfig,
+    perPair,
+    stats,
+    hasLookback,
+    isStale,
+    fx,
+    ensureState,
+    computeFromTicker: feedTicker,
+    computeFromTrades,
+    computeFromBook,
+    maybeAlert,
+    alertState,
+    sendDigest,
+    snapshot,
+    priceAt,
+  };
+}
+
+module.exports = {
+  METRIC_LABELS,
+  ruleDefaults,
+  robustZ,
+  engineConfig,
+  configFromEnv,
+  quantizeLevel,
+  momentumScore,
+  avgDeltaOverWindow,
+  newPairState,
+  computeFromTicker,
+  createEngine,
+};
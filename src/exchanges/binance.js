@@ -0,0 +1,76 @@
+// src/exchanges/binance.js  (CommonJS, used by exchanges/index.js)
+// Binance spot adapter: <symbol>@ticker streams (rolling 24h window).
+//   { e: '24hrTicker', s: 'BTCUSDT', c: last, v: base volume, w: weighted avg price, ... }
+// Binance symbols have no separator, so we remember which 'BASE/QUOTE' each one
+// came from when subscribing/discovering.
+const axios = require('axios');
+
+// 'BTC/USDT' -> 'btcusdt'
+function streamSymbol(pair) {
+  return String(pair).replace('/', '').toLowerCase();
+}
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.wsUrl]
+ * @param {string} [opts.restUrl]
+ * @returns {object} Exchange adapter.
+ */
+function createBinanceAdapter({ wsUrl = 'wss://stream.binance.com:9443/ws', restUrl = 'https://api.binance.com' } = {}) {
+  const pairBySymbol = new Map(); // 'BTCUSDT' -> 'BTC/USDT'
+  let nextId = 1;
+
+  function remember(pairs) {
+    for (const p of pairs) pairBySymbol.set(streamSymbol(p).toUpperCase(), p);
+  }
+
+  return {
+    id: 'binance',
+    name: 'Binance WS',
+    heartbeatIntervalMs: 20000, // server WS pings; no heartbeat messages
+    wsUrl,
+    restUrl,
+
+    async discoverPairs({ quote = 'USDT', exclude = null, max = Infinity } = {}) {
+      const quotes = [].concat(quote);
+      const { data } = await axios.get(`${restUrl}/api/v3/exchangeInfo`, { params: { permissions: 'SPOT' }, timeout: 20000 });
+      if (!data || !Array.isArray(data.symbols)) throw new Error('exchangeInfo: unexpected response');
+      let pairs = data.symbols
+        .filter(s => s.status === 'TRADING' && quotes.includes(s.quoteAsset))
+        .map(s => `${s.baseAsset}/${s.quoteAsset}`);
+      if (exclude) pairs = pairs.filter(p => !exclude.test(p));
+      pairs = Array.from(new Set(pairs));
+      remember(pairs);
+      return { total: pairs.length, pairs: pairs.slice(0, max) };
+    },
+
+    subscribeMessages(pairs) {
+      remember(pairs);
+      return [{ method: 'SUBSCRIBE', params: pairs.map(p => `${streamSymbol(p)}@ticker`), id: nextId++ }];
+    },
+
+    unsubscribeMessages: (pairs) => [{ method: 'UNSUBSCRIBE', params: pairs.map(p => `${streamSymbol(p)}@ticker`), id: nextId++ }],
+
+    parse(obj) {
+      if (!obj || typeof obj !== 'object') return null;
+      // SUBSCRIBE ack: { result: null, id } / { error: { code, msg }, id }
+      if ('id' in obj && ('result' in obj || 'error' in obj)) {
+        return { type: 'subscription', ok: !obj.error, pair: null, error: obj.error?.msg || null };
+      }
+      if (obj.e !== '24hrTicker' || !obj.s) return null;
+      const pair = pairBySymbol.get(obj.s);
+      if (!pair) return null;
+      return {
+        type: 'ticker',
+        tickers: [{
+          pair,
+          lastPrice: Number(obj.c) || 0,
+          vol24: Number(obj.v) || 0,
+          avg24: Number(obj.w) || 0,
+        }],
+      };
+    },
+  };
+}
+
+module.exports = { streamSymbol, createBinanceAdapter };
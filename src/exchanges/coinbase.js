@@ -0,0 +1,68 @@
+// src/exchanges/coinbase.js  (CommonJS, used by exchanges/index.js)
+// Coinbase Advanced Trade adapter (public market data, no auth needed):
+//   { channel: 'ticker', events: [{ type, tickers: [{ product_id: 'BTC-USD', price, volume_24_h, ... }] }] }
+// The ticker has no 24h VWAP, so avg24 is 0. We also join 'heartbeats'; without
+// it Coinbase drops connections whose products go quiet.
+const axios = require('axios');
+
+// 'BTC/USD' <-> 'BTC-USD'
+function toProductId(pair) { return String(pair).replace('/', '-'); }
+function fromProductId(id) { return String(id).replace('-', '/'); }
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.wsUrl]
+ * @param {string} [opts.restUrl]
+ * @returns {object} Exchange adapter.
+ */
+function createCoinbaseAdapter({ wsUrl = 'wss://advanced-trade-ws.coinbase.com', restUrl = 'https://api.coinbase.com' } = {}) {
+  return {
+    id: 'coinbase',
+    name: 'Coinbase WS',
+    heartbeatIntervalMs: 1000, // 'heartbeats' channel
+    wsUrl,
+    restUrl,
+
+    async discoverPairs({ quote = 'USD', exclude = null, max = Infinity } = {}) {
+      const quotes = [].concat(quote);
+      const { data } = await axios.get(`${restUrl}/api/v3/brokerage/market/products`, {
+        params: { product_type: 'SPOT' },
+        timeout: 20000,
+      });
+      if (!data || !Array.isArray(data.products)) throw new Error('products: unexpected response');
+      let pairs = data.products
+        .filter(p => quotes.includes(p.quote_currency_id) && p.status === 'online' && !p.trading_disabled && !p.is_disabled)
+        .map(p => fromProductId(p.product_id));
+      if (exclude) pairs = pairs.filter(p => !exclude.test(p));
+      pairs = Array.from(new Set(pairs));
+      return { total: pairs.length, pairs: pairs.slice(0, max) };
+    },
+
+    openMessages: () => [{ type: 'subscribe', channel: 'heartbeats' }],
+    subscribeMessages: (pairs) => [{ type: 'subscribe', channel: 'ticker', product_ids: pairs.map(toProductId) }],
+    unsubscribeMessages: (pairs) => [{ type: 'unsubscribe', channel: 'ticker', product_ids: pairs.map(toProductId) }],
+
+    parse(obj) {
+      if (!obj || typeof obj !== 'object') return null;
+      if (obj.type === 'error') return { type: 'subscription', ok: false, pair: null, error: obj.message || 'error' };
+      if (obj.channel === 'heartbeats') return { type: 'heartbeat' };
+      if (obj.channel === 'subscriptions') return { type: 'subscription', ok: true, pair: null, error: null };
+      if (obj.channel !== 'ticker' || !Array.isArray(obj.events)) return null;
+      const tickers = [];
+      for (const ev of obj.events) {
+        for (const t of ev?.tickers || []) {
+          if (!t?.product_id) continue;
+          tickers.push({
+            pair: fromProductId(t.product_id),
+            lastPrice: Number(t.price) || 0,
+            vol24: Number(t.volume_24_h) || 0,
+            avg24: 0,
+          });
+        }
+      }
+      return tickers.length ? { type: 'ticker', tickers } : null;
+    },
+  };
+}
+
+module.exports = { toProductId, fromProductId, createCoinbaseAdapter };
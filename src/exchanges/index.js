@@ -0,0 +1,308 @@
+// src/exchanges/index.js  (CommonJS, used by monitor.js and index.js)
+// Exchange adapters + the WebSocket feed runner they plug into.
+//
+// An adapter is a plain object:
+//   id, name, wsUrl
+//   discoverPairs({ quote, exclude, max }) -> Promise<{ total, pairs }>   (REST, for *_WS_PAIRS=ALL; quote may be a list)
+//   subscribeMessages(pairs)  -> frames to send for one batch of pairs
+//   unsubscribeMessages?(pairs) -> frames that drop a batch of pairs (runtime removal)
+//   openMessages?()           -> frames to send once per connection
+//   resyncBookMessages?(pairs) -> frames that fetch a fresh book snapshot
+//   parse(obj)                -> { type: 'ticker', tickers: [{ pair, lastPrice, vol24, avg24 }] }
+//                              | { type: 'trades', trades: [{ pair, price, qty, side, ts }] }   (Kraken with trades on)
+//                              | { type: 'book', books: [{ pair, snapshot, asks, bids, checksum }] } (Kraken with book on)
+//                              | { type: 'heartbeat' } | { type: 'subscription', ok, pair, error } | null
+// createFeed() owns the socket: batched subscribes, parsing, reconnects, and
+// adding/removing pairs while it runs.
+const WebSocket = require('ws');
+const { createKrakenAdapter } = require('./kraken');
+const { createBinanceAdapter } = require('./binance');
+const { createCoinbaseAdapter } = require('./coinbase');
+const { pairKey } = require('./keys');
+
+const EXCHANGE_TYPES = {
+  kraken: createKrakenAdapter,
+  binance: createBinanceAdapter,
+  coinbase: createCoinbaseAdapter,
+};
+
+/**
+ * @param {string} id - 'kraken' | 'binance' | 'coinbase'
+ * @param {object} [opts] - Adapter options (wsUrl, restUrl, version…).
+ * @returns {object}
+ */
+function createExchange(id, opts = {}) {
+  const factory = EXCHANGE_TYPES[id];
+  if (!factory) throw new Error(`unknown exchange ${id} (use ${Object.keys(EXCHANGE_TYPES).join(', ')})`);
+  return factory(opts);
+}
+
+/**
+ * Keep one adapter's socket subscribed to `pairs`.
+ * Watchdog: any frame (or WS ping) counts as a heartbeat; if none arrive for
+ * heartbeatTimeoutMs the socket is treated as half-open and torn down.
+ * Reconnects back off exponentially with ±20% jitter until data flows again.
+ * Pairs rejected by a subscription status are retried on their own, with backoff.
+ * @param {object} adapter
+ * @param {object} opts
+ * @param {string[]} opts.pairs - Venue pair names ('BTC/USDT').
+ * @param {(key: string, ticker: object) => void} opts.onTicker - Called with the 'exchange:pair' key.
+ * @param {(key: string, trades: object[]) => void} [opts.onTrades] - One call per pair and frame.
+ * @param {(key: string, book: object) => boolean|void} [opts.onBook] - Returning false (checksum
+ *   mismatch) resubscribes that pair's book for a fresh snapshot.
+ * @param {(raw: string) => void} [opts.onFrame] - Every frame that parsed as JSON, as received (recorder).
+ * @param {number} [opts.batchSize]
+ * @param {number} [opts.batchDelayMs]
+ * @param {number} [opts.heartbeatTimeoutMs] - Raised to 3× adapter.heartbeatIntervalMs if that is longer.
+ * @param {number} [opts.reconnectBaseMs]
+ * @param {number} [opts.reconnectMaxMs]
+ * @param {number} [opts.resubscribeBaseMs]
+ * @param {number} [opts.resubscribeMaxMs]
+ * @param {() => number} [opts.random]
+ * @returns {{start: () => void, stop: () => void, add: Function, remove: Function, pairs: string[], stats: object}}
+ */
+function createFeed(adapter, {
+  pairs,
+  onTicker,
+  onTrades,
+  onBook,
+  onFrame,
+  batchSize = 25,
+  batchDelayMs = 600,
+  heartbeatTimeoutMs = 30000,
+  reconnectBaseMs = 1000,
+  reconnectMaxMs = 60000,
+  resubscribeBaseMs = 30000,
+  resubscribeMaxMs = 600000,
+  random = Math.random,
+}) {
+  let ws = null;
+  let stopped = false;
+  let retryTimer = null;
+  let watchdog = null;
+  let resubTimer = null;
+  let failures = 0;                // consecutive connections that never delivered data
+  const subscribed = new Set(pairs); // changes at runtime via add()/remove()
+  const subRetries = new Map();    // pair -> attempts (rejected subscriptions)
+  const resubPending = new Set();
+  const timeoutMs = Math.max(heartbeatTimeoutMs, 3 * (adapter.heartbeatIntervalMs || 0));
+  // read by /metrics and /healthz
+  const stats = {
+    frames: 0, parseErrors: 0, reconnects: 0, subFailures: 0, heartbeatTimeouts: 0, trades: 0, bookResyncs: 0,
+    lastTickAt: 0, lastHeartbeatAt: 0, messages: Object.create(null),
+  };
+
+  const jitter = (ms) => Math.round(ms * (0.8 + 0.4 * random()));
+  const backoff = (base, max, n) => jitter(Math.min(max, base * 2 ** Math.max(0, n - 1)));
+
+  function send(sock, frames) {
+    for (const f of frames) sock.send(JSON.stringify(f));
+  }
+
+  async function subscribeInBatches(sock, list, build = adapter.subscribeMessages) {
+    for (let i = 0; i < list.length; i += batchSize) {
+      if (sock.readyState !== WebSocket.OPEN) return;
+      send(sock, build(list.slice(i, i + batchSize)));
+      await new Promise(r => setTimeout(r, batchDelayMs));
+    }
+  }
+
+  const isOpen = () => ws && ws.readyState === WebSocket.OPEN;
+
+  function subscriptionFailed(pair, error) {
+    stats.subFailures++;
+    if (!pair || !subscribed.has(pair)) {
+      console.warn(`${adapter.name} sub status`, pair, error);
+      return;
+    }
+    const attempts = (subRetries.get(pair) || 0) + 1;
+    subRetries.set(pair, attempts);
+    resubPending.add(pair);
+    const delay = backoff(resubscribeBaseMs, resubscribeMaxMs, attempts);
+    console.warn(`${adapter.name} sub status`, pair, error, `(retry #${attempts} in ${Math.round(delay / 1000)}s)`);
+    if (resubTimer) return;
+    resubTimer = setTimeout(() => {
+      resubTimer = null;
+      const list = [...resubPending];
+      resubPending.clear();
+      if (isOpen() && list.length) subscribeInBatches(ws, list);
+    }, delay);
+  }
+
+  // one onTrades call per pair, in frame order
+  function deliverTrades(trades) {
+    const byPair = new Map();
+    for (const t of trades) {
+      if (!subscribed.has(t.pair)) continue;
+      if (!byPair.has(t.pair)) byPair.set(t.pair, []);
+      byPair.get(t.pair).push(t);
+    }
+    for (const [pair, list] of byPair) {
+      stats.trades += list.length;
+      onTrades(pairKey(adapter.id, pair), list);
+    }
+  }
+
+  function deliverBooks(books) {
+    for (const b of books) {
+      if (!subscribed.has(b.pair)) continue;
+      if (onBook(pairKey(adapter.id, b.pair), b) !== false || !adapter.resyncBookMessages) continue;
+      stats.bookResyncs++;
+      console.warn(`${adapter.name} book checksum mismatch for ${b.pair}, resubscribing`);
+      if (isOpen()) send(ws, adapter.resyncBookMessages([b.pair]));
+    }
+  }
+
+  function scheduleReconnect() {
+    failures++;
+    const delay = backoff(reconnectBaseMs, reconnectMaxMs, failures);
+    console.warn(`${adapter.name} closed. Reconnecting in ${(delay / 1000).toFixed(1)}s… (attempt ${failures})`);
+    stats.reconnects++;
+    retryTimer = setTimeout(connect, delay);
+  }
+
+  function connect() {
+    if (stopped) return;
+    const sock = ws = new WebSocket(adapter.wsUrl);
+    let healthy = false;
+    const beat = () => { stats.lastHeartbeatAt = Date.now(); };
+
+    sock.on('open', async () => {
+      console.log(`${adapter.name} open. Subscribing:`, subscribed.size, 'pairs');
+      beat();
+      clearInterval(watchdog);
+      watchdog = setInterval(() => {
+        if (Date.now() - stats.lastHeartbeatAt <= timeoutMs) return;
+        stats.heartbeatTimeouts++;
+        console.warn(`${adapter.name} no heartbeat for ${Math.round(timeoutMs / 1000)}s, forcing reconnect`);
+        sock.terminate();
+      }, Math.max(250, Math.round(timeoutMs / 4)));
+      // a fresh connection subscribes everything; pending retries are moot
+      clearTimeout(resubTimer);
+      resubTimer = null;
+      resubPending.clear();
+      if (adapter.openMessages) send(sock, adapter.openMessages());
+      await subscribeInBatches(sock, [...subscribed]);
+    });
+    sock.on('ping', beat);
+    sock.on('message', (buf) => {
+      stats.frames++;
+      beat();
+      try {
+        const raw = buf.toString();
+        const obj = JSON.parse(raw);
+        if (onFrame) onFrame(raw);
+        const msg = adapter.parse(obj);
+        if (!msg) return;
+        if (msg.type === 'subscription') {
+          if (!msg.ok) subscriptionFailed(msg.pair, msg.error);
+          else if (msg.pair) subRetries.delete(msg.pair);
+          return;
+        }
+        // any market data or heartbeat: this connection works
+        if (!healthy) {
+          healthy = true;
+          failures = 0;
+        }
+        if (msg.type === 'trades') {
+          if (onTrades) deliverTrades(msg.trades);
+          return;
+        }
+        if (msg.type === 'book') {
+          if (onBook) deliverBooks(msg.books);
+          return;
+        }
+        if (msg.type !== 'ticker') return;
+        stats.lastTickAt = Date.now();
+        for (const t of msg.tickers) {
+          if (!subscribed.has(t.pair)) continue; // in flight when it was removed
+          const key = pairKey(adapter.id, t.pair);
+          stats.messages[key] = (stats.messages[key] || 0) + 1;
+          onTicker(key, t);
+        }
+      } catch (e) {
+        stats.parseErrors++;
+        console.error(`${adapter.name} parse err`, e.message);
+      }
+    });
+    sock.on('close', () => {
+      if (ws === sock) clearInterval(watchdog);
+      if (stopped) return;
+      scheduleReconnect();
+    });
+    sock.on('error', (e) => {
+      console.error(`${adapter.name} error`, e.message);
+      try { sock.close(); } catch {}
+    });
+  }
+
+  return {
+    adapter,
+    stats,
+    /** Venue pair names currently subscribed. */
+    get pairs() { return [...subscribed]; },
+    start: connect,
+    /**
+     * Subscribe more pairs now (if connected) and on every reconnect.
+     * @param {string[]} list
+     * @returns {string[]} The pairs that weren't subscribed yet.
+     */
+    add(list) {
+      const fresh = list.filter(p => !subscribed.has(p));
+      for (const p of fresh) subscribed.add(p);
+      if (fresh.length && isOpen()) subscribeInBatches(ws, fresh);
+      return fresh;
+    },
+    /**
+     * Unsubscribe pairs; their tickers are ignored from now on.
+     * @param {string[]} list
+     * @returns {string[]} The pairs that were subscribed.
+     */
+    remove(list) {
+      const gone = list.filter(p => subscribed.has(p));
+      for (const p of gone) {
+        subscribed.delete(p);
+        subRetries.delete(p);
+        resubPending.delete(p);
+      }
+      if (gone.length && isOpen() && adapter.unsubscribeMessages) subscribeInBatches(ws, gone, adapter.unsubscribeMessages);
+      return gone;
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(retryTimer);
+      clearTimeout(resubTimer);
+      clearInterval(watchdog);
+      if (ws) { try { ws.terminate(); } catch {} }
+    },
+  };
+}
+
+/**
+ * Compare a fresh discovery against what a feed is subscribed to.
+ * New listings are pairs no earlier discovery has seen, so pairs removed by
+ * hand don't come back; `known` is null when there was no earlier discovery.
+ * @param {object} opts
+ * @param {string[]} opts.current - Subscribed venue pairs.
+ * @param {Set<string>|null} opts.known - Pairs returned by the previous discovery.
+ * @param {string[]} opts.discovered - Pairs returned now (uncapped).
+ * @param {number} opts.max - Subscription cap for the feed.
+ * @param {Set<string>} [opts.keep] - Pairs that are never dropped (added by hand, maybe another quote).
+ * @returns {{added: string[], removed: string[]}}
+ */
+function diffListings({ current, known, discovered, max, keep = new Set() }) {
+  const listed = new Set(discovered);
+  const have = new Set(current);
+  const removed = current.filter(p => !listed.has(p) && !keep.has(p));
+  const room = Math.max(0, max - (current.length - removed.length));
+  const added = discovered.filter(p => !have.has(p) && !(known && known.has(p))).slice(0, room);
+  return { added, removed };
+}
+
+module.exports = {
+  EXCHANGE_TYPES,
+  createExchange,
+  createFeed,
+  diffListings,
+  ...require('./keys'),
+};
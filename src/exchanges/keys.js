@@ -0,0 +1,57 @@
+// src/exchanges/keys.js  (CommonJS, used by index.js, rules, notifiers, history)
+// State is keyed by 'exchange:pair' ('kraken:XBT/USD', 'binance:BTC/USDT') so the
+// same coin on two venues never collides. The pair half is the venue's own name;
+// assetOf() normalizes the base asset (XBT -> BTC) so venues can be compared.
+
+const DEFAULT_EXCHANGE = 'kraken';
+
+// Venue-specific asset codes -> common ticker
+const ASSET_ALIASES = { XBT: 'BTC', XDG: 'DOGE' };
+
+function pairKey(exchange, pair) {
+  return `${exchange}:${pair}`;
+}
+
+/**
+ * 'binance:BTC/USDT' -> { exchange: 'binance', pair: 'BTC/USDT' }.
+ * Bare pairs (pre-adapter state, rules, URLs) are taken to be Kraken's.
+ * @param {string} key
+ * @returns {{exchange: string, pair: string}}
+ */
+function splitPairKey(key) {
+  const s = String(key);
+  const i = s.indexOf(':');
+  if (i < 0) return { exchange: DEFAULT_EXCHANGE, pair: s };
+  return { exchange: s.slice(0, i), pair: s.slice(i + 1) };
+}
+
+function normalizeAsset(asset) {
+  const a = String(asset || '').toUpperCase();
+  return ASSET_ALIASES[a] || a;
+}
+
+// 'kraken:XBT/USD' -> 'BTC'
+function assetOf(key) {
+  return normalizeAsset(splitPairKey(key).pair.split('/')[0]);
+}
+
+// 'kraken:XBT/USD' -> 'USD'
+function quoteOf(key) {
+  return normalizeAsset(splitPairKey(key).pair.split('/')[1]);
+}
+
+// Names a rule/filter may use for this key: the full key and the bare pair
+function pairNames(key) {
+  const s = String(key);
+  return s.includes(':') ? [s, splitPairKey(s).pair] : [s];
+}
+
+module.exports = {
+  DEFAULT_EXCHANGE,
+  pairKey,
+  splitPairKey,
+  normalizeAsset,
+  assetOf,
+  quoteOf,
+  pairNames,
+};
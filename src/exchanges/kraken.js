@@ -0,0 +1,64 @@
+// src/exchanges/kraken.js  (CommonJS, used by exchanges/index.js)
+// Kraken spot adapter. Frame encoding for WS v1/v2 lives in ../kraken.js.
+// With `trades` the 'trade' channel is joined next to 'ticker' for every pair,
+// with `book` (a depth) the 'book' channel too. On v2 the book also needs the
+// 'instrument' channel, whose price/qty precisions make its checksum verifiable.
+const axios = require('axios');
+const { KRAKEN_WS_URLS, subscribeMessage, unsubscribeMessage, instrumentSubscribeMessage, parseMessage } = require('../kraken');
+
+/**
+ * @param {object} [opts]
+ * @param {1|2} [opts.version] - WebSocket API version.
+ * @param {string} [opts.wsUrl]
+ * @param {string} [opts.restUrl]
+ * @param {boolean} [opts.trades] - Also subscribe to individual trades.
+ * @param {number} [opts.book] - Also subscribe to the order book at this depth (0 = off).
+ * @returns {object} Exchange adapter.
+ */
+function createKrakenAdapter({ version = 1, wsUrl, restUrl = 'https://api.kraken.com', trades = false, book = 0 } = {}) {
+  const channels = ['ticker', ...(trades ? ['trade'] : []), ...(book ? ['book'] : [])];
+  const precisions = {}; // v2: pair -> { pricePrecision, qtyPrecision }
+  return {
+    id: 'kraken',
+    name: `Kraken WS v${version}`,
+    version,
+    trades,
+    book,
+    heartbeatIntervalMs: 1000, // sent after 1s without other traffic
+    wsUrl: wsUrl || KRAKEN_WS_URLS[version],
+    restUrl,
+
+    // AssetPairs wsnames ending in /<quote> (one quote or a list)
+    async discoverPairs({ quote = 'USD', exclude = null, max = Infinity } = {}) {
+      const quotes = [].concat(quote);
+      const { data } = await axios.get(`${restUrl}/0/public/AssetPairs`, { timeout: 20000 });
+      if (!data || (data.error && data.error.length)) {
+        throw new Error(data?.error?.join(', ') || 'AssetPairs error');
+      }
+      let pairs = Object.values(data.result || {})
+        .map(x => x.wsname)
+        .filter(Boolean)
+        .filter(n => quotes.some(q => n.endsWith(`/${q}`)));
+      if (exclude) pairs = pairs.filter(p => !exclude.test(p));
+      pairs = Array.from(new Set(pairs));
+      return { total: pairs.length, pairs: pairs.slice(0, max) };
+    },
+
+    subscribeMessages: (pairs) => channels.map(ch => subscribeMessage(pairs, version, 'subscribe', ch, book)),
+    unsubscribeMessages: (pairs) => channels.map(ch => unsubscribeMessage(pairs, version, ch, book)),
+    // a fresh book snapshot after a checksum mismatch
+    resyncBookMessages: (pairs) => [
+      unsubscribeMessage(pairs, version, 'book', book),
+      subscribeMessage(pairs, version, 'subscribe', 'book', book),
+    ],
+    ...(version === 2 && book ? { openMessages: () => [instrumentSubscribeMessage()] } : {}),
+    parse(obj) {
+      const msg = parseMessage(obj, version, precisions);
+      if (msg?.type !== 'instrument') return msg;
+      for (const { pair, ...p } of msg.instruments) precisions[pair] = p;
+      return null;
+    },
+  };
+}
+
+module.exports = { createKrakenAdapter };
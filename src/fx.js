@@ -0,0 +1,79 @@
+// src/fx.js  (CommonJS, used by engine.js)
+// Cross rates from the tickers we already receive: every 'BASE/QUOTE' last
+// price is a rate, so SOL/EUR can be valued in USD through EUR/USD, or through
+// BTC (BTC/EUR + BTC/USD) when no direct pair is monitored. Assets are
+// normalized (XBT -> BTC) so rates from any venue line up.
+const { splitPairKey, normalizeAsset } = require('./exchanges/keys');
+
+// Stablecoins count as their peg only while no live rate is available
+const DEFAULT_PEGS = { USDT: 'USD', USDC: 'USD' };
+
+/**
+ * @param {object} [opts]
+ * @param {Object<string, string>} [opts.pegs] - { ASSET: 'PEGGED_TO' } fallbacks.
+ * @returns {{update: Function, rate: Function, convert: Function, size: () => number}}
+ */
+function createFxTable({ pegs = DEFAULT_PEGS } = {}) {
+  const prices = new Map(); // 'BTC/USD' -> last price
+  const assets = new Set(Object.entries(pegs).flat());
+
+  function direct(from, to) {
+    if (from === to) return 1;
+    const p = prices.get(`${from}/${to}`);
+    if (p > 0) return p;
+    const q = prices.get(`${to}/${from}`);
+    if (q > 0) return 1 / q;
+    if (pegs[from] === to || pegs[to] === from) return 1;
+    return null;
+  }
+
+  /**
+   * Units of `to` per unit of `from`, direct or through one intermediate asset.
+   * @param {string} from
+   * @param {string} to
+   * @returns {number|null} null when the table can't connect the two yet.
+   */
+  function rate(from, to) {
+    const a = normalizeAsset(from), b = normalizeAsset(to);
+    const d = direct(a, b);
+    if (d !== null) return d;
+    for (const via of assets) {
+      if (via === a || via === b) continue;
+      const x = direct(a, via);
+      if (x === null) continue;
+      const y = direct(via, b);
+      if (y !== null) return x * y;
+    }
+    return null;
+  }
+
+  return {
+    /**
+     * Record a last price for an 'exchange:pair' key (or bare 'BASE/QUOTE').
+     * @param {string} key
+     * @param {number} price
+     */
+    update(key, price) {
+      if (!(price > 0)) return;
+      const [base, quote] = splitPairKey(key).pair.split('/').map(normalizeAsset);
+      if (!base || !quote) return;
+      prices.set(`${base}/${quote}`, price);
+      assets.add(base);
+      assets.add(quote);
+    },
+    rate,
+    /**
+     * @param {number} amount
+     * @param {string} from
+     * @param {string} to
+     * @returns {number|null}
+     */
+    convert(amount, from, to) {
+      const r = rate(from, to);
+      return r === null ? null : amount * r;
+    },
+    size: () => prices.size,
+  };
+}
+
+module.exports = { DEFAULT_PEGS, createFxTable };
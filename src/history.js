@@ -0,0 +1,173 @@
+// src/history.js  (CommonJS, used by index.js)
+// Builds downsampled per-pair series from daybuf (minute samples) and buf
+// (tick-level diffs) for /api/history/:pair.
+const { splitPairKey } = require('./exchanges/keys');
+
+const RESOLUTIONS = { '1m': 60, '5m': 300, '15m': 900, '1h': 3600 };
+const METRICS = ['price', 'vol24', 'vol24Pct', 'price24Pct', 'diffPct'];
+const AGGREGATES = ['last', 'avg', 'min', 'max'];
+
+// 'XBT/USD', 'xbt-usd', 'XBT_USD', 'XBTUSD' -> 'XBTUSD'
+function normalizePairKey(s) {
+  return String(s || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Find the subscribed pair matching a URL param, tolerant of separators.
+ * 'kraken:XBT-USD' picks that venue; a bare 'XBT-USD' takes the first venue listing it.
+ * @param {string} param
+ * @param {string[]} pairs - 'exchange:pair' keys.
+ * @returns {string|null}
+ */
+function resolvePairParam(param, pairs) {
+  if (pairs.includes(param)) return param;
+  const key = normalizePairKey(param);
+  return pairs.find(p => normalizePairKey(p) === key)
+    || pairs.find(p => normalizePairKey(splitPairKey(p).pair) === key)
+    || null;
+}
+
+// '90m' | '6h' | '1d' -> seconds
+function parseDuration(s) {
+  const m = /^(\d+(?:\.\d+)?)\s*([smhd])$/i.exec(String(s).trim());
+  if (!m) return NaN;
+  const mult = { s: 1, m: 60, h: 3600, d: 86400 }[m[2].toLowerCase()];
+  return Math.round(Number(m[1]) * mult);
+}
+
+// accepts unix seconds or ms
+function parseTime(v) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return NaN;
+  return n > 1e12 ? Math.floor(n / 1000) : Math.floor(n);
+}
+
+/**
+ * Validate query params: from, to, range (e.g. '6h'), res (1m|5m|15m|1h),
+ * metrics (comma list), agg (last|avg|min|max), format (rows|columns).
+ * @param {object} query - req.query
+ * @param {number} nowSec
+ * @param {number} defaultRangeSec
+ * @returns {{from: number, to: number, resolution: string, resSec: number, metrics: string[], agg: string, format: string}}
+ * @throws {Error} with a user-facing message on bad input.
+ */
+function parseHistoryQuery(query, nowSec, defaultRangeSec) {
+  const resolution = query.res || query.resolution || '1m';
+  const resSec = RESOLUTIONS[resolution];
+  if (!resSec) throw new Error(`res must be one of ${Object.keys(RESOLUTIONS).join(', ')}`);
+
+  const metrics = query.metrics ? String(query.metrics).split(',').map(s => s.trim()).filter(Boolean) : METRICS;
+  const unknown = metrics.filter(m => !METRICS.includes(m));
+  if (unknown.length) throw new Error(`unknown metrics: ${unknown.join(', ')}`);
+
+  const agg = query.agg || 'last';
+  if (!AGGREGATES.includes(agg)) throw new Error(`agg must be one of ${AGGREGATES.join(', ')}`);
+
+  const format = query.format || 'rows';
+  if (format !== 'rows' && format !== 'columns') throw new Error('format must be rows or columns');
+
+  const to = query.to !== undefined ? parseTime(query.to) : nowSec;
+  let from;
+  if (query.from !== undefined) from = parseTime(query.from);
+  else {
+    const range = query.range !== undefined ? parseDuration(query.range) : defaultRangeSec;
+    from = to - range;
+  }
+  if (!Number.isFinite(from) || !Number.isFinite(to)) throw new Error('bad from/to/range');
+  if (from > to) throw new Error('from must be <= to');
+
+  return { from, to, resolution, resSec, metrics, agg, format };
+}
+
+// latest daybuf index with ts <= target (binary search; daybuf is sorted)
+function indexAtOrBefore(daybuf, target) {
+  let lo = 0, hi = daybuf.length - 1, found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (daybuf[mid].ts <= target) { found = mid; lo = mid + 1; } else hi = mid - 1;
+  }
+  return found;
+}
+
+// Minute sample + its lookback comparison (same math as computeFromTicker)
+function derivedPoint(daybuf, i, lookbackSec, maxSkewSec) {
+  const e = daybuf[i];
+  const pt = { ts: e.ts, price: e.price, vol24: e.vol24, vol24Pct: null, price24Pct: null, diffPct: null };
+  const target = e.ts - lookbackSec;
+  const j = indexAtOrBefore(daybuf, target);
+  if (j >= 0 && target - daybuf[j].ts <= maxSkewSec) {
+    const ref = daybuf[j];
+    pt.vol24Pct = ((e.vol24 - ref.vol24) / Math.max(1e-9, ref.vol24 || 0)) * 100;
+    pt.price24Pct = ((e.price - ref.price) / Math.max(1e-9, ref.price || 0)) * 100;
+    pt.diffPct = pt.vol24Pct - pt.price24Pct;
+  }
+  return pt;
+}
+
+function reduce(values, agg) {
+  if (!values.length) return null;
+  switch (agg) {
+    case 'avg': return values.reduce((a, b) => a + b, 0) / values.length;
+    case 'min': return Math.min(...values);
+    case 'max': return Math.max(...values);
+    default: return values[values.length - 1];
+  }
+}
+
+/**
+ * Build a downsampled series for one pair.
+ * daybuf supplies every metric per minute; buf supplies tick-level diffPct
+ * (the last ~10m), which is folded into the same buckets.
+ * @param {object} S - perPair state ({ daybuf, buf }).
+ * @param {object} q - Output of parseHistoryQuery().
+ * @param {object} opts
+ * @param {number} opts.lookbackSec
+ * @param {number} opts.maxSkewSec
+ * @returns {{points: object[]}|{columns: object}}
+ */
+function buildHistory(S, q, { lookbackSec, maxSkewSec }) {
+  const { from, to, resSec, metrics, agg, format } = q;
+  const buckets = new Map(); // bucketTs -> { metric: [values] }
+
+  const add = (ts, field, v) => {
+    if (v === null || v === undefined || !Number.isFinite(v) || !metrics.includes(field)) return;
+    const b = Math.floor(ts / resSec) * resSec;
+    let slot = buckets.get(b);
+    if (!slot) buckets.set(b, (slot = {}));
+    (slot[field] ||= []).push(v);
+  };
+
+  const daybuf = S.daybuf || [];
+  for (let i = Math.max(0, indexAtOrBefore(daybuf, from - 1) + 1); i < daybuf.length && daybuf[i].ts <= to; i++) {
+    const pt = derivedPoint(daybuf, i, lookbackSec, maxSkewSec);
+    for (const m of METRICS) add(pt.ts, m, pt[m]);
+  }
+  for (const e of S.buf || []) {
+    if (e.ts >= from && e.ts <= to) add(e.ts, 'diffPct', e.diff);
+  }
+
+  const points = [...buckets.keys()].sort((a, b) => a - b).map(ts => {
+    const slot = buckets.get(ts);
+    const pt = { ts };
+    for (const m of metrics) pt[m] = reduce(slot[m] || [], agg);
+    return pt;
+  });
+
+  if (format === 'columns') {
+    const columns = { ts: points.map(p => p.ts) };
+    for (const m of metrics) columns[m] = points.map(p => p[m]);
+    return { columns };
+  }
+  return { points };
+}
+
+module.exports = {
+  RESOLUTIONS,
+  METRICS,
+  normalizePairKey,
+  resolvePairParam,
+  parseDuration,
+  parseTime,
+  parseHistoryQuery,
+  buildHistory,
+};
@@ -5,520 +5,768 @@ const path = require('path');
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
-const WebSocket = require('ws');
-const axios = require('axios');
+const { serializeState, restoreState, saveStateFile, saveStateFileSync, loadStateFile } = require('./persistence');
+const { fetchOHLC, createFixtureFetcher, reconstructSamples, mergeSamples, backfillPairs } = require('./backfill');
+const { RESOLUTIONS, METRICS: HISTORY_METRICS, resolvePairParam, parseHistoryQuery, buildHistory } = require('./history');
+const { createRuleStore } = require('./rules');
+const { createChannel, channelsFromEnv, loadChannelsFile, createNotifier } = require('./notifiers');
+const { createDeliveryQueue } = require('./delivery-queue');
+const { parseAlertQuery, createAlertStore } = require('./alert-store');
+const { createLiveHub } = require('./live');
+const { createDashboardStore } = require('./dashboard-store');
+const { SESSION_COOKIE, requiredRole, hasRole, originAllowed, createAuth } = require('./auth');
+const { createAuditLog } = require('./audit-log');
+const { splitPairKey } = require('./exchanges');
+const { engineConfig, ruleDefaults } = require('./engine');
+const { createMonitor } = require('./monitor');
+const { EXCHANGE_DEFAULTS, createConfig } = require('./config');
+const { createRecorder } = require('./recorder');
+const { CONTENT_TYPE, createRegistry } = require('./metrics');
 
 // ================== ENV / CONFIG ==================
-const PORT                      = Number(process.env.PORT || 3000);
-const RANK_MODE                 = (process.env.RANK_MODE || 'ratio');   // 'ratio' | 'vol'
-const RATE_WINDOW_SEC           = Number(process.env.RATE_WINDOW_SEC || 60); // short-term slope window (sec)
-
-// 24h-style lookback (you can shorten for warm-up/testing, e.g. 6)
-const LOOKBACK_HOURS            = Number(process.env.LOOKBACK_HOURS || 24);
-const DAYBUF_RES_SEC            = Number(process.env.DAYBUF_RES_SEC || 60); // 1 entry per minute
-const DAYBUF_KEEP_HRS           = Math.max(LOOKBACK_HOURS + 2, 26);        // keep ~26h
-
-// Alerting (step alerts can be fully disabled)
-const ALERT_DIFF_THRESHOLD_PCT  = Number(process.env.ALERT_DIFF_THRESHOLD_PCT || 5);     // base, e.g. 5%
-const ALERT_LEVEL_STEP_PCT      = Number(process.env.ALERT_LEVEL_STEP_PCT || 1.25);      // steps, e.g. 1.25%
-const ALERT_MIN_INTERVAL_SEC    = Number(process.env.ALERT_MIN_INTERVAL_SEC || 300);     // per-coin cool-down
-const ALERT_MIN_MS              = ALERT_MIN_INTERVAL_SEC * 1000;
-const STEP_ALERTS_ENABLED       = `${process.env.STEP_ALERTS_ENABLED || 'true'}`.toLowerCase() === 'true';
-
-// Digest (anti-spam)
-const DIGEST_EVERY_SEC          = Number(process.env.DIGEST_EVERY_SEC || 300);
-const DIGEST_TOP_N              = Number(process.env.DIGEST_TOP_N || 10);
-const DIGEST_MIN_ABS_DELTA_PCT  = Number(process.env.DIGEST_MIN_ABS_DELTA_PCT || 3);     // ignore tiny moves
-const DIGEST_INCLUDE_LOSERS     = `${process.env.DIGEST_INCLUDE_LOSERS || 'true'}`.toLowerCase() === 'true';
-const DIGEST_WINDOW_SEC         = Number(process.env.DIGEST_WINDOW_SEC || 300);          // e.g., 5m sustained avg
-const DIGEST_STREAK_CROWN_MIN   = Number(process.env.DIGEST_STREAK_CROWN_MIN || 2);      // consecutive digests
-const DIGEST_CROWN_WINDOW_SEC   = Number(process.env.DIGEST_CROWN_WINDOW_SEC || 3600);   // hits window for 👑
-
-// Slack/web
-const SLACK_WEBHOOK_URL         = process.env.SLACK_WEBHOOK_URL || '';
-const PAPER                     = `${process.env.PAPER || 'true'}`.toLowerCase() !== 'false'; // not used here
-
-// Pair selection
-// - If KRAKEN_WS_PAIRS is "ALL", auto-discover pairs via REST.
-// - Else, use provided comma-list.
-const KRAKEN_WS_PAIRS_RAW       = process.env.KRAKEN_WS_PAIRS || 'SOL/USD,XBT/USD,ETH/USD,SUI/USD';
-const KRAKEN_QUOTE              = process.env.KRAKEN_QUOTE || 'USD';
-const MAX_SUBSCRIBE_PAIRS       = Number(process.env.MAX_SUBSCRIBE_PAIRS || 300);
-const SUB_BATCH_SIZE            = Number(process.env.SUB_BATCH_SIZE || 25);
-const SUB_BATCH_DELAY_MS        = Number(process.env.SUB_BATCH_DELAY_MS || 600);
-const EXCLUDE_REGEX_STR         = process.env.KRAKEN_EXCLUDE_REGEX || ''; // e.g. '(USDT|EUR)'
-const EXCLUDE_REGEX             = EXCLUDE_REGEX_STR ? new RegExp(EXCLUDE_REGEX_STR) : null;
+// Every setting is declared, typed and documented in src/config.js (env vars over CONFIG_FILE
+// over defaults). Bad values stop the boot here with the full list of problems.
+const CONFIG_FILE               = process.env.CONFIG_FILE || path.join(__dirname, '..', 'data', 'config.yaml');
+const config = createConfig({ env: process.env, file: CONFIG_FILE, onChange: (c) => applyConfig(c) });
+try {
+  config.load();
+} catch (e) {
+  console.error(e.problems ? e.message : `Config file ${CONFIG_FILE}: ${e.message}`);
+  process.exit(1);
+}
+for (const w of config.warnings()) console.warn(`Config: ${w}`);
+const CFG = config.values();
+
+const PORT                      = CFG.PORT;
+const HOST                      = CFG.HOST;
+const HEALTH_STALE_SEC          = CFG.HEALTH_STALE_SEC;
+
+// Engine settings (RANK_MODE, LOOKBACK_*, ALERT_*, DIGEST_*, TRADE_*, BOOK_*); the hot ones are
+// swapped into the running engine by applyConfig()
+const ENGINE_CONFIG             = engineConfig(CFG);
+const LOOKBACK_HOURS            = ENGINE_CONFIG.lookbackHours;
+const DAYBUF_RES_SEC            = ENGINE_CONFIG.daybufResSec;
+const DAYBUF_KEEP_HRS           = ENGINE_CONFIG.daybufKeepHrs;
+
+// Persistence (checkpoint daybuf + alert state so restarts don't reset the lookback)
+const STATE_PERSIST_ENABLED     = CFG.STATE_PERSIST_ENABLED;
+const STATE_FILE                = CFG.STATE_FILE;
+const STATE_SAVE_EVERY_SEC      = CFG.STATE_SAVE_EVERY_SEC;
+
+// Boot backfill (seed daybuf from REST OHLC candles)
+const BACKFILL_ENABLED          = CFG.BACKFILL_ENABLED;
+const BACKFILL_INTERVAL_MIN     = CFG.BACKFILL_INTERVAL_MIN;
+const BACKFILL_CONCURRENCY      = CFG.BACKFILL_CONCURRENCY;
+const BACKFILL_BATCH_DELAY_MS   = CFG.BACKFILL_BATCH_DELAY_MS;
+const BACKFILL_FIXTURE_DIR      = CFG.BACKFILL_FIXTURE_DIR;
+
+// Raw frame recorder (replay with `npm run replay -- data/recordings`)
+const RECORD_ENABLED            = CFG.RECORD_ENABLED;
+const RECORD_DIR                = CFG.RECORD_DIR;
+const RECORD_MAX_MB             = CFG.RECORD_MAX_MB;
+const RECORD_MAX_FILES          = CFG.RECORD_MAX_FILES;
+
+// Per-pair/group rule overrides (JSON or YAML, hot-reloaded; see rules.example.yaml)
+const RULES_FILE                = CFG.RULES_FILE;
+
+// Notifications/web
+const NOTIFIERS_FILE            = CFG.NOTIFIERS_FILE;
+const NOTIFY_QUEUE_FILE         = CFG.NOTIFY_QUEUE_FILE;
+const NOTIFY_MAX_ATTEMPTS       = CFG.NOTIFY_MAX_ATTEMPTS;
+const NOTIFY_RETRY_BASE_MS      = CFG.NOTIFY_RETRY_BASE_MS;
+const NOTIFY_RETRY_MAX_MS       = CFG.NOTIFY_RETRY_MAX_MS;
+const NOTIFY_DEAD_LETTER_MAX    = CFG.NOTIFY_DEAD_LETTER_MAX;
+
+// Alert history (src/alert-store.js): every alert/digest, with price follow-through
+const ALERT_HISTORY_ENABLED     = CFG.ALERT_HISTORY_ENABLED;
+const ALERT_HISTORY_FILE        = CFG.ALERT_HISTORY_FILE;
+const ALERT_HISTORY_MAX         = CFG.ALERT_HISTORY_MAX;
+const ALERT_FOLLOW_HORIZONS     = CFG.ALERT_FOLLOW_HORIZONS;
+const PAPER                     = CFG.PAPER;
+const LIVE_UPDATE_SEC           = CFG.LIVE_UPDATE_SEC;
+const DASHBOARD_FILE            = CFG.DASHBOARD_FILE;
+
+// Access control (src/auth.js): API keys + login sessions, viewer/admin roles on /api/* and Socket.IO
+const AUTH_ENABLED              = CFG.AUTH_ENABLED;
+const AUTH_FILE                 = CFG.AUTH_FILE;
+const AUTH_SESSION_HOURS        = CFG.AUTH_SESSION_HOURS;
+const AUTH_COOKIE_SECURE        = CFG.AUTH_COOKIE_SECURE;
+const AUDIT_LOG_FILE            = CFG.AUDIT_LOG_FILE;
+const CORS_ORIGINS              = CFG.CORS_ORIGINS.map(s => s.replace(/\/+$/, ''));
+
+// Exchanges (src/exchanges): state is keyed 'exchange:pair', e.g. 'kraken:XBT/USD', 'binance:BTC/USDT'
+const EXCHANGES                 = CFG.EXCHANGES;
+const MAX_SUBSCRIBE_PAIRS       = CFG.MAX_SUBSCRIBE_PAIRS;
+const SUB_BATCH_SIZE            = CFG.SUB_BATCH_SIZE;
+const SUB_BATCH_DELAY_MS        = CFG.SUB_BATCH_DELAY_MS;
+// Feed watchdog: silent sockets are torn down, reconnects and rejected subscriptions retry with backoff
+const WS_HEARTBEAT_TIMEOUT_SEC  = CFG.WS_HEARTBEAT_TIMEOUT_SEC;
+const WS_RECONNECT_BASE_MS      = CFG.WS_RECONNECT_BASE_MS;
+const WS_RECONNECT_MAX_MS       = CFG.WS_RECONNECT_MAX_MS;
+const WS_RESUBSCRIBE_BASE_SEC   = CFG.WS_RESUBSCRIBE_BASE_SEC;
+const KRAKEN_WS_VERSION         = CFG.KRAKEN_WS_VERSION;
+const KRAKEN_TRADES_ENABLED     = CFG.KRAKEN_TRADES_ENABLED;
+const KRAKEN_BOOK_ENABLED       = CFG.KRAKEN_BOOK_ENABLED;
+const PAIR_REDISCOVER_MIN       = CFG.PAIR_REDISCOVER_MIN;
+const LISTING_ALERTS_ENABLED    = CFG.LISTING_ALERTS_ENABLED;
+const KRAKEN_REST_URL           = CFG.KRAKEN_REST_URL;
+
+// Pair selection per exchange (<X> = KRAKEN | BINANCE | COINBASE)
+// - If <X>_WS_PAIRS is "ALL", auto-discover pairs quoted in <X>_QUOTE via REST (comma list, e.g. USD,EUR,USDT,XBT).
+// - Else, use provided comma-list (venue names: XBT/USD on Kraken, BTC/USDT on Binance, BTC/USD on Coinbase).
+// - <X>_EXCLUDE_REGEX drops discovered pairs, e.g. '(USDT|EUR)'. <X>_WS_URL / <X>_REST_URL override endpoints.
+function exchangeConfig(id) {
+  const X = id.toUpperCase();
+  const exclude = CFG[`${X}_EXCLUDE_REGEX`];
+  const list = (s) => s.split(',').map(p => p.trim()).filter(Boolean);
+  const pairsRaw = CFG[`${X}_WS_PAIRS`].trim();
+  return {
+    pairs: pairsRaw.toUpperCase() === 'ALL' ? 'ALL' : list(pairsRaw),
+    fallback: list(EXCHANGE_DEFAULTS[id]?.pairs || ''),
+    quotes: CFG[`${X}_QUOTE`].map(s => s.toUpperCase()),
+    exclude: exclude ? new RegExp(exclude) : null,
+    adapter: {
+      wsUrl: CFG[`${X}_WS_URL`] || undefined,
+      restUrl: CFG[`${X}_REST_URL`] || undefined,
+      version: KRAKEN_WS_VERSION,
+      trades: id === 'kraken' && KRAKEN_TRADES_ENABLED,
+      book: id === 'kraken' && KRAKEN_BOOK_ENABLED ? ENGINE_CONFIG.bookDepth : 0,
+    },
+  };
+}
 
 // ================== EXPRESS + SOCKET.IO ==================
 const app = express();
 const server = http.createServer(app);
-const io = new Server(server, { cors: { origin: '*' } });
+const io = new Server(server, {
+  cors: { origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS, credentials: !CORS_ORIGINS.includes('*') },
+  // CORS doesn't cover WebSocket upgrades, so check Origin on every handshake too
+  allowRequest: (req, cb) => cb(null, originAllowed(CORS_ORIGINS, req.headers.origin, req.headers.host)),
+});
+
+// Cross-origin API calls only from CORS_ORIGINS
+app.use((req, res, next) => {
+  const origin = req.headers.origin;
+  if (!origin || !CORS_ORIGINS.length || !originAllowed(CORS_ORIGINS, origin, req.headers.host)) return next();
+  res.vary('Origin');
+  res.set('Access-Control-Allow-Origin', CORS_ORIGINS.includes('*') ? '*' : origin);
+  if (!CORS_ORIGINS.includes('*')) res.set('Access-Control-Allow-Credentials', 'true');
+  if (req.method !== 'OPTIONS') return next();
+  res.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+  res.status(204).end();
+});
 
 const frontendDistPath = path.join(__dirname, 'dist');
 app.use(express.static(frontendDistPath));
+app.use(express.json());
 
-app.get('/healthz', (_req, res) => res.type('text/plain').send('ok'));
+// Rules/dashboard/auth errors: validation -> 400, others carry their own status (401, 409, 429)
+function sendStoreError(res, e) {
+  res.status(e.status || 400).json({ error: e.message });
+}
 
-let WS_PAIRS = []; // set during boot (env or discovery)
-let discoveredInfo = { total: 0, using: 0, quote: KRAKEN_QUOTE };
+// ================== AUTH ==================
+const auth = createAuth({ file: AUTH_FILE, sessionTtlSec: AUTH_SESSION_HOURS * 3600 });
+const audit = createAuditLog({ file: AUDIT_LOG_FILE });
+// auth off: everyone is an admin, but admin actions are still audited
+const ANONYMOUS = { name: null, role: 'admin', via: 'none' };
+const PUBLIC_API = new Set(['/auth/login', '/auth/logout', '/auth/me']);
 
-app.get('/api/pairs', (_req, res) => {
-  res.json({
-    mode: (KRAKEN_WS_PAIRS_RAW.trim().toUpperCase() === 'ALL' ? 'auto' : 'env'),
-    quote: KRAKEN_QUOTE,
-    totalDiscovered: discoveredInfo.total,
-    subscribed: discoveredInfo.using,
-    pairs: WS_PAIRS,
-  });
+function auditAction(req, action, status, body = req.body) {
+  const p = req.principal || {};
+  audit.record({ actor: p.name ?? null, role: p.role, via: p.via, action, status, ip: req.ip, body });
+}
+
+// Every /api/* call: who is it (key header or session cookie), and may they do this?
+app.use('/api', (req, res, next) => {
+  req.principal = AUTH_ENABLED ? auth.authenticate({ headers: req.headers }) : ANONYMOUS;
+  if (PUBLIC_API.has(req.path)) return next();
+  if (!req.principal) return res.status(401).json({ error: 'authentication required' });
+  const role = requiredRole(req.method);
+  if (!hasRole(req.principal, role)) return res.status(403).json({ error: `${role} role required` });
+  if (role === 'admin') res.on('finish', () => auditAction(req, `${req.method} ${req.originalUrl}`, res.statusCode));
+  next();
 });
 
-function pct(n) { return Number.isFinite(n) ? Math.round(n * 100) / 100 : 0; }
-function nonneg(n, eps = 1e-9) { return Math.max(eps, n || 0); }
+// For admin-only reads
+function requireAdmin(req, res, next) {
+  return hasRole(req.principal, 'admin') ? next() : res.status(403).json({ error: 'admin role required' });
+}
 
-// Accept either {vol24Pct, price24Pct} OR legacy names {volVelPct, priceChangePct}
-function momentumScore(s) {
-  const price = Number(s.price24Pct ?? s.priceChangePct ?? 0);
-  const vol   = Number(s.vol24Pct   ?? s.volVelPct      ?? 0);
-  const denom = Math.max(0.0001, Math.abs(price));
-  return vol / denom;
+function sessionCookie(token, maxAgeSec) {
+  return [
+    `${SESSION_COOKIE}=${token}`, 'Path=/', 'HttpOnly', 'SameSite=Strict', `Max-Age=${maxAgeSec}`,
+    ...(AUTH_COOKIE_SECURE ? ['Secure'] : []),
+  ].join('; ');
 }
 
-// ================== STATE ==================
-/*
- perPair[pair] = {
-   last: { ts, price, avg24, vol24 },
-   // minute-resolution history for ~26h
-   daybuf: [{ ts, vol24, price }, ...],
-   lastMinuteBucket: 0,
-   // latest 24h-comparative percentages
-   vol24Pct: 0,
-   price24Pct: 0,
-   diffPct: 0,
-   // short buffer for slope + digest (~10m+)
-   buf: [{ ts, diff: number }...],
-   // alerts/digest meta
-   alert: { level: 0, lastAt: 0, hits: 0, hitsWindowStart: 0 },
-   digestStreak: 0
- }
-*/
-const perPair = Object.create(null);
+// Body: { username, password } -> session cookie
+app.post('/api/auth/login', (req, res) => {
+  if (!AUTH_ENABLED) return res.status(404).json({ error: 'auth is disabled (AUTH_ENABLED=false)' });
+  const { username, password } = req.body || {};
+  try {
+    const s = auth.login(username, password, req.ip);
+    req.principal = s.principal;
+    auditAction(req, 'login', 200, null);
+    res.set('Set-Cookie', sessionCookie(s.token, Math.round(AUTH_SESSION_HOURS * 3600)));
+    res.json({ name: s.principal.name, role: s.principal.role, expiresAt: s.expiresAt });
+  } catch (e) {
+    audit.record({ actor: typeof username === 'string' ? username.slice(0, 64) : null, action: 'login', status: e.status || 400, ip: req.ip });
+    sendStoreError(res, e);
+  }
+});
 
-// ================== SNAPSHOT ==================
-function currentSnapshot() {
-  const pairs = {};
-  for (const p of WS_PAIRS) {
-    const S = perPair[p];
-    if (!S || !S.last) continue;
-    const vol24Pct = pct(S.vol24Pct);
-    const price24Pct = pct(S.price24Pct);
-    const diffPct = pct(S.diffPct);
-    pairs[p] = {
-      ts: S.last.ts,
-      price: S.last.price,
-      avg24: S.last.avg24,     // passthrough (not used in calc)
-      vol24: S.last.vol24,
-      // Keep legacy field names so UI keeps working, but values are 24h-based now:
-      volVelPct: vol24Pct,         // === 24h volume % vs previous 24h
-      priceChangePct: price24Pct,  // === price % vs 24h ago
-      diffPct,
-      ratio: Number(momentumScore({ vol24Pct, price24Pct }).toFixed(2)),
-    };
+app.post('/api/auth/logout', (req, res) => {
+  if (auth.logout(req.principal)) {
+    auditAction(req, 'logout', 204, null);
+    // sockets opened with this session go too
+    for (const s of io.sockets.sockets.values()) if (s.data.principal?.session === req.principal.session) s.disconnect(true);
   }
+  res.set('Set-Cookie', sessionCookie('', 0));
+  res.status(204).end();
+});
 
-  const ranked = Object.entries(pairs)
-    .sort((a, b) => {
-      const av = a[1], bv = b[1];
-      const as = (RANK_MODE === 'ratio') ? momentumScore(av) : av.volVelPct;
-      const bs = (RANK_MODE === 'ratio') ? momentumScore(bv) : bv.volVelPct;
-      return bs - as;
-    })
-    .map(([k]) => k);
+app.get('/api/auth/me', (req, res) => {
+  const p = req.principal;
+  res.json({ enabled: AUTH_ENABLED, user: p && AUTH_ENABLED ? { name: p.name, role: p.role, via: p.via } : null });
+});
 
-  return {
-    ts: Math.floor(Date.now() / 1000),
-    meta: {
-      rankMode: RANK_MODE,
-      quote: KRAKEN_QUOTE,
-      subscribed: WS_PAIRS.length,
-      lookbackHours: LOOKBACK_HOURS
-    },
-    pairs,
-    top: ranked.slice(0, 5),
-  };
-}
+// /api/audit?limit=50&actor=alice  (newest first)
+app.get('/api/audit', requireAdmin, (req, res) => {
+  const limit = Math.min(1000, Math.max(1, Number(req.query.limit) || 100));
+  res.json(audit.recent({ limit, actor: req.query.actor || undefined }));
+});
 
-app.get('/api/snapshot', (_req, res) => res.json(currentSnapshot()));
+// Socket.IO: same credentials, via the session cookie or handshake auth { token: <API key> }
+io.use((socket, next) => {
+  const principal = AUTH_ENABLED
+    ? auth.authenticate({ headers: socket.handshake.headers, token: socket.handshake.auth?.token })
+    : ANONYMOUS;
+  if (!principal) return next(new Error('unauthorized'));
+  socket.data.principal = principal;
+  next();
+});
 
-// Final SPA fallback (keep AFTER routes & static)
-app.use((_req, res) => {
-  res.sendFile(path.join(frontendDistPath, 'index.html'));
+// Readiness: every started feed must have delivered a first ticker, and another within HEALTH_STALE_SEC
+app.get('/healthz', (_req, res) => {
+  const { starting, stale } = feedReadiness();
+  if (starting.length) return res.status(503).type('text/plain').send(`starting: ${starting.join(', ')}`);
+  if (stale.length) return res.status(503).type('text/plain').send(`stale: ${stale.join(', ')}`);
+  res.type('text/plain').send('ok');
 });
 
-io.on('connection', (socket) => {
-  socket.emit('hello', { ok: true, ts: Date.now() });
+app.get('/api/pairs', (_req, res) => {
+  res.json({ exchanges: monitor.exchangeInfo, pairs: monitor.pairs() });
 });
 
-// ================== SLACK ==================
-async function slack(text, blocks) {
-  if (!SLACK_WEBHOOK_URL) return;
-  try {
-    await axios.post(SLACK_WEBHOOK_URL, blocks ? { text, blocks } : { text });
-  } catch (e) {
-    console.error('Slack error', e.message);
+// Body: { pairs: ['kraken:FOO/USD', 'binance:FOO/USDT', 'FOO/USD' (= kraken)] }
+function pairsByVenue(body) {
+  const list = Array.isArray(body) ? body : body?.pairs;
+  if (!Array.isArray(list) || !list.length) throw new Error('pairs must be a non-empty array');
+  const byId = {};
+  const rejected = [];
+  for (const item of list) {
+    const { exchange, pair } = splitPairKey(String(item).trim());
+    const id = exchange.toLowerCase();
+    const name = pair.toUpperCase();
+    if (!monitor.exchanges[id]) rejected.push({ pair: item, error: `exchange ${id} is not enabled` });
+    else if (!/^[A-Z0-9.]+\/[A-Z0-9.]+$/.test(name)) rejected.push({ pair: item, error: 'expected BASE/QUOTE' });
+    else (byId[id] = byId[id] || []).push(name);
   }
+  return { byId, rejected };
 }
 
-// ================== COMPUTATION ==================
-function ensureState(pair) {
-  if (!perPair[pair]) {
-    perPair[pair] = {
-      last: null,
-      daybuf: [],
-      lastMinuteBucket: 0,
-      vol24Pct: 0,
-      price24Pct: 0,
-      diffPct: 0,
-      buf: [],
-      alert: { level: 0, lastAt: 0, hits: 0, hitsWindowStart: 0 },
-      digestStreak: 0
-    };
-  }
-  return perPair[pair];
-}
+app.post('/api/pairs', (req, res) => {
+  let parsed;
+  try { parsed = pairsByVenue(req.body); } catch (e) { return res.status(400).json({ error: e.message }); }
+  const added = Object.entries(parsed.byId).flatMap(([id, pairs]) => monitor.addPairs(id, pairs));
+  res.json({ added, rejected: parsed.rejected, pairs: monitor.pairs() });
+});
 
-function pushMinuteSample(S, ts, vol24, price) {
-  const bucket = Math.floor(ts / DAYBUF_RES_SEC);
-  if (S.lastMinuteBucket === bucket) return;
-  S.lastMinuteBucket = bucket;
+app.delete('/api/pairs', (req, res) => {
+  let parsed;
+  try { parsed = pairsByVenue(req.body); } catch (e) { return res.status(400).json({ error: e.message }); }
+  const removed = Object.entries(parsed.byId).flatMap(([id, pairs]) => monitor.removePairs(id, pairs));
+  res.json({ removed, rejected: parsed.rejected, pairs: monitor.pairs() });
+});
 
-  S.daybuf.push({ ts, vol24, price });
+// ================== SNAPSHOT ==================
+app.get('/api/snapshot', (_req, res) => res.json(monitor.snapshot()));
 
-  // trim to ~DAYBUF_KEEP_HRS
-  const keepSec = DAYBUF_KEEP_HRS * 3600;
-  const cutoff = ts - keepSec;
-  while (S.daybuf.length && S.daybuf[0].ts < cutoff) S.daybuf.shift();
-}
+// /api/history/kraken:XBT%2FUSD?range=24h&res=5m&metrics=price,diffPct  (also accepts XBT-USD / XBTUSD → first venue)
+app.get('/api/history/:pair', (req, res) => {
+  const pair = resolvePairParam(req.params.pair, monitor.pairs());
+  if (!pair || !engine.perPair[pair]) return res.status(404).json({ error: `unknown pair ${req.params.pair}` });
 
-// find sample ~LOOKBACK_HOURS ago (choose the latest <= target)
-function sampleAtLookback(S, ts) {
-  if (!S.daybuf.length) return null;
-  const target = ts - LOOKBACK_HOURS * 3600;
-  // linear scan backward (minute spacing, ~1440 steps worst-case)
-  for (let i = S.daybuf.length - 1; i >= 0; i--) {
-    if (S.daybuf[i].ts <= target) return S.daybuf[i];
+  let q;
+  try {
+    q = parseHistoryQuery(req.query, Math.floor(Date.now() / 1000), LOOKBACK_HOURS * 3600);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
   }
-  return null;
-}
 
-// short-term slope for trend (~last 2–3 samples of diffPct)
-function recentSlope(S) {
-  const n = S.buf.length;
-  if (n < 2) return 0;
-  const a = S.buf[Math.max(0, n - 3)];
-  const b = S.buf[n - 1];
-  const d = (b.diff - (a.diff ?? 0));
-  const dt = Math.max(1, b.ts - a.ts);
-  return d / dt; // % per second
-}
+  const series = buildHistory(engine.perPair[pair], q, {
+    lookbackSec: LOOKBACK_HOURS * 3600,
+    maxSkewSec: ENGINE_CONFIG.lookbackMaxSkewSec,
+  });
+  res.json({ pair, from: q.from, to: q.to, resolution: q.resolution, agg: q.agg, metrics: q.metrics, ...series });
+});
 
-function computeFromTicker(pair, ts, vol24, price, avg24) {
-  const S = ensureState(pair);
+// Current level, last alert and cool-down for a pair under its effective rule
+app.get('/api/alert-state/:pair', (req, res) => {
+  const pair = resolvePairParam(req.params.pair, monitor.pairs());
+  if (!pair || !engine.perPair[pair]) return res.status(404).json({ error: `unknown pair ${req.params.pair}` });
+  res.json({ pair, ...engine.alertState(pair) });
+});
 
-  // keep minute-resolution history for ~26h
-  pushMinuteSample(S, ts, vol24, price);
+// Server settings the dashboard renders with (no secrets)
+app.get('/api/meta', (_req, res) => {
+  const C = engine.config; // hot settings may have been reloaded
+  res.json({
+    exchanges: EXCHANGES,
+    paper: PAPER,
+    rankMode: C.rankMode,
+    alertMode: C.alertMode,
+    alertDefaults: ruleDefaults(C),
+    stepAlertsEnabled: C.stepAlertsEnabled,
+    rateWindowSec: C.rateWindowSec,
+    digestEverySec: C.digestEverySec,
+    lookbackHours: C.lookbackHours,
+    horizons: C.lookbackHorizons,
+    reportCurrency: C.reportCurrency,
+    minNotional: C.minNotional,
+    pairStaleSec: C.pairStaleSec,
+    history: { resolutions: Object.keys(RESOLUTIONS), metrics: HISTORY_METRICS, maxRangeSec: C.daybufKeepHrs * 3600 },
+    alertFollowHorizons: ALERT_FOLLOW_HORIZONS,
+    liveUpdateSec: LIVE_UPDATE_SEC,
+  });
+});
 
-  // Need a lookback sample to compute true 24h style comparisons
-  const ref = sampleAtLookback(S, ts);
-  if (!ref) {
-    // not enough history yet; still update 'last' so UI shows price etc.
-    S.last = { ts, vol24, price, avg24 };
-    return;
-  }
+// Effective settings, where each came from (env, file, default) and what waits for a restart; secrets redacted
+app.get('/api/config', (_req, res) => res.json(config.describe()));
 
-  // 24h-volume % vs previous 24h window
-  const vol24Pct = ((vol24 - ref.vol24) / nonneg(ref.vol24)) * 100;
+// ================== WATCHLISTS / SAVED VIEWS ==================
+const dashboard = createDashboardStore({ file: DASHBOARD_FILE });
 
-  // price % vs 24h-ago price
-  const price24Pct = ((price - ref.price) / nonneg(ref.price)) * 100;
+app.get('/api/watchlists', (_req, res) => res.json(dashboard.watchlists()));
+app.put('/api/watchlists/:name', (req, res) => {
+  const pairs = Array.isArray(req.body) ? req.body : req.body?.pairs;
+  try { res.json({ name: req.params.name, pairs: dashboard.setWatchlist(req.params.name, pairs) }); } catch (e) { sendStoreError(res, e); }
+});
+app.delete('/api/watchlists/:name', (req, res) => {
+  try {
+    return dashboard.removeWatchlist(req.params.name) ? res.status(204).end() : res.status(404).json({ error: 'not found' });
+  } catch (e) { sendStoreError(res, e); }
+});
 
-  const diffPct = vol24Pct - price24Pct;
+app.get('/api/views', (_req, res) => res.json(dashboard.views()));
+app.get('/api/views/:id', (req, res) => {
+  const view = dashboard.getView(req.params.id);
+  return view ? res.json(view) : res.status(404).json({ error: 'not found' });
+});
+app.put('/api/views/:id', (req, res) => {
+  try {
+    const { view, created } = dashboard.putView(req.params.id, req.body);
+    res.status(created ? 201 : 200).json(view);
+  } catch (e) { sendStoreError(res, e); }
+});
+app.delete('/api/views/:id', (req, res) => {
+  try {
+    return dashboard.removeView(req.params.id) ? res.status(204).end() : res.status(404).json({ error: 'not found' });
+  } catch (e) { sendStoreError(res, e); }
+});
 
-  S.last = { ts, vol24, price, avg24 };
-  S.vol24Pct = vol24Pct;
-  S.price24Pct = price24Pct;
-  S.diffPct = diffPct;
+// ================== RULES ==================
+// Fallbacks follow ALERT_MODE: diffPct in %, or anomalyZ in σ
+const rules = createRuleStore({
+  file: RULES_FILE,
+  defaults: ruleDefaults(ENGINE_CONFIG),
+  horizons: ENGINE_CONFIG.lookbackHorizons,
+});
 
-  // short buffer (~10m+) used for trend + digest
-  const HORIZON_SEC = Math.max(RATE_WINDOW_SEC * 10, 600);
-  S.buf.push({ ts, diff: diffPct });
-  while (S.buf.length && ts - S.buf[0].ts > HORIZON_SEC) S.buf.shift();
+app.get('/api/rules', (_req, res) => res.json(rules.list()));
+app.get('/api/rules/resolve/:pair', (req, res) => res.json(rules.resolve(req.params.pair)));
+app.get('/api/rules/:id', (req, res) => {
+  const r = rules.get(req.params.id);
+  return r ? res.json(r) : res.status(404).json({ error: 'not found' });
+});
+app.post('/api/rules', (req, res) => {
+  try { res.status(201).json(rules.create(req.body)); } catch (e) { sendStoreError(res, e); }
+});
+app.put('/api/rules/:id', (req, res) => {
+  try {
+    const r = rules.update(req.params.id, req.body);
+    return r ? res.json(r) : res.status(404).json({ error: 'not found' });
+  } catch (e) { sendStoreError(res, e); }
+});
+app.delete('/api/rules/:id', (req, res) => {
+  try {
+    return rules.remove(req.params.id) ? res.status(204).end() : res.status(404).json({ error: 'not found' });
+  } catch (e) { sendStoreError(res, e); }
+});
+app.put('/api/rules/tags/:tag', (req, res) => {
+  const pairs = Array.isArray(req.body) ? req.body : req.body?.pairs;
+  try { res.json({ tag: req.params.tag, pairs: rules.setTag(req.params.tag, pairs) }); } catch (e) { sendStoreError(res, e); }
+});
+app.delete('/api/rules/tags/:tag', (req, res) => {
+  try {
+    return rules.removeTag(req.params.tag) ? res.status(204).end() : res.status(404).json({ error: 'not found' });
+  } catch (e) { sendStoreError(res, e); }
+});
 
-  maybeAlert(pair);
-}
+// Clients subscribe to a view and get deltas (src/live.js)
+const liveHub = createLiveHub({ io, snapshot: () => monitor.snapshot(), pairs: () => monitor.pairs() });
 
-// ================== ALERTS (1.25% steps, both directions) ==================
-function quantizeLevel(diffPct) {
-  const ad = Math.abs(diffPct);
-  if (ad < ALERT_DIFF_THRESHOLD_PCT) return 0;
-  const stepsAbove = Math.floor((ad - ALERT_DIFF_THRESHOLD_PCT) / ALERT_LEVEL_STEP_PCT) + 1; // 5→1, 6.25→2…
-  const level = ALERT_DIFF_THRESHOLD_PCT + (stepsAbove - 1) * ALERT_LEVEL_STEP_PCT;
-  return Math.round(level * Math.sign(diffPct) * 100) / 100;
+io.on('connection', (socket) => {
+  liveHub.attach(socket);
+  socket.emit('hello', { ok: true, ts: Date.now() });
+});
+
+// ================== NOTIFIERS ==================
+// Slack / Discord / Telegram / webhook / SMTP, each with its own routing filter (src/notifiers)
+function buildNotifier() {
+  let configs = [];
+  try {
+    // sink vars may come from CONFIG_FILE too; "${VAR}" in a channels file can use any env var
+    const env = { ...process.env, ...CFG };
+    configs = NOTIFIERS_FILE ? loadChannelsFile(NOTIFIERS_FILE, env) : channelsFromEnv(env);
+  } catch (e) {
+    console.error('Notifier config error:', e.message);
+  }
+  const channels = [];
+  for (const cfg of configs) {
+    try { channels.push(createChannel(cfg)); }
+    catch (e) { console.error('Notifier config error:', e.message); }
+  }
+  if (channels.length) console.log('Notifiers:', channels.map(c => `${c.name}(${c.events.join('/')})`).join(', '));
+  else console.warn('No notifiers configured; alerts and digests will not be sent anywhere');
+  return createNotifier(channels, { queue: deliveryQueue });
 }
 
-function maybeAlert(pair) {
-  const S = perPair[pair];
-  if (!S || !S.last) return;
+// Every notification goes through the durable queue (ordered per channel, 429/backoff aware)
+const deliveryQueue = createDeliveryQueue({
+  file: NOTIFY_QUEUE_FILE,
+  send: (channel, payload) => notifier.send(channel, payload),
+  maxAttempts: NOTIFY_MAX_ATTEMPTS,
+  baseDelayMs: NOTIFY_RETRY_BASE_MS,
+  maxDelayMs: NOTIFY_RETRY_MAX_MS,
+  deadLetterMax: NOTIFY_DEAD_LETTER_MAX,
+});
+const notifier = buildNotifier();
 
-  const diffNow = pct(S.diffPct);
-  const newLevel = quantizeLevel(diffNow);
-  const a = (S.alert ||= { level: 0, lastAt: 0, hits: 0, hitsWindowStart: 0 });
-  const prevLevel = a.level;
-  const now = Date.now();
+app.get('/api/notifications/pending', (_req, res) => res.json(deliveryQueue.pending()));
+app.get('/api/notifications/failed', (_req, res) => res.json(deliveryQueue.failed()));
+app.post('/api/notifications/failed/:id/retry', (req, res) => {
+  return deliveryQueue.retryFailed(req.params.id) ? res.status(202).json({ ok: true }) : res.status(404).json({ error: 'not found' });
+});
+app.delete('/api/notifications/failed', (_req, res) => res.json({ cleared: deliveryQueue.clearFailed() }));
+
+// ================== ALERT HISTORY ==================
+const alertStore = createAlertStore({
+  file: ALERT_HISTORY_ENABLED ? ALERT_HISTORY_FILE : '',
+  maxEntries: ALERT_HISTORY_MAX,
+  horizons: ALERT_FOLLOW_HORIZONS,
+  priceAt: (pair, tsSec) => engine.priceAt(pair, tsSec),
+});
 
-  // Count virtual step hits for crown logic
-  if (newLevel !== prevLevel && newLevel !== 0) {
-    if (!a.hitsWindowStart || (now - a.hitsWindowStart) > DIGEST_CROWN_WINDOW_SEC * 1000) {
-      a.hitsWindowStart = now; a.hits = 0;
-    }
-    a.hits++;
+// /api/alerts?type=step&pair=XBT/USD&minLevel=10&from=1718000000&limit=50  (newest first)
+app.get('/api/alerts', (req, res) => {
+  try {
+    res.json(alertStore.list(parseAlertQuery(req.query)));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
   }
-
-  // If step alerts are disabled, just record state and bail
-  if (!STEP_ALERTS_ENABLED) { a.level = newLevel; a.lastAt = now; return; }
-
-  // (Live alerts path)
-  if (newLevel === prevLevel) return;
-  if (now - a.lastAt < ALERT_MIN_MS) return;
-
-  if (newLevel === 0 && prevLevel !== 0) {
-    const emoji = prevLevel > 0 ? '🟢🔕' : '🔴🔕';
-    slack(
-      `${emoji} ${pair}: diff back *below ${ALERT_DIFF_THRESHOLD_PCT.toFixed(2)}%* (now ${pct(diffNow)}%).\n` +
-      `• Vol24% ${pct(S.vol24Pct)} • Price24% ${pct(S.price24Pct)}`
-    );
-    a.level = 0;
-    a.lastAt = now;
-    return;
+});
+app.get('/api/alerts/stats', (req, res) => {
+  try {
+    res.json(alertStore.stats(parseAlertQuery(req.query)));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
   }
+});
+app.get('/api/alerts/:id', (req, res) => {
+  const entry = alertStore.get(req.params.id);
+  return entry ? res.json(entry) : res.status(404).json({ error: 'not found' });
+});
 
-  const delta = Math.round((newLevel - prevLevel) * 100) / 100;
-  const dir = delta > 0 ? 'UP' : 'DOWN';
-  const arrow = delta > 0 ? '⬆️' : '⬇️';
-  const rank = Math.min(5, Math.floor((Math.abs(newLevel) - ALERT_DIFF_THRESHOLD_PCT) / ALERT_LEVEL_STEP_PCT) + 1);
-  const flames = newLevel > 0 ? '🔥'.repeat(rank) : '🧊'.repeat(rank);
-  const perMin = pct(recentSlope(S) * 60); // %/min
+function recordAlert(event) {
+  const entry = alertStore.record(event);
+  if (entry) io.emit('alert', entry);
+}
 
-  slack(
-    `${flames} ${pair}: ${arrow} ${dir} ${Math.abs(delta).toFixed(2)}% to **${Math.abs(newLevel).toFixed(2)}% diff**\n` +
-    `• Vol24% ${pct(S.vol24Pct)} • Price24% ${pct(S.price24Pct)} • Diff ${pct(diffNow)} • ~${perMin}%/min`
-  );
+// follow-through comes due a minute at a time; clients get the filled-in entry again
+setInterval(() => {
+  for (const entry of alertStore.updateFollowThrough(Date.now())) io.emit('alert:update', entry);
+}, 60 * 1000);
+
+// ================== MONITOR ==================
+// Feeds, pair management, rediscovery and the digest timer around the engine live in
+// src/monitor.js (the library entry point); the server only listens to its events
+const recorder = RECORD_ENABLED ? createRecorder({
+  dir: RECORD_DIR,
+  maxBytes: RECORD_MAX_MB * 1024 * 1024,
+  maxFiles: RECORD_MAX_FILES,
+  feeds: () => Object.fromEntries(monitor.feeds.map(f => [f.adapter.id, { version: f.adapter.version, pairs: f.pairs }])),
+}) : null;
+
+const monitor = createMonitor({
+  config: ENGINE_CONFIG,
+  rules,
+  exchanges: Object.fromEntries(EXCHANGES.map(id => [id, exchangeConfig(id)])),
+  maxSubscribePairs: MAX_SUBSCRIBE_PAIRS,
+  rediscoverMin: PAIR_REDISCOVER_MIN,
+  feed: {
+    batchSize: SUB_BATCH_SIZE,
+    batchDelayMs: SUB_BATCH_DELAY_MS,
+    heartbeatTimeoutMs: WS_HEARTBEAT_TIMEOUT_SEC * 1000,
+    reconnectBaseMs: WS_RECONNECT_BASE_MS,
+    reconnectMaxMs: WS_RECONNECT_MAX_MS,
+    resubscribeBaseMs: WS_RESUBSCRIBE_BASE_SEC * 1000,
+  },
+  onFrame: recorder ? (id, raw) => recorder.record(id, raw) : undefined,
+});
+const { engine } = monitor;
+const { perPair, ensureState } = engine;
 
-  a.level = newLevel;
-  a.lastAt = now;
+for (const type of ['alert', 'recovery', 'digest']) {
+  monitor.on(type, (event) => {
+    notifier.notify(event);
+    recordAlert(event);
+  });
 }
+if (LISTING_ALERTS_ENABLED) monitor.on('listing', (event) => notifier.notify(event));
+// pairs added at runtime (POST /api/pairs, new listings) get their lookback from OHLC too
+monitor.on('pairs', ({ added }) => {
+  if (BACKFILL_ENABLED && added.length) backfillLookback(added).catch(e => console.error('Backfill error', e.message));
+});
 
-// ================== DIGEST: winners + losers + crowns ==================
-function avgDeltaOverWindow(S, nowSec, winSec) {
-  if (!S || !S.buf || S.buf.length === 0) return 0;
-  const t0 = nowSec - winSec;
-  let sum = 0, cnt = 0;
-  for (let i = S.buf.length - 1; i >= 0; i--) {
-    const e = S.buf[i]; if (!e) continue;
-    if (e.ts < t0) break;
-    sum += (e.diff ?? 0); cnt++;
+// CONFIG_FILE hot reload (src/config.js): thresholds, digests and rank mode change in place;
+// feeds, per-pair state and open sockets are left alone
+function applyConfig({ values, changed }) {
+  monitor.updateConfig(engineConfig(values));
+  rules.setDefaults(ruleDefaults(engine.config));
+  if (changed.includes('LOOKBACK_HORIZONS')) {
+    const stale = rules.setHorizons(engine.config.lookbackHorizons);
+    if (stale.length) console.warn(`Rules ${stale.join(', ')} use a horizon that is no longer in LOOKBACK_HORIZONS; fix or remove them`);
   }
-  return cnt ? (sum / cnt) : 0;
 }
 
-function emojiForRank(i, isLoser = false) {
-  if (isLoser) return ['🧊❄️','🧊','🧊','🥶','🥶','🧊','🧊','🧊','🧊','🧊'][i] || '🧊';
-  return ['👑🚀🔥','🚀🔥','🚀','✨','✨','⭐','⭐','•','•','•'][i] || '•';
-}
+// Push view deltas every LIVE_UPDATE_SEC
+setInterval(() => liveHub.tick(), LIVE_UPDATE_SEC * 1000);
 
-function buildLine(i, pair, stats, isLoser) {
-  const mark = emojiForRank(i, isLoser);
-  const crown = stats.crowned ? ' 👑' : '';
-  const arrow = stats.trendPerMin >= 0 ? '↗︎' : '↘︎';
-  return `${mark}${crown} ${i+1}) ${pair} — avgΔ=${pct(stats.avgDelta)}% ` +
-         `(vol24=${pct(stats.vPct)}%, price24=${pct(stats.pPct)}%, trend ~${pct(stats.trendPerMin)}%/min ${arrow})`;
+// ================== BACKFILL (REST OHLC) ==================
+// Pairs whose daybuf can't serve the lookback yet (fresh boot, or holes from downtime)
+function needsBackfill(S, nowSec) {
+  if (!S.daybuf.length) return true;
+  if (S.daybuf[0].ts > nowSec - LOOKBACK_HOURS * 3600) return true;
+  return S.daybuf.some(e => e.gapSec);
 }
 
-function sendDigest() {
-  const nowSec = Math.floor(Date.now()/1000);
-  const rows = [];
+// OHLC backfill is Kraken-only for now; other venues warm up from live ticks
+async function backfillLookback(pairs) {
+  const nowSec = Math.floor(Date.now() / 1000);
+  const todo = pairs
+    .filter(p => splitPairKey(p).exchange === 'kraken')
+    .filter(p => needsBackfill(ensureState(p), nowSec));
+  if (!todo.length) return;
 
-  for (const pair of WS_PAIRS) {
-    const S = perPair[pair]; if (!S || !S.last) continue;
-
-    const vPct = (S.vol24Pct !== undefined) ? S.vol24Pct : 0;
-    const pPct = (S.price24Pct !== undefined) ? S.price24Pct : 0;
-    const avgD = avgDeltaOverWindow(S, nowSec, DIGEST_WINDOW_SEC);
-    if (!Number.isFinite(avgD)) continue;
-
-    const slope = recentSlope(S), perMin = slope * 60;
-
-    const crownedByHits =
-      (S.alert?.hits || 0) >= 2 &&
-      (Date.now() - (S.alert?.hitsWindowStart || 0) < DIGEST_CROWN_WINDOW_SEC*1000);
+  const intervalSec = BACKFILL_INTERVAL_MIN * 60;
+  const keepSec = DAYBUF_KEEP_HRS * 3600;
+  // candles must start a full volume window before the oldest sample we want
+  const since = nowSec - keepSec - 24 * 3600;
+  const fetchPair = BACKFILL_FIXTURE_DIR
+    ? createFixtureFetcher(BACKFILL_FIXTURE_DIR)
+    : (pair) => fetchOHLC(pair, { baseUrl: KRAKEN_REST_URL, intervalMin: BACKFILL_INTERVAL_MIN, since });
+  const fetchCandles = (key) => fetchPair(splitPairKey(key).pair);
+
+  console.log(`Backfilling lookback for ${todo.length} pairs from OHLC (${BACKFILL_INTERVAL_MIN}m candles)…`);
+  const { ok, failed } = await backfillPairs(todo, {
+    fetchCandles,
+    concurrency: BACKFILL_CONCURRENCY,
+    batchDelayMs: BACKFILL_BATCH_DELAY_MS,
+    onPair: (pair, candles) => {
+      const S = ensureState(pair);
+      const toSec = Math.floor(Date.now() / 1000);
+      const samples = reconstructSamples(candles, {
+        intervalSec, resSec: DAYBUF_RES_SEC, fromSec: toSec - keepSec, toSec,
+      });
+      S.daybuf = mergeSamples(S.daybuf, samples, DAYBUF_RES_SEC);
+      const last = S.daybuf[S.daybuf.length - 1];
+      if (last) S.lastMinuteBucket = Math.max(S.lastMinuteBucket, Math.floor(last.ts / DAYBUF_RES_SEC));
+    },
+  });
+  console.log(`Backfill done: ${ok.length} ok, ${failed.length} failed`);
+  for (const f of failed) console.warn('Backfill failed', f.pair, f.error);
+}
 
-    rows.push([pair, {
-      vPct, pPct,
-      avgDelta: avgD,
-      trendPerMin: perMin,
-      crowned: crownedByHits || (S.digestStreak >= DIGEST_STREAK_CROWN_MIN)
-    }]);
+// ================== PERSISTENCE ==================
+function restoreFromDisk() {
+  if (!STATE_PERSIST_ENABLED) return;
+  try {
+    const data = loadStateFile(STATE_FILE);
+    if (!data) return;
+    const n = restoreState(data, {
+      ensureState,
+      nowSec: Math.floor(Date.now() / 1000),
+      keepSec: DAYBUF_KEEP_HRS * 3600,
+      pairs: monitor.pairs(),
+    });
+    const ageMin = Math.round((Date.now() - data.savedAt) / 60000);
+    console.log(`Restored state for ${n} pairs from ${STATE_FILE} (saved ${ageMin}m ago)`);
+  } catch (e) {
+    console.error('State restore failed:', e.message);
   }
+}
 
-  // Filter out tiny moves
-  const filtered = rows.filter(([_p,s]) => Math.abs(s.avgDelta) >= DIGEST_MIN_ABS_DELTA_PCT);
-  if (!filtered.length) return;
-
-  // Winners & Losers
-  const winners = filtered
-    .filter(([_p,s]) => s.avgDelta >= 0)
-    .sort((a,b) => b[1].avgDelta - a[1].avgDelta)
-    .slice(0, DIGEST_TOP_N);
-
-  const losers = DIGEST_INCLUDE_LOSERS ? filtered
-    .filter(([_p,s]) => s.avgDelta < 0)
-    .sort((a,b) => a[1].avgDelta - b[1].avgDelta)
-    .slice(0, DIGEST_TOP_N) : [];
-
-  // Update digest streaks
-  const included = new Set([...winners, ...losers].map(([p]) => p));
-  for (const p of WS_PAIRS) {
-    const S = perPair[p]; if (!S) continue;
-    if (included.has(p)) S.digestStreak = (S.digestStreak || 0) + 1;
-    else S.digestStreak = 0;
+let checkpointBusy = false;
+async function checkpoint() {
+  if (!STATE_PERSIST_ENABLED || checkpointBusy) return;
+  checkpointBusy = true;
+  try {
+    await saveStateFile(STATE_FILE, serializeState(perPair));
+  } catch (e) {
+    console.error('State save failed:', e.message);
+  } finally {
+    checkpointBusy = false;
   }
+}
 
-  // Build Slack text
-  const title = `🧭 Kraken Volume • ${Math.round(DIGEST_WINDOW_SEC/60)}m digest • Top ${DIGEST_TOP_N} winners & losers (sustained Δ = vol24% - price24%)`;
-  const lines = [];
-  if (winners.length) {
-    lines.push(`*Winners*`);
-    winners.forEach(([_p,s],i) => lines.push(buildLine(i, _p, s, false)));
+function shutdown(signal) {
+  console.log(`${signal} received, saving state…`);
+  if (STATE_PERSIST_ENABLED) {
+    try { saveStateFileSync(STATE_FILE, serializeState(perPair)); }
+    catch (e) { console.error('State save failed:', e.message); }
   }
-  if (losers.length) {
-    lines.push(`\n*Losers*`);
-    losers.forEach(([_p,s],i) => lines.push(buildLine(i, _p, s, true)));
+  if (ALERT_HISTORY_ENABLED) {
+    try { alertStore.flushSync(); }
+    catch (e) { console.error('Alert history save failed:', e.message); }
   }
+  if (recorder) recorder.close();
+  process.exit(0);
+}
 
-  slack(`${title}\n${lines.join('\n')}`);
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
+
+// ================== METRICS (Prometheus) ==================
+// Feeds not connected yet or without a first ticker are starting, not healthy
+function feedReadiness(now = Date.now()) {
+  if (!monitor.feeds.length) return { starting: ['no feeds running'], stale: [] };
+  const starting = [];
+  const stale = [];
+  for (const f of monitor.feeds) {
+    if (!f.stats.lastTickAt) {
+      starting.push(`${f.adapter.id} (no ticks yet)`);
+      continue;
+    }
+    const age = Math.round((now - f.stats.lastTickAt) / 1000);
+    if (age > HEALTH_STALE_SEC) stale.push(`${f.adapter.id} (no ticks for ${age}s)`);
+  }
+  return { starting, stale };
 }
 
-// fire digest every DIGEST_EVERY_SEC
-setInterval(sendDigest, Math.max(60, DIGEST_EVERY_SEC) * 1000);
+// { exchange, pair } labels for an 'exchange:pair' key
+const pairLabels = (key) => splitPairKey(key);
+const byChannel = (m) => Object.entries(m).map(([channel, v]) => [{ channel }, v]);
+const perFeed = (field) => () => monitor.feeds.map(f => [{ exchange: f.adapter.id }, f.stats[field]]);
+
+const metrics = createRegistry();
+metrics.counter('kvm_ws_frames_total', 'WebSocket frames received', perFeed('frames'));
+metrics.counter('kvm_ws_messages_total', 'Ticker updates received per pair',
+  () => monitor.feeds.flatMap(f => Object.entries(f.stats.messages).map(([k, n]) => [pairLabels(k), n])));
+metrics.counter('kvm_ws_parse_errors_total', 'Frames that failed to parse or process', perFeed('parseErrors'));
+metrics.counter('kvm_ws_reconnects_total', 'WebSocket reconnects', perFeed('reconnects'));
+metrics.counter('kvm_ws_subscription_failures_total', 'Rejected subscriptions', perFeed('subFailures'));
+metrics.counter('kvm_ws_heartbeat_timeouts_total', 'Sockets torn down by the heartbeat watchdog', perFeed('heartbeatTimeouts'));
+metrics.counter('kvm_ws_trades_total', 'Individual trades received (KRAKEN_TRADES_ENABLED)', perFeed('trades'));
+metrics.counter('kvm_ws_book_resyncs_total', 'Order books resubscribed after a checksum mismatch', perFeed('bookResyncs'));
+metrics.gauge('kvm_last_tick_age_seconds', 'Seconds since the last ticker per pair', () => {
+  const nowSec = Date.now() / 1000;
+  return monitor.pairs().filter(k => perPair[k]?.last).map(k => [pairLabels(k), Math.round(nowSec - perPair[k].last.ts)]);
+});
+metrics.gauge('kvm_daybuf_samples', 'Minute samples held per pair',
+  () => monitor.pairs().filter(k => perPair[k]).map(k => [pairLabels(k), perPair[k].daybuf.length]));
+metrics.gauge('kvm_book_spread_bps', 'Order book spread per pair (KRAKEN_BOOK_ENABLED)',
+  () => monitor.pairs().filter(k => perPair[k]?.book?.metrics).map(k => [pairLabels(k), Math.round(perPair[k].book.metrics.spreadBps * 100) / 100]));
+metrics.gauge('kvm_pairs_subscribed', 'Pairs subscribed across all exchanges', () => monitor.pairs().length);
+metrics.gauge('kvm_pairs_stale', 'Pairs without a ticker for PAIR_STALE_SEC (alerts paused)', () => monitor.pairs().filter(engine.isStale).length);
+metrics.gauge('kvm_pairs_lookback_ready', 'Pairs with a valid lookback reference', () => monitor.pairs().filter(engine.hasLookback).length);
+metrics.counter('kvm_alerts_sent_total', 'Step/recovery/burst/whale/liquidity alerts sent',
+  () => Object.entries(engine.stats.alertsSent).map(([type, n]) => [{ type }, n]));
+metrics.counter('kvm_alerts_suppressed_total', 'Alerts held back (cool-down, first tick after a stale gap, below MIN_NOTIONAL)',
+  () => Object.entries(engine.stats.alertsSuppressed).map(([reason, v]) => [{ reason }, v]));
+metrics.counter('kvm_digest_runs_total', 'Digest evaluations', () => engine.stats.digestRuns);
+metrics.counter('kvm_digests_sent_total', 'Digests with at least one mover', () => engine.stats.digestsSent);
+metrics.counter('kvm_notify_sent_total', 'Notifications delivered per channel', () => byChannel(deliveryQueue.stats().sent));
+metrics.counter('kvm_notify_failures_total', 'Failed delivery attempts per channel (incl. 429)', () => byChannel(deliveryQueue.stats().failures));
+metrics.counter('kvm_notify_dead_letters_total', 'Notifications given up on per channel', () => byChannel(deliveryQueue.stats().deadLetters));
+metrics.gauge('kvm_notify_queue_depth', 'Notifications waiting per channel', () => byChannel(deliveryQueue.pending()));
+metrics.gauge('kvm_alert_history_entries', 'Alerts and digests held in the alert history', () => alertStore.size());
+metrics.gauge('kvm_socketio_clients', 'Connected Socket.IO clients', () => io.engine.clientsCount);
+metrics.gauge('kvm_socketio_views', 'Distinct dashboard views (rooms) being updated', () => liveHub.stats().rooms);
+metrics.counter('kvm_socketio_deltas_total', 'View deltas sent', () => liveHub.stats().deltas);
+metrics.counter('kvm_socketio_resyncs_total', 'Full states resent after a client saw a sequence gap', () => liveHub.stats().resyncs);
+metrics.gauge('kvm_auth_sessions', 'Dashboard login sessions open', () => auth.stats().sessions);
+
+app.get('/metrics', (_req, res) => res.set('Content-Type', CONTENT_TYPE).send(metrics.render()));
 
-// Broadcast UI snapshots every 2s
-setInterval(() => { io.emit('snapshot', currentSnapshot()); }, 2000);
+// Final SPA fallback (keep AFTER routes & static)
+app.use((_req, res) => {
+  res.sendFile(path.join(frontendDistPath, 'index.html'));
+});
 
-// ================== KRAKEN WS ==================
-function krakenSubscribe(ws, pairs) {
-  ws.send(JSON.stringify({ event: 'subscribe', pair: pairs, subscription: { name: 'ticker' } }));
-}
+// ================== BOOT ==================
+(async () => {
+  await monitor.discover();
 
-async function subscribeInBatches(ws, pairs) {
-  const chunks = [];
-  for (let i = 0; i < pairs.length; i += SUB_BATCH_SIZE) {
-    chunks.push(pairs.slice(i, i + SUB_BATCH_SIZE));
-  }
-  for (const c of chunks) {
-    krakenSubscribe(ws, c);
-    await new Promise(r => setTimeout(r, SUB_BATCH_DELAY_MS));
+  try {
+    rules.load();
+    console.log(`Loaded ${rules.list().rules.length} alert rules from ${RULES_FILE}`);
+  } catch (e) {
+    console.error(`Rules file ${RULES_FILE} is invalid, using env defaults only: ${e.message}`);
   }
-}
+  rules.watch();
+  config.watch();
 
-function parseTickerMessage(msg) {
-  if (!Array.isArray(msg) || msg.length < 2 || typeof msg[1] !== 'object') return null;
-  const data = msg[1];
-  const maybe2 = typeof msg[2] === 'string' ? msg[2] : '';
-  const maybe3 = typeof msg[3] === 'string' ? msg[3] : '';
-  const pair = (maybe2.includes('/') ? maybe2 : (maybe3.includes('/') ? maybe3 : null));
-  if (!pair) return null;
-  const lastPrice = parseFloat(data.c?.[0] || '0');
-  const vol24 = parseFloat(data.v?.[1] || '0'); // 24h base volume (rolling)
-  const avg24 = parseFloat(data.p?.[1] || '0'); // 24h VWAP (not used in calc now)
-  return { pair, lastPrice, vol24, avg24 };
-}
+  try {
+    const n = dashboard.load();
+    if (n.watchlists || n.views) console.log(`Loaded ${n.watchlists} watchlists and ${n.views} saved views from ${DASHBOARD_FILE}`);
+  } catch (e) {
+    console.error(`Dashboard file ${DASHBOARD_FILE} is invalid, starting without watchlists/views: ${e.message}`);
+  }
 
-function startKraken(pairsToUse) {
-  const ws = new WebSocket('wss://ws.kraken.com/');
-  ws.on('open', async () => {
-    console.log('Kraken WS open. Subscribing:', pairsToUse.length, 'pairs');
-    await subscribeInBatches(ws, pairsToUse);
-  });
-  ws.on('message', (buf) => {
+  if (AUTH_ENABLED) {
     try {
-      const obj = JSON.parse(buf.toString());
-      if (obj.event) {
-        if (obj.event === 'heartbeat') return;
-        if (obj.event === 'subscriptionStatus') {
-          if (obj.status !== 'subscribed') console.warn('Sub status', obj);
-          return;
-        }
-        return;
-      }
-      const t = parseTickerMessage(obj);
-      if (!t) return;
-      const ts = Math.floor(Date.now() / 1000);
-      computeFromTicker(t.pair, ts, t.vol24, t.lastPrice, t.avg24);
+      const n = auth.load();
+      console.log(`Auth on: ${n.users} users and ${n.apiKeys} API keys from ${AUTH_FILE}`);
+      if (!n.users && !n.apiKeys) console.warn(`No users or API keys in ${AUTH_FILE}: /api/* and the dashboard will refuse everyone`);
     } catch (e) {
-      console.error('WS parse err', e.message);
+      console.error(`Auth file ${AUTH_FILE} is invalid, refusing all logins and keys: ${e.message}`);
     }
-  });
-  ws.on('close', () => {
-    console.warn('Kraken WS closed. Reconnecting in 3s…');
-    setTimeout(() => startKraken(pairsToUse), 3000);
-  });
-  ws.on('error', (e) => {
-    console.error('Kraken WS error', e.message);
-    try { ws.close(); } catch {}
-  });
-}
-
-// ================== DISCOVER ALL USD PAIRS (REST) ==================
-async function discoverAllPairs() {
+  } else if (!['127.0.0.1', 'localhost', '::1'].includes(HOST)) {
+    console.warn(`AUTH_ENABLED=false and listening on ${HOST}: anyone who can reach port ${PORT} can change pairs and rules`);
+  }
   try {
-    const { data } = await axios.get('https://api.kraken.com/0/public/AssetPairs', { timeout: 20000 });
-    if (!data || (data.error && data.error.length)) {
-      throw new Error(data.error?.join(', ') || 'AssetPairs error');
-    }
-    const entries = Object.values(data.result || {});
-    let pairs = entries
-      .map(x => x.wsname)
-      .filter(Boolean)
-      .filter(n => n.endsWith(`/${KRAKEN_QUOTE}`));
-
-    if (EXCLUDE_REGEX) pairs = pairs.filter(p => !EXCLUDE_REGEX.test(p));
-
-    pairs = Array.from(new Set(pairs));
-    const capped = pairs.slice(0, MAX_SUBSCRIBE_PAIRS);
-
-    discoveredInfo = { total: pairs.length, using: capped.length, quote: KRAKEN_QUOTE };
-    return capped;
+    audit.load();
   } catch (e) {
-    console.error('Pair discovery failed:', e.message);
-    return null;
+    console.error(`Audit log ${AUDIT_LOG_FILE} unreadable, starting an empty in-memory tail: ${e.message}`);
   }
-}
 
-// ================== BOOT ==================
-(async () => {
-  if (KRAKEN_WS_PAIRS_RAW.trim().toUpperCase() === 'ALL') {
-    const discovered = await discoverAllPairs();
-    WS_PAIRS = (discovered && discovered.length) ? discovered : ['XBT/USD','ETH/USD','SOL/USD','SUI/USD'];
-    if (!discovered) console.warn('Using fallback pairs:', WS_PAIRS.join(', '));
-  } else {
-    WS_PAIRS = KRAKEN_WS_PAIRS_RAW.split(',').map(s => s.trim()).filter(Boolean);
-  }
+  restoreFromDisk();
+  const alertsLoaded = alertStore.load();
+  if (alertsLoaded) console.log(`Loaded ${alertsLoaded} alerts from ${ALERT_HISTORY_FILE}`);
+  const requeued = deliveryQueue.restore(notifier.channels.map(c => c.name));
+  if (requeued) console.log(`Resending ${requeued} queued notifications`);
+  if (STATE_PERSIST_ENABLED) setInterval(checkpoint, Math.max(10, STATE_SAVE_EVERY_SEC) * 1000);
 
-  for (const p of WS_PAIRS) ensureState(p);
-
-  startKraken(WS_PAIRS);
+  await monitor.start();
+  if (BACKFILL_ENABLED) {
+    backfillLookback(monitor.pairs()).catch(e => console.error('Backfill error', e.message));
+  }
 
-  server.listen(PORT, '0.0.0.0', () => {
-    console.log(`Server listening on :${PORT}`);
+  server.listen(PORT, HOST, () => {
+    console.log(`Server listening on ${HOST}:${PORT}`);
     console.log(`Open http://<your-ip>:${PORT}/`);
   });
 })();
@@ -0,0 +1,238 @@
+// src/kraken.js  (CommonJS, used by index.js)
+// Kraken WebSocket protocol helpers for the legacy v1 feed (wss://ws.kraken.com/)
+// and API v2 (wss://ws.kraken.com/v2). Both decode into the same shapes:
+//   { type: 'ticker', tickers: [{ pair, lastPrice, vol24, avg24 }] }
+//   { type: 'trades', trades: [{ pair, price, qty, side: 'buy'|'sell', ts }] }   (ts in ms)
+//   { type: 'book', books: [{ pair, snapshot, asks: [[price, qty]], bids: [[price, qty]], checksum }] }
+//   { type: 'heartbeat' }
+//   { type: 'subscription', ok, pair, error }
+//   { type: 'instrument', instruments: [{ pair, pricePrecision, qtyPrecision }] }   (v2 only, for book checksums)
+// Pair keys are always the v1/REST wsname form ('XBT/USD'); v2 symbols ('BTC/USD') are mapped.
+
+const KRAKEN_WS_URLS = { 1: 'wss://ws.kraken.com/', 2: 'wss://ws.kraken.com/v2' };
+
+// v1 wsname asset -> v2 symbol asset (everything else is identical)
+const V2_ASSET_NAMES = { XBT: 'BTC', XDG: 'DOGE' };
+const V1_ASSET_NAMES = Object.fromEntries(Object.entries(V2_ASSET_NAMES).map(([a, b]) => [b, a]));
+
+function mapAssets(pair, table) {
+  return String(pair).split('/').map(a => table[a] || a).join('/');
+}
+
+// 'XBT/USD' -> 'BTC/USD'
+function toV2Symbol(pair) { return mapAssets(pair, V2_ASSET_NAMES); }
+
+// 'BTC/USD' -> 'XBT/USD'
+function fromV2Symbol(symbol) { return mapAssets(symbol, V1_ASSET_NAMES); }
+
+/**
+ * Subscribe frame for a batch of pairs.
+ * @param {string[]} pairs - wsnames ('XBT/USD').
+ * @param {1|2} version
+ * @param {'subscribe'|'unsubscribe'} [action]
+ * @param {'ticker'|'trade'|'book'} [channel]
+ * @param {number} [depth] - Book levels per side (10, 25, 100, 500, 1000).
+ * @returns {object}
+ */
+function subscribeMessage(pairs, version, action = 'subscribe', channel = 'ticker', depth = 10) {
+  if (version === 2) {
+    // v2 sends the last 50 trades on subscribe unless told not to
+    const params = { channel, symbol: pairs.map(toV2Symbol) };
+    if (channel === 'trade' && action === 'subscribe') params.snapshot = false;
+    if (channel === 'book') params.depth = depth;
+    return { method: action, params };
+  }
+  const subscription = channel === 'book' ? { name: channel, depth } : { name: channel };
+  return { event: action, pair: pairs, subscription };
+}
+
+// v2 'instrument' channel: price/qty decimals of every pair, needed to checksum v2 books
+function instrumentSubscribeMessage() {
+  return { method: 'subscribe', params: { channel: 'instrument' } };
+}
+
+/**
+ * Unsubscribe frame for a batch of pairs.
+ * @param {string[]} pairs - wsnames ('XBT/USD').
+ * @param {1|2} version
+ * @param {'ticker'|'trade'|'book'} [channel]
+ * @param {number} [depth]
+ * @returns {object}
+ */
+function unsubscribeMessage(pairs, version, channel = 'ticker', depth = 10) {
+  return subscribeMessage(pairs, version, 'unsubscribe', channel, depth);
+}
+
+// v1 ticker: [channelID, { c: [price, lot], v: [today, 24h], p: [today, 24h], ... }, 'ticker', 'XBT/USD']
+function parseTickerMessage(msg) {
+  if (!Array.isArray(msg) || msg.length < 2 || typeof msg[1] !== 'object' || Array.isArray(msg[1])) return null;
+  if (String(msg[msg.length - 2]).startsWith('book')) return null;
+  const data = msg[1];
+  const maybe2 = typeof msg[2] === 'string' ? msg[2] : '';
+  const maybe3 = typeof msg[3] === 'string' ? msg[3] : '';
+  const pair = (maybe2.includes('/') ? maybe2 : (maybe3.includes('/') ? maybe3 : null));
+  if (!pair) return null;
+  const lastPrice = parseFloat(data.c?.[0] || '0');
+  const vol24 = parseFloat(data.v?.[1] || '0'); // 24h base volume (rolling)
+  const avg24 = parseFloat(data.p?.[1] || '0'); // 24h VWAP (notional volume = vol24 × avg24)
+  return { pair, lastPrice, vol24, avg24 };
+}
+
+// v1 trade: [channelID, [[price, volume, time, 'b'|'s', 'm'|'l', misc], ...], 'trade', 'XBT/USD']
+function parseTradeMessage(msg) {
+  if (!Array.isArray(msg) || msg[2] !== 'trade' || !Array.isArray(msg[1]) || typeof msg[3] !== 'string') return null;
+  const pair = msg[3];
+  return msg[1]
+    .filter(Array.isArray)
+    .map(t => ({
+      pair,
+      price: Number(t[0]) || 0,
+      qty: Number(t[1]) || 0,
+      side: t[3] === 's' ? 'sell' : 'buy',
+      ts: Math.round(Number(t[2]) * 1000) || 0,
+    }));
+}
+
+// v1 book: [channelID, { as, bs }, 'book-10', 'XBT/USD']                      (snapshot)
+//          [channelID, { a?, b?, c }, 'book-10', 'XBT/USD']                    (update)
+//          [channelID, { a }, { b, c }, 'book-10', 'XBT/USD']                  (update, both sides)
+// Levels are [price, volume, timestamp, 'r'?] strings; c is the CRC32 of the top 10.
+function parseBookMessage(msg) {
+  if (!Array.isArray(msg) || msg.length < 4) return null;
+  const name = msg[msg.length - 2], pair = msg[msg.length - 1];
+  if (typeof name !== 'string' || !name.startsWith('book') || typeof pair !== 'string') return null;
+  const parts = msg.slice(1, -2).filter(p => p && typeof p === 'object' && !Array.isArray(p));
+  if (!parts.length) return null;
+  const levels = (key) => parts.flatMap(p => p[key] || []).map(l => [l[0], l[1]]);
+  const snapshot = parts.some(p => p.as || p.bs);
+  const c = parts.find(p => p.c !== undefined)?.c;
+  return {
+    pair,
+    snapshot,
+    asks: levels(snapshot ? 'as' : 'a'),
+    bids: levels(snapshot ? 'bs' : 'b'),
+    checksum: c === undefined ? null : Number(c),
+  };
+}
+
+function parseV1Message(obj) {
+  if (obj && !Array.isArray(obj) && obj.event) {
+    if (obj.event === 'heartbeat') return { type: 'heartbeat' };
+    if (obj.event === 'subscriptionStatus') {
+      // 'unsubscribed' acks a removal, only 'error' is a failure
+      return { type: 'subscription', ok: obj.status !== 'error', pair: obj.pair || null, error: obj.errorMessage || null };
+    }
+    return null;
+  }
+  if (Array.isArray(obj) && String(obj[obj.length - 2]).startsWith('book')) {
+    const book = parseBookMessage(obj);
+    return book ? { type: 'book', books: [book] } : null;
+  }
+  if (Array.isArray(obj) && obj[2] === 'trade') {
+    const trades = parseTradeMessage(obj);
+    return trades && trades.length ? { type: 'trades', trades } : null;
+  }
+  const t = parseTickerMessage(obj);
+  return t ? { type: 'ticker', tickers: [t] } : null;
+}
+
+// v2: { channel: 'trade', type: 'update', data: [{ symbol, side: 'buy'|'sell', price, qty, timestamp }] }
+function parseV2Trades(obj) {
+  // a snapshot replays trades from before we subscribed
+  if (obj.type === 'snapshot') return null;
+  const trades = obj.data
+    .filter(d => d && d.symbol)
+    .map(d => ({
+      pair: fromV2Symbol(d.symbol),
+      price: Number(d.price) || 0,
+      qty: Number(d.qty) || 0,
+      side: d.side === 'sell' ? 'sell' : 'buy',
+      ts: Date.parse(d.timestamp) || 0,
+    }));
+  return trades.length ? { type: 'trades', trades } : null;
+}
+
+// v2: { channel: 'book', type: 'snapshot'|'update', data: [{ symbol, bids: [{ price, qty }], asks, checksum }] }
+// v2 prices are JSON numbers, so their trailing zeros (part of the checksum) are gone:
+// levels are re-formatted with the pair's instrument precision. Until that is known
+// the book isn't checksummed and relies on the snapshot/update sequence alone.
+function parseV2Book(obj, precisions) {
+  const books = obj.data
+    .filter(d => d && d.symbol)
+    .map(d => {
+      const pair = fromV2Symbol(d.symbol);
+      const p = precisions[pair];
+      const levels = (list) => (list || []).map(l => (p
+        ? [Number(l.price).toFixed(p.pricePrecision), Number(l.qty).toFixed(p.qtyPrecision)]
+        : [String(l.price), String(l.qty)]));
+      return {
+        pair,
+        snapshot: obj.type === 'snapshot',
+        asks: levels(d.asks),
+        bids: levels(d.bids),
+        checksum: p && d.checksum !== undefined ? Number(d.checksum) : null,
+      };
+    });
+  return books.length ? { type: 'book', books } : null;
+}
+
+// v2: { channel: 'instrument', type: 'snapshot'|'update', data: { assets, pairs: [{ symbol, price_precision, qty_precision }] } }
+function parseV2Instruments(obj) {
+  const instruments = (obj.data?.pairs || [])
+    .filter(d => d && d.symbol && Number.isInteger(d.price_precision) && Number.isInteger(d.qty_precision))
+    .map(d => ({ pair: fromV2Symbol(d.symbol), pricePrecision: d.price_precision, qtyPrecision: d.qty_precision }));
+  return instruments.length ? { type: 'instrument', instruments } : null;
+}
+
+// v2: { channel: 'ticker', type: 'snapshot'|'update', data: [{ symbol, last, volume, vwap, ... }] }
+function parseV2Message(obj, precisions) {
+  if (!obj || typeof obj !== 'object') return null;
+  if (obj.channel === 'heartbeat') return { type: 'heartbeat' };
+  if (obj.method === 'subscribe') {
+    const symbol = obj.result?.symbol || obj.symbol || null;
+    return {
+      type: 'subscription',
+      ok: obj.success === true,
+      pair: symbol ? fromV2Symbol(symbol) : null,
+      error: obj.error || null,
+    };
+  }
+  if (obj.channel === 'trade' && Array.isArray(obj.data)) return parseV2Trades(obj);
+  if (obj.channel === 'book' && Array.isArray(obj.data)) return parseV2Book(obj, precisions);
+  if (obj.channel === 'instrument') return parseV2Instruments(obj);
+  if (obj.channel !== 'ticker' || !Array.isArray(obj.data)) return null;
+  const tickers = obj.data
+    .filter(d => d && d.symbol)
+    .map(d => ({
+      pair: fromV2Symbol(d.symbol),
+      lastPrice: Number(d.last) || 0,
+      vol24: Number(d.volume) || 0,
+      avg24: Number(d.vwap) || 0,
+    }));
+  return tickers.length ? { type: 'ticker', tickers } : null;
+}
+
+/**
+ * Decode one parsed JSON frame.
+ * @param {any} obj
+ * @param {1|2} version
+ * @param {Object<string, {pricePrecision: number, qtyPrecision: number}>} [precisions] - v2: pair ->
+ *   decimals from the instrument channel; books of pairs listed here are checksummed.
+ * @returns {object|null}
+ */
+function parseMessage(obj, version, precisions = {}) {
+  return version === 2 ? parseV2Message(obj, precisions) : parseV1Message(obj);
+}
+
+module.exports = {
+  KRAKEN_WS_URLS,
+  toV2Symbol,
+  fromV2Symbol,
+  subscribeMessage,
+  unsubscribeMessage,
+  instrumentSubscribeMessage,
+  parseTickerMessage,
+  parseTradeMessage,
+  parseBookMessage,
+  parseMessage,
+};
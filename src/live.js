@@ -0,0 +1,210 @@
+// src/live.js  (CommonJS, used by index.js)
+// Dashboard updates over Socket.IO. Rather than every pair to every client
+// every 2s, a client subscribes to a view (some pairs, a top-N ranking and/or
+// a set of fields). Clients with the same view share a Socket.IO room. A new
+// member gets the room's full state, and after that the room only gets deltas
+// with the fields that changed. Each delta carries the room's next sequence
+// number; a client that sees a gap asks for a resync and gets the full state again.
+//
+//   -> subscribe { pairs?: ['XBT/USD'], top?: 20, sort?: 'diffPct@1h', fields?: ['price', 'diffPct'] }
+//   <- state     { seq, ts, meta, pairs: { key: entry }, top: [keys] }
+//   <- delta     { seq, ts, changed: { key: { field: value } }, removed: [keys], top?, meta? }
+//   -> resync
+const { resolvePairParam } = require('./history');
+
+// snapshot entry fields a view can pick (see engine.snapshot)
+const VIEW_FIELDS = [
+  'exchange', 'pair', 'asset', 'quote', 'ts', 'lastTickAgeSec', 'stale', 'price', 'avg24', 'vol24', 'notional24',
+  'illiquid', 'priceReport', 'volReport', 'volVelPct', 'priceChangePct', 'diffPct', 'ratio', 'volZ', 'retZ',
+  'anomalyZ', 'horizons', 'trades', 'book',
+];
+const MAX_TOP = 100;
+const MAX_PAIRS = 500;
+const SORT_RE = /^(\w+)(?:@(\S+))?$/;
+
+/**
+ * Validate a subscribe request into a canonical view (same view -> same room).
+ * @param {object} spec - { pairs, top, sort, fields }
+ * @param {string[]} known - Subscribed 'exchange:pair' keys.
+ * @returns {{pairs: string[]|null, top: number|null, sort: string, fields: string[]|null}}
+ * @throws {Error} On unknown pairs/fields or out-of-range values.
+ */
+function normalizeView(spec = {}, known = []) {
+  const view = { pairs: null, top: null, sort: 'volVelPct', fields: null };
+  if (spec.pairs !== undefined) {
+    if (!Array.isArray(spec.pairs) || spec.pairs.length > MAX_PAIRS) throw new Error(`pairs must be a list of at most ${MAX_PAIRS}`);
+    view.pairs = [...new Set(spec.pairs.map((p) => {
+      const key = resolvePairParam(String(p), known);
+      if (!key) throw new Error(`unknown pair ${p}`);
+      return key;
+    }))].sort();
+  }
+  if (spec.top !== undefined && spec.top !== null) {
+    const n = Number(spec.top);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_TOP) throw new Error(`top must be 1-${MAX_TOP}`);
+    view.top = n;
+  }
+  if (spec.sort !== undefined) {
+    const m = SORT_RE.exec(String(spec.sort));
+    if (!m || !VIEW_FIELDS.includes(m[1])) throw new Error(`unknown sort ${spec.sort}`);
+    view.sort = String(spec.sort);
+  }
+  if (spec.fields !== undefined) {
+    if (!Array.isArray(spec.fields)) throw new Error('fields must be a list');
+    const bad = spec.fields.filter(f => !VIEW_FIELDS.includes(f));
+    if (bad.length) throw new Error(`unknown field ${bad.join(', ')}`);
+    view.fields = [...new Set(spec.fields)].sort();
+  }
+  return view;
+}
+
+const roomName = (view) => `view:${JSON.stringify(view)}`;
+
+// 'diffPct' or 'diffPct@1h' (a LOOKBACK_HORIZONS column); missing values rank last
+function sortValue(entry, sort) {
+  const [, field, horizon] = SORT_RE.exec(sort);
+  const v = horizon ? entry.horizons?.[horizon]?.[field] : entry[field];
+  return typeof v === 'number' && Number.isFinite(v) ? v : -Infinity;
+}
+
+// Highest first; ties (including two missing values, where subtraction gives NaN) by key,
+// so the order and the top-N cut are the same on every delta
+function byValueDesc(pairs, sort) {
+  return (a, b) => {
+    const va = sortValue(pairs[a], sort);
+    const vb = sortValue(pairs[b], sort);
+    if (va !== vb) return vb > va ? 1 : -1;
+    return a < b ? -1 : a > b ? 1 : 0;
+  };
+}
+
+/**
+ * The part of a snapshot a view sees.
+ * @param {object} snap - engine.snapshot() result.
+ * @param {object} view - normalizeView() result.
+ * @returns {{ts: number, meta: object, pairs: object, top: string[]}}
+ */
+function selectView(snap, view) {
+  let keys = view.pairs ? view.pairs.filter(k => snap.pairs[k]) : Object.keys(snap.pairs);
+  let top;
+  if (view.top) {
+    keys = [...keys].sort(byValueDesc(snap.pairs, view.sort)).slice(0, view.top);
+    top = keys;
+  } else {
+    top = (snap.top || []).filter(k => keys.includes(k));
+  }
+  const pairs = {};
+  for (const k of keys) {
+    const entry = snap.pairs[k];
+    pairs[k] = view.fields ? Object.fromEntries(view.fields.map(f => [f, entry[f]])) : entry;
+  }
+  return { ts: snap.ts, meta: snap.meta, pairs, top };
+}
+
+const same = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Changed fields between two selectView() results.
+ * @param {object} prev
+ * @param {object} next
+ * @returns {{changed: object, removed: string[], top?: string[], meta?: object}|null} null when nothing changed.
+ */
+function diffView(prev, next) {
+  const changed = {};
+  for (const [k, entry] of Object.entries(next.pairs)) {
+    const old = prev.pairs[k];
+    const fields = {};
+    for (const [f, v] of Object.entries(entry)) {
+      if (!old || !same(old[f], v)) fields[f] = v;
+    }
+    if (Object.keys(fields).length) changed[k] = fields;
+  }
+  const removed = Object.keys(prev.pairs).filter(k => !(k in next.pairs));
+  const d = { changed, removed };
+  if (!same(prev.top, next.top)) d.top = next.top;
+  if (!same(prev.meta, next.meta)) d.meta = next.meta;
+  if (!Object.keys(changed).length && !removed.length && !d.top && !d.meta) return null;
+  return d;
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.io - Socket.IO server.
+ * @param {() => object} opts.snapshot - Current full snapshot.
+ * @param {() => string[]} opts.pairs - Subscribed keys (to resolve view pairs).
+ * @returns {{attach: Function, tick: Function, stats: Function}}
+ */
+function createLiveHub({ io, snapshot, pairs }) {
+  const rooms = new Map(); // name -> { view, seq, state, members }
+  const roomOf = new Map(); // socket.id -> name
+  const counts = { deltas: 0, resyncs: 0 };
+
+  function sendState(socket, room) {
+    socket.emit('state', { seq: room.seq, ...room.state });
+  }
+
+  function leave(socket) {
+    const name = roomOf.get(socket.id);
+    if (!name) return;
+    roomOf.delete(socket.id);
+    socket.leave(name);
+    const room = rooms.get(name);
+    if (room && --room.members <= 0) rooms.delete(name);
+  }
+
+  function subscribe(socket, spec, ack) {
+    let view;
+    try {
+      view = normalizeView(spec || {}, pairs());
+    } catch (e) {
+      if (typeof ack === 'function') ack({ error: e.message });
+      return;
+    }
+    const name = roomName(view);
+    if (roomOf.get(socket.id) !== name) {
+      leave(socket);
+      if (!rooms.has(name)) rooms.set(name, { view, seq: 0, state: selectView(snapshot(), view), members: 0 });
+      rooms.get(name).members++;
+      roomOf.set(socket.id, name);
+      socket.join(name);
+    }
+    if (typeof ack === 'function') ack({ ok: true, view });
+    sendState(socket, rooms.get(name));
+  }
+
+  return {
+    /**
+     * Wire a connected socket's subscribe/resync/disconnect handlers.
+     * @param {object} socket
+     */
+    attach(socket) {
+      socket.on('subscribe', (spec, ack) => subscribe(socket, spec, ack));
+      socket.on('resync', () => {
+        const room = rooms.get(roomOf.get(socket.id));
+        if (!room) return;
+        counts.resyncs++;
+        sendState(socket, room);
+      });
+      socket.on('disconnect', () => leave(socket));
+    },
+
+    /** Send each room what changed since its last update. */
+    tick() {
+      if (!rooms.size) return;
+      const snap = snapshot();
+      for (const [name, room] of rooms) {
+        const next = selectView(snap, room.view);
+        const d = diffView(room.state, next);
+        if (!d) continue;
+        room.state = next;
+        room.seq++;
+        counts.deltas++;
+        io.to(name).emit('delta', { seq: room.seq, ts: next.ts, ...d });
+      }
+    },
+
+    stats: () => ({ rooms: rooms.size, ...counts }),
+  };
+}
+
+module.exports = { VIEW_FIELDS, normalizeView, selectView, diffView, createLiveHub };
@@ -0,0 +1,85 @@
+// src/metrics.js  (CommonJS, used by index.js)
+// Minimal Prometheus text-format registry (exposition format 0.0.4). Metrics
+// either hold their own values (counter().inc) or are read from a collect()
+// callback at scrape time, so they never drift from the state they describe
+// (feed/engine/queue stats).
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelString(labels) {
+  const keys = Object.keys(labels || {});
+  if (!keys.length) return '';
+  return `{${keys.map(k => `${k}="${escapeLabel(labels[k])}"`).join(',')}}`;
+}
+
+function formatValue(v) {
+  if (v === Infinity) return '+Inf';
+  if (v === -Infinity) return '-Inf';
+  return Number.isFinite(v) ? String(v) : 'NaN';
+}
+
+/**
+ * @returns {{counter: Function, gauge: Function, render: () => string}}
+ */
+function createRegistry() {
+  const metrics = [];
+
+  function register(name, help, type) {
+    if (metrics.some(m => m.name === name)) throw new Error(`metric ${name} already registered`);
+    const m = { name, help, type, values: new Map() };
+    metrics.push(m);
+    return m;
+  }
+
+  return {
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {() => (number|Array<[object, number]>)} [collect] - Read totals kept elsewhere instead of inc().
+     * @returns {{inc: (labels?: object, n?: number) => void, get: (labels?: object) => number}}
+     */
+    counter(name, help, collect) {
+      const m = register(name, help, 'counter');
+      m.collect = collect;
+      return {
+        inc(labels = {}, n = 1) {
+          const key = labelString(labels);
+          m.values.set(key, (m.values.get(key) || 0) + n);
+        },
+        get: (labels = {}) => m.values.get(labelString(labels)) || 0,
+      };
+    },
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {() => (number|Array<[object, number]>)} collect - A value, or [labels, value] pairs.
+     */
+    gauge(name, help, collect) {
+      const m = register(name, help, 'gauge');
+      m.collect = collect;
+    },
+
+    render() {
+      const out = [];
+      for (const m of metrics) {
+        out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+        if (m.collect) {
+          const v = m.collect();
+          const rows = Array.isArray(v) ? v : [[{}, v]];
+          for (const [labels, value] of rows) out.push(`${m.name}${labelString(labels)} ${formatValue(value)}`);
+        } else {
+          if (!m.values.size) out.push(`${m.name} 0`);
+          for (const [key, value] of m.values) out.push(`${m.name}${key} ${formatValue(value)}`);
+        }
+      }
+      return `${out.join('\n')}\n`;
+    },
+  };
+}
+
+module.exports = { CONTENT_TYPE, createRegistry };
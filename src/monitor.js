@@ -0,0 +1,351 @@
+// src/monitor.js  (CommonJS, the package entry point; used by index.js)
+// The monitor as a library: one engine, the exchange feeds that drive it, pair
+// management, rediscovery and the digest/stale timers, reporting through events.
+// index.js puts HTTP, Socket.IO, notifiers, persistence and backfill on top of it;
+// another Node service can do the same, or skip the feeds and push its own tickers
+// in with ingestTicker(). Nothing runs until start().
+//
+//   const { createMonitor } = require('kraken_volume_alerts');
+//   const monitor = createMonitor({ exchanges: { kraken: { pairs: ['XBT/USD'] } } });
+//   monitor.on('alert', (e) => console.log(e.pair, e.level));
+//   await monitor.start();
+const { EventEmitter } = require('events');
+const { createExchange, createFeed, diffListings, pairKey, splitPairKey } = require('./exchanges');
+const {
+  ruleDefaults, quantizeLevel, momentumScore, avgDeltaOverWindow, engineConfig, configFromEnv,
+  newPairState, computeFromTicker, createEngine,
+} = require('./engine');
+
+// engine notify() types -> monitor events; the rest (step, burst, whale, liquidity) are 'alert'
+const EVENT_OF_TYPE = { recovery: 'recovery', digest: 'digest' };
+
+/**
+ * @param {object} [opts]
+ * @param {object} [opts.config] - Engine settings (engineConfig() keys); the rest are the defaults.
+ * @param {{resolve: (pair: string) => object}} [opts.rules] - Rule store (src/rules.js); default: every
+ *   pair on the config's ALERT_* rule.
+ * @param {{now: () => number}} [opts.clock]
+ * @param {object} [opts.exchanges] - id -> { pairs: string[]|'ALL', quotes?, exclude?, fallback?, adapter? };
+ *   empty = ingest only. 'ALL' discovers the pairs quoted in `quotes`, `fallback` if that fails.
+ * @param {number} [opts.maxSubscribePairs=300] - Per exchange.
+ * @param {number} [opts.rediscoverMin=0] - Re-run discovery for 'ALL' exchanges this often (0 = never).
+ * @param {number} [opts.staleCheckSec=10] - How often start() looks for pairs that went stale.
+ * @param {object} [opts.feed] - createFeed() tuning (batchSize, batchDelayMs, heartbeatTimeoutMs, …).
+ * @param {(id: string, raw: string) => void} [opts.onFrame] - Every frame the feeds receive (recorder).
+ * @param {object} [opts.log=console]
+ * @returns {EventEmitter} Events: tick, alert, recovery, digest, stale, listing, pairs.
+ */
+function createMonitor({
+  config = {},
+  rules,
+  clock = { now: () => Date.now() },
+  exchanges: exchangeOpts = {},
+  maxSubscribePairs = 300,
+  rediscoverMin = 0,
+  staleCheckSec = 10,
+  feed: feedOpts = {},
+  onFrame,
+  log = console,
+} = {}) {
+  const monitor = new EventEmitter();
+  const engine = createEngine({
+    config,
+    rules: rules || { resolve: () => ({ id: 'default', ...ruleDefaults(engine.config) }) },
+    notify: (event) => monitor.emit(EVENT_OF_TYPE[event.type] || 'alert', event),
+    clock,
+  });
+
+  let keys = [];                 // 'exchange:pair' keys being watched
+  const exchanges = {};          // id -> adapter
+  const exchangeInfo = {};       // id -> { mode, quotes, totalDiscovered, subscribed }
+  const feeds = [];
+  const manualPairs = new Set(); // keys added through addPairs(); rediscovery never drops these
+  const knownListings = {};      // id -> Set of venue pairs seen by the last discovery
+  const stale = new Set();       // keys 'stale' was emitted for, until their next tick
+  let discovered = false;
+  let running = false;
+  let digestTimer = null;
+  let staleTimer = null;
+  let rediscoverTimer = null;
+  let rediscoverBusy = false;
+
+  const nowSec = () => Math.floor(clock.now() / 1000);
+  const feedFor = (id) => feeds.find(f => f.adapter.id === id);
+  const venuePairs = (id) => keys.map(splitPairKey).filter(k => k.exchange === id).map(k => k.pair);
+  const countSubscribed = (id) => { if (exchangeInfo[id]) exchangeInfo[id].subscribed = venuePairs(id).length; };
+
+  function tick(key, t) {
+    const ts = t.ts ?? nowSec();
+    const price = t.price ?? t.lastPrice;
+    engine.computeFromTicker(key, ts, t.vol24, price, t.avg24);
+    stale.delete(key);
+    monitor.emit('tick', { pair: key, ts, vol24: t.vol24, price, avg24: t.avg24 });
+  }
+
+  function startFeed(id, pairs) {
+    const feed = createFeed(exchanges[id], {
+      ...feedOpts,
+      pairs,
+      onTicker: tick,
+      onTrades: (key, trades) => engine.computeFromTrades(key, trades),
+      // false on a checksum mismatch: the feed resubscribes the pair's book
+      onBook: (key, book) => engine.computeFromBook(key, book),
+      onFrame: onFrame ? (raw) => onFrame(id, raw) : undefined,
+    });
+    feeds.push(feed);
+    feed.start();
+  }
+
+  // Venue pair names from the options (or discovery for 'ALL')
+  async function resolvePairs(id) {
+    const o = exchangeOpts[id];
+    const auto = o.pairs === 'ALL';
+    const quotes = o.quotes || [];
+    const fallback = auto ? o.fallback || [] : o.pairs || [];
+    exchangeInfo[id] = { mode: auto ? 'auto' : 'env', quotes, totalDiscovered: 0, subscribed: fallback.length };
+    if (!auto) return fallback;
+    try {
+      const { total, pairs: listed } = await exchanges[id].discoverPairs({ quote: quotes, exclude: o.exclude || null });
+      if (!listed.length) throw new Error(`no /${quotes.join(', /')} pairs`);
+      knownListings[id] = new Set(listed);
+      const pairs = listed.slice(0, maxSubscribePairs);
+      exchangeInfo[id] = { ...exchangeInfo[id], totalDiscovered: total, subscribed: pairs.length };
+      return pairs;
+    } catch (e) {
+      log.error(`${id} pair discovery failed:`, e.message);
+      log.warn(`Using fallback ${id} pairs:`, fallback.join(', '));
+      return fallback;
+    }
+  }
+
+  // Subscribe venue pairs (up to maxSubscribePairs per exchange); returns the new keys
+  function subscribe(id, pairs) {
+    if (!exchanges[id]) return [];
+    const current = new Set(venuePairs(id));
+    const fresh = [...new Set(pairs)].filter(p => !current.has(p)).slice(0, Math.max(0, maxSubscribePairs - current.size));
+    if (!fresh.length) return [];
+    const feed = feedFor(id);
+    if (feed) feed.add(fresh);
+    else if (running) startFeed(id, fresh);
+
+    const added = fresh.map(p => pairKey(id, p));
+    for (const k of added) engine.ensureState(k);
+    keys = [...keys, ...added];
+    countSubscribed(id);
+    monitor.emit('pairs', { exchange: id, added, removed: [] });
+    return added;
+  }
+
+  // Diff a fresh discovery against the subscriptions: pick up new listings, drop delisted pairs
+  async function rediscover(id) {
+    const o = exchangeOpts[id];
+    const quotes = o.quotes || [];
+    const { total, pairs: listed } = await exchanges[id].discoverPairs({ quote: quotes, exclude: o.exclude || null });
+    // an empty answer is an API hiccup, not every pair being delisted at once
+    if (!listed.length) throw new Error(`no /${quotes.join(', /')} pairs`);
+    const keep = new Set([...manualPairs].map(splitPairKey).filter(k => k.exchange === id).map(k => k.pair));
+    const { added, removed } = diffListings({
+      current: venuePairs(id),
+      known: knownListings[id] || null,
+      discovered: listed,
+      max: maxSubscribePairs,
+      keep,
+    });
+    const firstDiscovery = !knownListings[id];
+    knownListings[id] = new Set(listed);
+    exchangeInfo[id].totalDiscovered = total;
+
+    const dropped = monitor.removePairs(id, removed);
+    if (dropped.length) log.log(`${id}: dropped ${dropped.length} delisted pairs:`, dropped.join(', '));
+    const fresh = subscribe(id, added);
+    if (!fresh.length) return;
+    log.log(`${id}: subscribed ${fresh.length} new pairs:`, fresh.join(', '));
+    // after a boot that fell back to default pairs, "new" just means "not seen yet"
+    if (!firstDiscovery) monitor.emit('listing', { type: 'listing', exchange: id, pairs: fresh });
+  }
+
+  async function rediscoverAll() {
+    if (rediscoverBusy) return;
+    rediscoverBusy = true;
+    try {
+      for (const id of Object.keys(exchanges)) {
+        if (exchangeInfo[id]?.mode !== 'auto') continue;
+        try { await rediscover(id); } catch (e) { log.error(`${id} rediscovery failed:`, e.message); }
+      }
+    } finally {
+      rediscoverBusy = false;
+    }
+  }
+
+  function scheduleDigest() {
+    clearInterval(digestTimer);
+    digestTimer = setInterval(() => monitor.digest(), Math.max(60, engine.config.digestEverySec) * 1000);
+  }
+
+  return Object.assign(monitor, {
+    engine,
+    exchanges,
+    exchangeInfo,
+    feeds,
+
+    /** @returns {string[]} The 'exchange:pair' keys being watched (replaced, never mutated, on changes). */
+    pairs: () => keys,
+
+    /**
+     * Create the exchange adapters and pick their pairs (discovery for 'ALL'), without
+     * connecting. start() does this itself; call it first to restore state before ticks arrive.
+     * @returns {Promise<string[]>} The pair keys.
+     */
+    async discover() {
+      if (discovered) return keys;
+      discovered = true;
+      const found = [];
+      for (const id of Object.keys(exchangeOpts)) {
+        try {
+          exchanges[id] = createExchange(id, exchangeOpts[id].adapter);
+        } catch (e) {
+          log.error('Exchange config error:', e.message);
+          continue;
+        }
+        found.push(...(await resolvePairs(id)).map(p => pairKey(id, p)));
+      }
+      keys = [...new Set([...keys, ...found])];
+      for (const k of keys) engine.ensureState(k);
+      return keys;
+    },
+
+    /**
+     * Connect the feeds and start the digest, stale-check and rediscovery timers.
+     * @returns {Promise<void>}
+     */
+    async start() {
+      if (running) return;
+      await monitor.discover();
+      running = true;
+      for (const id of Object.keys(exchanges)) {
+        const pairs = venuePairs(id);
+        if (pairs.length) startFeed(id, pairs);
+      }
+      scheduleDigest();
+      staleTimer = setInterval(() => monitor.checkStale(), Math.max(1, staleCheckSec) * 1000);
+      if (rediscoverMin > 0) rediscoverTimer = setInterval(rediscoverAll, rediscoverMin * 60 * 1000);
+    },
+
+    /** Close the feeds and clear the timers; per-pair state is kept and start() resumes. */
+    stop() {
+      running = false;
+      clearInterval(digestTimer);
+      clearInterval(staleTimer);
+      clearInterval(rediscoverTimer);
+      for (const f of feeds.splice(0)) f.stop();
+    },
+
+    /**
+     * Feed one ticker, as a venue would. Unknown keys are added to pairs().
+     * @param {string} key - 'exchange:pair'.
+     * @param {{vol24: number, price?: number, lastPrice?: number, avg24?: number, ts?: number}} t -
+     *   24h base volume, last price, 24h VWAP; ts in seconds (default: the clock).
+     */
+    ingestTicker(key, t) {
+      if (!keys.includes(key)) keys = [...keys, key];
+      tick(key, t);
+    },
+
+    /**
+     * @param {string} key
+     * @param {{price: number, qty: number, side: string, ts: number}[]} trades - ts in ms.
+     */
+    ingestTrades: (key, trades) => engine.computeFromTrades(key, trades),
+
+    /** @returns {boolean} false on a book checksum mismatch (resubscribe for a snapshot). */
+    ingestBook: (key, book) => engine.computeFromBook(key, book),
+
+    /**
+     * The dashboard snapshot for `pairs` (default: all).
+     * @param {string[]} [pairs]
+     * @returns {object}
+     */
+    snapshot(pairs = keys) {
+      const snap = engine.snapshot(pairs);
+      snap.meta.exchanges = Object.keys(exchangeOpts);
+      return snap;
+    },
+
+    /** Rank movers now and emit 'digest' if any made the cut (the timer does this every DIGEST_EVERY_SEC). */
+    digest: () => engine.sendDigest(keys),
+
+    /**
+     * Emit 'stale' once for each pair whose last ticker is older than PAIR_STALE_SEC.
+     * @returns {string[]} Pairs that went stale since the last check.
+     */
+    checkStale() {
+      const out = [];
+      for (const k of keys) {
+        const S = engine.perPair[k];
+        if (!S || !S.last || !engine.isStale(k) || stale.has(k)) continue;
+        stale.add(k);
+        out.push(k);
+        monitor.emit('stale', { pair: k, ts: clock.now(), lastTickTs: S.last.ts, ageSec: nowSec() - S.last.ts });
+      }
+      return out;
+    },
+
+    /**
+     * Subscribe venue pairs by hand (rediscovery never drops them).
+     * @param {string} id - Exchange.
+     * @param {string[]} pairs - Venue names.
+     * @returns {string[]} The new keys.
+     */
+    addPairs(id, pairs) {
+      const added = subscribe(id, pairs);
+      for (const k of added) manualPairs.add(k);
+      return added;
+    },
+
+    /**
+     * Unsubscribe venue pairs and forget their state.
+     * @returns {string[]} The removed keys.
+     */
+    removePairs(id, pairs) {
+      const current = new Set(venuePairs(id));
+      const gone = [...new Set(pairs)].filter(p => current.has(p));
+      if (!gone.length) return [];
+      const feed = feedFor(id);
+      if (feed) feed.remove(gone);
+      const removed = gone.map(p => pairKey(id, p));
+      const drop = new Set(removed);
+      keys = keys.filter(k => !drop.has(k));
+      for (const k of removed) {
+        delete engine.perPair[k];
+        manualPairs.delete(k);
+        stale.delete(k);
+      }
+      countSubscribed(id);
+      monitor.emit('pairs', { exchange: id, added: [], removed });
+      return removed;
+    },
+
+    /**
+     * Swap engine settings in while running (hot reload); a new digest interval takes effect now.
+     * @param {object} patch - engineConfig() keys.
+     */
+    updateConfig(patch) {
+      const every = engine.config.digestEverySec;
+      engine.updateConfig(patch);
+      if (running && engine.config.digestEverySec !== every) scheduleDigest();
+    },
+  });
+}
+
+module.exports = {
+  createMonitor,
+  createEngine,
+  engineConfig,
+  configFromEnv,
+  ruleDefaults,
+  newPairState,
+  computeFromTicker,
+  quantizeLevel,
+  momentumScore,
+  avgDeltaOverWindow,
+};
@@ -0,0 +1,19 @@
+// src/notifiers/discord.js  (CommonJS) — Discord webhook
+const axios = require('axios');
+const { formatText } = require('./format');
+
+const DISCORD_MAX_CONTENT = 2000;
+
+function createDiscordChannel({ url, username }) {
+  if (!url) throw new Error('discord channel needs url');
+  return {
+    format: (event) => {
+      let content = formatText(event, 'markdown');
+      if (content.length > DISCORD_MAX_CONTENT) content = content.slice(0, DISCORD_MAX_CONTENT - 1) + '…';
+      return username ? { content, username } : { content };
+    },
+    send: (payload) => axios.post(url, payload, { timeout: 10000 }),
+  };
+}
+
+module.exports = { createDiscordChannel };
@@ -0,0 +1,142 @@
+// src/notifiers/format.js  (CommonJS)
+// Text for step / recovery / digest / listing / burst / whale / liquidity events. Every sink renders the same
+// message; only the bold markup differs ('slack' *x*, 'markdown' **x**, 'plain').
+const { splitPairKey } = require('../exchanges/keys');
+
+function pct(n) { return Number.isFinite(n) ? Math.round(n * 100) / 100 : 0; }
+
+function bold(s, style) {
+  if (style === 'slack') return `*${s}*`;
+  if (style === 'markdown') return `**${s}**`;
+  return s;
+}
+
+function emojiForRank(i, isLoser = false) {
+  if (isLoser) return ['🧊❄️','🧊','🧊','🥶','🥶','🧊','🧊','🧊','🧊','🧊'][i] || '🧊';
+  return ['👑🚀🔥','🚀🔥','🚀','✨','✨','⭐','⭐','•','•','•'][i] || '•';
+}
+
+function buildLine(i, pair, stats, isLoser, unit = '%') {
+  const mark = emojiForRank(i, isLoser);
+  const crown = stats.crowned ? ' 👑' : '';
+  const arrow = stats.trendPerMin >= 0 ? '↗︎' : '↘︎';
+  // trade channel pairs: taker buy share, trades/min, 🐋 for a recent whale print
+  const flow = stats.tradeRate === undefined ? '' :
+    ` • buys ${stats.takerBuyPct === null ? '–' : `${pct(stats.takerBuyPct)}%`}, ${pct(stats.tradeRate)} trades/min${stats.whale ? ' 🐋' : ''}`;
+  return `${mark}${crown} ${i+1}) ${pair} — avgΔ=${pct(stats.avgDelta)}${unit} ` +
+         `(vol24=${pct(stats.vPct)}%, price24=${pct(stats.pPct)}%, trend ~${pct(stats.trendPerMin)}${unit}/min ${arrow})${flow}`;
+}
+
+// '%' for percentage metrics, 'σ' for z-scores (ALERT_MODE=anomaly); older events carry no unit
+const unitOf = (e) => e.unit || '%';
+
+function stepText(e, style) {
+  const up = e.delta > 0;
+  const u = unitOf(e);
+  const flames = e.level > 0 ? '🔥'.repeat(e.rank) : '🧊'.repeat(e.rank);
+  return `${flames} ${e.pair}: ${up ? '⬆️' : '⬇️'} ${up ? 'UP' : 'DOWN'} ${Math.abs(e.delta).toFixed(2)}${u} ` +
+    `to ${bold(`${Math.abs(e.level).toFixed(2)}${u} ${e.label}`, style)}\n` +
+    `• Vol24% ${pct(e.vol24Pct)} • Price24% ${pct(e.price24Pct)} • Diff ${pct(e.diffPct)} • ~${pct(e.perMin)}${u}/min`;
+}
+
+function recoveryText(e, style) {
+  const u = unitOf(e);
+  const emoji = e.prevLevel > 0 ? '🟢🔕' : '🔴🔕';
+  return `${emoji} ${e.pair}: ${e.label} back ${bold(`below ${e.thresholdPct.toFixed(2)}${u}`, style)} (now ${pct(e.value)}${u}).\n` +
+    `• Vol24% ${pct(e.vol24Pct)} • Price24% ${pct(e.price24Pct)} • Diff ${pct(e.diffPct)} • ~${pct(e.perMin)}${u}/min`;
+}
+
+function digestTitle(e) {
+  const what = e.metric === 'anomalyZ' ? 'z = volume z - return z' : 'Δ = vol24% - price24%';
+  return `🧭 Kraken Volume • ${Math.round(e.windowSec/60)}m digest • Top ${e.topN} winners & losers (sustained ${what})`;
+}
+
+function digestText(e, style) {
+  const lines = [];
+  if (e.winners.length) {
+    lines.push(bold('Winners', style));
+    e.winners.forEach((s, i) => lines.push(buildLine(i, s.pair, s, false, unitOf(e))));
+  }
+  if (e.losers.length) {
+    lines.push(`\n${bold('Losers', style)}`);
+    e.losers.forEach((s, i) => lines.push(buildLine(i, s.pair, s, true, unitOf(e))));
+  }
+  return `${digestTitle(e)}\n${lines.join('\n')}`;
+}
+
+// { exchange, pairs: ['kraken:FOO/USD'] } — new pairs picked up by rediscovery
+function listingText(e, style) {
+  const names = e.pairs.map(k => splitPairKey(k).pair);
+  return `🆕 ${bold(`New ${e.exchange} listing${names.length > 1 ? 's' : ''}`, style)}: ${names.join(', ')} (now monitored)`;
+}
+
+// { pair, ratePerMin, baselinePerMin, count, takerBuyPct } — trade rate jumped over its baseline
+function burstText(e, style) {
+  const mult = e.baselinePerMin > 0 ? ` (${pct(e.ratePerMin / e.baselinePerMin)}× the usual ${pct(e.baselinePerMin)})` : '';
+  return `⚡ ${e.pair}: ${bold(`trade burst ${pct(e.ratePerMin)} trades/min`, style)}${mult}\n` +
+    `• ${e.count} trades • taker buys ${pct(e.takerBuyPct)}%`;
+}
+
+// { pair, side, qty, price, notional, currency } — one print ≥ WHALE_PRINT_NOTIONAL
+function whaleText(e, style) {
+  return `🐋 ${e.pair}: ${bold(`${e.side === 'sell' ? 'SELL' : 'BUY'} ${e.notional.toLocaleString('en-US')} ${e.currency}`, style)} ` +
+    `(${e.qty} @ ${e.price})`;
+}
+
+// { kind: 'spread', spreadBps, baselineBps } | { kind: 'depth', side, bandPct, depth, baseline, dropPct, quote }
+function liquidityText(e, style) {
+  if (e.kind === 'spread') {
+    return `🕳️ ${e.pair}: ${bold(`spread blew out to ${pct(e.spreadBps)} bps`, style)} (usually ${pct(e.baselineBps)} bps)`;
+  }
+  return `🕳️ ${e.pair}: ${bold(`${e.side} depth pulled ${pct(e.dropPct)}%`, style)} within ±${e.bandPct}% of mid ` +
+    `(${e.depth.toLocaleString('en-US')} vs ${e.baseline.toLocaleString('en-US')} ${e.quote})`;
+}
+
+/**
+ * Render an event as message text.
+ * @param {object} event - { type: 'step'|'recovery'|'digest'|'listing'|'burst'|'whale'|'liquidity', ... }
+ * @param {'slack'|'markdown'|'plain'} [style]
+ * @returns {string}
+ */
+function formatText(event, style = 'plain') {
+  switch (event.type) {
+    case 'step': return stepText(event, style);
+    case 'recovery': return recoveryText(event, style);
+    case 'digest': return digestText(event, style);
+    case 'listing': return listingText(event, style);
+    case 'burst': return burstText(event, style);
+    case 'whale': return whaleText(event, style);
+    case 'liquidity': return liquidityText(event, style);
+    default: return event.text || `${event.type} event`;
+  }
+}
+
+/**
+ * One-line summary, used as e-mail subject.
+ * @param {object} event
+ * @returns {string}
+ */
+function formatSubject(event) {
+  switch (event.type) {
+    case 'step':
+      return `${event.pair} ${event.delta > 0 ? 'up' : 'down'} to ${Math.abs(event.level).toFixed(2)}${unitOf(event)} ${event.label}`;
+    case 'recovery':
+      return `${event.pair} ${event.label} back below ${event.thresholdPct.toFixed(2)}${unitOf(event)}`;
+    case 'digest':
+      return digestTitle(event);
+    case 'listing':
+      return `New ${event.exchange} listings: ${event.pairs.length}`;
+    case 'burst':
+      return `${event.pair} trade burst: ${pct(event.ratePerMin)} trades/min`;
+    case 'whale':
+      return `${event.pair} whale ${event.side}: ${event.notional.toLocaleString('en-US')} ${event.currency}`;
+    case 'liquidity':
+      return event.kind === 'spread'
+        ? `${event.pair} spread blowout: ${pct(event.spreadBps)} bps`
+        : `${event.pair} ${event.side} depth pulled ${pct(event.dropPct)}%`;
+    default:
+      return event.subject || `Kraken Volume: ${event.type}`;
+  }
+}
+
+module.exports = { pct, bold, emojiForRank, buildLine, formatText, formatSubject };
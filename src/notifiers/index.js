@@ -0,0 +1,172 @@
+// src/notifiers/index.js  (CommonJS, used by index.js)
+// Notifier registry: step/recovery/digest/listing events fan out to every configured
+// channel whose routing filter accepts them. Each channel formats its own payload.
+//
+// Channels come from NOTIFIERS_FILE ({ channels: [...] }, JSON or YAML) or, if
+// that isn't set, from the per-sink env vars (SLACK_WEBHOOK_URL, DISCORD_WEBHOOK_URL, …).
+// Filter fields per channel:
+//   events:  ['step', 'recovery', 'digest', 'listing']  (default: all)
+//   minRank: step alerts need at least this many 🔥/🧊 (default 0)
+//   pairs:   regex the pair ('kraken:XBT/USD' or 'XBT/USD') must match (digests/listings are never filtered by pair)
+const fs = require('fs');
+const YAML = require('yaml');
+const { pairNames } = require('../exchanges/keys');
+const { createSlackChannel } = require('./slack');
+const { createDiscordChannel } = require('./discord');
+const { createTelegramChannel } = require('./telegram');
+const { createWebhookChannel } = require('./webhook');
+const { createSmtpChannel } = require('./smtp');
+
+const CHANNEL_TYPES = {
+  slack: createSlackChannel,
+  discord: createDiscordChannel,
+  telegram: createTelegramChannel,
+  webhook: createWebhookChannel,
+  smtp: createSmtpChannel,
+};
+const EVENT_TYPES = ['step', 'recovery', 'digest', 'listing', 'burst', 'whale', 'liquidity'];
+
+function list(v) {
+  if (v === undefined || v === null || v === '') return undefined;
+  return Array.isArray(v) ? v : String(v).split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Build a channel from its config ({ name?, type, events?, minRank?, pairs?, ...sink options }).
+ * @param {object} cfg
+ * @returns {object}
+ */
+function createChannel(cfg) {
+  const factory = CHANNEL_TYPES[cfg.type];
+  if (!factory) throw new Error(`unknown notifier type ${cfg.type} (use ${Object.keys(CHANNEL_TYPES).join(', ')})`);
+  const name = cfg.name || cfg.type;
+  const events = list(cfg.events) || EVENT_TYPES;
+  const unknown = events.filter(e => !EVENT_TYPES.includes(e));
+  if (unknown.length) throw new Error(`notifier ${name}: unknown events ${unknown.join(', ')}`);
+  const minRank = Number(cfg.minRank || 0);
+  if (!Number.isFinite(minRank)) throw new Error(`notifier ${name}: minRank must be a number`);
+  const pairRe = cfg.pairs ? new RegExp(cfg.pairs) : null;
+
+  return { name, type: cfg.type, events, minRank, pairRe, ...factory(cfg) };
+}
+
+/**
+ * Does this channel want this event?
+ * @param {object} channel
+ * @param {object} event
+ * @returns {boolean}
+ */
+function accepts(channel, event) {
+  if (!channel.events.includes(event.type)) return false;
+  if (event.type === 'step' && (event.rank || 0) < channel.minRank) return false;
+  if (channel.pairRe && event.pair && !pairNames(event.pair).some(n => channel.pairRe.test(n))) return false;
+  return true;
+}
+
+// Per-sink filters from env: <PREFIX>_EVENTS, <PREFIX>_MIN_RANK, <PREFIX>_PAIRS
+function envFilter(env, prefix) {
+  return {
+    events: list(env[`${prefix}_EVENTS`]),
+    minRank: env[`${prefix}_MIN_RANK`],
+    pairs: env[`${prefix}_PAIRS`] || undefined,
+  };
+}
+
+/**
+ * Channel configs from the classic env vars.
+ * @param {object} env - process.env
+ * @returns {object[]}
+ */
+function channelsFromEnv(env) {
+  const out = [];
+  if (env.SLACK_WEBHOOK_URL) {
+    out.push({ type: 'slack', url: env.SLACK_WEBHOOK_URL, ...envFilter(env, 'SLACK') });
+  }
+  if (env.DISCORD_WEBHOOK_URL) {
+    out.push({ type: 'discord', url: env.DISCORD_WEBHOOK_URL, ...envFilter(env, 'DISCORD') });
+  }
+  if (env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID) {
+    out.push({ type: 'telegram', token: env.TELEGRAM_BOT_TOKEN, chatId: env.TELEGRAM_CHAT_ID, ...envFilter(env, 'TELEGRAM') });
+  }
+  if (env.NOTIFY_WEBHOOK_URL) {
+    out.push({ type: 'webhook', url: env.NOTIFY_WEBHOOK_URL, ...envFilter(env, 'NOTIFY_WEBHOOK') });
+  }
+  if (env.SMTP_URL && env.SMTP_FROM && env.SMTP_TO) {
+    out.push({ type: 'smtp', url: env.SMTP_URL, from: env.SMTP_FROM, to: list(env.SMTP_TO), ...envFilter(env, 'SMTP') });
+  }
+  return out;
+}
+
+// "${SLACK_WEBHOOK_URL}" in a channels file → value from env (keeps secrets out of the file)
+function expandEnv(value, env) {
+  if (typeof value === 'string') return value.replace(/\$\{(\w+)\}/g, (_m, k) => env[k] ?? '');
+  if (Array.isArray(value)) return value.map(v => expandEnv(v, env));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, expandEnv(v, env)]));
+  }
+  return value;
+}
+
+/**
+ * Channel configs from a JSON/YAML file: { channels: [...] }.
+ * @param {string} file
+ * @param {object} env
+ * @returns {object[]}
+ */
+function loadChannelsFile(file, env) {
+  const raw = fs.readFileSync(file, 'utf8');
+  const doc = /\.ya?ml$/i.test(file) ? YAML.parse(raw) : JSON.parse(raw);
+  if (!doc || !Array.isArray(doc.channels)) throw new Error(`${file}: expected { channels: [...] }`);
+  return expandEnv(doc.channels, env);
+}
+
+/**
+ * @param {object[]} channels - Output of createChannel().
+ * @param {object} [opts]
+ * @param {{enqueue: (channel: string, payload: object) => string}} [opts.queue] - Delivery queue
+ *   (src/delivery-queue.js); without one, sends go out directly and failures are only logged.
+ * @returns {{channels: object[], send: (name: string, payload: object) => Promise<any>, notify: (event: object) => Promise<string[]>}}
+ */
+function createNotifier(channels, { queue } = {}) {
+  const byName = new Map(channels.map(ch => [ch.name, ch]));
+
+  function send(name, payload) {
+    const ch = byName.get(name);
+    if (!ch) return Promise.reject(new Error(`unknown channel ${name}`));
+    return ch.send(payload);
+  }
+
+  return {
+    channels,
+    send,
+    /**
+     * Route an event to every accepting channel. Never rejects; failures are logged.
+     * @returns {Promise<string[]>} Names of the channels that delivered (or queued).
+     */
+    async notify(event) {
+      const ev = { ts: Date.now(), ...event };
+      const targets = channels.filter(ch => accepts(ch, ev));
+      if (queue) {
+        for (const ch of targets) queue.enqueue(ch.name, ch.format(ev));
+        return targets.map(ch => ch.name);
+      }
+      const results = await Promise.allSettled(targets.map(async (ch) => ch.send(ch.format(ev))));
+      const delivered = [];
+      results.forEach((r, i) => {
+        if (r.status === 'fulfilled') delivered.push(targets[i].name);
+        else console.error(`Notifier ${targets[i].name} error`, r.reason?.message);
+      });
+      return delivered;
+    },
+  };
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  EVENT_TYPES,
+  createChannel,
+  accepts,
+  channelsFromEnv,
+  loadChannelsFile,
+  createNotifier,
+};
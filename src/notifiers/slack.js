@@ -0,0 +1,13 @@
+// src/notifiers/slack.js  (CommonJS) — Slack incoming webhook
+const axios = require('axios');
+const { formatText } = require('./format');
+
+function createSlackChannel({ url }) {
+  if (!url) throw new Error('slack channel needs url');
+  return {
+    format: (event) => ({ text: formatText(event, 'slack') }),
+    send: (payload) => axios.post(url, payload, { timeout: 10000 }),
+  };
+}
+
+module.exports = { createSlackChannel };
@@ -0,0 +1,20 @@
+// src/notifiers/telegram.js  (CommonJS) — Telegram bot sendMessage
+const axios = require('axios');
+const { formatText } = require('./format');
+
+const TELEGRAM_MAX_TEXT = 4096;
+
+// plain text on purpose: Telegram's Markdown parser rejects unbalanced */_ in pair names & emoji lines
+function createTelegramChannel({ token, chatId, apiUrl = 'https://api.telegram.org' }) {
+  if (!token || !chatId) throw new Error('telegram channel needs token and chatId');
+  return {
+    format: (event) => ({
+      chat_id: chatId,
+      text: formatText(event, 'plain').slice(0, TELEGRAM_MAX_TEXT),
+      disable_web_page_preview: true,
+    }),
+    send: (payload) => axios.post(`${apiUrl}/bot${token}/sendMessage`, payload, { timeout: 10000 }),
+  };
+}
+
+module.exports = { createTelegramChannel };
@@ -0,0 +1,13 @@
+// src/notifiers/webhook.js  (CommonJS) — generic JSON webhook (the raw event + rendered text)
+const axios = require('axios');
+const { formatText } = require('./format');
+
+function createWebhookChannel({ url, headers = {} }) {
+  if (!url) throw new Error('webhook channel needs url');
+  return {
+    format: (event) => ({ ...event, text: formatText(event, 'plain') }),
+    send: (payload) => axios.post(url, payload, { timeout: 10000, headers }),
+  };
+}
+
+module.exports = { createWebhookChannel };
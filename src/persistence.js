@@ -0,0 +1,124 @@
+// src/persistence.js  (CommonJS, used by index.js)
+// Checkpoints the per-pair minute history + alert state to a JSON file so a
+// restart/redeploy doesn't throw away the 24h lookback.
+const fs = require('fs');
+const path = require('path');
+
+const STATE_VERSION = 2;
+
+// v1 keyed pairs by the bare Kraken wsname ('XBT/USD'); v2 keys are 'exchange:pair'
+function migrateState(data) {
+  if (!data || data.version !== 1 || !data.pairs) return data;
+  const pairs = {};
+  for (const [pair, saved] of Object.entries(data.pairs)) pairs[pair.includes(':') ? pair : `kraken:${pair}`] = saved;
+  return { ...data, version: 2, pairs };
+}
+
+/**
+ * Turn the in-memory perPair map into a plain JSON-able object.
+ * daybuf entries are stored as compact tuples: [ts, vol24, price, gapSec].
+ * @param {object} perPair - The perPair state map from index.js.
+ * @param {number} [nowMs] - Save timestamp (ms).
+ * @returns {object} Serializable state.
+ */
+function serializeState(perPair, nowMs = Date.now()) {
+  const pairs = {};
+  for (const [pair, S] of Object.entries(perPair)) {
+    if (!S) continue;
+    pairs[pair] = {
+      daybuf: (S.daybuf || []).map(e => [e.ts, e.vol24, e.price, e.gapSec || 0]),
+      lastMinuteBucket: S.lastMinuteBucket || 0,
+      alert: { ...(S.alert || {}) },
+      digestStreak: S.digestStreak || 0,
+    };
+  }
+  return { version: STATE_VERSION, savedAt: nowMs, pairs };
+}
+
+/**
+ * Load a serialized state back into perPair (via ensureState).
+ * Samples older than keepSec are dropped; pairs not in `pairs` (if given) are ignored.
+ * v1 files (bare Kraken pair names) are migrated to 'kraken:'-prefixed keys.
+ * The first live sample after the restart gets a gapSec marker from pushMinuteSample.
+ * @param {object} data - Output of serializeState().
+ * @param {object} opts
+ * @param {(pair: string) => object} opts.ensureState - Creates/returns the state for a pair.
+ * @param {number} opts.nowSec - Current time in seconds.
+ * @param {number} opts.keepSec - How much history to keep.
+ * @param {string[]} [opts.pairs] - Only restore these pairs.
+ * @returns {number} Number of pairs restored.
+ */
+function restoreState(data, { ensureState, nowSec, keepSec, pairs }) {
+  data = migrateState(data);
+  if (!data || data.version !== STATE_VERSION || !data.pairs) return 0;
+  const allow = pairs ? new Set(pairs) : null;
+  const cutoff = nowSec - keepSec;
+  let restored = 0;
+
+  for (const [pair, saved] of Object.entries(data.pairs)) {
+    if (allow && !allow.has(pair)) continue;
+    const S = ensureState(pair);
+    S.daybuf = (saved.daybuf || [])
+      .filter(t => Array.isArray(t) && t[0] >= cutoff && t[0] <= nowSec)
+      .map(([ts, vol24, price, gapSec]) => (gapSec ? { ts, vol24, price, gapSec } : { ts, vol24, price }));
+    S.lastMinuteBucket = saved.lastMinuteBucket || 0;
+    S.alert = { ...S.alert, ...(saved.alert || {}) };
+    S.digestStreak = saved.digestStreak || 0;
+    restored++;
+  }
+  return restored;
+}
+
+function tmpPathFor(file) {
+  return `${file}.${process.pid}.tmp`;
+}
+
+/**
+ * Write state atomically (tmp file + rename).
+ * @param {string} file
+ * @param {object} data
+ * @returns {Promise<void>}
+ */
+async function saveStateFile(file, data) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = tmpPathFor(file);
+  await fs.promises.writeFile(tmp, JSON.stringify(data));
+  await fs.promises.rename(tmp, file);
+}
+
+/**
+ * Synchronous variant for signal handlers, where we can't await.
+ * @param {string} file
+ * @param {object} data
+ */
+function saveStateFileSync(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = tmpPathFor(file);
+  fs.writeFileSync(tmp, JSON.stringify(data));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Read a state file. Returns null when it doesn't exist yet.
+ * @param {string} file
+ * @returns {object|null}
+ */
+function loadStateFile(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+  return JSON.parse(raw);
+}
+
+module.exports = {
+  STATE_VERSION,
+  serializeState,
+  restoreState,
+  saveStateFile,
+  saveStateFileSync,
+  loadStateFile,
+};
@@ -0,0 +1,98 @@
+// src/recorder.js  (CommonJS, used by index.js; read back by replay.js)
+// Appends every raw WS frame with its receive time to NDJSON files under a
+// directory, rotating by size and keeping the newest N files. Each file starts
+// with a header line describing the feeds, so replay can rebuild the adapters:
+//   {"recording":1,"ts":1700000000000,"feeds":{"kraken":{"version":1,"pairs":["XBT/USD"]}}}
+//   {"ts":1700000000123,"ex":"kraken","frame":[42,{"c":["67012.1","0.1"],...},"ticker","XBT/USD"]}
+const fs = require('fs');
+const path = require('path');
+
+const RECORDING_VERSION = 1;
+
+function stamp(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\..*$/, '').replace('T', '-');
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.dir
+ * @param {() => object} opts.feeds - Current { exchange: { version?, pairs } } for file headers.
+ * @param {number} [opts.maxBytes] - Rotate once a file grows past this.
+ * @param {number} [opts.maxFiles] - Oldest recordings beyond this are deleted.
+ * @param {() => number} [opts.now]
+ * @returns {{record: (exchange: string, raw: string) => void, close: () => void}}
+ */
+function createRecorder({ dir, feeds, maxBytes = 50 * 1024 * 1024, maxFiles = 20, now = Date.now }) {
+  let fd = null;
+  let bytes = 0;
+  let seq = 0;
+
+  function prune() {
+    const files = listRecordings(dir);
+    for (const f of files.slice(0, Math.max(0, files.length - maxFiles))) {
+      try { fs.unlinkSync(f); } catch (e) { console.error('Recorder prune failed:', e.message); }
+    }
+  }
+
+  function open() {
+    fs.mkdirSync(dir, { recursive: true });
+    const ts = now();
+    // seq keeps names unique (and sorted) when rotating more than once a second
+    const file = path.join(dir, `frames-${stamp(ts)}-${String(seq++).padStart(4, '0')}.ndjson`);
+    fd = fs.openSync(file, 'a');
+    bytes = 0;
+    write(JSON.stringify({ recording: RECORDING_VERSION, ts, feeds: feeds() }));
+    prune();
+  }
+
+  function close() {
+    if (fd === null) return;
+    try { fs.closeSync(fd); } catch {}
+    fd = null;
+  }
+
+  // Small synchronous appends: frames stay in receive order and nothing is lost on exit
+  function write(line) {
+    const buf = Buffer.from(`${line}\n`);
+    fs.writeSync(fd, buf);
+    bytes += buf.length;
+  }
+
+  return {
+    /**
+     * @param {string} exchange
+     * @param {string} raw - The frame text as received (must be valid JSON).
+     */
+    record(exchange, raw) {
+      try {
+        if (fd === null || bytes >= maxBytes) {
+          close();
+          open();
+        }
+        write(`{"ts":${now()},"ex":${JSON.stringify(exchange)},"frame":${raw}}`);
+      } catch (e) {
+        console.error('Recorder write failed:', e.message);
+        close();
+      }
+    },
+    close,
+  };
+}
+
+/**
+ * Recording files in a directory, oldest first (names sort by time).
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function listRecordings(dir) {
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  return names.filter(n => /^frames-.*\.ndjson$/.test(n)).sort().map(n => path.join(dir, n));
+}
+
+module.exports = { RECORDING_VERSION, createRecorder, listRecordings };
@@ -0,0 +1,224 @@
+// src/replay.js  (CommonJS; CLI: `npm run replay -- <file|dir>... [--speed 100] [--out report.json] [--rules rules.yaml]`)
+// Backtest mode: feeds recorded WS frames (src/recorder.js) through the same
+// adapter parse -> engine.computeFromTicker path as live, on a simulated clock,
+// and collects the alerts/digests it would have sent into a report.
+// ALERT_* / DIGEST_* / LOOKBACK_* env vars apply exactly as they do live.
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { createExchange, pairKey } = require('./exchanges');
+const { configFromEnv, engineConfig, ruleDefaults, createEngine } = require('./engine');
+const { createConfig } = require('./config');
+const { createRuleStore } = require('./rules');
+const { listRecordings } = require('./recorder');
+const { formatText } = require('./notifiers/format');
+
+const MIN_SPEED = 1;
+const MAX_SPEED = 1000;
+
+function sleepMs(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+// Files and directories (all recordings inside, oldest first)
+function expandInputs(inputs) {
+  return inputs.flatMap(p => (fs.statSync(p).isDirectory() ? listRecordings(p) : [p]));
+}
+
+/**
+ * Replay recordings through a fresh engine.
+ * @param {object} opts
+ * @param {string[]} opts.files - NDJSON recordings, in order.
+ * @param {number} [opts.speed] - Simulated seconds per real second (1–1000).
+ * @param {object} [opts.config] - Engine config (default: from env).
+ * @param {{resolve: (pair: string) => object}} opts.rules
+ * @param {(ms: number) => Promise<void>} [opts.sleep]
+ * @param {() => number} [opts.wallNow] - Real time, for pacing.
+ * @returns {Promise<object>} Report.
+ */
+async function replay({ files, speed = MAX_SPEED, config = configFromEnv(process.env), rules, sleep = sleepMs, wallNow = Date.now }) {
+  if (!(speed >= MIN_SPEED && speed <= MAX_SPEED)) throw new Error(`speed must be between ${MIN_SPEED} and ${MAX_SPEED}`);
+
+  let simNow = 0;
+  const clock = { now: () => simNow };
+  const alerts = [];
+  const digests = [];
+  const engine = createEngine({
+    config,
+    rules,
+    clock,
+    notify: (event) => (event.type === 'digest' ? digests : alerts).push(event),
+  });
+
+  const adapters = {};
+  const keys = new Set();
+  const counts = { frames: 0, tickers: 0, trades: 0, skipped: 0 };
+  let firstTs = null, lastTs = null, nextDigestAt = null;
+  const digestEveryMs = Math.max(60, config.digestEverySec) * 1000;
+  const realStart = wallNow();
+
+  function header(h) {
+    for (const [id, feed] of Object.entries(h.feeds || {})) {
+      if (!adapters[id]) adapters[id] = createExchange(id, { version: feed.version });
+      // lets adapters that map symbols (Binance) know what was subscribed
+      if (feed.pairs?.length) adapters[id].subscribeMessages(feed.pairs);
+      for (const p of feed.pairs || []) keys.add(pairKey(id, p));
+    }
+  }
+
+  async function frame(line) {
+    const { ts, ex } = line;
+    if (firstTs === null) { firstTs = ts; nextDigestAt = ts + digestEveryMs; }
+
+    // keep simulated time at `speed`× real time
+    const ahead = (ts - firstTs) / speed - (wallNow() - realStart);
+    if (ahead > 5) await sleep(ahead);
+
+    // digests are due on the simulated clock, between frames
+    while (ts >= nextDigestAt) {
+      simNow = nextDigestAt;
+      engine.sendDigest([...keys]);
+      nextDigestAt += digestEveryMs;
+    }
+    simNow = lastTs = ts;
+    counts.frames++;
+
+    const adapter = adapters[ex];
+    const msg = adapter ? adapter.parse(line.frame) : null;
+    if (msg && msg.type === 'trades') {
+      const byPair = {};
+      for (const t of msg.trades) (byPair[pairKey(ex, t.pair)] ||= []).push(t);
+      counts.trades += msg.trades.length;
+      for (const [key, list] of Object.entries(byPair)) engine.computeFromTrades(key, list);
+      return;
+    }
+    if (msg && msg.type === 'book') {
+      // no resync in a recording: a mismatched book waits for the next snapshot
+      for (const b of msg.books) engine.computeFromBook(pairKey(ex, b.pair), b);
+      return;
+    }
+    if (!msg || msg.type !== 'ticker') { counts.skipped++; return; }
+    for (const t of msg.tickers) {
+      const key = pairKey(ex, t.pair);
+      keys.add(key);
+      counts.tickers++;
+      engine.computeFromTicker(key, Math.floor(ts / 1000), t.vol24, t.lastPrice, t.avg24);
+    }
+  }
+
+  for (const file of files) {
+    const rl = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const text of rl) {
+      if (!text.trim()) continue;
+      let line;
+      try { line = JSON.parse(text); } catch { counts.skipped++; continue; }
+      if (line.recording) header(line);
+      else await frame(line);
+    }
+  }
+
+  const byPair = {};
+  for (const e of alerts) {
+    const row = (byPair[e.pair] ||= { steps: 0, recoveries: 0, maxLevel: 0 });
+    if (e.type === 'step') {
+      row.steps++;
+      if (Math.abs(e.level) > Math.abs(row.maxLevel)) row.maxLevel = e.level;
+    } else if (e.type === 'recovery') {
+      row.recoveries++;
+    } else {
+      // trade/book channels
+      const field = { burst: 'bursts', whale: 'whales', liquidity: 'liquidity' }[e.type] || e.type;
+      row[field] = (row[field] || 0) + 1;
+    }
+  }
+
+  return {
+    files,
+    speed,
+    from: firstTs,
+    to: lastTs,
+    simulatedSec: firstTs === null ? 0 : Math.round((lastTs - firstTs) / 1000),
+    ...counts,
+    config,
+    summary: {
+      steps: alerts.filter(e => e.type === 'step').length,
+      recoveries: alerts.filter(e => e.type === 'recovery').length,
+      bursts: alerts.filter(e => e.type === 'burst').length,
+      whales: alerts.filter(e => e.type === 'whale').length,
+      liquidity: alerts.filter(e => e.type === 'liquidity').length,
+      digests: digests.length,
+      suppressed: { ...engine.stats.alertsSuppressed },
+      byPair,
+    },
+    alerts,
+    digests,
+    snapshot: engine.snapshot([...keys]),
+  };
+}
+
+/**
+ * Human-readable version of a report (what the alerts would have said).
+ * @param {object} report
+ * @returns {string}
+ */
+function formatReport(report) {
+  const iso = (ms) => (ms === null ? '-' : new Date(ms).toISOString());
+  const out = [
+    `Replayed ${report.frames} frames (${report.tickers} ticker updates) from ${report.files.length} file(s)`,
+    `Window ${iso(report.from)} → ${iso(report.to)} (${report.simulatedSec}s simulated at ${report.speed}x)`,
+    `Alerts: ${report.summary.steps} step, ${report.summary.recoveries} recovery` +
+      (report.trades ? `, ${report.summary.bursts} burst, ${report.summary.whales} whale` : '') +
+      (report.summary.liquidity ? `, ${report.summary.liquidity} liquidity` : '') +
+      `; digests: ${report.summary.digests}`,
+    '',
+  ];
+  const events = [...report.alerts, ...report.digests].sort((a, b) => a.ts - b.ts);
+  for (const e of events) out.push(`[${iso(e.ts)}] ${formatText(e, 'plain')}`, '');
+  return out.join('\n');
+}
+
+function parseArgs(argv) {
+  const args = { inputs: [], speed: MAX_SPEED, out: '', rules: '' };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--speed') args.speed = Number(argv[++i]);
+    else if (a === '--out') args.out = argv[++i];
+    else if (a === '--rules') args.rules = argv[++i];
+    else args.inputs.push(a);
+  }
+  return args;
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  if (!args.inputs.length) {
+    console.error('usage: replay <recording.ndjson|dir>... [--speed 1-1000] [--out report.json] [--rules rules.yaml]');
+    process.exitCode = 2;
+    return;
+  }
+  // same settings as live: env over CONFIG_FILE over defaults
+  const settings = createConfig({ env: process.env, file: process.env.CONFIG_FILE || path.join(__dirname, '..', 'data', 'config.yaml') });
+  settings.load();
+  const config = engineConfig(settings.values());
+  const rules = createRuleStore({
+    file: args.rules || settings.values().RULES_FILE,
+    defaults: ruleDefaults(config),
+    horizons: config.lookbackHorizons,
+  });
+  rules.load();
+
+  const report = await replay({ files: expandInputs(args.inputs), speed: args.speed, config, rules });
+  console.log(formatReport(report));
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+    console.log(`Report written to ${args.out}`);
+  }
+}
+
+if (require.main === module) {
+  require('dotenv').config({ quiet: true });
+  main(process.argv.slice(2)).catch((e) => {
+    console.error('Replay failed:', e.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { replay, formatReport, parseArgs, expandInputs };
@@ -0,0 +1,293 @@
+// src/rules.js  (CommonJS, used by index.js)
+// Per-pair / per-group alert rules. Loaded from a JSON or YAML file, hot-reloaded
+// on change, and editable at runtime (index.js exposes CRUD under /api/rules).
+//
+// File shape:
+//   tags:  { majors: ['XBT/USD', 'ETH/USD'] }
+//   rules: [{ id, match: { pairs?, regex?, tags? }, metric?, thresholdPct?, stepPct?,
+//             cooldownSec?, direction?, enabled? }]
+// A pair uses the most specific enabled rule (pairs > regex > tags > catch-all),
+// first in file order on ties; unset fields fall back to the env defaults.
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { pairNames } = require('./exchanges/keys');
+
+const RULE_METRICS = ['diffPct', 'vol24Pct', 'price24Pct', 'anomalyZ', 'volZ', 'retZ', 'imbalancePct'];
+// '<metric>@<horizon>' picks one of the LOOKBACK_HORIZONS instead ('diffPct@1h')
+const HORIZON_METRIC_RE = /^(diffPct|vol24Pct|price24Pct)@\d+(?:\.\d+)?[smhd]$/;
+const DIRECTIONS = ['both', 'up', 'down'];
+const ID_RE = /^[A-Za-z0-9_.-]{1,64}$/;
+
+function isYamlFile(file) {
+  return /\.ya?ml$/i.test(file);
+}
+
+function positive(rule, key) {
+  if (rule[key] === undefined) return;
+  const n = Number(rule[key]);
+  if (!Number.isFinite(n) || n <= 0) throw new Error(`rule ${rule.id}: ${key} must be a positive number`);
+  rule[key] = n;
+}
+
+// tags are keys of a plain object: '__proto__' would set its prototype instead
+function checkTag(tag) {
+  if (typeof tag !== 'string' || !ID_RE.test(tag) || tag === '__proto__') {
+    throw new Error('tag must be 1-64 chars of letters, digits, _ . - (not __proto__)');
+  }
+  return tag;
+}
+
+function stringList(v, what) {
+  if (v === undefined) return undefined;
+  if (!Array.isArray(v) || v.some(x => typeof x !== 'string')) throw new Error(`${what} must be a list of strings`);
+  return v;
+}
+
+/**
+ * Validate and normalize one rule. Returns a new object; throws on bad input.
+ * @param {object} input
+ * @param {string[]} [horizons] - LOOKBACK_HORIZONS; '<metric>@<horizon>' must name one of them.
+ * @returns {object}
+ */
+function validateRule(input, horizons) {
+  if (!input || typeof input !== 'object') throw new Error('rule must be an object');
+  const rule = { ...input };
+  if (typeof rule.id !== 'string' || !ID_RE.test(rule.id)) {
+    throw new Error('rule id must be 1-64 chars of letters, digits, _ . -');
+  }
+
+  const match = rule.match || {};
+  if (typeof match !== 'object') throw new Error(`rule ${rule.id}: match must be an object`);
+  rule.match = {};
+  const pairs = stringList(match.pairs, `rule ${rule.id}: match.pairs`);
+  const tags = stringList(match.tags, `rule ${rule.id}: match.tags`);
+  if (pairs) rule.match.pairs = pairs;
+  if (tags) rule.match.tags = tags;
+  if (match.regex !== undefined) {
+    try { new RegExp(match.regex); } catch (e) { throw new Error(`rule ${rule.id}: bad regex (${e.message})`); }
+    rule.match.regex = String(match.regex);
+  }
+
+  if (rule.metric !== undefined && !RULE_METRICS.includes(rule.metric) && !HORIZON_METRIC_RE.test(rule.metric)) {
+    throw new Error(`rule ${rule.id}: metric must be one of ${RULE_METRICS.join(', ')} (or <pct metric>@<horizon>)`);
+  }
+  const horizon = HORIZON_METRIC_RE.test(rule.metric) && rule.metric.split('@')[1];
+  if (horizon && horizons && !horizons.includes(horizon)) {
+    throw new Error(`rule ${rule.id}: horizon ${horizon} is not one of LOOKBACK_HORIZONS (${horizons.join(', ')})`);
+  }
+  if (rule.direction !== undefined && !DIRECTIONS.includes(rule.direction)) {
+    throw new Error(`rule ${rule.id}: direction must be one of ${DIRECTIONS.join(', ')}`);
+  }
+  positive(rule, 'thresholdPct');
+  positive(rule, 'stepPct');
+  if (rule.cooldownSec !== undefined) {
+    const n = Number(rule.cooldownSec);
+    if (!Number.isFinite(n) || n < 0) throw new Error(`rule ${rule.id}: cooldownSec must be >= 0`);
+    rule.cooldownSec = n;
+  }
+  if (rule.enabled !== undefined) rule.enabled = Boolean(rule.enabled);
+  return rule;
+}
+
+/**
+ * Validate a whole rules document ({ tags, rules }).
+ * @param {object} doc
+ * @param {string[]} [horizons] - LOOKBACK_HORIZONS, see validateRule().
+ * @returns {{tags: object, rules: object[]}}
+ */
+function validateRulesDoc(doc, horizons) {
+  const d = doc || {};
+  const tags = {};
+  if (d.tags !== undefined) {
+    if (typeof d.tags !== 'object' || Array.isArray(d.tags)) throw new Error('tags must be a map of tag -> pairs');
+    for (const [tag, pairs] of Object.entries(d.tags)) tags[checkTag(tag)] = stringList(pairs, `tags.${tag}`) || [];
+  }
+  if (d.rules !== undefined && !Array.isArray(d.rules)) throw new Error('rules must be a list');
+  const rules = (d.rules || []).map(r => validateRule(r, horizons));
+  const seen = new Set();
+  for (const r of rules) {
+    if (seen.has(r.id)) throw new Error(`duplicate rule id ${r.id}`);
+    seen.add(r.id);
+  }
+  return { tags, rules };
+}
+
+// Higher = more specific; -1 = no match
+// Rules may name the full key ('binance:BTC/USDT') or just the pair ('BTC/USDT', any venue)
+function matchScore(rule, pair, tags) {
+  const m = rule.match;
+  const names = pairNames(pair);
+  if (m.pairs && names.some(n => m.pairs.includes(n))) return 3;
+  if (m.regex) {
+    const re = new RegExp(m.regex);
+    if (names.some(n => re.test(n))) return 2;
+  }
+  if (m.tags && m.tags.some(t => names.some(n => (tags[t] || []).includes(n)))) return 1;
+  if (!m.pairs && !m.regex && !m.tags) return 0; // catch-all
+  return -1;
+}
+
+/**
+ * Pick the effective rule for a pair, with defaults filled in.
+ * @param {string} pair
+ * @param {{tags: object, rules: object[]}} doc
+ * @param {object} defaults - { metric, thresholdPct, stepPct, cooldownSec, direction }
+ * @returns {object}
+ */
+function resolveRule(pair, doc, defaults) {
+  let best = null, bestScore = -1;
+  for (const r of doc.rules) {
+    if (r.enabled === false) continue;
+    const score = matchScore(r, pair, doc.tags);
+    if (score > bestScore) { best = r; bestScore = score; }
+  }
+  const base = { id: 'default', ...defaults };
+  if (!best) return base;
+  const { match: _match, enabled: _enabled, ...fields } = best;
+  return { ...base, ...fields };
+}
+
+/**
+ * File-backed rule store with hot reload and CRUD helpers.
+ * @param {object} opts
+ * @param {string} opts.file - JSON or YAML path.
+ * @param {object} opts.defaults - Env-derived default rule fields.
+ * @param {string[]} [opts.horizons] - LOOKBACK_HORIZONS that '<metric>@<horizon>' rules may name.
+ * @param {() => void} [opts.onChange] - Called after every successful (re)load or edit.
+ * @returns {object}
+ */
+function createRuleStore({ file, defaults, horizons, onChange = () => {} }) {
+  let doc = { tags: {}, rules: [] };
+  let lastRaw = null; // last content we loaded or wrote; unchanged content isn't reloaded
+  const cache = new Map();
+
+  function changed() {
+    cache.clear();
+    onChange();
+  }
+
+  function load() {
+    let raw;
+    try {
+      raw = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      raw = '';
+    }
+    if (raw === lastRaw) return false;
+    const parsed = raw.trim() ? (isYamlFile(file) ? YAML.parse(raw) : JSON.parse(raw)) : {};
+    doc = validateRulesDoc(parsed, horizons);
+    lastRaw = raw;
+    changed();
+    return true;
+  }
+
+  function save() {
+    const text = isYamlFile(file) ? YAML.stringify(doc) : JSON.stringify(doc, null, 2) + '\n';
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, text);
+    fs.renameSync(tmp, file);
+    lastRaw = text;
+  }
+
+  // Apply an edit to a copy, validate, then persist + swap in
+  function commit(next) {
+    const valid = validateRulesDoc(next, horizons);
+    const prev = doc;
+    doc = valid;
+    try {
+      save();
+    } catch (e) {
+      doc = prev;
+      throw e;
+    }
+    changed();
+  }
+
+  function watch(intervalMs = 2000) {
+    fs.watchFile(file, { interval: intervalMs }, () => {
+      try {
+        if (load()) console.log(`Rules reloaded from ${file} (${doc.rules.length} rules)`);
+      } catch (e) {
+        console.error(`Rules reload failed, keeping previous rules: ${e.message}`);
+      }
+    });
+  }
+
+  function unwatch() {
+    fs.unwatchFile(file);
+  }
+
+  return {
+    load,
+    watch,
+    unwatch,
+    resolve(pair) {
+      if (!cache.has(pair)) cache.set(pair, resolveRule(pair, doc, defaults));
+      return cache.get(pair);
+    },
+    list: () => doc,
+    get: (id) => doc.rules.find(r => r.id === id) || null,
+    create(rule) {
+      const r = validateRule(rule, horizons);
+      if (doc.rules.some(x => x.id === r.id)) throw Object.assign(new Error(`rule ${r.id} already exists`), { status: 409 });
+      commit({ ...doc, rules: [...doc.rules, r] });
+      return r;
+    },
+    update(id, rule) {
+      const idx = doc.rules.findIndex(x => x.id === id);
+      if (idx < 0) return null;
+      const r = validateRule({ ...rule, id }, horizons);
+      const rules = doc.rules.slice();
+      rules[idx] = r;
+      commit({ ...doc, rules });
+      return r;
+    },
+    remove(id) {
+      if (!doc.rules.some(x => x.id === id)) return false;
+      commit({ ...doc, rules: doc.rules.filter(x => x.id !== id) });
+      return true;
+    },
+    setTag(tag, pairs) {
+      checkTag(tag);
+      stringList(pairs, `tags.${tag}`);
+      commit({ ...doc, tags: { ...doc.tags, [tag]: pairs } });
+      return doc.tags[tag];
+    },
+    removeTag(tag) {
+      if (!Object.hasOwn(doc.tags, tag)) return false;
+      const { [tag]: _gone, ...tags } = doc.tags;
+      commit({ ...doc, tags });
+      return true;
+    },
+    // the env/config defaults changed (config hot reload)
+    setDefaults(next) {
+      defaults = next;
+      changed();
+    },
+    /**
+     * LOOKBACK_HORIZONS changed (config hot reload). Rules naming a horizon that is
+     * gone stay loaded but fail every edit until they are fixed or removed.
+     * @param {string[]} next
+     * @returns {string[]} ids of rules whose horizon is no longer configured
+     */
+    setHorizons(next) {
+      horizons = next;
+      changed();
+      return doc.rules.filter(r => {
+        try { validateRule(r, horizons); return false; } catch { return true; }
+      }).map(r => r.id);
+    },
+  };
+}
+
+module.exports = {
+  RULE_METRICS,
+  DIRECTIONS,
+  validateRule,
+  validateRulesDoc,
+  resolveRule,
+  createRuleStore,
+};
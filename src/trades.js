@@ -0,0 +1,78 @@
+// src/trades.js  (CommonJS, used by engine.js)
+// Rolling trade flow for one pair, fed by the Kraken 'trade' channel. The 24h
+// ticker volume can't tell buyers from sellers; individual prints can: taker
+// buy vs sell volume, trades per minute and the biggest prints over a short
+// window, plus the trade rate over a longer baseline so bursts stand out.
+// Trades are folded into fixed buckets, so memory stays flat on busy pairs.
+
+/**
+ * @param {object} [opts]
+ * @param {number} [opts.windowSec] - Short window for the flow figures.
+ * @param {number} [opts.baselineSec] - Trade-rate baseline (bursts compare against it).
+ * @param {number} [opts.bucketSec]
+ * @returns {{add: Function, summary: Function}}
+ */
+function createTradeFlow({ windowSec = 60, baselineSec = 3600, bucketSec = 5 } = {}) {
+  const buckets = []; // [{ t, buyVol, sellVol, count, largest }] oldest first
+  let firstTs = 0;
+
+  /**
+   * @param {{ts: number, price: number, qty: number, side: 'buy'|'sell'}[]} trades - ts in ms.
+   */
+  function add(trades) {
+    for (const tr of trades) {
+      if (!(tr.qty > 0) || !(tr.price > 0)) continue;
+      const t = Math.floor(tr.ts / 1000 / bucketSec) * bucketSec;
+      let b = buckets[buckets.length - 1];
+      // late prints land in the newest bucket; order within a window doesn't matter
+      if (!b || t > b.t) {
+        b = { t, buyVol: 0, sellVol: 0, count: 0, largest: null };
+        buckets.push(b);
+      }
+      if (tr.side === 'buy') b.buyVol += tr.qty;
+      else b.sellVol += tr.qty;
+      b.count++;
+      if (!b.largest || tr.qty * tr.price > b.largest.qty * b.largest.price) b.largest = { ...tr };
+      if (!firstTs) firstTs = tr.ts;
+    }
+    const cutoff = (buckets.length ? buckets[buckets.length - 1].t : 0) - baselineSec;
+    while (buckets.length && buckets[0].t < cutoff) buckets.shift();
+  }
+
+  /**
+   * Flow over the last windowSec at `nowMs`.
+   * @param {number} nowMs
+   * @returns {{buyVol: number, sellVol: number, takerBuyPct: number|null, count: number,
+   *            ratePerMin: number, baselinePerMin: number|null, largest: object|null}}
+   */
+  function summary(nowMs) {
+    const nowSec = nowMs / 1000;
+    let buyVol = 0, sellVol = 0, count = 0, baseCount = 0, largest = null;
+    for (const b of buckets) {
+      if (b.t < nowSec - baselineSec) continue;
+      baseCount += b.count;
+      if (b.t < nowSec - windowSec) continue;
+      buyVol += b.buyVol;
+      sellVol += b.sellVol;
+      count += b.count;
+      if (b.largest && (!largest || b.largest.qty * b.largest.price > largest.qty * largest.price)) largest = b.largest;
+    }
+    // baseline = the rate before the current window, over as much of it as we've seen;
+    // null until there's at least one window of it
+    const before = firstTs ? Math.min(baselineSec, nowSec - firstTs / 1000) - windowSec : 0;
+    const total = buyVol + sellVol;
+    return {
+      buyVol,
+      sellVol,
+      takerBuyPct: total > 0 ? (buyVol / total) * 100 : null,
+      count,
+      ratePerMin: count * 60 / windowSec,
+      baselinePerMin: before >= windowSec ? (baseCount - count) * 60 / before : null,
+      largest,
+    };
+  }
+
+  return { add, summary };
+}
+
+module.exports = { createTradeFlow };
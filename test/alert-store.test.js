@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseAlertQuery, createAlertStore } from '../src/alert-store.js';
+
+const T0 = 1_700_000_000_000;
+
+function step(pair, level, ts, price, metric = 'diffPct') {
+  return { type: 'step', ts, pair, level, prevLevel: 0, label: 'diff', metric, unit: '%', price };
+}
+
+test('parseAlertQuery validates filters', () => {
+  assert.deepEqual(parseAlertQuery({}), { limit: 100 });
+  const f = parseAlertQuery({ type: 'step,recovery', pair: 'XBT/USD', from: '1700000000', minLevel: '10', limit: '5000' });
+  assert.deepEqual(f.types, ['step', 'recovery']);
+  assert.equal(f.from, 1700000000 * 1000);
+  assert.equal(f.minLevel, 10);
+  assert.equal(f.limit, 1000);
+  assert.throws(() => parseAlertQuery({ type: 'listing' }), /unknown type/);
+  assert.throws(() => parseAlertQuery({ to: 'yesterday' }), /unix time/);
+  assert.throws(() => parseAlertQuery({ limit: '0' }), /limit/);
+});
+
+test('records alerts, skips listings and filters newest first', () => {
+  const store = createAlertStore({ priceAt: () => null });
+  assert.equal(store.record({ type: 'listing', exchange: 'kraken', pairs: ['kraken:NEW/USD'] }), null);
+  const a = store.record(step('kraken:XBT/USD', 10, T0, 100));
+  store.record(step('kraken:ETH/USD', -15, T0 + 1000, 50));
+  store.record({
+    type: 'digest', ts: T0 + 2000, metric: 'diffPct', unit: '%', windowSec: 600,
+    winners: [{ pair: 'kraken:XBT/USD', avgDelta: 1.234, vPct: 2, pPct: 1, trendPerMin: 0.1, crowned: true }], losers: [],
+  });
+
+  assert.deepEqual(a.followThrough, {});
+  assert.equal(store.get(a.id), a);
+  assert.deepEqual(store.list().map(e => e.type), ['digest', 'step', 'step']);
+  assert.deepEqual(store.list({ pair: 'XBT/USD' }).map(e => e.type), ['digest', 'step']);
+  assert.deepEqual(store.list({ types: ['step'], minLevel: 12 }).map(e => e.pair), ['kraken:ETH/USD']);
+  assert.deepEqual(store.list({ to: T0 + 500 }).map(e => e.id), [a.id]);
+  assert.equal(store.list({ limit: 1 }).length, 1);
+});
+
+test('fills follow-through as horizons pass and summarises hit rates', () => {
+  const prices = { 'kraken:XBT/USD': 110, 'kraken:ETH/USD': 55 };
+  const store = createAlertStore({ horizons: ['15m', '1h'], priceAt: (pair) => prices[pair] ?? null });
+  const up = store.record(step('kraken:XBT/USD', 10, T0, 100));
+  const down = store.record(step('kraken:ETH/USD', -10, T0, 50));
+  store.record(step('kraken:SOL/USD', 10, T0, 20)); // no price history
+
+  assert.deepEqual(store.updateFollowThrough(T0 + 60_000), []);
+  assert.equal(store.updateFollowThrough(T0 + 16 * 60_000).length, 2);
+  assert.deepEqual(up.followThrough, { '15m': 10 });
+  assert.deepEqual(down.followThrough, { '15m': 10 });
+
+  // an hour after the last horizon without a price: given up on
+  store.updateFollowThrough(T0 + 2.1 * 3600_000);
+  assert.deepEqual(store.list({ pair: 'SOL/USD' })[0].followThrough, { '15m': null, '1h': null });
+
+  const { groups } = store.stats();
+  assert.equal(groups.length, 1);
+  assert.equal(groups[0].alerts, 3);
+  // XBT rose after +10 (hit), ETH rose after -10 (miss), SOL has no data
+  assert.deepEqual(groups[0].horizons['15m'], { n: 2, avgChangePct: 10, hitRatePct: 50 });
+});
+
+test('persists to disk and keeps the newest maxEntries', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kvm-alerts-'));
+  const file = path.join(dir, 'alerts.json');
+  try {
+    const store = createAlertStore({ file, maxEntries: 2, priceAt: () => null });
+    for (let i = 0; i < 3; i++) store.record(step('kraken:XBT/USD', 10 + i, T0 + i, 100));
+    store.flushSync();
+
+    const again = createAlertStore({ file, maxEntries: 2, priceAt: () => null });
+    assert.equal(again.load(), 2);
+    assert.deepEqual(again.list().map(e => e.level), [12, 11]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createAuditLog } from '../src/audit-log.js';
+
+test('audit log appends NDJSON, redacts secrets and reloads the tail', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kvm-audit-'));
+  const file = path.join(dir, 'audit.log');
+  try {
+    const log = createAuditLog({ file, max: 2 });
+    assert.equal(log.load(), 0);
+    log.record({ actor: 'alice', action: 'PUT /api/rules/r1', status: 200, body: { thresholdPct: 5 } });
+    log.record({ actor: 'bob', action: 'POST /api/notifiers', status: 201, body: { webhookUrl: 'https://hooks', name: 'ops' } });
+    log.record({ actor: 'alice', action: 'DELETE /api/views/v', status: 204, body: {} });
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+    assert.equal(lines.length, 3);
+    assert.deepEqual(lines[1].body, { webhookUrl: '[redacted]', name: 'ops' });
+    assert.equal('body' in lines[2], false);
+
+    assert.deepEqual(log.recent().map((e) => e.action), ['DELETE /api/views/v', 'POST /api/notifiers']);
+    assert.deepEqual(log.recent({ actor: 'bob' }).map((e) => e.actor), ['bob']);
+
+    fs.appendFileSync(file, '{"torn');
+    const again = createAuditLog({ file, max: 10 });
+    assert.equal(again.load(), 3);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  hashPassword, verifyPassword, hashApiKey, parseCookies, requiredRole, hasRole, originAllowed,
+  validateAuthFile, createAuth,
+} from '../src/auth.js';
+
+test('password and key hashes', () => {
+  const h = hashPassword('hunter2');
+  assert.match(h, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{64}$/);
+  assert.equal(verifyPassword('hunter2', h), true);
+  assert.equal(verifyPassword('hunter3', h), false);
+  assert.equal(verifyPassword('hunter2', 'plain'), false);
+  assert.equal(hashApiKey('k'), hashApiKey('k'));
+  assert.match(hashApiKey('k'), /^sha256\$[0-9a-f]{64}$/);
+});
+
+test('roles, cookies and origins', () => {
+  assert.equal(requiredRole('GET'), 'viewer');
+  assert.equal(requiredRole('delete'), 'admin');
+  assert.equal(hasRole({ role: 'admin' }, 'viewer'), true);
+  assert.equal(hasRole({ role: 'viewer' }, 'admin'), false);
+  assert.equal(hasRole(null, 'viewer'), false);
+  assert.deepEqual(parseCookies('a=1; kvm_session=x%3Dy;junk'), { a: '1', kvm_session: 'x=y' });
+
+  assert.equal(originAllowed([], undefined, 'h:3000'), true);
+  assert.equal(originAllowed([], 'http://h:3000', 'h:3000'), true);
+  assert.equal(originAllowed([], 'https://evil.example', 'h:3000'), false);
+  assert.equal(originAllowed(['https://ops.example'], 'https://ops.example/', 'h:3000'), true);
+  assert.equal(originAllowed(['*'], 'https://any.example', 'h:3000'), true);
+});
+
+test('a viewer deleting an admin\'s saved view is refused with 403', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kvm-auth-'));
+  const file = path.join(dir, 'auth.json');
+  fs.writeFileSync(file, JSON.stringify({ apiKeys: [
+    { name: 'ops', key: hashApiKey('kvm_admin'), role: 'admin' },
+    { name: 'grafana', key: hashApiKey('kvm_read'), role: 'viewer' },
+  ] }));
+  try {
+    const auth = createAuth({ file });
+    auth.load();
+    // the /api gate: 403 unless the caller holds requiredRole(method)
+    const status = (key, method) => (hasRole(auth.authenticate({ token: key }), requiredRole(method)) ? 200 : 403);
+    assert.equal(status('kvm_admin', 'PUT'), 200);       // admin saves /api/views/movers
+    assert.equal(status('kvm_read', 'GET'), 200);        // viewer opens it
+    assert.equal(status('kvm_read', 'DELETE'), 403);     // viewer can't delete it
+    assert.equal(status('kvm_read', 'PUT'), 403);        // or overwrite it
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('validateAuthFile rejects plaintext secrets and bad roles', () => {
+  const key = hashApiKey('k');
+  assert.throws(() => validateAuthFile({ users: [{ username: 'a', password: 'secret', role: 'admin' }] }), /scrypt/);
+  assert.throws(() => validateAuthFile({ apiKeys: [{ name: 'g', key: 'k', role: 'viewer' }] }), /sha256/);
+  assert.throws(() => validateAuthFile({ apiKeys: [{ name: 'g', key, role: 'root' }] }), /role must be/);
+  assert.throws(() => validateAuthFile({ apiKeys: [{ name: 'g', key, role: 'viewer' }, { name: 'g', key, role: 'admin' }] }), /duplicate/);
+});
+
+test('API keys, sessions, expiry, throttling and reload', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kvm-auth-'));
+  const file = path.join(dir, 'auth.json');
+  const write = (users) => fs.writeFileSync(file, JSON.stringify({
+    users,
+    apiKeys: [{ name: 'grafana', key: hashApiKey('kvm_read'), role: 'viewer' }],
+  }));
+  try {
+    let t = 1_000_000;
+    const auth = createAuth({ file, sessionTtlSec: 60, now: () => t });
+    assert.deepEqual(auth.load(), { users: 0, apiKeys: 0 }); // missing file
+    write([{ username: 'alice', password: hashPassword('pw'), role: 'admin' }]);
+    assert.deepEqual(auth.load(), { users: 1, apiKeys: 1 });
+
+    assert.deepEqual(auth.authenticate({ headers: { authorization: 'Bearer kvm_read' } }), { name: 'grafana', role: 'viewer', via: 'key' });
+    assert.equal(auth.authenticate({ headers: { 'x-api-key': 'kvm_read' } }).name, 'grafana');
+    assert.equal(auth.authenticate({ token: 'kvm_read' }).name, 'grafana');
+    assert.equal(auth.authenticate({ headers: { 'x-api-key': 'wrong' } }), null);
+    assert.equal(auth.authenticate({ headers: {} }), null);
+
+    assert.throws(() => auth.login('alice', 'nope', 'ip'), (e) => e.status === 401);
+    assert.throws(() => auth.login('mallory', 'pw', 'ip'), (e) => e.status === 401);
+    const s = auth.login('alice', 'pw', 'ip');
+    const cookie = { cookie: `kvm_session=${s.token}` };
+    assert.equal(auth.authenticate({ headers: cookie }).role, 'admin');
+    assert.equal(auth.authenticate({ token: s.token }).name, 'alice');
+    assert.equal(auth.stats().sessions, 1);
+
+    t += 61_000;
+    assert.equal(auth.authenticate({ headers: cookie }), null);
+
+    // logout ends the session
+    const s2 = auth.login('alice', 'pw', 'ip');
+    assert.equal(auth.logout(auth.authenticate({ token: s2.token })), true);
+    assert.equal(auth.authenticate({ token: s2.token }), null);
+
+    // demoting a user drops their sessions
+    const s3 = auth.login('alice', 'pw', 'ip');
+    write([{ username: 'alice', password: hashPassword('pw'), role: 'viewer' }]);
+    auth.load();
+    assert.equal(auth.authenticate({ token: s3.token }), null);
+
+    for (let i = 0; i < 10; i++) assert.throws(() => auth.login('alice', 'bad', 'ip2'), (e) => e.status === 401);
+    assert.throws(() => auth.login('alice', 'pw', 'ip2'), (e) => e.status === 429);
+    assert.equal(auth.login('alice', 'pw', 'ip3').principal.role, 'viewer');
+    assert.throws(() => auth.login('alice', 'bad', 'ip4'), (e) => e.status === 401);
+    assert.equal(auth.stats().failingClients, 2);
+    t += 15 * 60_000 + 1;
+    assert.equal(auth.stats().failingClients, 0); // swept without ip2/ip4 coming back
+    assert.equal(auth.login('alice', 'pw', 'ip2').principal.name, 'alice');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  restPairName, fetchOHLC, createFixtureFetcher, reconstructSamples, mergeSamples, backfillPairs,
+} from '../src/backfill.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'ohlc');
+const T0 = 1700000100;
+
+test('restPairName strips the slash', () => {
+  assert.equal(restPairName('XBT/USD'), 'XBTUSD');
+});
+
+test('reconstructSamples rebuilds rolling volume and price per minute', async () => {
+  const candles = await createFixtureFetcher(FIXTURES)('XBT/USD');
+  assert.equal(candles.length, 24);
+
+  const samples = reconstructSamples(candles, {
+    intervalSec: 300, resSec: 60, fromSec: 0, toSec: T0 + 24 * 300, windowSec: 3600,
+  });
+  assert.equal(samples.length, 61);
+  // first sample: 12 candles of 1.5 closed, none dropped yet
+  assert.deepEqual(samples[0], { ts: T0 + 3600, vol24: 18, price: 37112 });
+  // last sample: the 1.5 candles rolled out, twelve 3.0 candles remain
+  assert.deepEqual(samples.at(-1), { ts: T0 + 7200, vol24: 36, price: 37232 });
+  assert.ok(samples.every((s, i) => i === 0 || s.ts - samples[i - 1].ts === 60));
+});
+
+test('reconstructSamples stops at the last candle', () => {
+  const candles = [{ ts: 0, close: 1, volume: 1 }, { ts: 60, close: 2, volume: 1 }];
+  const samples = reconstructSamples(candles, { intervalSec: 60, resSec: 60, fromSec: 0, toSec: 100000, windowSec: 60 });
+  assert.equal(samples.at(-1).ts, 120);
+});
+
+test('reconstructSamples respects fromSec', () => {
+  const candles = [{ ts: 0, close: 1, volume: 1 }, { ts: 60, close: 2, volume: 1 }];
+  const samples = reconstructSamples(candles, { intervalSec: 60, resSec: 60, fromSec: 120, toSec: 180, windowSec: 60 });
+  assert.deepEqual(samples, [{ ts: 120, vol24: 1, price: 2 }]);
+});
+
+test('mergeSamples keeps live samples and re-marks gaps', () => {
+  const live = [{ ts: 600, vol24: 99, price: 9 }, { ts: 900, vol24: 98, price: 8, gapSec: 300 }];
+  const filled = [0, 60, 120, 600, 660, 720, 780, 840].map(ts => ({ ts, vol24: 1, price: 1 }));
+  const merged = mergeSamples(live, filled, 60);
+  assert.deepEqual(merged.map(e => e.ts), [0, 60, 120, 600, 660, 720, 780, 840, 900]);
+  assert.equal(merged[3].vol24, 99);
+  assert.equal(merged[3].gapSec, 480);
+  assert.equal(merged[8].gapSec, undefined);
+});
+
+test('fetchOHLC reads the REST response from a local stand-in', async () => {
+  const body = fs.readFileSync(path.join(FIXTURES, 'XBTUSD.json'));
+  let seen;
+  const server = http.createServer((req, res) => {
+    seen = new URL(req.url, 'http://x');
+    res.setHeader('content-type', 'application/json');
+    res.end(body);
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  try {
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const candles = await fetchOHLC('XBT/USD', { baseUrl, intervalMin: 5, since: 123 });
+    assert.equal(seen.pathname, '/0/public/OHLC');
+    assert.equal(seen.searchParams.get('pair'), 'XBTUSD');
+    assert.equal(seen.searchParams.get('interval'), '5');
+    assert.equal(seen.searchParams.get('since'), '123');
+    assert.equal(candles.length, 24);
+    assert.deepEqual(candles[0], { ts: T0, close: 37002, volume: 1.5 });
+  } finally {
+    server.close();
+  }
+});
+
+test('backfillPairs batches requests and reports failures', async () => {
+  let inFlight = 0, maxInFlight = 0;
+  const applied = [];
+  const result = await backfillPairs(['A/USD', 'B/USD', 'C/USD', 'D/USD', 'E/USD'], {
+    concurrency: 2,
+    batchDelayMs: 1,
+    fetchCandles: async (pair) => {
+      inFlight++; maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(r => setTimeout(r, 5));
+      inFlight--;
+      if (pair === 'C/USD') throw new Error('Unknown asset pair');
+      return [{ ts: 0, close: 1, volume: 1 }];
+    },
+    onPair: (pair) => applied.push(pair),
+  });
+  assert.equal(maxInFlight, 2);
+  assert.deepEqual(result.ok, ['A/USD', 'B/USD', 'D/USD', 'E/USD']);
+  assert.deepEqual(result.failed, [{ pair: 'C/USD', error: 'Unknown asset pair' }]);
+  assert.deepEqual(applied, result.ok);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32, bookChecksum, createOrderBook } from '../src/book.js';
+
+const level = (price, qty) => ({ price, qty });
+
+test('crc32 and the Kraken checksum string', () => {
+  assert.equal(crc32('123456789'), 0xcbf43926);
+  // '0.05005' '0.00000500' -> '5005' + '500'
+  assert.equal(bookChecksum([level('0.05005', '0.00000500')], []), crc32('5005500'));
+  // only the top 10 levels per side count
+  const asks = Array.from({ length: 12 }, (_, i) => level(`${100 + i}.0`, '1.0'));
+  assert.equal(bookChecksum(asks, []), bookChecksum(asks.slice(0, 10), []));
+});
+
+test('order book applies updates, trims to depth and catches a bad checksum', () => {
+  const ob = createOrderBook({ depth: 3 });
+  assert.equal(ob.apply({ snapshot: false, asks: [['101.0', '1.0']], bids: [], checksum: null }), 'waiting');
+  assert.equal(ob.apply({
+    snapshot: true,
+    asks: [['101.0', '1.0'], ['102.0', '2.0'], ['103.0', '3.0']],
+    bids: [['99.0', '1.0'], ['98.0', '2.0'], ['97.0', '3.0']],
+    checksum: null,
+  }), 'ok');
+
+  // a better ask pushes 103 out of the 3 levels; 98 is removed
+  const asks = [['100.5', '0.5']], bids = [['98.0', '0.00000000']];
+  ob.apply({ snapshot: false, asks, bids, checksum: null });
+  assert.deepEqual(ob.asks.map(l => l.price), ['100.5', '101.0', '102.0']);
+  assert.deepEqual(ob.bids.map(l => l.price), ['99.0', '97.0']);
+
+  const good = bookChecksum(ob.asks, ob.bids);
+  assert.equal(ob.apply({ snapshot: false, asks: [], bids: [], checksum: good }), 'ok');
+  assert.equal(ob.apply({ snapshot: false, asks: [['101.0', '5.0']], bids: [], checksum: good }), 'mismatch');
+  assert.equal(ob.synced, false);
+  assert.equal(ob.metrics([1]), null);
+  assert.equal(ob.apply({ snapshot: false, asks: [], bids: [], checksum: null }), 'waiting');
+});
+
+test('order book metrics: spread in bps and depth within bands of mid', () => {
+  const ob = createOrderBook({ depth: 10 });
+  ob.apply({
+    snapshot: true,
+    asks: [['100.5', '2'], ['101.0', '1'], ['102.0', '10']],
+    bids: [['99.5', '2'], ['99.0', '1'], ['97.0', '10']],
+    checksum: null,
+  });
+  const m = ob.metrics([1, 2]);
+  assert.equal(m.mid, 100);
+  assert.equal(m.spreadBps, 100);
+  assert.deepEqual(m.depth, { 1: { bid: 99.5 * 2 + 99, ask: 100.5 * 2 + 101 }, 2: { bid: 99.5 * 2 + 99, ask: 100.5 * 2 + 101 + 1020 } });
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { SCHEMA, parseConfig, createConfig, envExample } from '../src/config.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+test('parseConfig types values, reports every problem and flags retired names', () => {
+  const { values, sources, warnings } = parseConfig({
+    env: { PORT: '8080', EXCHANGES: 'Kraken, binance', STEP_ALERTS_ENABLED: 'no', BOOK_DEPTH_BANDS_PCT: '2,0.5', KRAKEN_PAIRS: 'XBTUSD' },
+    file: { ALERT_DIFF_THRESHOLD_PCT: 7, PORT: 9000 },
+  });
+  assert.equal(values.PORT, 8080);
+  assert.equal(sources.PORT, 'env');
+  assert.equal(values.ALERT_DIFF_THRESHOLD_PCT, 7);
+  assert.equal(sources.ALERT_DIFF_THRESHOLD_PCT, 'file');
+  assert.equal(sources.DIGEST_TOP_N, 'default');
+  assert.deepEqual(values.EXCHANGES, ['kraken', 'binance']);
+  assert.equal(values.STEP_ALERTS_ENABLED, false);
+  assert.deepEqual(values.BOOK_DEPTH_BANDS_PCT, [0.5, 2]);
+  assert.equal(warnings.length, 2);
+  assert.match(warnings.join('\n'), /PORT is set in both/);
+  assert.match(warnings.join('\n'), /KRAKEN_PAIRS .*KRAKEN_WS_PAIRS/);
+
+  assert.throws(
+    () => parseConfig({
+      env: { ALERT_DIFF_THRESHOLD_PCT: 'abc', KRAKEN_EXCLUDE_REGEX: '(USDT', RANK_MODE: 'hype', LOOKBACK_HORIZONS: '1h,soon' },
+      file: { SLACK_WEBHOK_URL: 'x' },
+    }),
+    (e) => e.problems.length === 5
+      && /ALERT_DIFF_THRESHOLD_PCT: expected a number, got "abc"/.test(e.message)
+      && /KRAKEN_EXCLUDE_REGEX: Invalid regular expression/.test(e.message)
+      && /RANK_MODE: must be one of ratio, vol, notional/.test(e.message)
+      && /LOOKBACK_HORIZONS: "soon" is not a duration/.test(e.message)
+      && /SLACK_WEBHOK_URL: unknown setting/.test(e.message),
+  );
+  assert.throws(() => parseConfig({ env: { PORT: '80.5' } }), /whole number/);
+  assert.throws(() => parseConfig({ env: { DIGEST_EVERY_SEC: '10' } }), /at least 60/);
+});
+
+test('createConfig hot-reloads hot settings, holds the rest and redacts secrets', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kvm-config-'));
+  const file = path.join(dir, 'config.yaml');
+  try {
+    fs.writeFileSync(file, 'ALERT_DIFF_THRESHOLD_PCT: 5\nSLACK_WEBHOOK_URL: https://hooks.slack.com/services/T/B/secret\n');
+    const changes = [];
+    const config = createConfig({ env: { DIGEST_TOP_N: '3' }, file, onChange: (c) => changes.push(c.changed) });
+    config.load();
+    assert.equal(config.values().ALERT_DIFF_THRESHOLD_PCT, 5);
+
+    fs.writeFileSync(file, 'ALERT_DIFF_THRESHOLD_PCT: 8\nRANK_MODE: vol\nPORT: 4000\nDIGEST_TOP_N: 9\nSLACK_WEBHOOK_URL: https://hooks.slack.com/services/T/B/secret\n');
+    assert.deepEqual(config.load(), { changed: ['RANK_MODE', 'ALERT_DIFF_THRESHOLD_PCT'], pending: ['PORT'] });
+    assert.deepEqual(changes, [['RANK_MODE', 'ALERT_DIFF_THRESHOLD_PCT']]);
+    assert.equal(config.values().PORT, 3000); // needs a restart
+    assert.equal(config.values().DIGEST_TOP_N, 3); // env wins
+
+    const d = config.describe();
+    assert.deepEqual(d.pendingRestart, ['PORT']);
+    assert.deepEqual(d.settings.SLACK_WEBHOOK_URL, { value: '[redacted]', source: 'file' });
+    assert.deepEqual(d.settings.ALERT_DIFF_THRESHOLD_PCT, { value: 8, source: 'file', hot: true });
+    assert.equal(d.settings.DISCORD_WEBHOOK_URL.value, '');
+
+    // a bad edit is rejected and the running values stay
+    fs.writeFileSync(file, 'ALERT_DIFF_THRESHOLD_PCT: lots\n');
+    assert.throws(() => config.load(), /expected a number/);
+    assert.equal(config.values().ALERT_DIFF_THRESHOLD_PCT, 8);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('.env.example is generated from the schema', () => {
+  assert.equal(fs.readFileSync(path.join(ROOT, '.env.example'), 'utf8'), envExample(), 'run `npm run config -- --example > .env.example`');
+  for (const k of Object.keys(SCHEMA)) assert.match(envExample(), new RegExp(`^(# )?${k}=`, 'm'));
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { validateView, createDashboardStore } from '../src/dashboard-store.js';
+
+function tmpFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kvm-dash-'));
+  return { dir, file: path.join(dir, 'dashboard.json') };
+}
+
+test('validateView fills defaults and rejects bad fields', () => {
+  assert.deepEqual(validateView({ id: 'movers' }), { id: 'movers', sort: 'rank', dir: 'asc' });
+  assert.deepEqual(validateView({ id: 'movers', sort: 'diffPct' }), { id: 'movers', sort: 'diffPct', dir: 'desc' });
+  assert.deepEqual(
+    validateView({ id: 'v', sort: 'pair', q: 'usd', min: { diffPct: '5' }, max: {}, horizon: '1h', pairs: ['XBT/USD', 'XBT/USD'] }),
+    { id: 'v', pairs: ['XBT/USD'], sort: 'pair', dir: 'asc', q: 'usd', min: { diffPct: 5 }, horizon: '1h' },
+  );
+  assert.throws(() => validateView({ id: 'a b' }), /view id/);
+  assert.throws(() => validateView({ id: 'v', sort: 'secret' }), /sort must be/);
+  assert.throws(() => validateView({ id: 'v', min: { pair: 1 } }), /unknown column pair/);
+  assert.throws(() => validateView({ id: 'v', max: { diffPct: 'lots' } }), /must be a number/);
+  assert.throws(() => validateView({ id: 'v', watchlist: 'majors', pairs: ['XBT/USD'] }), /either watchlist or pairs/);
+});
+
+test('watchlists and views persist and reload', () => {
+  const { dir, file } = tmpFile();
+  try {
+    const store = createDashboardStore({ file });
+    assert.deepEqual(store.load(), { watchlists: 0, views: 0 });
+    store.setWatchlist('majors', ['XBT/USD', 'binance:ETH/USDT']);
+    assert.throws(() => store.putView('bad', { watchlist: 'nope' }), /unknown watchlist/);
+    assert.equal(store.putView('big', { watchlist: 'majors', sort: 'diffPct' }).created, true);
+    assert.equal(store.putView('big', { watchlist: 'majors', sort: 'vol24' }).created, false);
+
+    // views keep the watchlists they use alive
+    assert.throws(() => store.removeWatchlist('majors'), (e) => e.status === 409);
+
+    const again = createDashboardStore({ file });
+    assert.deepEqual(again.load(), { watchlists: 1, views: 1 });
+    assert.equal(again.getView('big').sort, 'vol24');
+    assert.equal(again.removeView('big'), true);
+    assert.equal(again.removeWatchlist('majors'), true);
+    assert.equal(again.removeWatchlist('majors'), false);
+
+    // only own keys count: inherited names are not watchlists
+    assert.equal(again.removeWatchlist('constructor'), false);
+    assert.equal(again.removeWatchlist('toString'), false);
+    assert.throws(() => again.putView('v', { watchlist: 'constructor' }), /unknown watchlist/);
+    assert.throws(() => again.setWatchlist('__proto__', ['XBT/USD']), (e) => e.status === 400);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
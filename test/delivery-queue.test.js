@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseRetryAfter, classifyError, createDeliveryQueue } from '../src/delivery-queue.js';
+import { createChannel, createNotifier } from '../src/notifiers/index.js';
+
+async function waitFor(cond, timeoutMs = 2000) {
+  const start = Date.now();
+  while (!cond()) {
+    if (Date.now() - start > timeoutMs) throw new Error('timed out');
+    await new Promise(r => setTimeout(r, 5));
+  }
+}
+
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers, data: {} } });
+}
+
+function quiet(fn) {
+  return async () => {
+    const orig = console.error;
+    console.error = () => {};
+    try { await fn(); } finally { console.error = orig; }
+  };
+}
+
+test('parseRetryAfter handles seconds and HTTP dates', () => {
+  assert.equal(parseRetryAfter('3', 0), 3000);
+  assert.equal(parseRetryAfter('0.5', 0), 500);
+  assert.equal(parseRetryAfter(new Date(10000).toUTCString(), 4000), 6000);
+  assert.equal(parseRetryAfter('soon', 0), null);
+  assert.equal(parseRetryAfter(undefined, 0), null);
+});
+
+test('classifyError separates rate limits, transient and permanent failures', () => {
+  assert.deepEqual(classifyError(httpError(429, { 'retry-after': '2' }), 0),
+    { retry: true, rateLimited: true, retryAfterMs: 2000, reason: 'HTTP 429' });
+  const tg = httpError(429);
+  tg.response.data = { parameters: { retry_after: 7 } };
+  assert.equal(classifyError(tg, 0).retryAfterMs, 7000);
+  assert.equal(classifyError(httpError(503), 0).retry, true);
+  assert.equal(classifyError(httpError(404), 0).retry, false);
+  assert.equal(classifyError(Object.assign(new Error('x'), { code: 'ECONNREFUSED' }), 0).retry, true);
+  assert.equal(classifyError(Object.assign(new Error('x'), { responseCode: 421 }), 0).retry, true);
+  assert.equal(classifyError(Object.assign(new Error('x'), { responseCode: 550 }), 0).retry, false);
+});
+
+test('items are delivered in order per channel with backoff on 5xx', quiet(async () => {
+  const sent = [];
+  let failures = 2;
+  const q = createDeliveryQueue({
+    baseDelayMs: 5,
+    send: async (channel, payload) => {
+      if (channel === 'a' && failures > 0) { failures--; throw httpError(502); }
+      sent.push(`${channel}:${payload.n}`);
+    },
+  });
+  q.enqueue('a', { n: 1 });
+  q.enqueue('a', { n: 2 });
+  q.enqueue('b', { n: 1 });
+  await waitFor(() => sent.length === 3);
+  assert.deepEqual(sent, ['b:1', 'a:1', 'a:2']);
+  assert.deepEqual(q.pending(), { a: 0, b: 0 });
+  assert.deepEqual(q.failed(), []);
+  assert.deepEqual(q.stats(), { sent: { a: 2, b: 1 }, failures: { a: 2 }, deadLetters: {} });
+  q.stop();
+}));
+
+test('HTTP 429 waits for Retry-After without using up attempts', async () => {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      hits.push(Date.now());
+      if (hits.length <= 2) { res.writeHead(429, { 'Retry-After': '0.05' }); res.end('rate_limited'); }
+      else res.end('ok');
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  try {
+    const channels = [createChannel({ type: 'slack', url: `http://127.0.0.1:${server.address().port}/hook` })];
+    let notifier;
+    const queue = createDeliveryQueue({ maxAttempts: 1, send: (ch, p) => notifier.send(ch, p) });
+    notifier = createNotifier(channels, { queue });
+
+    assert.deepEqual(await notifier.notify({ type: 'digest', windowSec: 300, topN: 1, winners: [], losers: [] }), ['slack']);
+    await waitFor(() => hits.length === 3);
+    assert.ok(hits[1] - hits[0] >= 45);
+    assert.ok(hits[2] - hits[1] >= 45);
+    await waitFor(() => queue.pending().slack === 0);
+    assert.deepEqual(queue.failed(), []);
+    queue.stop();
+  } finally {
+    server.close();
+  }
+});
+
+test('permanent errors and exhausted retries go to dead letters', quiet(async () => {
+  const dead = [];
+  let ok = false;
+  const q = createDeliveryQueue({
+    baseDelayMs: 1,
+    maxAttempts: 3,
+    onDeadLetter: (item) => dead.push(item.channel),
+    send: async (channel) => {
+      if (ok) return;
+      throw channel === 'gone' ? httpError(404) : httpError(500);
+    },
+  });
+  q.enqueue('gone', { n: 1 });
+  q.enqueue('flaky', { n: 2 });
+  await waitFor(() => dead.length === 2);
+
+  const failed = q.failed();
+  assert.deepEqual(failed.map(f => [f.channel, f.attempts]), [['gone', 1], ['flaky', 3]]);
+  assert.match(failed[0].lastError, /^HTTP 404/);
+
+  ok = true;
+  assert.equal(q.retryFailed(failed[1].id), true);
+  assert.equal(q.retryFailed('nope'), false);
+  await waitFor(() => q.failed().length === 1 && q.pending().flaky === 0);
+  assert.equal(q.clearFailed(), 1);
+  q.stop();
+}));
+
+test('queued items survive a restart', quiet(async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kvm-queue-'));
+  const file = path.join(dir, 'queue.json');
+  try {
+    // first process "dies" while the sends are still in flight
+    const first = createDeliveryQueue({ file, send: () => new Promise(() => {}) });
+    first.enqueue('slack', { text: 'one' });
+    first.enqueue('slack', { text: 'two' });
+    first.enqueue('removed', { text: 'three' });
+    assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).items.length, 3);
+    first.stop();
+
+    const sent = [];
+    const second = createDeliveryQueue({ file, send: async (_ch, p) => { sent.push(p.text); } });
+    assert.equal(second.restore(['slack']), 2);
+    await waitFor(() => sent.length === 2);
+    assert.deepEqual(sent, ['one', 'two']);
+    assert.deepEqual(second.failed().map(f => [f.channel, f.lastError]), [['removed', 'channel no longer configured']]);
+    second.stop();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}));
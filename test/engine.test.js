@@ -0,0 +1,283 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { configFromEnv, quantizeLevel, momentumScore, avgDeltaOverWindow, ruleDefaults, robustZ, createEngine } from '../src/engine.js';
+
+const RULE = { id: 'default', metric: 'diffPct', thresholdPct: 5, stepPct: 1.25, cooldownSec: 300, direction: 'both' };
+
+function setup(config = {}) {
+  let now = 1700000000000;
+  const events = [];
+  const engine = createEngine({
+    config: { lookbackHours: 0.05, digestMinAbsDeltaPct: 1, ...config }, // 3 minute lookback
+    rules: { resolve: () => RULE },
+    notify: (e) => events.push(e),
+    clock: { now: () => now },
+  });
+  const tick = (vol24, price = 100) => engine.computeFromTicker('kraken:XBT/USD', Math.floor(now / 1000), vol24, price, price);
+  const advance = (sec) => { now += sec * 1000; };
+  return { engine, events, tick, advance, now: () => now };
+}
+
+test('configFromEnv reads the engine env vars', () => {
+  const c = configFromEnv({ LOOKBACK_HOURS: '6', ALERT_DIFF_THRESHOLD_PCT: '4', STEP_ALERTS_ENABLED: 'false' });
+  assert.equal(c.lookbackHours, 6);
+  assert.equal(c.daybufKeepHrs, 26);
+  assert.equal(c.alertDiffThresholdPct, 4);
+  assert.equal(c.stepAlertsEnabled, false);
+  assert.equal(c.digestIncludeLosers, true);
+  assert.throws(() => configFromEnv({ LOOKBACK_HOURS: 'abc' }), /LOOKBACK_HOURS: expected a number/);
+});
+
+test('quantizeLevel steps above the threshold in both directions', () => {
+  assert.equal(quantizeLevel(4.9, 5, 1.25), 0);
+  assert.equal(quantizeLevel(5, 5, 1.25), 5);
+  assert.equal(quantizeLevel(6.3, 5, 1.25), 6.25);
+  assert.equal(quantizeLevel(-7, 5, 1.25), -6.25);
+});
+
+test('momentumScore and avgDeltaOverWindow work on plain state', () => {
+  assert.equal(momentumScore({ vol24Pct: 10, price24Pct: -2 }), 5);
+  assert.equal(momentumScore({ volVelPct: 3, priceChangePct: 0 }), 30000); // flat price: floored denominator
+  const S = { buf: [{ ts: 100, diff: 9, z: 1 }, { ts: 200, diff: 2, z: 3 }, { ts: 260, diff: 4, z: 5 }] };
+  assert.equal(avgDeltaOverWindow(S, 300, 120), 3);
+  assert.equal(avgDeltaOverWindow(S, 300, 120, 'z'), 4);
+  assert.equal(avgDeltaOverWindow(S, 1000, 60), 0);
+  assert.equal(avgDeltaOverWindow({}, 300, 120), 0);
+});
+
+test('alerts and cool-downs follow the injected clock', () => {
+  const { engine, events, tick, advance, now } = setup();
+  for (let i = 0; i < 4; i++) { tick(100); advance(60); }
+  assert.equal(events.length, 0);
+
+  tick(110); // +10% volume, flat price vs 3m ago
+  assert.equal(events.length, 1);
+  assert.deepEqual(
+    { type: events[0].type, ts: events[0].ts, pair: events[0].pair, level: events[0].level, rank: events[0].rank },
+    { type: 'step', ts: now(), pair: 'kraken:XBT/USD', level: 10, rank: 5 },
+  );
+
+  advance(60);
+  tick(100); // back under the threshold, but still cooling down
+  tick(100);
+  assert.equal(events.length, 1);
+  assert.equal(engine.stats.alertsSuppressed.cooldown, 1); // once per swallowed level, not per tick
+  const state = engine.alertState('kraken:XBT/USD');
+  assert.equal(state.level, 10);
+  assert.equal(state.suppressedLevel, 0);
+  assert.equal(state.cooldownRemainingSec, 240);
+  assert.equal(events[0].price, 100);
+  assert.equal(engine.priceAt('kraken:XBT/USD', Math.floor(now() / 1000)), 100);
+
+  advance(300);
+  for (let i = 0; i < 4; i++) { tick(100); advance(60); }
+  assert.equal(events.length, 2);
+  assert.equal(events[1].type, 'recovery');
+  assert.equal(events[1].prevLevel, 10);
+  assert.equal(events[1].diffPct, 0);
+  assert.equal(events[1].perMin, 0);
+  assert.deepEqual(engine.stats.alertsSent, { step: 1, recovery: 1 });
+});
+
+test('stale pairs are flagged and the first tick back does not alert', () => {
+  const { engine, events, tick, advance } = setup({ pairStaleSec: 120 });
+  for (let i = 0; i < 4; i++) { tick(100); advance(60); }
+  assert.equal(engine.isStale('kraken:XBT/USD'), false);
+
+  advance(240); // feed outage
+  assert.equal(engine.isStale('kraken:XBT/USD'), true);
+  const snap = engine.snapshot(['kraken:XBT/USD']).pairs['kraken:XBT/USD'];
+  assert.equal(snap.stale, true);
+  assert.equal(snap.lastTickAgeSec, 300);
+
+  tick(110); // the jump accumulated during the gap
+  assert.equal(events.length, 0);
+  assert.equal(engine.stats.alertsSuppressed.stale, 1);
+  assert.equal(engine.isStale('kraken:XBT/USD'), false);
+
+  advance(10);
+  tick(111); // live again: alerts resume
+  assert.equal(events.length, 1);
+});
+
+test('digests use the simulated time window', () => {
+  const { engine, events, tick, advance, now } = setup();
+  for (let i = 0; i < 4; i++) { tick(100); advance(60); }
+  tick(104); // +4%: below the alert threshold, above the digest floor
+  engine.sendDigest(['kraken:XBT/USD', 'kraken:ETH/USD']);
+  const digest = events.find(e => e.type === 'digest');
+  assert.equal(digest.ts, now());
+  // avg of the diffs inside the 5m window: 0 (flat tick at +3m) and 4
+  assert.deepEqual(digest.winners.map(w => [w.pair, Math.round(w.avgDelta)]), [['kraken:XBT/USD', 2]]);
+
+  advance(3600); // window has moved past every buffered diff
+  events.length = 0;
+  engine.sendDigest(['kraken:XBT/USD']);
+  assert.deepEqual(events, []);
+});
+
+test('snapshot ranks pairs and groups assets across venues', () => {
+  const { engine } = setup();
+  engine.computeFromTicker('kraken:XBT/USD', 1000, 10, 100, 100);
+  engine.computeFromTicker('binance:BTC/USDT', 1000, 20, 101, 101);
+  const snap = engine.snapshot(['kraken:XBT/USD', 'binance:BTC/USDT']);
+  assert.equal(snap.pairs['binance:BTC/USDT'].asset, 'BTC');
+  assert.deepEqual(snap.assets, { BTC: ['kraken:XBT/USD', 'binance:BTC/USDT'] });
+  assert.equal(snap.meta.subscribed, 2);
+});
+
+test('snapshot values every quote in the report currency and can merge by asset', () => {
+  const { engine } = setup({ reportCurrency: 'USD', mergeByAsset: true });
+  engine.computeFromTicker('kraken:SOL/USD', 1000, 100, 150, 150);
+  engine.computeFromTicker('kraken:SOL/EUR', 1000, 200, 120, 120);
+  const keys = ['kraken:SOL/USD', 'kraken:SOL/EUR', 'kraken:EUR/USD'];
+  engine.computeFromTicker('kraken:EUR/USD', 1000, 5000, 1.25, 1.25);
+  const snap = engine.snapshot(keys);
+  assert.equal(snap.meta.reportCurrency, 'USD');
+  assert.deepEqual(
+    [snap.pairs['kraken:SOL/EUR'].quote, snap.pairs['kraken:SOL/EUR'].priceReport, snap.pairs['kraken:SOL/EUR'].volReport],
+    ['EUR', 150, 30000],
+  );
+  assert.deepEqual(snap.merged.SOL.pairs, ['kraken:SOL/USD', 'kraken:SOL/EUR']);
+  assert.equal(snap.merged.SOL.priceReport, 150);
+  assert.equal(snap.merged.SOL.volReport, 45000);
+});
+
+test('notional volume ranks pairs and MIN_NOTIONAL keeps thin ones quiet', () => {
+  const { engine, events, tick, advance } = setup({ minNotional: 20000, rankMode: 'notional' });
+  for (let i = 0; i < 4; i++) { tick(100); advance(60); }
+  tick(110); // +10% would alert, but 110 × 100 = 11k of volume is under the floor
+  assert.equal(events.length, 0);
+  assert.equal(engine.stats.alertsSuppressed.illiquid, 1);
+
+  engine.computeFromTicker('coinbase:ETH/USD', 1000, 10, 3000, 0); // no VWAP: last price
+  engine.computeFromTicker('binance:SOL/USDT', 1000, 500, 150, 149);
+  const snap = engine.snapshot(['kraken:XBT/USD', 'coinbase:ETH/USD', 'binance:SOL/USDT']);
+  assert.equal(snap.pairs['kraken:XBT/USD'].notional24, 11000);
+  assert.equal(snap.pairs['kraken:XBT/USD'].illiquid, true);
+  assert.equal(snap.pairs['binance:SOL/USDT'].notional24, 74500);
+  assert.deepEqual(snap.top, ['binance:SOL/USDT', 'coinbase:ETH/USD', 'kraken:XBT/USD']);
+});
+
+test('robustZ shrugs off outliers in the baseline', () => {
+  const base = [10, 11, 12, 11, 10, 12, 11, 500]; // one earlier spike
+  assert.equal(Math.round(robustZ(11, base)), 0);
+  assert.ok(robustZ(40, base) > 15);
+  assert.equal(robustZ(5, [0, 0, 0, 4]), 5 / 1.2533); // MAD 0: mean absolute deviation instead
+  assert.equal(robustZ(5, [0, 0, 0, 0]), 0);
+  assert.equal(robustZ(0, []), 0);
+});
+
+test('anomaly mode alerts on z-scores against the pair\'s own baseline', () => {
+  const config = { ...configFromEnv({ ALERT_MODE: 'anomaly', ANOMALY_MIN_SAMPLES: '20' }) };
+  assert.equal(ruleDefaults(config).metric, 'anomalyZ');
+  assert.equal(config.daybufKeepHrs, 3 * 24 + 1);
+
+  let now = 1700000000000;
+  const events = [];
+  const engine = createEngine({
+    config,
+    rules: { resolve: () => ({ id: 'default', ...ruleDefaults(config) }) },
+    notify: (e) => events.push(e),
+    clock: { now: () => now },
+  });
+  let vol = 1000;
+  const tick = (dv) => {
+    vol += dv;
+    engine.computeFromTicker('kraken:XBT/USD', Math.floor(now / 1000), vol, 100, 100);
+    now += 60000;
+  };
+  for (let i = 0; i < 30; i++) tick(10 + (i % 3)); // ~11 per minute, no 24h lookback needed
+  assert.equal(events.length, 0);
+  tick(200);
+  const snap = engine.snapshot(['kraken:XBT/USD']).pairs['kraken:XBT/USD'];
+  assert.ok(snap.volZ > 100);
+  assert.equal(snap.retZ, 0);
+  assert.equal(events.length, 1);
+  assert.deepEqual([events[0].type, events[0].metric, events[0].unit, events[0].rank], ['step', 'anomalyZ', 'σ', 5]);
+});
+
+test('lookback horizons compare against several references and drive horizon rules', () => {
+  let now = 1700000000000;
+  const events = [];
+  const rule = { ...RULE, metric: 'diffPct@2m' };
+  const engine = createEngine({
+    config: { lookbackHours: 1, lookbackHorizons: ['2m', '5m'] }, // main lookback never ready here
+    rules: { resolve: () => rule },
+    notify: (e) => events.push(e),
+    clock: { now: () => now },
+  });
+  const tick = (vol24, price = 100) => {
+    engine.computeFromTicker('kraken:XBT/USD', Math.floor(now / 1000), vol24, price, price);
+    now += 60000;
+  };
+  for (let i = 0; i < 3; i++) tick(100);
+  tick(100, 102);
+  let snap = engine.snapshot(['kraken:XBT/USD']);
+  assert.deepEqual(snap.meta.horizons, ['2m', '5m']);
+  assert.deepEqual(snap.pairs['kraken:XBT/USD'].horizons, {
+    '2m': { vol24Pct: 0, price24Pct: 2, diffPct: -2 },
+    '5m': null,
+  });
+  assert.equal(events.length, 0);
+
+  tick(112, 102); // +12% volume over 2 minutes, flat price
+  assert.equal(events.length, 1);
+  assert.deepEqual([events[0].metric, events[0].level, events[0].unit], ['diffPct@2m', 10, '%']);
+  snap = engine.snapshot(['kraken:XBT/USD']).pairs['kraken:XBT/USD'];
+  assert.equal(snap.horizons['2m'].diffPct, 10);
+  assert.equal(snap.diffPct, 0); // the 1h lookback has no reference yet
+});
+
+test('trade flow: taker imbalance, bursts over the baseline and whale prints', () => {
+  const { engine, events, tick, advance, now } = setup({
+    tradeBaselineMin: 10, tradeBurstMult: 3, tradeBurstMinTrades: 5, whalePrintNotional: 100000,
+  });
+  const key = 'kraken:XBT/USD';
+  const trade = (side, qty = 1) => ({ price: 100, qty, side, ts: now() });
+  for (let i = 0; i < 4; i++) { tick(100); engine.computeFromTrades(key, [trade('sell')]); advance(60); }
+  tick(100);
+  advance(60);
+  tick(100);
+  assert.equal(engine.snapshot([key]).pairs[key].trades.count, 0);
+
+  engine.computeFromTrades(key, [...Array(8).fill(0).map(() => trade('buy')), trade('sell'), trade('sell')]);
+  assert.deepEqual(events.map(e => e.type), ['burst']);
+  assert.deepEqual([events[0].ratePerMin, events[0].baselinePerMin, events[0].takerBuyPct], [10, 1, 80]);
+  const flow = engine.snapshot([key]).pairs[key].trades;
+  assert.deepEqual([flow.takerBuyPct, flow.imbalancePct, flow.count, flow.burst, flow.whale], [80, 60, 10, true, null]);
+
+  engine.computeFromTrades(key, [trade('buy', 2000)]);
+  assert.deepEqual(events.map(e => e.type), ['burst', 'whale']);
+  assert.deepEqual([events[1].side, events[1].notional, events[1].currency], ['buy', 200000, 'USD']);
+  assert.equal(engine.snapshot([key]).pairs[key].trades.whale.qty, 2000);
+  engine.computeFromTrades(key, [trade('sell', 3000)]); // same pair inside the cool-down
+  assert.equal(events.length, 2);
+  assert.deepEqual(engine.stats.alertsSent, { step: 0, recovery: 0, burst: 1, whale: 1 });
+});
+
+test('order book: spread blowouts and depth withdrawal against the pair\'s baseline', () => {
+  const { engine, events, tick, advance } = setup({ bookSpreadMult: 4, bookSpreadMinBps: 10, bookDepthDropPct: 50 });
+  const key = 'kraken:XBT/USD';
+  const book = (ask, bid, qty = '10') => engine.computeFromBook(key, {
+    snapshot: true, asks: [[ask, qty], ['103.0', '10']], bids: [[bid, qty], ['97.0', '10']], checksum: null, // 2nd levels outside ±2%
+  });
+  for (let i = 0; i < 6; i++) { tick(100); book('100.05', '99.95'); advance(60); } // 10 bps for 6 minutes
+  tick(100);
+  assert.equal(events.length, 0);
+  let snap = engine.snapshot([key]).pairs[key].book;
+  assert.deepEqual([snap.synced, snap.spreadBps, snap.spreadBaselineBps, snap.depthWithdrawn], [true, 10, 10, null]);
+
+  book('100.5', '99.5'); // 100 bps
+  assert.deepEqual(events.map(e => [e.type, e.kind, e.spreadBps, e.baselineBps]), [['liquidity', 'spread', 100, 10]]);
+  book('100.5', '99.5');
+  assert.equal(events.length, 1); // still blown out: no repeat
+
+  book('100.05', '99.95', '1'); // bids/asks near mid pulled from 10 to 1
+  assert.equal(events.length, 2);
+  assert.deepEqual([events[1].kind, events[1].side, events[1].bandPct], ['depth', 'bid', 2]);
+  snap = engine.snapshot([key]).pairs[key].book;
+  assert.equal(snap.depthWithdrawn, 'bid');
+  assert.equal(engine.computeFromBook(key, { snapshot: false, asks: [], bids: [], checksum: 1 }), false);
+  assert.equal(engine.snapshot([key]).pairs[key].book.synced, false);
+});
@@ -0,0 +1,384 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { WebSocketServer } from 'ws';
+import {
+  createExchange, createFeed, diffListings, pairKey, splitPairKey, assetOf, quoteOf, pairNames,
+} from '../src/exchanges/index.js';
+import { resolveRule } from '../src/rules.js';
+import { bookChecksum, createOrderBook } from '../src/book.js';
+import { resolvePairParam } from '../src/history.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'exchanges');
+const frames = (name) => JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+
+async function waitFor(cond, timeoutMs = 2000) {
+  const start = Date.now();
+  while (!cond()) {
+    if (Date.now() - start > timeoutMs) throw new Error('timed out');
+    await new Promise(r => setTimeout(r, 5));
+  }
+}
+
+function quiet(fn) {
+  return async () => {
+    const { log, warn } = console;
+    console.log = console.warn = () => {};
+    try { await fn(); } finally { Object.assign(console, { log, warn }); }
+  };
+}
+
+async function jsonServer(body) {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    hits.push(req.url);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  return { url: `http://127.0.0.1:${server.address().port}`, hits, close: () => server.close() };
+}
+
+test('pair keys carry the venue and normalize the asset', () => {
+  assert.equal(pairKey('binance', 'BTC/USDT'), 'binance:BTC/USDT');
+  assert.deepEqual(splitPairKey('kraken:XBT/USD'), { exchange: 'kraken', pair: 'XBT/USD' });
+  assert.deepEqual(splitPairKey('XBT/USD'), { exchange: 'kraken', pair: 'XBT/USD' });
+  assert.equal(assetOf('kraken:XBT/USD'), 'BTC');
+  assert.equal(assetOf('coinbase:BTC/USD'), 'BTC');
+  assert.equal(assetOf('kraken:XDG/USD'), 'DOGE');
+  assert.equal(quoteOf('binance:BTC/USDT'), 'USDT');
+  assert.deepEqual(pairNames('binance:BTC/USDT'), ['binance:BTC/USDT', 'BTC/USDT']);
+});
+
+test('kraken adapter wraps the v1/v2 protocol helpers', () => {
+  const v2 = createExchange('kraken', { version: 2 });
+  assert.equal(v2.wsUrl, 'wss://ws.kraken.com/v2');
+  assert.deepEqual(v2.subscribeMessages(['XBT/USD']),
+    [{ method: 'subscribe', params: { channel: 'ticker', symbol: ['BTC/USD'] } }]);
+  assert.deepEqual(createExchange('kraken').parse({ event: 'heartbeat' }), { type: 'heartbeat' });
+  assert.deepEqual(createExchange('kraken', { trades: true }).unsubscribeMessages(['XBT/USD']), [
+    { event: 'unsubscribe', pair: ['XBT/USD'], subscription: { name: 'ticker' } },
+    { event: 'unsubscribe', pair: ['XBT/USD'], subscription: { name: 'trade' } },
+  ]);
+  assert.throws(() => createExchange('ftx'), /unknown exchange ftx/);
+});
+
+test('binance adapter subscribes to @ticker streams and decodes 24hrTicker', () => {
+  const b = createExchange('binance');
+  assert.deepEqual(b.subscribeMessages(['BTC/USDT', 'ETH/USDT']),
+    [{ method: 'SUBSCRIBE', params: ['btcusdt@ticker', 'ethusdt@ticker'], id: 1 }]);
+  assert.deepEqual(frames('binance').map(f => b.parse(f)), [
+    { type: 'subscription', ok: true, pair: null, error: null },
+    { type: 'subscription', ok: false, pair: null, error: 'Invalid request: unknown stream' },
+    { type: 'ticker', tickers: [{ pair: 'BTC/USDT', lastPrice: 67012.1, vol24: 18234.5521, avg24: 66801.25 }] },
+    null, // not subscribed
+  ]);
+});
+
+test('coinbase adapter joins heartbeats and decodes ticker events', () => {
+  const c = createExchange('coinbase');
+  assert.deepEqual(c.openMessages(), [{ type: 'subscribe', channel: 'heartbeats' }]);
+  assert.deepEqual(c.subscribeMessages(['BTC/USD']), [{ type: 'subscribe', channel: 'ticker', product_ids: ['BTC-USD'] }]);
+  assert.deepEqual(frames('coinbase').map(f => c.parse(f)), [
+    { type: 'subscription', ok: true, pair: null, error: null },
+    { type: 'subscription', ok: false, pair: null, error: 'Failed to subscribe' },
+    { type: 'heartbeat' },
+    { type: 'ticker', tickers: [
+      { pair: 'BTC/USD', lastPrice: 67010.55, vol24: 9876.54321, avg24: 0 },
+      { pair: 'ETH/USD', lastPrice: 3512.4, vol24: 120345.6, avg24: 0 },
+    ] },
+  ]);
+});
+
+test('discoverPairs filters by quote, status and exclude regex', async () => {
+  const bin = await jsonServer({ symbols: [
+    { symbol: 'BTCUSDT', status: 'TRADING', baseAsset: 'BTC', quoteAsset: 'USDT' },
+    { symbol: 'ETHBTC', status: 'TRADING', baseAsset: 'ETH', quoteAsset: 'BTC' },
+    { symbol: 'LUNAUSDT', status: 'BREAK', baseAsset: 'LUNA', quoteAsset: 'USDT' },
+    { symbol: 'USDCUSDT', status: 'TRADING', baseAsset: 'USDC', quoteAsset: 'USDT' },
+  ] });
+  const cb = await jsonServer({ products: [
+    { product_id: 'BTC-USD', quote_currency_id: 'USD', status: 'online', trading_disabled: false },
+    { product_id: 'ETH-USD', quote_currency_id: 'USD', status: 'online', trading_disabled: true },
+    { product_id: 'SOL-EUR', quote_currency_id: 'EUR', status: 'online', trading_disabled: false },
+  ] });
+  try {
+    const b = createExchange('binance', { restUrl: bin.url });
+    assert.deepEqual(await b.discoverPairs({ quote: 'USDT', exclude: /^USDC/ }), { total: 1, pairs: ['BTC/USDT'] });
+    assert.match(bin.hits[0], /^\/api\/v3\/exchangeInfo/);
+    // discovered symbols decode without an explicit subscribeMessages() call
+    assert.equal(b.parse({ e: '24hrTicker', s: 'BTCUSDT', c: '1', v: '2', w: '1' }).tickers[0].pair, 'BTC/USDT');
+
+    const c = createExchange('coinbase', { restUrl: cb.url });
+    assert.deepEqual(await c.discoverPairs({ quote: 'USD' }), { total: 1, pairs: ['BTC/USD'] });
+  } finally {
+    bin.close();
+    cb.close();
+  }
+});
+
+test('createFeed subscribes in batches, keys tickers by exchange and reconnects', quiet(async () => {
+  const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  await new Promise(r => wss.once('listening', r));
+  const received = [];
+  let connections = 0;
+  wss.on('connection', (sock) => {
+    connections++;
+    sock.on('message', (m) => {
+      const f = JSON.parse(m.toString());
+      received.push(f);
+      if (f.channel === 'ticker') {
+        sock.send(JSON.stringify(frames('coinbase')[3]));
+        if (connections === 1) setTimeout(() => sock.close(), 10);
+      }
+    });
+  });
+
+  const ticks = [];
+  const adapter = createExchange('coinbase', { wsUrl: `ws://127.0.0.1:${wss.address().port}` });
+  const feed = createFeed(adapter, {
+    pairs: ['BTC/USD', 'ETH/USD', 'SOL/USD'],
+    batchSize: 2,
+    batchDelayMs: 1,
+    reconnectBaseMs: 20,
+    reconnectMaxMs: 20,
+    onTicker: (key, t) => ticks.push([key, t.lastPrice]),
+  });
+  try {
+    feed.start();
+    await waitFor(() => connections === 2 && ticks.length >= 4);
+    const first = received.slice(0, 3);
+    assert.deepEqual(first, [
+      { type: 'subscribe', channel: 'heartbeats' },
+      { type: 'subscribe', channel: 'ticker', product_ids: ['BTC-USD', 'ETH-USD'] },
+      { type: 'subscribe', channel: 'ticker', product_ids: ['SOL-USD'] },
+    ]);
+    assert.deepEqual(ticks.slice(0, 2), [['coinbase:BTC/USD', 67010.55], ['coinbase:ETH/USD', 3512.4]]);
+    assert.equal(feed.stats.reconnects, 1);
+    assert.ok(feed.stats.messages['coinbase:BTC/USD'] >= 2);
+    assert.ok(feed.stats.lastTickAt > 0);
+  } finally {
+    feed.stop();
+    await new Promise(r => wss.close(r));
+  }
+}));
+
+test('watchdog tears down a silent socket and reconnects', quiet(async () => {
+  const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  await new Promise(r => wss.once('listening', r));
+  let connections = 0;
+  wss.on('connection', () => { connections++; }); // accepts, then never says a word
+
+  const adapter = createExchange('coinbase', { wsUrl: `ws://127.0.0.1:${wss.address().port}` });
+  adapter.heartbeatIntervalMs = 0; // don't let the adapter's 1s cadence raise the timeout
+  const feed = createFeed(adapter, {
+    pairs: ['BTC/USD'],
+    onTicker: () => {},
+    heartbeatTimeoutMs: 100,
+    reconnectBaseMs: 10,
+    reconnectMaxMs: 10,
+  });
+  try {
+    feed.start();
+    await waitFor(() => connections >= 2);
+    assert.ok(feed.stats.heartbeatTimeouts >= 1);
+    assert.ok(feed.stats.reconnects >= 1);
+  } finally {
+    feed.stop();
+    await new Promise(r => wss.close(r));
+  }
+}));
+
+test('rejected subscriptions are retried for the failed pairs only', quiet(async () => {
+  const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  await new Promise(r => wss.once('listening', r));
+  const subs = [];
+  wss.on('connection', (sock) => {
+    sock.on('message', (m) => {
+      const f = JSON.parse(m.toString());
+      subs.push(f.pair);
+      for (const pair of f.pair) {
+        // SOL/USD is rejected the first time only
+        const ok = pair !== 'SOL/USD' || subs.length > 1;
+        sock.send(JSON.stringify(ok
+          ? { event: 'subscriptionStatus', status: 'subscribed', pair, subscription: { name: 'ticker' } }
+          : { event: 'subscriptionStatus', status: 'error', pair, errorMessage: 'Subscription depth not supported' }));
+      }
+    });
+  });
+
+  const adapter = createExchange('kraken', { wsUrl: `ws://127.0.0.1:${wss.address().port}` });
+  const feed = createFeed(adapter, {
+    pairs: ['XBT/USD', 'SOL/USD'],
+    onTicker: () => {},
+    batchDelayMs: 1,
+    resubscribeBaseMs: 20,
+    random: () => 0.5,
+  });
+  try {
+    feed.start();
+    await waitFor(() => subs.length === 2);
+    assert.deepEqual(subs, [['XBT/USD', 'SOL/USD'], ['SOL/USD']]);
+    assert.equal(feed.stats.subFailures, 1);
+  } finally {
+    feed.stop();
+    await new Promise(r => wss.close(r));
+  }
+}));
+
+test('pairs can be added and removed on the live socket', quiet(async () => {
+  const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  await new Promise(r => wss.once('listening', r));
+  const received = [];
+  let server = null;
+  wss.on('connection', (sock) => {
+    server = sock;
+    sock.on('message', (m) => received.push(JSON.parse(m.toString())));
+  });
+
+  const ticks = [];
+  const adapter = createExchange('coinbase', { wsUrl: `ws://127.0.0.1:${wss.address().port}` });
+  const feed = createFeed(adapter, { pairs: ['BTC/USD'], batchDelayMs: 1, onTicker: (key) => ticks.push(key) });
+  try {
+    feed.start();
+    await waitFor(() => received.length === 2); // heartbeats + BTC-USD
+    assert.deepEqual(feed.add(['BTC/USD', 'ETH/USD']), ['ETH/USD']);
+    assert.deepEqual(feed.remove(['BTC/USD', 'SOL/USD']), ['BTC/USD']);
+    await waitFor(() => received.length === 4);
+    assert.deepEqual(received.slice(2), [
+      { type: 'subscribe', channel: 'ticker', product_ids: ['ETH-USD'] },
+      { type: 'unsubscribe', channel: 'ticker', product_ids: ['BTC-USD'] },
+    ]);
+    assert.deepEqual(feed.pairs, ['ETH/USD']);
+
+    server.send(JSON.stringify(frames('coinbase')[3])); // BTC-USD + ETH-USD tickers
+    await waitFor(() => ticks.length > 0);
+    assert.deepEqual(ticks, ['coinbase:ETH/USD']);
+  } finally {
+    feed.stop();
+    await new Promise(r => wss.close(r));
+  }
+}));
+
+test('a book checksum mismatch resubscribes that pair\'s book', quiet(async () => {
+  const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  await new Promise(r => wss.once('listening', r));
+  const received = [];
+  let server = null;
+  wss.on('connection', (sock) => {
+    server = sock;
+    sock.on('message', (m) => received.push(JSON.parse(m.toString())));
+  });
+
+  const adapter = createExchange('kraken', { wsUrl: `ws://127.0.0.1:${wss.address().port}`, book: 10 });
+  const books = [];
+  const feed = createFeed(adapter, {
+    pairs: ['XBT/USD'], batchDelayMs: 1, onTicker: () => {},
+    onBook: (key, b) => { books.push(key); return b.checksum !== 1; },
+  });
+  try {
+    feed.start();
+    await waitFor(() => received.length === 2); // ticker + book
+    server.send(JSON.stringify([1, { a: [['1.0', '1.0', '1']], c: '2' }, 'book-10', 'XBT/USD']));
+    server.send(JSON.stringify([1, { a: [['1.0', '1.0', '1']], c: '1' }, 'book-10', 'XBT/USD']));
+    await waitFor(() => received.length === 4);
+    assert.deepEqual(books, ['kraken:XBT/USD', 'kraken:XBT/USD']);
+    assert.deepEqual(received.slice(2), [
+      { event: 'unsubscribe', pair: ['XBT/USD'], subscription: { name: 'book', depth: 10 } },
+      { event: 'subscribe', pair: ['XBT/USD'], subscription: { name: 'book', depth: 10 } },
+    ]);
+    assert.equal(feed.stats.bookResyncs, 1);
+  } finally {
+    feed.stop();
+    await new Promise(r => wss.close(r));
+  }
+}));
+
+test('a v2 book checksum mismatch resubscribes once the instrument precision is known', quiet(async () => {
+  const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  await new Promise(r => wss.once('listening', r));
+  const received = [];
+  let server = null;
+  wss.on('connection', (sock) => {
+    server = sock;
+    sock.on('message', (m) => received.push(JSON.parse(m.toString())));
+  });
+
+  const adapter = createExchange('kraken', { version: 2, wsUrl: `ws://127.0.0.1:${wss.address().port}`, book: 10 });
+  const ob = createOrderBook();
+  const results = [];
+  const feed = createFeed(adapter, {
+    pairs: ['XBT/USD'], batchDelayMs: 1, onTicker: () => {},
+    onBook: (_key, b) => {
+      results.push(ob.apply(b));
+      return results.at(-1) !== 'mismatch';
+    },
+  });
+  try {
+    feed.start();
+    await waitFor(() => received.length === 3); // instrument, ticker, book
+    assert.deepEqual(received[0], { method: 'subscribe', params: { channel: 'instrument' } });
+    server.send(JSON.stringify({ channel: 'instrument', type: 'snapshot', data: { assets: [], pairs: [
+      { symbol: 'BTC/USD', price_precision: 1, qty_precision: 8 },
+    ] } }));
+    const good = bookChecksum([{ price: '67010.1', qty: '0.50000000' }], [{ price: '67010.0', qty: '1.20000000' }]);
+    server.send(JSON.stringify({ channel: 'book', type: 'snapshot', data: [{
+      symbol: 'BTC/USD', asks: [{ price: 67010.1, qty: 0.5 }], bids: [{ price: 67010, qty: 1.2 }], checksum: good,
+    }] }));
+    server.send(JSON.stringify({ channel: 'book', type: 'update', data: [{
+      symbol: 'BTC/USD', asks: [{ price: 67010.2, qty: 1 }], bids: [], checksum: good,
+    }] }));
+    await waitFor(() => received.length === 5);
+    assert.deepEqual(results, ['ok', 'mismatch']);
+    assert.deepEqual(received.slice(3), [
+      { method: 'unsubscribe', params: { channel: 'book', symbol: ['BTC/USD'], depth: 10 } },
+      { method: 'subscribe', params: { channel: 'book', symbol: ['BTC/USD'], depth: 10 } },
+    ]);
+    assert.equal(feed.stats.bookResyncs, 1);
+  } finally {
+    feed.stop();
+    await new Promise(r => wss.close(r));
+  }
+}));
+
+test('diffListings picks up new listings within the cap and drops delisted pairs', () => {
+  const base = { current: ['A/USD', 'B/USD', 'M/EUR'], keep: new Set(['M/EUR']), max: 4 };
+  // C and D are new, B was delisted; M/EUR was added by hand (other quote) and stays
+  assert.deepEqual(
+    diffListings({ ...base, known: new Set(['A/USD', 'B/USD']), discovered: ['A/USD', 'C/USD', 'D/USD', 'E/USD'] }),
+    { added: ['C/USD', 'D/USD'], removed: ['B/USD'] },
+  );
+  // pairs an earlier discovery saw (and someone unsubscribed) don't come back
+  assert.deepEqual(
+    diffListings({ ...base, known: new Set(['A/USD', 'B/USD', 'X/USD']), discovered: ['A/USD', 'B/USD', 'X/USD'] }),
+    { added: [], removed: [] },
+  );
+  // no earlier discovery: everything unseen counts
+  assert.deepEqual(
+    diffListings({ ...base, known: null, discovered: ['A/USD', 'B/USD', 'X/USD'] }),
+    { added: ['X/USD'], removed: [] },
+  );
+});
+
+test('rules and history accept either the full key or the bare pair', () => {
+  const doc = {
+    tags: { majors: ['BTC/USDT'] },
+    rules: [
+      { id: 'xbt', match: { pairs: ['XBT/USD'] }, thresholdPct: 7 },
+      { id: 'bin-sol', match: { pairs: ['binance:SOL/USDT'] }, thresholdPct: 9 },
+      { id: 'majors', match: { tags: ['majors'] }, thresholdPct: 3 },
+    ],
+  };
+  assert.equal(resolveRule('kraken:XBT/USD', doc, {}).id, 'xbt');
+  assert.equal(resolveRule('binance:SOL/USDT', doc, {}).id, 'bin-sol');
+  assert.equal(resolveRule('coinbase:SOL/USD', doc, {}).id, 'default');
+  assert.equal(resolveRule('binance:BTC/USDT', doc, {}).id, 'majors');
+
+  const keys = ['kraken:XBT/USD', 'binance:BTC/USDT', 'coinbase:BTC/USD'];
+  assert.equal(resolvePairParam('binance:BTC-USDT', keys), 'binance:BTC/USDT');
+  assert.equal(resolvePairParam('XBTUSD', keys), 'kraken:XBT/USD');
+  assert.equal(resolvePairParam('BTC-USD', keys), 'coinbase:BTC/USD');
+});
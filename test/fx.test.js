@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFxTable } from '../src/fx.js';
+
+test('rates come from direct pairs, inverses and one bridge asset', () => {
+  const fx = createFxTable();
+  assert.equal(fx.rate('EUR', 'USD'), null);
+  fx.update('kraken:XBT/EUR', 60000);
+  fx.update('coinbase:BTC/USD', 66000);
+  assert.equal(fx.rate('XBT', 'EUR'), 60000);
+  assert.equal(fx.rate('USD', 'BTC'), 1 / 66000);
+  assert.equal(fx.rate('EUR', 'USD'), 1.1); // EUR -> BTC -> USD
+
+  fx.update('kraken:EUR/USD', 1.08); // a direct rate wins over the bridge
+  assert.equal(fx.rate('EUR', 'USD'), 1.08);
+  assert.equal(fx.convert(100, 'EUR', 'USD'), 108);
+});
+
+test('stablecoin pegs apply only until a live rate arrives', () => {
+  const fx = createFxTable();
+  assert.equal(fx.rate('USDT', 'USD'), 1);
+  fx.update('kraken:USDT/USD', 0.999);
+  assert.equal(fx.rate('USDT', 'USD'), 0.999);
+  assert.equal(fx.rate('USDT', 'EUR'), null);
+  fx.update('kraken:ignored/USD', 0);
+  assert.equal(fx.size(), 1);
+});
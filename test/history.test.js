@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  resolvePairParam, parseDuration, parseHistoryQuery, buildHistory,
+} from '../src/history.js';
+
+const HOUR = 3600;
+
+// 3h of minute samples: volume grows 1/min, price flat then +10%
+function makeState() {
+  const daybuf = [];
+  for (let i = 0; i <= 180; i++) {
+    daybuf.push({ ts: i * 60, vol24: 100 + i, price: i < 120 ? 100 : 110 });
+  }
+  return { daybuf, buf: [{ ts: 10790, diff: 1 }, { ts: 10795, diff: 2 }] };
+}
+
+test('resolvePairParam tolerates separators and case', () => {
+  const pairs = ['XBT/USD', 'ETH/USD'];
+  assert.equal(resolvePairParam('XBT/USD', pairs), 'XBT/USD');
+  assert.equal(resolvePairParam('eth-usd', pairs), 'ETH/USD');
+  assert.equal(resolvePairParam('ETHUSD', pairs), 'ETH/USD');
+  assert.equal(resolvePairParam('SOL/USD', pairs), null);
+});
+
+test('parseDuration handles s/m/h/d', () => {
+  assert.equal(parseDuration('90m'), 5400);
+  assert.equal(parseDuration('6h'), 21600);
+  assert.equal(parseDuration('1d'), 86400);
+  assert.ok(Number.isNaN(parseDuration('soon')));
+});
+
+test('parseHistoryQuery applies defaults and validates input', () => {
+  const q = parseHistoryQuery({}, 10000, 24 * HOUR);
+  assert.equal(q.to, 10000);
+  assert.equal(q.from, 10000 - 24 * HOUR);
+  assert.equal(q.resSec, 60);
+  assert.deepEqual(q.metrics, ['price', 'vol24', 'vol24Pct', 'price24Pct', 'diffPct']);
+
+  const ms = parseHistoryQuery({ from: '1700000000000', to: '1700003600000', res: '15m' }, 0, HOUR);
+  assert.equal(ms.from, 1700000000);
+  assert.equal(ms.resSec, 900);
+
+  assert.throws(() => parseHistoryQuery({ res: '2m' }, 0, HOUR), /res must be/);
+  assert.throws(() => parseHistoryQuery({ metrics: 'price,foo' }, 0, HOUR), /unknown metrics: foo/);
+  assert.throws(() => parseHistoryQuery({ from: 10, to: 5 }, 0, HOUR), /from must be/);
+});
+
+test('buildHistory computes lookback metrics and downsamples', () => {
+  const S = makeState();
+  const q = parseHistoryQuery({ from: 0, to: 10800, res: '1h', metrics: 'price,vol24Pct,price24Pct' }, 0, HOUR);
+  const { points } = buildHistory(S, q, { lookbackSec: HOUR, maxSkewSec: 0 });
+
+  assert.deepEqual(points.map(p => p.ts), [0, 3600, 7200, 10800]);
+  // first hour has no lookback reference yet
+  assert.equal(points[0].vol24Pct, null);
+  // last sample of [3600, 7200): ts=7140 vs ts=3540 → vol 219 vs 159
+  assert.equal(points[1].price, 100);
+  assert.ok(Math.abs(points[1].vol24Pct - (60 / 159) * 100) < 1e-9);
+  assert.equal(points[2].price, 110);
+  assert.ok(Math.abs(points[2].price24Pct - 10) < 1e-9);
+  assert.deepEqual(Object.keys(points[0]), ['ts', 'price', 'vol24Pct', 'price24Pct']);
+});
+
+test('buildHistory folds buf diffs into buckets and supports columns/avg', () => {
+  const S = makeState();
+  const q = parseHistoryQuery({ from: 10740, to: 10800, res: '1m', metrics: 'diffPct', agg: 'avg', format: 'columns' }, 0, HOUR);
+  const { columns } = buildHistory(S, q, { lookbackSec: HOUR, maxSkewSec: 0 });
+  assert.deepEqual(columns.ts, [10740, 10800]);
+  // bucket 10740 = daybuf sample at 10740 + buf ticks at 10790/10795
+  // (ts=10740: vol 279 / price 110 vs ts=7140: vol 219 / price 100)
+  const daybufDiff = ((279 - 219) / 219) * 100 - 10;
+  assert.ok(Math.abs(columns.diffPct[0] - (daybufDiff + 1 + 2) / 3) < 1e-9);
+});
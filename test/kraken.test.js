@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  toV2Symbol, fromV2Symbol, subscribeMessage, unsubscribeMessage, instrumentSubscribeMessage,
+  parseTickerMessage, parseTradeMessage, parseBookMessage, parseMessage,
+} from '../src/kraken.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'kraken-ws');
+const frames = (v) => JSON.parse(fs.readFileSync(path.join(FIXTURES, `v${v}.json`), 'utf8'));
+
+const EXPECTED = [
+  { type: 'subscription', ok: true, pair: 'XBT/USD', error: null },
+  { type: 'subscription', ok: false, pair: 'FOO/USD', error: 'Currency pair not supported FOO/USD' },
+  { type: 'heartbeat' },
+  { type: 'ticker', tickers: [{ pair: 'XBT/USD', lastPrice: 67012.1, vol24: 2450.75, avg24: 66950.54321 }] },
+  { type: 'ticker', tickers: [{ pair: 'XDG/USD', lastPrice: 0.1234, vol24: 123456789.5, avg24: 0.121 }] },
+];
+
+test('v2 symbols map to our v1 pair keys and back', () => {
+  assert.equal(toV2Symbol('XBT/USD'), 'BTC/USD');
+  assert.equal(toV2Symbol('ETH/XBT'), 'ETH/BTC');
+  assert.equal(toV2Symbol('XDG/EUR'), 'DOGE/EUR');
+  assert.equal(toV2Symbol('SOL/USD'), 'SOL/USD');
+  assert.equal(fromV2Symbol('BTC/USD'), 'XBT/USD');
+  assert.equal(fromV2Symbol('DOGE/USD'), 'XDG/USD');
+});
+
+test('subscribeMessage builds v1 and v2 frames', () => {
+  assert.deepEqual(subscribeMessage(['XBT/USD'], 1),
+    { event: 'subscribe', pair: ['XBT/USD'], subscription: { name: 'ticker' } });
+  assert.deepEqual(subscribeMessage(['XBT/USD', 'SOL/USD'], 2),
+    { method: 'subscribe', params: { channel: 'ticker', symbol: ['BTC/USD', 'SOL/USD'] } });
+  assert.deepEqual(unsubscribeMessage(['XBT/USD'], 1),
+    { event: 'unsubscribe', pair: ['XBT/USD'], subscription: { name: 'ticker' } });
+  assert.deepEqual(unsubscribeMessage(['XBT/USD'], 2),
+    { method: 'unsubscribe', params: { channel: 'ticker', symbol: ['BTC/USD'] } });
+  // the v1 ack for an unsubscribe is not a failure
+  assert.equal(parseMessage({ event: 'subscriptionStatus', status: 'unsubscribed', pair: 'XBT/USD' }, 1).ok, true);
+});
+
+test('v1 fixture frames decode', () => {
+  const out = frames(1).map(f => parseMessage(f, 1));
+  assert.equal(out[0], null); // systemStatus
+  assert.deepEqual(out.slice(1), EXPECTED);
+});
+
+test('v2 fixture frames decode to the same tickers as v1', () => {
+  const out = frames(2).map(f => parseMessage(f, 2));
+  assert.equal(out[0], null); // status
+  assert.deepEqual(out.slice(1), EXPECTED);
+});
+
+test('trade frames decode to buy/sell prints in both versions', () => {
+  assert.deepEqual(subscribeMessage(['XBT/USD'], 1, 'subscribe', 'trade'),
+    { event: 'subscribe', pair: ['XBT/USD'], subscription: { name: 'trade' } });
+  assert.deepEqual(subscribeMessage(['XBT/USD'], 2, 'subscribe', 'trade'),
+    { method: 'subscribe', params: { channel: 'trade', symbol: ['BTC/USD'], snapshot: false } });
+
+  const v1 = [337, [['67010.1', '0.5', '1700000000.123456', 'b', 'm', ''], ['67009.9', '2.25', '1700000001.5', 's', 'l', '']], 'trade', 'XBT/USD'];
+  const expected = {
+    type: 'trades',
+    trades: [
+      { pair: 'XBT/USD', price: 67010.1, qty: 0.5, side: 'buy', ts: 1700000000123 },
+      { pair: 'XBT/USD', price: 67009.9, qty: 2.25, side: 'sell', ts: 1700000001500 },
+    ],
+  };
+  assert.deepEqual(parseMessage(v1, 1), expected);
+  assert.equal(parseTickerMessage(v1), null); // not mistaken for a ticker
+  assert.equal(parseTradeMessage([1, {}, 'ticker', 'XBT/USD']), null);
+
+  const v2 = {
+    channel: 'trade',
+    type: 'update',
+    data: [
+      { symbol: 'BTC/USD', side: 'buy', price: 67010.1, qty: 0.5, ord_type: 'market', trade_id: 1, timestamp: '2023-11-14T22:13:20.123Z' },
+      { symbol: 'BTC/USD', side: 'sell', price: 67009.9, qty: 2.25, ord_type: 'limit', trade_id: 2, timestamp: '2023-11-14T22:13:21.500Z' },
+    ],
+  };
+  assert.deepEqual(parseMessage(v2, 2), expected);
+  assert.equal(parseMessage({ ...v2, type: 'snapshot' }, 2), null); // history from before we subscribed
+});
+
+test('book frames decode snapshots, one- and two-sided updates', () => {
+  assert.deepEqual(subscribeMessage(['XBT/USD'], 1, 'subscribe', 'book', 25),
+    { event: 'subscribe', pair: ['XBT/USD'], subscription: { name: 'book', depth: 25 } });
+  assert.deepEqual(subscribeMessage(['XBT/USD'], 2, 'subscribe', 'book', 25),
+    { method: 'subscribe', params: { channel: 'book', symbol: ['BTC/USD'], depth: 25 } });
+
+  const snap = [336, { as: [['67010.10000', '0.50000000', '1700000000.1']], bs: [['67010.00000', '1.20000000', '1700000000.2']] }, 'book-10', 'XBT/USD'];
+  assert.deepEqual(parseMessage(snap, 1), { type: 'book', books: [{
+    pair: 'XBT/USD', snapshot: true, asks: [['67010.10000', '0.50000000']], bids: [['67010.00000', '1.20000000']], checksum: null,
+  }] });
+  assert.equal(parseTickerMessage(snap), null);
+
+  const oneSide = [336, { a: [['67010.20000', '0.00000000', '1700000001.1', 'r']], c: '974947235' }, 'book-10', 'XBT/USD'];
+  assert.deepEqual(parseBookMessage(oneSide),
+    { pair: 'XBT/USD', snapshot: false, asks: [['67010.20000', '0.00000000']], bids: [], checksum: 974947235 });
+  const twoSides = [336, { a: [['67010.20000', '1.0', '1']] }, { b: [['67009.00000', '2.0', '1']], c: '12' }, 'book-10', 'XBT/USD'];
+  assert.deepEqual(parseBookMessage(twoSides),
+    { pair: 'XBT/USD', snapshot: false, asks: [['67010.20000', '1.0']], bids: [['67009.00000', '2.0']], checksum: 12 });
+
+  const v2 = { channel: 'book', type: 'update', data: [{ symbol: 'BTC/USD', bids: [{ price: 67009, qty: 2 }], asks: [], checksum: 1 }] };
+  assert.deepEqual(parseMessage(v2, 2), { type: 'book', books: [{
+    pair: 'XBT/USD', snapshot: false, asks: [], bids: [['67009', '2']], checksum: null,
+  }] });
+});
+
+test('v2 books are re-formatted with the instrument precision and keep their checksum', () => {
+  const instrument = { channel: 'instrument', type: 'snapshot', data: { assets: [], pairs: [
+    { symbol: 'BTC/USD', price_precision: 1, qty_precision: 8 },
+    { symbol: 'ETH/USD', price_precision: 2 },
+  ] } };
+  assert.deepEqual(parseMessage(instrument, 2),
+    { type: 'instrument', instruments: [{ pair: 'XBT/USD', pricePrecision: 1, qtyPrecision: 8 }] });
+  assert.deepEqual(instrumentSubscribeMessage(), { method: 'subscribe', params: { channel: 'instrument' } });
+
+  const v2 = { channel: 'book', type: 'update', data: [{ symbol: 'BTC/USD', bids: [{ price: 67009, qty: 2.5 }], asks: [], checksum: 974947235 }] };
+  assert.deepEqual(parseMessage(v2, 2, { 'XBT/USD': { pricePrecision: 1, qtyPrecision: 8 } }), { type: 'book', books: [{
+    pair: 'XBT/USD', snapshot: false, asks: [], bids: [['67009.0', '2.50000000']], checksum: 974947235,
+  }] });
+});
+
+test('parseTickerMessage ignores non-ticker arrays', () => {
+  assert.equal(parseTickerMessage([1, 'x']), null);
+  assert.equal(parseTickerMessage([1, {}, 'ticker']), null);
+  assert.equal(parseMessage({ channel: 'ticker', data: [] }, 2), null);
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VIEW_FIELDS, normalizeView, selectView, diffView, createLiveHub } from '../src/live.js';
+import { createEngine } from '../src/engine.js';
+
+const KEYS = ['kraken:XBT/USD', 'kraken:ETH/USD', 'binance:SOL/USDT'];
+
+function entry(price, diffPct, extra = {}) {
+  return { ts: 100, price, diffPct, volVelPct: diffPct, horizons: { '1h': { diffPct: -diffPct } }, ...extra };
+}
+
+function snap(prices = {}) {
+  return {
+    ts: 100,
+    meta: { rankMode: 'vol' },
+    pairs: {
+      'kraken:XBT/USD': entry(prices.xbt ?? 100, 5),
+      'kraken:ETH/USD': entry(prices.eth ?? 50, 9),
+      'binance:SOL/USDT': entry(20, 1),
+    },
+    top: ['kraken:ETH/USD', 'kraken:XBT/USD', 'binance:SOL/USDT'],
+  };
+}
+
+// Socket.IO stand-ins: rooms and emitted messages
+function fakeIo() {
+  const sockets = [];
+  return {
+    sockets,
+    to: (room) => ({ emit: (ev, data) => sockets.filter(s => s.rooms.has(room)).forEach(s => s.sent.push([ev, data])) }),
+    connect(hub, id) {
+      const handlers = {};
+      const s = {
+        id, rooms: new Set(), sent: [],
+        on: (ev, fn) => { handlers[ev] = fn; },
+        emit: (ev, data) => s.sent.push([ev, data]),
+        join: (r) => s.rooms.add(r),
+        leave: (r) => s.rooms.delete(r),
+        client: (ev, ...args) => handlers[ev](...args),
+      };
+      sockets.push(s);
+      hub.attach(s);
+      return s;
+    },
+  };
+}
+
+test('normalizeView resolves pairs and rejects bad specs', () => {
+  assert.deepEqual(normalizeView({}, KEYS), { pairs: null, top: null, sort: 'volVelPct', fields: null });
+  const v = normalizeView({ pairs: ['XBT/USD', 'kraken:ETH/USD', 'XBTUSD'], fields: ['price', 'diffPct'], sort: 'diffPct@1h' }, KEYS);
+  assert.deepEqual(v.pairs, ['kraken:ETH/USD', 'kraken:XBT/USD']);
+  assert.deepEqual(v.fields, ['diffPct', 'price']);
+  assert.throws(() => normalizeView({ pairs: ['DOGE/USD'] }, KEYS), /unknown pair/);
+  assert.throws(() => normalizeView({ top: 0 }, KEYS), /top/);
+  assert.throws(() => normalizeView({ fields: ['secret'] }, KEYS), /unknown field/);
+  assert.throws(() => normalizeView({ sort: 'nope' }, KEYS), /unknown sort/);
+});
+
+test('VIEW_FIELDS covers every snapshot entry field', () => {
+  const engine = createEngine({ config: {}, rules: { resolve: () => null }, notify: () => {} });
+  engine.computeFromTicker('kraken:XBT/USD', 1700000000, 100, 50000, 50000);
+  assert.deepEqual(Object.keys(engine.snapshot(['kraken:XBT/USD']).pairs['kraken:XBT/USD']).sort(), [...VIEW_FIELDS].sort());
+});
+
+test('selectView picks pairs, top-N and fields', () => {
+  const top2 = selectView(snap(), normalizeView({ top: 2, sort: 'diffPct@1h', fields: ['price'] }, KEYS));
+  assert.deepEqual(top2.top, ['binance:SOL/USDT', 'kraken:XBT/USD']);
+  assert.deepEqual(top2.pairs['kraken:XBT/USD'], { price: 100 });
+
+  const one = selectView(snap(), normalizeView({ pairs: ['XBT/USD'] }, KEYS));
+  assert.deepEqual(Object.keys(one.pairs), ['kraken:XBT/USD']);
+  assert.deepEqual(one.top, ['kraken:XBT/USD']);
+});
+
+test('selectView ranks pairs without the sort value last, in key order', () => {
+  const s = snap();
+  s.pairs['kraken:ETH/USD'].diffPct = null;
+  s.pairs['kraken:XBT/USD'].diffPct = NaN;
+  const view = normalizeView({ top: 3, sort: 'diffPct' }, KEYS);
+  assert.deepEqual(selectView(s, view).top, ['binance:SOL/USDT', 'kraken:ETH/USD', 'kraken:XBT/USD']);
+  assert.deepEqual(selectView(s, normalizeView({ top: 2, sort: 'diffPct' }, KEYS)).top, ['binance:SOL/USDT', 'kraken:ETH/USD']);
+});
+
+test('diffView sends only changed fields and removed pairs', () => {
+  const view = normalizeView({ top: 2, sort: 'diffPct', fields: ['price', 'diffPct'] }, KEYS);
+  const a = selectView(snap(), view);
+  assert.equal(diffView(a, selectView(snap(), view)), null);
+
+  const b = selectView(snap({ eth: 51 }), view);
+  assert.deepEqual(diffView(a, b), { changed: { 'kraken:ETH/USD': { price: 51 } }, removed: [] });
+
+  const next = snap();
+  next.pairs['binance:SOL/USDT'].diffPct = 20;
+  const d = diffView(a, selectView(next, view));
+  assert.deepEqual(d.removed, ['kraken:XBT/USD']);
+  assert.deepEqual(d.changed, { 'binance:SOL/USDT': { price: 20, diffPct: 20 } });
+  assert.deepEqual(d.top, ['binance:SOL/USDT', 'kraken:ETH/USD']);
+});
+
+test('hub shares rooms, sends state then sequenced deltas, and resyncs', () => {
+  let current = snap();
+  const io = fakeIo();
+  const hub = createLiveHub({ io, snapshot: () => current, pairs: () => KEYS });
+  const a = io.connect(hub, 'a');
+  const b = io.connect(hub, 'b');
+
+  const acks = [];
+  a.client('subscribe', { pairs: ['XBT/USD'], fields: ['price'] }, (r) => acks.push(r));
+  b.client('subscribe', { pairs: ['kraken:XBT/USD'], fields: ['price'] });
+  assert.equal(acks[0].ok, true);
+  assert.equal(hub.stats().rooms, 1);
+  assert.deepEqual(a.sent[0], ['state', { seq: 0, ts: 100, meta: { rankMode: 'vol' }, pairs: { 'kraken:XBT/USD': { price: 100 } }, top: ['kraken:XBT/USD'] }]);
+
+  hub.tick(); // nothing changed
+  assert.equal(a.sent.length, 1);
+
+  current = snap({ xbt: 101, eth: 60 });
+  hub.tick();
+  assert.deepEqual(a.sent[1], ['delta', { seq: 1, ts: 100, changed: { 'kraken:XBT/USD': { price: 101 } }, removed: [] }]);
+  assert.deepEqual(b.sent[1], a.sent[1]);
+
+  a.client('resync');
+  assert.equal(a.sent[2][1].seq, 1);
+  assert.equal(hub.stats().resyncs, 1);
+
+  a.client('subscribe', { top: 50 }, (r) => acks.push(r));
+  assert.equal(hub.stats().rooms, 2);
+  b.client('disconnect');
+  assert.equal(hub.stats().rooms, 1);
+
+  a.client('subscribe', { fields: ['nope'] }, (r) => acks.push(r));
+  assert.match(acks[2].error, /unknown field/);
+});
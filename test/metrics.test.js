@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRegistry } from '../src/metrics.js';
+
+test('registry renders counters and collected gauges in Prometheus text format', () => {
+  const reg = createRegistry();
+  const c = reg.counter('kvm_things_total', 'Things seen');
+  c.inc({ exchange: 'kraken', pair: 'XBT/USD' });
+  c.inc({ exchange: 'kraken', pair: 'XBT/USD' }, 2);
+  c.inc({ exchange: 'binance', pair: 'a"b\\c' });
+  reg.counter('kvm_empty_total', 'Nothing yet');
+  reg.counter('kvm_collected_total', 'Kept elsewhere', () => [[{ type: 'step' }, 4]]);
+  reg.gauge('kvm_clients', 'Clients', () => 3);
+  reg.gauge('kvm_age_seconds', 'Age', () => [[{ pair: 'x' }, NaN]]);
+
+  assert.equal(c.get({ exchange: 'kraken', pair: 'XBT/USD' }), 3);
+  assert.equal(reg.render(), [
+    '# HELP kvm_things_total Things seen',
+    '# TYPE kvm_things_total counter',
+    'kvm_things_total{exchange="kraken",pair="XBT/USD"} 3',
+    'kvm_things_total{exchange="binance",pair="a\\"b\\\\c"} 1',
+    '# HELP kvm_empty_total Nothing yet',
+    '# TYPE kvm_empty_total counter',
+    'kvm_empty_total 0',
+    '# HELP kvm_collected_total Kept elsewhere',
+    '# TYPE kvm_collected_total counter',
+    'kvm_collected_total{type="step"} 4',
+    '# HELP kvm_clients Clients',
+    '# TYPE kvm_clients gauge',
+    'kvm_clients 3',
+    '# HELP kvm_age_seconds Age',
+    '# TYPE kvm_age_seconds gauge',
+    'kvm_age_seconds{pair="x"} NaN',
+    '',
+  ].join('\n'));
+  assert.throws(() => reg.gauge('kvm_clients', 'dup', () => 1), /already registered/);
+});
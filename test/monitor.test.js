@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createMonitor, createEngine, configFromEnv, ruleDefaults, newPairState, computeFromTicker, quantizeLevel, avgDeltaOverWindow,
+} from '../src/monitor.js';
+
+const KEY = 'kraken:XBT/USD';
+
+function setup(config = {}) {
+  let now = 1700000000000;
+  const monitor = createMonitor({
+    config: { lookbackHours: 0.05, digestMinAbsDeltaPct: 1, ...config }, // 3 minute lookback
+    clock: { now: () => now },
+  });
+  const events = [];
+  for (const type of ['tick', 'alert', 'recovery', 'digest', 'stale']) monitor.on(type, (e) => events.push([type, e]));
+  const tick = (vol24, price = 100) => monitor.ingestTicker(KEY, { vol24, price, avg24: price });
+  const advance = (sec) => { now += sec * 1000; };
+  const of = (type) => events.filter(([t]) => t === type).map(([, e]) => e);
+  return { monitor, events, of, tick, advance };
+}
+
+test('the engine helpers are exported from the package entry', () => {
+  assert.equal(quantizeLevel(6.3, 5, 1.25), 6.25);
+  assert.equal(avgDeltaOverWindow({ buf: [{ ts: 10, diff: 2 }] }, 20, 60), 2);
+});
+
+test('computeFromTicker runs on its own state and settings, without an engine', () => {
+  const config = { ...configFromEnv({}), lookbackHours: 0.05, lookbackHorizons: ['2m'] };
+  const S = newPairState();
+  for (let i = 0; i < 4; i++) assert.equal(computeFromTicker(S, config, 760 + i * 60, 100, 100, 100).ready, i > 1);
+  assert.deepEqual(computeFromTicker(S, config, 1000, 110, 100, 100), { ready: true, resumed: false }); // +10% vs 3m ago
+  assert.equal(S.diffPct, 10);
+  assert.deepEqual(S.horizons['2m'], { vol24Pct: 10, price24Pct: 0, diffPct: 10 });
+  assert.equal(avgDeltaOverWindow(S, 1000, 30), 10);
+  assert.equal(computeFromTicker(S, config, 1000 + config.pairStaleSec + 1, 110, 100, 100).resumed, true);
+});
+
+test('computeFromTicker works on an engine from the package entry, without a monitor', () => {
+  const events = [];
+  const engine = createEngine({
+    config: { lookbackHours: 0.05 },
+    rules: { resolve: () => ({ id: 'default', ...ruleDefaults(engine.config) }) },
+    notify: (e) => events.push(e),
+    clock: { now: () => 1000 * 1000 },
+  });
+  for (let i = 0; i < 4; i++) engine.computeFromTicker(KEY, 760 + i * 60, 100, 100, 100);
+  engine.computeFromTicker(KEY, 1000, 110, 100, 100); // +10% volume vs 3m ago
+  assert.equal(engine.snapshot([KEY]).pairs[KEY].diffPct, 10);
+  assert.deepEqual(events.map(e => [e.type, e.level]), [['step', 10]]);
+});
+
+test('ingested tickers emit tick, alert, recovery and digest events', () => {
+  const { monitor, of, tick, advance } = setup();
+  for (let i = 0; i < 4; i++) { tick(100); advance(60); }
+  assert.deepEqual(monitor.pairs(), [KEY]);
+  assert.equal(of('tick').length, 4);
+  assert.deepEqual(of('tick')[0], { pair: KEY, ts: 1700000000, vol24: 100, price: 100, avg24: 100 });
+
+  tick(110); // +10% volume, flat price vs 3m ago
+  assert.equal(of('alert').length, 1);
+  assert.equal(of('alert')[0].level, 10);
+  assert.equal(monitor.snapshot().pairs[KEY].volVelPct, 10);
+
+  monitor.digest();
+  assert.deepEqual(of('digest')[0].winners.map(w => w.pair), [KEY]);
+
+  advance(60);
+  tick(100); // back under the threshold, still cooling down
+  advance(300);
+  for (let i = 0; i < 4; i++) { tick(100); advance(60); }
+  assert.equal(of('recovery').length, 1);
+  assert.equal(of('recovery')[0].prevLevel, 10);
+});
+
+test('stale fires once per outage and re-arms on the next tick', () => {
+  const { monitor, of, tick, advance } = setup({ pairStaleSec: 120 });
+  tick(100);
+  assert.deepEqual(monitor.checkStale(), []);
+  advance(180);
+  assert.deepEqual(monitor.checkStale(), [KEY]);
+  assert.deepEqual(monitor.checkStale(), []);
+  assert.equal(of('stale')[0].ageSec, 180);
+
+  tick(100);
+  advance(180);
+  monitor.checkStale();
+  assert.equal(of('stale').length, 2);
+});
+
+test('hot config updates and pair removal', async () => {
+  const { monitor, tick } = setup();
+  await monitor.start(); // no exchanges: timers only
+  monitor.updateConfig({ digestEverySec: 120, alertDiffThresholdPct: 8 });
+  assert.equal(monitor.engine.config.alertDiffThresholdPct, 8);
+  monitor.stop();
+
+  tick(100);
+  assert.deepEqual(monitor.addPairs('kraken', ['ETH/USD']), []); // no adapter in ingest-only mode
+  assert.deepEqual(monitor.removePairs('kraken', ['XBT/USD']), [KEY]);
+  assert.deepEqual(monitor.pairs(), []);
+  assert.equal(monitor.engine.perPair[KEY], undefined);
+});
@@ -0,0 +1,189 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import net from 'node:net';
+import {
+  createChannel, accepts, channelsFromEnv, createNotifier,
+} from '../src/notifiers/index.js';
+import { formatText, formatSubject } from '../src/notifiers/format.js';
+
+const STEP = {
+  type: 'step', pair: 'SOL/USD', level: 7.5, prevLevel: 6.25, delta: 1.25, rank: 3, label: 'diff',
+  metric: 'diffPct', vol24Pct: 12.345, price24Pct: 4.8, diffPct: 7.545, perMin: 0.12,
+};
+const RECOVERY = {
+  type: 'recovery', pair: 'SOL/USD', prevLevel: -5, label: 'diff', metric: 'diffPct', thresholdPct: 5,
+  value: -2.5, vol24Pct: 1, price24Pct: 3.5, diffPct: -2.5, perMin: 0.4,
+};
+const DIGEST = {
+  type: 'digest', windowSec: 300, topN: 10,
+  winners: [{ pair: 'SOL/USD', avgDelta: 8, vPct: 10, pPct: 2, trendPerMin: 0.1, crowned: true }],
+  losers: [{ pair: 'ETH/USD', avgDelta: -4, vPct: -1, pPct: 3, trendPerMin: -0.2, crowned: false }],
+};
+
+// Local stand-in for every HTTP sink: records { path, body } per request
+async function httpStandIn() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      requests.push({ path: req.url, body: JSON.parse(body || '{}') });
+      res.end('ok');
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  return { requests, url: `http://127.0.0.1:${server.address().port}`, close: () => server.close() };
+}
+
+// Minimal SMTP stand-in: accepts one message per DATA and keeps the raw text
+async function smtpStandIn() {
+  const messages = [];
+  const server = net.createServer((sock) => {
+    let buf = '', inData = false;
+    sock.write('220 localhost ESMTP test\r\n');
+    sock.on('data', (chunk) => {
+      buf += chunk.toString();
+      let idx;
+      while (true) {
+        if (inData) {
+          idx = buf.indexOf('\r\n.\r\n');
+          if (idx < 0) return;
+          messages.push(buf.slice(0, idx));
+          buf = buf.slice(idx + 5);
+          inData = false;
+          sock.write('250 queued\r\n');
+          continue;
+        }
+        idx = buf.indexOf('\r\n');
+        if (idx < 0) return;
+        const line = buf.slice(0, idx);
+        buf = buf.slice(idx + 2);
+        const cmd = line.slice(0, 4).toUpperCase();
+        if (cmd === 'EHLO' || cmd === 'HELO') sock.write('250-localhost\r\n250 8BITMIME\r\n');
+        else if (cmd === 'DATA') { inData = true; sock.write('354 go ahead\r\n'); }
+        else if (cmd === 'QUIT') { sock.end('221 bye\r\n'); return; }
+        else sock.write('250 ok\r\n');
+      }
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  return { messages, url: `smtp://127.0.0.1:${server.address().port}`, close: () => server.close() };
+}
+
+test('formatText renders step/recovery/digest per style', () => {
+  assert.equal(formatText(STEP, 'slack'),
+    '🔥🔥🔥 SOL/USD: ⬆️ UP 1.25% to *7.50% diff*\n• Vol24% 12.35 • Price24% 4.8 • Diff 7.55 • ~0.12%/min');
+  assert.match(formatText(STEP, 'markdown'), /to \*\*7\.50% diff\*\*/);
+  assert.equal(formatText(RECOVERY, 'plain'),
+    '🔴🔕 SOL/USD: diff back below 5.00% (now -2.5%).\n• Vol24% 1 • Price24% 3.5 • Diff -2.5 • ~0.4%/min');
+  const digest = formatText(DIGEST, 'slack');
+  assert.match(digest, /^🧭 Kraken Volume • 5m digest/);
+  assert.match(digest, /\*Winners\*\n👑🚀🔥 👑 1\) SOL\/USD — avgΔ=8%/);
+  assert.match(digest, /\*Losers\*\n🧊❄️ 1\) ETH\/USD/);
+  assert.equal(formatSubject(STEP), 'SOL/USD up to 7.50% diff');
+  assert.equal(formatSubject({ ...STEP, level: 6, label: 'anomaly', unit: 'σ' }), 'SOL/USD up to 6.00σ anomaly');
+  assert.equal(formatText({ type: 'listing', exchange: 'kraken', pairs: ['kraken:FOO/USD', 'kraken:BAR/USD'] }, 'slack'),
+    '🆕 *New kraken listings*: FOO/USD, BAR/USD (now monitored)');
+});
+
+test('trade-channel events and digest lines show the flow', () => {
+  const whale = { type: 'whale', pair: 'kraken:XBT/USD', side: 'sell', qty: 5, price: 67000, notional: 335000, currency: 'USD' };
+  assert.equal(formatText(whale, 'slack'), '🐋 kraken:XBT/USD: *SELL 335,000 USD* (5 @ 67000)');
+  assert.equal(formatSubject(whale), 'kraken:XBT/USD whale sell: 335,000 USD');
+  const burst = { type: 'burst', pair: 'kraken:XBT/USD', ratePerMin: 120, baselinePerMin: 10, count: 120, takerBuyPct: 71.5 };
+  assert.equal(formatText(burst, 'plain'),
+    '⚡ kraken:XBT/USD: trade burst 120 trades/min (12× the usual 10)\n• 120 trades • taker buys 71.5%');
+  const row = { ...DIGEST.winners[0], takerBuyPct: 64, tradeRate: 42, whale: true };
+  assert.match(formatText({ ...DIGEST, winners: [row] }), /price24=.*\) • buys 64%, 42 trades\/min 🐋\n/);
+  const depth = { type: 'liquidity', kind: 'depth', pair: 'kraken:XBT/USD', side: 'bid', bandPct: 2, depth: 40000, baseline: 100000, dropPct: 60, quote: 'USD' };
+  assert.equal(formatText(depth, 'markdown'),
+    '🕳️ kraken:XBT/USD: **bid depth pulled 60%** within ±2% of mid (40,000 vs 100,000 USD)');
+  assert.equal(formatSubject({ type: 'liquidity', kind: 'spread', pair: 'kraken:XBT/USD', spreadBps: 42.5, baselineBps: 3 }),
+    'kraken:XBT/USD spread blowout: 42.5 bps');
+});
+
+test('channel filters route by event type, rank and pair', () => {
+  const hot = createChannel({ type: 'webhook', url: 'http://x', events: 'step', minRank: 5 });
+  assert.equal(accepts(hot, STEP), false);
+  assert.equal(accepts(hot, { ...STEP, rank: 5 }), true);
+  assert.equal(accepts(hot, DIGEST), false);
+
+  const sol = createChannel({ type: 'webhook', url: 'http://x', pairs: '^SOL/' });
+  assert.equal(accepts(sol, STEP), true);
+  assert.equal(accepts(sol, { ...STEP, pair: 'ETH/USD' }), false);
+  assert.equal(accepts(sol, DIGEST), true);
+
+  assert.throws(() => createChannel({ type: 'pager' }), /unknown notifier type/);
+  assert.throws(() => createChannel({ type: 'webhook', url: 'http://x', events: ['alerts'] }), /unknown events/);
+  assert.throws(() => createChannel({ type: 'slack' }), /needs url/);
+});
+
+test('channelsFromEnv picks up configured sinks with filters', () => {
+  const cfgs = channelsFromEnv({
+    SLACK_WEBHOOK_URL: 'https://hooks.slack.com/x',
+    SLACK_EVENTS: 'digest',
+    DISCORD_WEBHOOK_URL: 'https://discord.com/api/webhooks/x',
+    DISCORD_MIN_RANK: '5',
+    TELEGRAM_BOT_TOKEN: 't',
+    SMTP_URL: 'smtp://localhost', SMTP_FROM: 'a@x', SMTP_TO: 'b@x, c@x',
+  });
+  assert.deepEqual(cfgs.map(c => c.type), ['slack', 'discord', 'smtp']);
+  assert.deepEqual(cfgs[0].events, ['digest']);
+  assert.equal(cfgs[1].minRank, '5');
+  assert.deepEqual(cfgs[2].to, ['b@x', 'c@x']);
+});
+
+test('notify delivers to HTTP sinks with their own payload formats', async () => {
+  const stand = await httpStandIn();
+  try {
+    const notifier = createNotifier([
+      createChannel({ type: 'slack', url: `${stand.url}/slack`, events: ['digest'] }),
+      createChannel({ type: 'discord', url: `${stand.url}/discord`, minRank: 3 }),
+      createChannel({ type: 'telegram', token: 'TOKEN', chatId: '42', apiUrl: stand.url }),
+      createChannel({ name: 'ops-hook', type: 'webhook', url: `${stand.url}/hook` }),
+    ]);
+
+    assert.deepEqual(await notifier.notify(STEP), ['discord', 'telegram', 'ops-hook']);
+    assert.deepEqual(await notifier.notify(DIGEST), ['slack', 'discord', 'telegram', 'ops-hook']);
+
+    const byPath = (p) => stand.requests.filter(r => r.path === p).map(r => r.body);
+    assert.equal(byPath('/slack').length, 1);
+    assert.match(byPath('/slack')[0].text, /\*Winners\*/);
+    assert.match(byPath('/discord')[0].content, /\*\*7\.50% diff\*\*/);
+    const tg = byPath('/botTOKEN/sendMessage');
+    assert.equal(tg.length, 2);
+    assert.equal(tg[0].chat_id, '42');
+    const hook = byPath('/hook')[0];
+    assert.equal(hook.type, 'step');
+    assert.equal(hook.pair, 'SOL/USD');
+    assert.equal(typeof hook.ts, 'number');
+    assert.match(hook.text, /SOL\/USD: ⬆️ UP/);
+  } finally {
+    stand.close();
+  }
+});
+
+test('notify sends e-mail through an SMTP sink and survives failing sinks', async () => {
+  const smtp = await smtpStandIn();
+  try {
+    const notifier = createNotifier([
+      createChannel({ type: 'smtp', url: smtp.url, from: 'monitor@example.com', to: ['ops@example.com'] }),
+      createChannel({ name: 'down', type: 'webhook', url: 'http://127.0.0.1:1/nope' }),
+    ]);
+    const origError = console.error;
+    console.error = () => {};
+    let delivered;
+    try {
+      delivered = await notifier.notify(RECOVERY);
+    } finally {
+      console.error = origError;
+    }
+    assert.deepEqual(delivered, ['smtp']);
+    assert.equal(smtp.messages.length, 1);
+    assert.match(smtp.messages[0], /Subject: SOL\/USD diff back below 5\.00%/);
+    assert.match(smtp.messages[0], /To: ops@example\.com/);
+  } finally {
+    smtp.close();
+  }
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  serializeState, restoreState, saveStateFile, saveStateFileSync, loadStateFile,
+} from '../src/persistence.js';
+
+function freshState() {
+  return {
+    last: null, daybuf: [], lastMinuteBucket: 0, vol24Pct: 0, price24Pct: 0, diffPct: 0, buf: [],
+    alert: { level: 0, lastAt: 0, hits: 0, hitsWindowStart: 0 }, digestStreak: 0,
+  };
+}
+
+function ensureIn(map) {
+  return (pair) => (map[pair] ||= freshState());
+}
+
+test('serializeState/restoreState round-trips daybuf and alert state', () => {
+  const src = { 'XBT/USD': freshState() };
+  src['XBT/USD'].daybuf = [
+    { ts: 1000, vol24: 10, price: 100 },
+    { ts: 1060, vol24: 11, price: 101 },
+    { ts: 1500, vol24: 12, price: 102, gapSec: 440 },
+  ];
+  src['XBT/USD'].lastMinuteBucket = 25;
+  src['XBT/USD'].alert = { level: 6.25, lastAt: 123, hits: 3, hitsWindowStart: 100 };
+  src['XBT/USD'].digestStreak = 2;
+
+  const data = JSON.parse(JSON.stringify(serializeState(src, 42)));
+  assert.equal(data.savedAt, 42);
+
+  const dst = {};
+  const n = restoreState(data, { ensureState: ensureIn(dst), nowSec: 2000, keepSec: 3600 });
+  assert.equal(n, 1);
+  assert.deepEqual(dst['XBT/USD'].daybuf, src['XBT/USD'].daybuf);
+  assert.equal(dst['XBT/USD'].lastMinuteBucket, 25);
+  assert.deepEqual(dst['XBT/USD'].alert, src['XBT/USD'].alert);
+  assert.equal(dst['XBT/USD'].digestStreak, 2);
+});
+
+test('restoreState drops expired samples and unknown pairs', () => {
+  const src = { 'XBT/USD': freshState(), 'OLD/USD': freshState() };
+  src['XBT/USD'].daybuf = [{ ts: 100, vol24: 1, price: 1 }, { ts: 5000, vol24: 2, price: 2 }];
+  const data = serializeState(src);
+
+  const dst = {};
+  restoreState(data, { ensureState: ensureIn(dst), nowSec: 6000, keepSec: 3600, pairs: ['XBT/USD'] });
+  assert.deepEqual(Object.keys(dst), ['XBT/USD']);
+  assert.deepEqual(dst['XBT/USD'].daybuf, [{ ts: 5000, vol24: 2, price: 2 }]);
+});
+
+test('restoreState ignores unknown versions', () => {
+  const dst = {};
+  assert.equal(restoreState({ version: 999, pairs: { 'A/USD': {} } }, { ensureState: ensureIn(dst), nowSec: 0, keepSec: 1 }), 0);
+  assert.deepEqual(dst, {});
+});
+
+test('state files are written atomically and read back', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kvm-state-'));
+  const file = path.join(dir, 'nested', 'state.json');
+  try {
+    assert.equal(loadStateFile(file), null);
+    await saveStateFile(file, { version: 1, pairs: {} });
+    assert.deepEqual(loadStateFile(file), { version: 1, pairs: {} });
+    saveStateFileSync(file, { version: 1, pairs: { a: 1 } });
+    assert.deepEqual(loadStateFile(file), { version: 1, pairs: { a: 1 } });
+    assert.deepEqual(fs.readdirSync(path.dirname(file)), ['state.json']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('restoreState migrates v1 files to kraken: keys', () => {
+  const dst = {};
+  const v1 = { version: 1, savedAt: 0, pairs: { 'XBT/USD': { daybuf: [[100, 1, 2, 0]], lastMinuteBucket: 1 } } };
+  const n = restoreState(v1, { ensureState: ensureIn(dst), nowSec: 200, keepSec: 3600, pairs: ['kraken:XBT/USD'] });
+  assert.equal(n, 1);
+  assert.deepEqual(Object.keys(dst), ['kraken:XBT/USD']);
+  assert.deepEqual(dst['kraken:XBT/USD'].daybuf, [{ ts: 100, vol24: 1, price: 2 }]);
+});
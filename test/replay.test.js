@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createRecorder, listRecordings } from '../src/recorder.js';
+import { replay, formatReport, parseArgs } from '../src/replay.js';
+
+const T0 = 1700000000000;
+const RULE = { id: 'default', metric: 'diffPct', thresholdPct: 5, stepPct: 1.25, cooldownSec: 300, direction: 'both' };
+
+function tmpdir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'kvm-replay-'));
+}
+
+function v1Ticker(pair, price, vol24) {
+  return JSON.stringify([42, { c: [String(price), '1'], v: ['0', String(vol24)], p: ['0', String(price)] }, 'ticker', pair]);
+}
+
+// 10 minutes of one tick per minute; volume jumps 10% at minute 5
+function record(dir, opts = {}) {
+  let now = T0;
+  const rec = createRecorder({ dir, now: () => now, feeds: () => ({ kraken: { version: 1, pairs: ['XBT/USD'] } }), ...opts });
+  for (let i = 0; i < 10; i++) {
+    rec.record('kraken', '{"event":"heartbeat"}');
+    rec.record('kraken', v1Ticker('XBT/USD', 100, i >= 5 ? 110 : 100));
+    now += 60000;
+  }
+  rec.close();
+}
+
+test('recorder writes a header plus timestamped raw frames', () => {
+  const dir = tmpdir();
+  try {
+    record(dir);
+    const files = listRecordings(dir);
+    assert.equal(files.length, 1);
+    const lines = fs.readFileSync(files[0], 'utf8').trim().split('\n').map(l => JSON.parse(l));
+    assert.deepEqual(lines[0], { recording: 1, ts: T0, feeds: { kraken: { version: 1, pairs: ['XBT/USD'] } } });
+    assert.deepEqual(lines[1], { ts: T0, ex: 'kraken', frame: { event: 'heartbeat' } });
+    assert.equal(lines.length, 21);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('recorder rotates by size and keeps the newest files', () => {
+  const dir = tmpdir();
+  try {
+    record(dir, { maxBytes: 600, maxFiles: 3 });
+    const files = listRecordings(dir);
+    assert.equal(files.length, 3);
+    for (const f of files) assert.match(fs.readFileSync(f, 'utf8'), /^\{"recording":1/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('replay feeds recordings through the engine on a simulated clock', async () => {
+  const dir = tmpdir();
+  try {
+    record(dir);
+    let wall = 0;
+    const report = await replay({
+      files: listRecordings(dir),
+      speed: 1000,
+      config: { lookbackHours: 0.05, digestEverySec: 120, digestMinAbsDeltaPct: 1 },
+      rules: { resolve: () => RULE },
+      sleep: async (ms) => { wall += ms; },
+      wallNow: () => wall,
+    });
+
+    assert.equal(report.frames, 20);
+    assert.equal(report.tickers, 10);
+    assert.equal(report.simulatedSec, 540);
+    assert.deepEqual(report.alerts.map(e => [e.type, e.pair, e.level, e.ts]), [['step', 'kraken:XBT/USD', 10, T0 + 5 * 60000]]);
+    assert.deepEqual(report.summary.byPair, { 'kraken:XBT/USD': { steps: 1, recoveries: 0, maxLevel: 10 } });
+    assert.ok(report.digests.length >= 2);
+    assert.ok(report.digests.every(d => (d.ts - T0) % 120000 === 0));
+    assert.equal(wall, 540); // 540 simulated seconds at 1000x
+    assert.match(formatReport(report), /Alerts: 1 step, 0 recovery/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('replay rejects speeds outside 1–1000x', async () => {
+  await assert.rejects(replay({ files: [], speed: 5000, rules: { resolve: () => RULE } }), /between 1 and 1000/);
+  assert.deepEqual(parseArgs(['a.ndjson', '--speed', '50', '--out', 'r.json']),
+    { inputs: ['a.ndjson'], speed: 50, out: 'r.json', rules: '' });
+});
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import YAML from 'yaml';
+import { validateRule, validateRulesDoc, resolveRule, createRuleStore } from '../src/rules.js';
+
+const DEFAULTS = { metric: 'diffPct', thresholdPct: 5, stepPct: 1.25, cooldownSec: 300, direction: 'both' };
+
+function tmpFile(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kvm-rules-'));
+  return { dir, file: path.join(dir, name) };
+}
+
+test('validateRule normalizes numbers and rejects bad fields', () => {
+  assert.deepEqual(validateRule({ id: 'a', thresholdPct: '3', match: { pairs: ['XBT/USD'] } }),
+    { id: 'a', thresholdPct: 3, match: { pairs: ['XBT/USD'] } });
+  assert.throws(() => validateRule({ id: 'bad id!' }), /rule id/);
+  assert.throws(() => validateRule({ id: 'a', metric: 'foo' }), /metric must be/);
+  assert.equal(validateRule({ id: 'a', metric: 'diffPct@1h' }).metric, 'diffPct@1h');
+  assert.throws(() => validateRule({ id: 'a', metric: 'anomalyZ@1h' }), /metric must be/);
+  assert.throws(() => validateRule({ id: 'a', metric: 'diffPct@soon' }), /metric must be/);
+  assert.throws(() => validateRule({ id: 'a', metric: 'diffPct@2h' }, ['15m', '1h']), /horizon 2h is not one of/);
+  assert.throws(() => validateRulesDoc({ rules: [{ id: 'a', metric: 'vol24Pct@2h' }] }, ['1h']), /horizon 2h/);
+  assert.throws(() => validateRule({ id: 'a', direction: 'sideways' }), /direction must be/);
+  assert.throws(() => validateRule({ id: 'a', stepPct: 0 }), /stepPct must be/);
+  assert.throws(() => validateRule({ id: 'a', match: { regex: '(' } }), /bad regex/);
+  assert.throws(() => validateRulesDoc({ rules: [{ id: 'a' }, { id: 'a' }] }), /duplicate rule id a/);
+});
+
+test('resolveRule prefers pairs > regex > tags > catch-all and fills defaults', () => {
+  const doc = validateRulesDoc({
+    tags: { majors: ['XBT/USD', 'ETH/USD'] },
+    rules: [
+      { id: 'all', thresholdPct: 8 },
+      { id: 'majors', match: { tags: ['majors'] }, thresholdPct: 3 },
+      { id: 'xb', match: { regex: '^XBT/' }, stepPct: 0.5 },
+      { id: 'eth', match: { pairs: ['ETH/USD'] }, metric: 'vol24Pct', direction: 'up' },
+      { id: 'off', match: { pairs: ['XBT/USD'] }, enabled: false },
+    ],
+  });
+
+  assert.deepEqual(resolveRule('ETH/USD', doc, DEFAULTS),
+    { id: 'eth', metric: 'vol24Pct', thresholdPct: 5, stepPct: 1.25, cooldownSec: 300, direction: 'up' });
+  assert.equal(resolveRule('XBT/USD', doc, DEFAULTS).id, 'xb');
+  assert.equal(resolveRule('XBT/USD', doc, DEFAULTS).thresholdPct, 5);
+  assert.equal(resolveRule('SOL/USD', doc, DEFAULTS).id, 'all');
+  assert.deepEqual(resolveRule('SOL/USD', { tags: {}, rules: [] }, DEFAULTS), { id: 'default', ...DEFAULTS });
+});
+
+test('rule store CRUD persists to YAML and caches resolution', () => {
+  const { dir, file } = tmpFile('rules.yaml');
+  let changes = 0;
+  try {
+    const store = createRuleStore({ file, defaults: DEFAULTS, onChange: () => changes++ });
+    store.load();
+    assert.equal(store.resolve('XBT/USD').id, 'default');
+
+    store.create({ id: 'xbt', match: { pairs: ['XBT/USD'] }, thresholdPct: 2 });
+    assert.equal(store.resolve('XBT/USD').thresholdPct, 2);
+    assert.throws(() => store.create({ id: 'xbt' }), /already exists/);
+
+    store.update('xbt', { match: { pairs: ['XBT/USD'] }, thresholdPct: 4 });
+    assert.equal(store.resolve('XBT/USD').thresholdPct, 4);
+    assert.equal(store.update('nope', {}), null);
+
+    store.setTag('majors', ['ETH/USD']);
+    assert.throws(() => store.setTag('bad', 'ETH/USD'), /tags.bad/);
+    assert.throws(() => store.setTag('__proto__', ['ETH/USD']), /tag must be/);
+    assert.throws(() => store.setTag('a b', ['ETH/USD']), /tag must be/);
+    assert.equal(store.removeTag('constructor'), false);
+    assert.throws(() => validateRulesDoc({ tags: { 'no way': [] } }), /tag must be/);
+    assert.throws(() => validateRulesDoc(JSON.parse('{"tags":{"__proto__":["ETH/USD"]}}')), /tag must be/);
+
+    const saved = YAML.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepEqual(saved.tags, { majors: ['ETH/USD'] });
+    assert.equal(saved.rules[0].thresholdPct, 4);
+
+    assert.equal(store.remove('xbt'), true);
+    assert.equal(store.remove('xbt'), false);
+    assert.equal(store.resolve('XBT/USD').id, 'default');
+    assert.equal(changes, 5);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('rule store reloads external edits and ignores its own writes', () => {
+  const { dir, file } = tmpFile('rules.json');
+  try {
+    fs.writeFileSync(file, JSON.stringify({ rules: [{ id: 'a', thresholdPct: 9 }] }));
+    const store = createRuleStore({ file, defaults: DEFAULTS });
+    assert.equal(store.load(), true);
+    assert.equal(store.resolve('ANY/USD').thresholdPct, 9);
+
+    store.update('a', { thresholdPct: 7 });
+    assert.equal(store.load(), false);
+
+    fs.writeFileSync(file, JSON.stringify({ rules: [{ id: 'a', thresholdPct: 6 }] }));
+    assert.equal(store.load(), true);
+    assert.equal(store.resolve('ANY/USD').thresholdPct, 6);
+
+    fs.writeFileSync(file, '{ not json');
+    assert.throws(() => store.load());
+    assert.equal(store.resolve('ANY/USD').thresholdPct, 6);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('rule store only accepts configured horizons and re-checks them when they change', () => {
+  const { dir, file } = tmpFile('rules.json');
+  try {
+    const store = createRuleStore({ file, defaults: DEFAULTS, horizons: ['15m', '1h'] });
+    store.load();
+    store.create({ id: 'h1', metric: 'diffPct@1h' });
+    assert.throws(() => store.create({ id: 'h2', metric: 'diffPct@2h' }), /horizon 2h is not one of LOOKBACK_HORIZONS/);
+
+    assert.deepEqual(store.setHorizons(['15m', '4h']), ['h1']);
+    assert.throws(() => store.setTag('majors', ['ETH/USD']), /rule h1: horizon 1h/);
+    store.update('h1', { metric: 'diffPct@4h' });
+    assert.deepEqual(store.setHorizons(['15m', '4h']), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});